@@ -0,0 +1,39 @@
+import { notFound } from 'next/navigation';
+import type { Metadata } from 'next';
+import { BlogArchivePage, getBlogArchiveMetadata } from '../../blog-archive';
+import { getBlogArchive, getBlogArchives } from '@/lib/content';
+
+export const dynamic = 'force-static';
+export const dynamicParams = false;
+export const revalidate = false;
+
+// The parent segment is shared with post slugs; here it is always a year.
+type MonthArchiveParams =
+  | { slug: string; month: string }
+  | Promise<{ slug: string; month: string }>;
+
+export async function generateStaticParams() {
+  return getBlogArchives().flatMap(archive =>
+    archive.months.map(month => ({ slug: archive.year, month: month.month }))
+  );
+}
+
+export async function generateMetadata({
+  params,
+}: {
+  params: MonthArchiveParams;
+}): Promise<Metadata> {
+  const resolvedParams = await Promise.resolve(params);
+  return getBlogArchiveMetadata(getBlogArchive(resolvedParams.slug, resolvedParams.month));
+}
+
+export default async function BlogMonthArchivePage({ params }: { params: MonthArchiveParams }) {
+  const resolvedParams = await Promise.resolve(params);
+  const archive = getBlogArchive(resolvedParams.slug, resolvedParams.month);
+
+  if (!archive) {
+    notFound();
+  }
+
+  return <BlogArchivePage archive={archive} />;
+}
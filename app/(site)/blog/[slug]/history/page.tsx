@@ -0,0 +1,57 @@
+import { notFound } from 'next/navigation';
+import type { Metadata } from 'next';
+import { siteUrl } from '@/lib/site';
+import { getBlogPostBySlug, getBlogPostSlugs } from '@/lib/content';
+import { getContentHistory } from '@/lib/content-history';
+import { RevisionHistory } from '@/components/content-history';
+
+export const dynamic = 'force-static';
+export const dynamicParams = false;
+export const revalidate = false;
+
+type HistoryParams = { slug: string } | Promise<{ slug: string }>;
+
+export async function generateStaticParams() {
+  return getBlogPostSlugs().map(slug => ({ slug }));
+}
+
+export async function generateMetadata({ params }: { params: HistoryParams }): Promise<Metadata> {
+  const resolvedParams = await Promise.resolve(params);
+  const post = getBlogPostBySlug(resolvedParams.slug);
+
+  if (!post) {
+    return {
+      title: 'Blog Post Not Found',
+      description: 'The requested blog post could not be found.',
+    };
+  }
+
+  return {
+    title: `${post.frontmatter.title} · Revision History`,
+    description: `Every change to "${post.frontmatter.title}" since it was first written.`,
+    robots: { index: false, follow: true },
+    alternates: {
+      canonical: `${siteUrl}/blog/${post.slug}/history`,
+    },
+  };
+}
+
+export default async function BlogPostHistoryPage({ params }: { params: HistoryParams }) {
+  const resolvedParams = await Promise.resolve(params);
+  const post = getBlogPostBySlug(resolvedParams.slug);
+  const history = getContentHistory('blog', resolvedParams.slug);
+
+  if (!post || !history) {
+    notFound();
+  }
+
+  return (
+    <RevisionHistory
+      title={post.frontmatter.title}
+      href={`/blog/${post.slug}`}
+      kind="post"
+      published={post.frontmatter.date}
+      history={history}
+    />
+  );
+}
@@ -0,0 +1,280 @@
+import Link from 'next/link';
+import { notFound } from 'next/navigation';
+import type { Metadata } from 'next';
+import { Button } from '@/components/ui/button';
+import { siteUrl } from '@/lib/site';
+import { feedAlternateTypes } from '@/lib/feeds';
+import { getOgImage } from '@/lib/og';
+import { getContentHistory, getUpdatedDate } from '@/lib/content-history';
+import { getTagHref, getTagLabel } from '@/lib/tags';
+import {
+  DEFAULT_LOCALE,
+  getDateLocale,
+  getLanguageAlternates,
+  getOpenGraphLocale,
+  getTranslator,
+  localizePath,
+} from '@/lib/i18n';
+import {
+  getAdjacentBlogPosts,
+  getBlogArchive,
+  getBlogArchives,
+  getBlogPostBySlug,
+  getBlogPostSlugs,
+  getBlogSeriesNavigation,
+  getContentPublishState,
+  getRecommendedContentForPost,
+  getRelatedProjectsForPost,
+} from '@/lib/content';
+import { BlogSeriesContents, BlogSeriesPager } from '@/components/blog-series-nav';
+import { ExportCitationProvider } from '@/components/data-export';
+import { MDXContent } from '@/components/mdx-content';
+import { PreviewBanner } from '@/components/preview-banner';
+import { RelatedContent } from '@/components/related-content';
+import { UpdatedOn } from '@/components/content-history';
+import { TranslationLinks } from '@/components/translation-links';
+import { JsonLd } from '@/components/structured-data';
+import { getBlogPostingStructuredData, getBreadcrumbStructuredData } from '@/lib/structured-data';
+import { BlogArchivePage, getBlogArchiveMetadata } from '../blog-archive';
+
+export const dynamic = 'force-static';
+export const dynamicParams = false;
+export const revalidate = false;
+
+// Year archives (/blog/2026) share this segment; post slugs can never be years.
+const YEAR_PATTERN = /^\d{4}$/;
+
+// Also rendered by app/[locale]/blog/[slug], which adds `locale`.
+type BlogPostParams = { slug: string; locale?: string };
+
+export async function generateStaticParams() {
+  return [
+    ...getBlogPostSlugs().map(slug => ({ slug })),
+    ...getBlogArchives().map(archive => ({ slug: archive.year })),
+  ];
+}
+
+export async function generateMetadata({
+  params,
+}: {
+  params: BlogPostParams | Promise<BlogPostParams>;
+}): Promise<Metadata> {
+  const resolvedParams = await Promise.resolve(params);
+  const locale = resolvedParams.locale ?? DEFAULT_LOCALE;
+  if (locale === DEFAULT_LOCALE && YEAR_PATTERN.test(resolvedParams.slug)) {
+    return getBlogArchiveMetadata(getBlogArchive(resolvedParams.slug));
+  }
+  const post = getBlogPostBySlug(resolvedParams.slug, locale);
+
+  if (!post) {
+    return {
+      title: 'Blog Post Not Found',
+      description: 'The requested blog post could not be found.',
+    };
+  }
+
+  const title = post.frontmatter.title || getTranslator(locale)('entry.untitledPost');
+  const summary = post.frontmatter.summary || post.content.slice(0, 160).replace(/\n/g, ' ').trim();
+  const tags = post.frontmatter.tags?.slice(0, 5).join(', ') || '';
+  const ogImage = getOgImage('blog', post.slug, `${title} · Blog Post`);
+  const path = `/blog/${post.slug}`;
+  // A post shown untranslated under /<locale>/ points search engines at the original.
+  const canonicalUrl = `${siteUrl}${localizePath(path, post.locale)}`;
+
+  return {
+    title: `${title} · Blog`,
+    description: `${summary}${tags ? ` Topics: ${tags}.` : ''} Data science insights and technical tutorials by Abigael Awino.`,
+    keywords: ['data science', 'blog', 'tutorial', ...(post.frontmatter.tags || [])],
+    openGraph: {
+      title: `${title} · Blog | Abigael Awino`,
+      description: `${summary}${tags ? ` Topics: ${tags}.` : ''}`,
+      url: canonicalUrl,
+      locale: getOpenGraphLocale(post.locale),
+      type: 'article',
+      publishedTime: post.frontmatter.date,
+      modifiedTime: getContentHistory('blog', post.slug)?.updated,
+      authors: ['Abigael Awino'],
+      section: 'Blog',
+      tags: post.frontmatter.tags || [],
+      images: [ogImage],
+    },
+    twitter: {
+      card: 'summary_large_image',
+      title: `${title} · Blog`,
+      description: `${summary}${tags ? ` Topics: ${tags}.` : ''}`,
+      images: [ogImage.url],
+    },
+    alternates: {
+      canonical: canonicalUrl,
+      languages: getLanguageAlternates(path, post.locales),
+      types: feedAlternateTypes,
+    },
+  };
+}
+
+export default async function BlogPostPage({
+  params,
+}: {
+  params: BlogPostParams | Promise<BlogPostParams>;
+}) {
+  const resolvedParams = await Promise.resolve(params);
+  const locale = resolvedParams.locale ?? DEFAULT_LOCALE;
+  if (locale === DEFAULT_LOCALE && YEAR_PATTERN.test(resolvedParams.slug)) {
+    const archive = getBlogArchive(resolvedParams.slug);
+    if (!archive) {
+      notFound();
+    }
+    return <BlogArchivePage archive={archive} />;
+  }
+  const post = getBlogPostBySlug(resolvedParams.slug, locale);
+
+  if (!post) {
+    notFound();
+  }
+
+  const { previous, next } = getAdjacentBlogPosts(post.slug);
+  const caseStudies = getRelatedProjectsForPost(post.slug);
+  const seriesNavigation = getBlogSeriesNavigation(post.slug);
+  const recommendations = getRecommendedContentForPost(post.slug);
+  const updated = getUpdatedDate('blog', post.slug);
+  const t = getTranslator(locale);
+  const path = `/blog/${post.slug}`;
+
+  const citation = {
+    project: post.frontmatter.title,
+    url: `${siteUrl}${localizePath(path, locale)}`,
+  };
+
+  const page = (
+    <div className="space-y-8" lang={locale}>
+      <JsonLd
+        data={[
+          getBlogPostingStructuredData(post),
+          getBreadcrumbStructuredData([
+            { name: 'Blog', path: '/blog' },
+            { name: post.frontmatter.title, path: localizePath(path, locale) },
+          ]),
+        ]}
+      />
+      {/* Header */}
+      <article className="space-y-6">
+        <Button variant="outline" asChild className="w-fit">
+          <Link href="/blog">{t('entry.backToBlog')}</Link>
+        </Button>
+
+        <PreviewBanner
+          state={getContentPublishState(post.frontmatter)}
+          publishAt={post.frontmatter.publishAt}
+        />
+
+        <header className="space-y-4">
+          <h1 className="text-4xl font-bold tracking-tight" lang={post.locale}>
+            {post.frontmatter.title || t('entry.untitledPost')}
+          </h1>
+          {post.frontmatter.summary && (
+            <p className="text-xl text-muted-foreground" lang={post.locale}>
+              {post.frontmatter.summary}
+            </p>
+          )}
+
+          <div className="flex items-center gap-4 text-sm text-muted-foreground">
+            {post.frontmatter.date && (
+              <time dateTime={post.frontmatter.date}>
+                {new Date(post.frontmatter.date).toLocaleDateString(getDateLocale(locale), {
+                  year: 'numeric',
+                  month: 'long',
+                  day: 'numeric',
+                })}
+              </time>
+            )}
+            {updated && (
+              <UpdatedOn date={updated} historyHref={`${path}/history`} locale={locale} />
+            )}
+            {post.frontmatter.tags && post.frontmatter.tags.length > 0 && (
+              <div className="flex flex-wrap gap-2">
+                {post.frontmatter.tags.map(tag => (
+                  <Link
+                    key={tag}
+                    href={getTagHref(tag)}
+                    className="px-2 py-1 bg-secondary text-secondary-foreground rounded-md text-xs hover:bg-secondary/80"
+                  >
+                    {getTagLabel(tag)}
+                  </Link>
+                ))}
+              </div>
+            )}
+            <span>{t('entry.minRead', { minutes: post.readingTime })}</span>
+          </div>
+          <TranslationLinks
+            pathname={path}
+            locale={locale}
+            current={post.locale}
+            locales={post.locales}
+          />
+        </header>
+
+        {seriesNavigation && <BlogSeriesContents navigation={seriesNavigation} />}
+
+        <div className="prose prose-gray max-w-none" lang={post.locale}>
+          <MDXContent content={post.content} />
+        </div>
+
+        {seriesNavigation && <BlogSeriesPager navigation={seriesNavigation} />}
+
+        {caseStudies.length > 0 && (
+          <aside
+            aria-label={t('entry.relatedCaseStudies')}
+            className="rounded-lg border p-4 space-y-2"
+          >
+            <h2 className="text-lg font-semibold">{t('entry.partOfCaseStudy')}</h2>
+            <ul className="space-y-1">
+              {caseStudies.map(project => (
+                <li key={project.slug}>
+                  <Link
+                    href={localizePath(`/projects/${project.slug}`, locale)}
+                    className="font-medium hover:text-primary"
+                  >
+                    {project.frontmatter.title}
+                  </Link>
+                  <span className="text-sm text-muted-foreground">
+                    {' '}
+                    — {project.frontmatter.summary}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </aside>
+        )}
+      </article>
+
+      <RelatedContent items={recommendations} />
+
+      {(previous || next) && (
+        <nav aria-label={t('entry.morePosts')} className="grid gap-4 border-t pt-6 sm:grid-cols-2">
+          {previous ? (
+            <Link
+              href={localizePath(`/blog/${previous.slug}`, locale)}
+              className="space-y-1 hover:text-primary/80"
+            >
+              <span className="block text-sm text-muted-foreground">{t('entry.olderPost')}</span>
+              <span className="block font-semibold">{previous.frontmatter.title}</span>
+            </Link>
+          ) : (
+            <span />
+          )}
+          {next && (
+            <Link
+              href={localizePath(`/blog/${next.slug}`, locale)}
+              className="space-y-1 text-right hover:text-primary/80 sm:col-start-2"
+            >
+              <span className="block text-sm text-muted-foreground">{t('entry.newerPost')}</span>
+              <span className="block font-semibold">{next.frontmatter.title}</span>
+            </Link>
+          )}
+        </nav>
+      )}
+    </div>
+  );
+
+  return <ExportCitationProvider citation={citation}>{page}</ExportCitationProvider>;
+}
@@ -0,0 +1,89 @@
+import Link from 'next/link';
+import type { Metadata } from 'next';
+import { Button } from '@/components/ui/button';
+import { siteUrl } from '@/lib/site';
+import { feedAlternateTypes } from '@/lib/feeds';
+import { getTagLabel } from '@/lib/tags';
+import { JsonLd } from '@/components/structured-data';
+import { getBreadcrumbStructuredData } from '@/lib/structured-data';
+import type { BlogArchive } from '@/lib/content';
+
+export function getBlogArchiveMetadata(archive: BlogArchive | null): Metadata {
+  if (!archive) {
+    return {
+      title: 'Archive Not Found',
+      description: 'No blog posts were published in this period.',
+    };
+  }
+
+  const description = `${archive.posts.length} blog post${archive.posts.length === 1 ? '' : 's'} published in ${archive.title}.`;
+
+  return {
+    title: `${archive.title} · Blog Archive`,
+    description,
+    openGraph: {
+      title: `${archive.title} · Blog Archive | Abigael Awino`,
+      description,
+      url: `${siteUrl}${archive.path}`,
+      images: ['/assets/og.png'],
+    },
+    alternates: {
+      canonical: `${siteUrl}${archive.path}`,
+      types: feedAlternateTypes,
+    },
+  };
+}
+
+/** A year (`/blog/2026`) or month (`/blog/2026/02`) archive, newest post first. */
+export function BlogArchivePage({ archive }: { archive: BlogArchive }) {
+  const breadcrumbs = [
+    { name: 'Blog', path: '/blog' },
+    { name: archive.year, path: `/blog/${archive.year}` },
+  ];
+  if (archive.month) {
+    breadcrumbs.push({ name: archive.title, path: archive.path });
+  }
+
+  return (
+    <div className="space-y-8">
+      <JsonLd data={[getBreadcrumbStructuredData(breadcrumbs)]} />
+      <Button variant="outline" asChild className="w-fit">
+        <Link href="/blog">← Back to Blog</Link>
+      </Button>
+
+      <header className="space-y-2">
+        <p className="text-sm text-muted-foreground">Blog archive</p>
+        <h1 className="text-4xl font-bold tracking-tight">{archive.title}</h1>
+        <p className="text-xl text-muted-foreground">
+          {archive.posts.length} post{archive.posts.length === 1 ? '' : 's'} published in{' '}
+          {archive.title}.
+        </p>
+      </header>
+
+      <ul className="space-y-4">
+        {archive.posts.map(post => (
+          <li key={post.slug} className="rounded-lg border p-4 space-y-1">
+            <time dateTime={post.frontmatter.date} className="text-sm text-muted-foreground">
+              {new Date(post.frontmatter.date).toLocaleDateString('en-US', {
+                year: 'numeric',
+                month: 'long',
+                day: 'numeric',
+              })}
+            </time>
+            <h2 className="text-lg font-semibold">
+              <Link href={`/blog/${post.slug}`} className="hover:text-primary">
+                {post.frontmatter.title}
+              </Link>
+            </h2>
+            <p className="text-muted-foreground">{post.frontmatter.summary}</p>
+            <p className="text-sm text-muted-foreground">
+              {post.readingTime} min read
+              {post.frontmatter.tags.length > 0 &&
+                ` · ${post.frontmatter.tags.map(getTagLabel).join(', ')}`}
+            </p>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -1,5 +1,6 @@
 'use client';
 
+import type { ReactNode } from 'react';
 import { useBlogFilters } from '@/hooks/use-blog-filters';
 import { Button } from '@/components/ui/button';
 import {
@@ -13,16 +14,31 @@ import {
 import { Badge } from '@/components/ui/badge';
 import { Calendar, Clock, ArrowRight, Tag as TagIcon, X } from 'lucide-react';
 import Link from 'next/link';
+import { getTagLabel } from '@/lib/tags';
 import { BlogPost } from '@/hooks/use-blog-filters';
+import { BlogPagination } from '@/components/blog-archive-nav';
+import { paginateBlogEntries } from '@/src/blog-archive.js';
 
 interface BlogClientProps {
+  // Every visible post, newest first.
   posts: BlogPost[];
+  pagination: {
+    page: number;
+    pageCount: number;
+    previousPath: string | null;
+    nextPath: string | null;
+  };
+  children?: ReactNode;
 }
 
-export function BlogClient({ posts }: BlogClientProps) {
-  const { selectedTags, allTags, filteredPosts, toggleTag, clearFilters } = useBlogFilters(posts);
-
-  const publishedPosts = posts.filter(post => post.frontmatter.status === 'published');
+export function BlogClient({ posts, pagination, children }: BlogClientProps) {
+  const { selectedTags, allTags, tagCounts, filteredPosts, toggleTag, clearFilters } =
+    useBlogFilters(posts);
+  // Tag filters search every post; otherwise only this page's posts are listed.
+  const isFiltering = selectedTags.length > 0;
+  const listedPosts = isFiltering
+    ? filteredPosts
+    : (paginateBlogEntries(posts, pagination.page)?.entries ?? []);
 
   return (
     <div className="space-y-8">
@@ -60,7 +76,7 @@ export function BlogClient({ posts }: BlogClientProps) {
                     className="cursor-pointer hover:bg-destructive hover:text-destructive-foreground"
                     onClick={() => toggleTag(tag)}
                   >
-                    {tag}
+                    {getTagLabel(tag)}
                     <X className="ml-1 h-3 w-3" />
                   </Badge>
                 ))}
@@ -70,7 +86,6 @@ export function BlogClient({ posts }: BlogClientProps) {
             <div className="flex flex-wrap gap-2 justify-center">
               {allTags.map(tag => {
                 const isSelected = selectedTags.includes(tag);
-                const count = publishedPosts.filter(p => p.frontmatter.tags.includes(tag)).length;
                 return (
                   <Badge
                     key={tag}
@@ -83,8 +98,8 @@ export function BlogClient({ posts }: BlogClientProps) {
                     onClick={() => toggleTag(tag)}
                   >
                     <TagIcon size={12} />
-                    {tag}
-                    <span className="text-xs opacity-70">({count})</span>
+                    {getTagLabel(tag)}
+                    <span className="text-xs opacity-70">({tagCounts[tag]})</span>
                   </Badge>
                 );
               })}
@@ -96,18 +111,21 @@ export function BlogClient({ posts }: BlogClientProps) {
       {/* Results Summary */}
       <div className="text-center">
         <p className="text-sm text-muted-foreground" aria-live="polite" aria-atomic="true">
-          Showing {filteredPosts.length} of {publishedPosts.length} posts
-          {selectedTags.length > 0 && ` for "${selectedTags.join(', ')}"`}
+          Showing {listedPosts.length} of {posts.length} posts
+          {isFiltering && ` for "${selectedTags.map(getTagLabel).join(', ')}"`}
+          {!isFiltering &&
+            pagination.pageCount > 1 &&
+            ` (page ${pagination.page} of ${pagination.pageCount})`}
         </p>
       </div>
 
       {/* Blog Posts Grid */}
-      {filteredPosts.length === 0 ? (
+      {listedPosts.length === 0 ? (
         <Card>
           <CardContent className="p-12 text-center space-y-4">
             <p className="text-muted-foreground text-lg">
               {selectedTags.length > 0
-                ? `No posts found matching the selected filters: ${selectedTags.join(', ')}`
+                ? `No posts found matching the selected filters: ${selectedTags.map(getTagLabel).join(', ')}`
                 : 'No published posts yet. Check back soon!'}
             </p>
             {selectedTags.length > 0 && (
@@ -119,15 +137,20 @@ export function BlogClient({ posts }: BlogClientProps) {
         </Card>
       ) : (
         <div className="grid gap-6 md:grid-cols-2 lg:grid-cols-2">
-          {filteredPosts.map(post => (
+          {listedPosts.map(post => (
             <Card key={post.slug} className="flex flex-col">
               <article className="h-full flex flex-col">
                 <CardHeader className="space-y-3">
                   <div className="space-y-2">
                     <div className="flex flex-wrap gap-1">
+                      {post.frontmatter.status !== 'published' && (
+                        <Badge variant="outline" className="text-xs capitalize">
+                          {post.frontmatter.status}
+                        </Badge>
+                      )}
                       {post.frontmatter.tags.map(tag => (
                         <Badge key={tag} variant="secondary" className="text-xs">
-                          {tag}
+                          {getTagLabel(tag)}
                         </Badge>
                       ))}
                     </div>
@@ -177,6 +200,10 @@ export function BlogClient({ posts }: BlogClientProps) {
         </div>
       )}
 
+      {!isFiltering && <BlogPagination {...pagination} />}
+
+      {children}
+
       {/* Footer */}
       <div className="text-center pt-8">
         <Button asChild variant="outline">
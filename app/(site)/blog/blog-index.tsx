@@ -0,0 +1,52 @@
+import { BlogClient } from './blog-client';
+import { BlogArchiveNav, PaginationLinks } from '@/components/blog-archive-nav';
+import { JsonLd } from '@/components/structured-data';
+import { siteUrl } from '@/lib/site';
+import { getBreadcrumbStructuredData } from '@/lib/structured-data';
+import {
+  getAllBlogPosts,
+  getBlogArchives,
+  getBlogPage,
+  getContentPublishState,
+} from '@/lib/content';
+
+function getBlogPosts() {
+  return getAllBlogPosts().map(post => ({
+    slug: post.slug,
+    frontmatter: {
+      title: post.frontmatter.title,
+      date: post.frontmatter.date,
+      tags: post.frontmatter.tags,
+      summary: post.frontmatter.summary,
+      readingTime: post.readingTime.toString(),
+      status: getContentPublishState(post.frontmatter),
+    },
+    content: post.content,
+  }));
+}
+
+/**
+ * One page of the blog index (`/blog` or `/blog/page/<n>`). The client gets every
+ * post so tag filters search the whole blog; without filters it shows this page.
+ */
+export function BlogIndex({ page }: { page: number }) {
+  const blogPage = getBlogPage(page);
+  if (!blogPage) {
+    return null;
+  }
+  const { pageCount, previousPath, nextPath } = blogPage;
+  const breadcrumbs = [{ name: 'Blog', path: '/blog' }];
+  if (page > 1) {
+    breadcrumbs.push({ name: `Page ${page}`, path: `/blog/page/${page}` });
+  }
+
+  return (
+    <>
+      <JsonLd data={[getBreadcrumbStructuredData(breadcrumbs)]} />
+      <PaginationLinks siteUrl={siteUrl} previousPath={previousPath} nextPath={nextPath} />
+      <BlogClient posts={getBlogPosts()} pagination={{ page, pageCount, previousPath, nextPath }}>
+        <BlogArchiveNav archives={getBlogArchives()} />
+      </BlogClient>
+    </>
+  );
+}
@@ -0,0 +1,39 @@
+import { BlogIndex } from './blog-index';
+import type { Metadata } from 'next';
+import { siteUrl } from '@/lib/site';
+import { feedAlternateTypes } from '@/lib/feeds';
+
+export const metadata: Metadata = {
+  title: 'Blog',
+  description:
+    'Read notes on model monitoring, analytics implementation, and production workflows. Discover insights on data science best practices and machine learning deployment.',
+  openGraph: {
+    title: 'Blog · Abigael Awino',
+    description:
+      'Read notes on model monitoring, analytics implementation, and production workflows. Discover insights on data science best practices.',
+    url: `${siteUrl}/blog`,
+    images: [
+      {
+        url: '/assets/og.png',
+        width: 1200,
+        height: 630,
+        alt: 'Blog · Abigael Awino Data Science Insights',
+      },
+    ],
+  },
+  twitter: {
+    card: 'summary_large_image',
+    title: 'Blog · Abigael Awino',
+    description:
+      'Read notes on model monitoring, analytics implementation, and production workflows.',
+    images: ['/assets/og.png'],
+  },
+  alternates: {
+    canonical: `${siteUrl}/blog`,
+    types: feedAlternateTypes,
+  },
+};
+
+export default function BlogPage() {
+  return <BlogIndex page={1} />;
+}
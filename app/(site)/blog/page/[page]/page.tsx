@@ -0,0 +1,64 @@
+import { notFound } from 'next/navigation';
+import type { Metadata } from 'next';
+import { BlogIndex } from '../../blog-index';
+import { siteUrl } from '@/lib/site';
+import { feedAlternateTypes } from '@/lib/feeds';
+import { getBlogPage, getBlogPageCount } from '@/lib/content';
+
+export const dynamic = 'force-static';
+export const dynamicParams = false;
+export const revalidate = false;
+
+type BlogPageParams = { page: string } | Promise<{ page: string }>;
+
+// Page 1 is /blog itself.
+export async function generateStaticParams() {
+  return Array.from({ length: getBlogPageCount() - 1 }, (_, index) => ({
+    page: String(index + 2),
+  }));
+}
+
+function toPageNumber(value: string): number | null {
+  const page = /^\d+$/.test(value) ? Number(value) : NaN;
+  return page > 1 && getBlogPage(page) ? page : null;
+}
+
+export async function generateMetadata({ params }: { params: BlogPageParams }): Promise<Metadata> {
+  const resolvedParams = await Promise.resolve(params);
+  const page = toPageNumber(resolvedParams.page);
+
+  if (!page) {
+    return {
+      title: 'Page Not Found',
+      description: 'The requested blog page could not be found.',
+    };
+  }
+
+  const description = `Older posts on model monitoring, analytics implementation, and production workflows — page ${page} of ${getBlogPageCount()}.`;
+
+  return {
+    title: `Blog · Page ${page}`,
+    description,
+    openGraph: {
+      title: `Blog · Page ${page} · Abigael Awino`,
+      description,
+      url: `${siteUrl}/blog/page/${page}`,
+      images: ['/assets/og.png'],
+    },
+    alternates: {
+      canonical: `${siteUrl}/blog/page/${page}`,
+      types: feedAlternateTypes,
+    },
+  };
+}
+
+export default async function BlogIndexPage({ params }: { params: BlogPageParams }) {
+  const resolvedParams = await Promise.resolve(params);
+  const page = toPageNumber(resolvedParams.page);
+
+  if (!page) {
+    notFound();
+  }
+
+  return <BlogIndex page={page} />;
+}
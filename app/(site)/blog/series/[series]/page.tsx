@@ -0,0 +1,96 @@
+import Link from 'next/link';
+import { notFound } from 'next/navigation';
+import type { Metadata } from 'next';
+import { Button } from '@/components/ui/button';
+import { siteUrl } from '@/lib/site';
+import { getAllBlogSeries, getBlogSeriesBySlug } from '@/lib/content';
+import { JsonLd } from '@/components/structured-data';
+import { getBreadcrumbStructuredData } from '@/lib/structured-data';
+
+export const dynamic = 'force-static';
+export const dynamicParams = false;
+export const revalidate = false;
+
+type SeriesParams = { series: string } | Promise<{ series: string }>;
+
+export async function generateStaticParams() {
+  return getAllBlogSeries().map(series => ({ series: series.slug }));
+}
+
+export async function generateMetadata({ params }: { params: SeriesParams }): Promise<Metadata> {
+  const resolvedParams = await Promise.resolve(params);
+  const series = getBlogSeriesBySlug(resolvedParams.series);
+
+  if (!series) {
+    return {
+      title: 'Series Not Found',
+      description: 'The requested blog series could not be found.',
+    };
+  }
+
+  const description = `A ${series.posts.length}-part series: ${series.posts
+    .map(post => post.frontmatter.title)
+    .join('; ')}.`;
+
+  return {
+    title: `${series.title} · Blog Series`,
+    description,
+    openGraph: {
+      title: `${series.title} · Blog Series | Abigael Awino`,
+      description,
+      url: `${siteUrl}/blog/series/${series.slug}`,
+      images: ['/assets/og.png'],
+    },
+    alternates: {
+      canonical: `${siteUrl}/blog/series/${series.slug}`,
+    },
+  };
+}
+
+export default async function BlogSeriesPage({ params }: { params: SeriesParams }) {
+  const resolvedParams = await Promise.resolve(params);
+  const series = getBlogSeriesBySlug(resolvedParams.series);
+
+  if (!series) {
+    notFound();
+  }
+
+  return (
+    <div className="space-y-8">
+      <JsonLd
+        data={[
+          getBreadcrumbStructuredData([
+            { name: 'Blog', path: '/blog' },
+            { name: series.title, path: `/blog/series/${series.slug}` },
+          ]),
+        ]}
+      />
+      <Button variant="outline" asChild className="w-fit">
+        <Link href="/blog">← Back to Blog</Link>
+      </Button>
+
+      <header className="space-y-2">
+        <p className="text-sm text-muted-foreground">Blog series</p>
+        <h1 className="text-4xl font-bold tracking-tight">{series.title}</h1>
+        <p className="text-xl text-muted-foreground">
+          {series.posts.length} posts, meant to be read in order.
+        </p>
+      </header>
+
+      <ol className="space-y-4">
+        {series.posts.map((post, index) => (
+          <li key={post.slug} className="rounded-lg border p-4 space-y-1">
+            <span className="text-sm text-muted-foreground">Part {index + 1}</span>
+            <h2 className="text-lg font-semibold">
+              <Link href={`/blog/${post.slug}`} className="hover:text-primary">
+                {post.frontmatter.title}
+              </Link>
+            </h2>
+            <p className="text-muted-foreground">{post.frontmatter.summary}</p>
+            <span className="text-sm text-muted-foreground">{post.readingTime} min read</span>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
@@ -1,50 +1,44 @@
 import Link from 'next/link';
-import { ContactForm } from '../../components/contact-form';
+import { ContactForm } from '../../../components/contact-form';
 import { Button } from '@/components/ui/button';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Mail, Github, Linkedin, ExternalLink, Clock, CheckCircle } from 'lucide-react';
 import type { Metadata } from 'next';
-import { siteUrl } from '@/lib/site';
+import {
+  DEFAULT_LOCALE,
+  getContactFormLabels,
+  getLocalizedPageMetadata,
+  getMessageSection,
+  getTranslator,
+  localizePageLink,
+} from '@/lib/i18n';
 
-export const metadata: Metadata = {
-  title: 'Contact',
-  description:
-    'Get in touch with Abigael Awino to discuss your data science challenges. Reach out via the secure contact form or connect on LinkedIn and GitHub for collaborations.',
-  openGraph: {
-    title: 'Contact · Abigael Awino',
-    description:
-      'Get in touch with Abigael Awino to discuss your data science challenges. Reach out via the secure contact form or connect on LinkedIn and GitHub.',
-    url: `${siteUrl}/contact`,
-    images: [
-      {
-        url: '/assets/og.png',
-        width: 1200,
-        height: 630,
-        alt: 'Contact Abigael Awino · Data Science Collaborations',
-      },
-    ],
-  },
-  twitter: {
-    card: 'summary_large_image',
-    title: 'Contact · Abigael Awino',
-    description:
-      'Get in touch with Abigael Awino to discuss your data science challenges and collaborations.',
-    images: ['/assets/og.png'],
-  },
-  alternates: {
-    canonical: `${siteUrl}/contact`,
-  },
-};
+// Also rendered by app/[locale]/contact, which adds `locale`.
+type ContactParams = { locale?: string };
+
+export async function generateMetadata({
+  params,
+}: {
+  params: Promise<ContactParams>;
+}): Promise<Metadata> {
+  const { locale = DEFAULT_LOCALE } = await params;
+  return getLocalizedPageMetadata(locale, '/contact', 'contact');
+}
+
+export default async function ContactPage({ params }: { params: Promise<ContactParams> }) {
+  const { locale = DEFAULT_LOCALE } = await params;
+  const t = getTranslator(locale);
+  const { availabilityPoints } = getMessageSection<{ availabilityPoints: string[] }>(
+    locale,
+    'contact'
+  );
 
-export default function ContactPage() {
   return (
     <div className="space-y-12">
       {/* Header */}
       <section className="text-center space-y-4">
-        <h1 className="text-4xl font-bold tracking-tight">Get in Touch</h1>
-        <p className="text-xl text-muted-foreground max-w-2xl mx-auto">
-          I'd love to hear about your data science challenges and discuss how I can help.
-        </p>
+        <h1 className="text-4xl font-bold tracking-tight">{t('contact.pageTitle')}</h1>
+        <p className="text-xl text-muted-foreground max-w-2xl mx-auto">{t('contact.pageIntro')}</p>
       </section>
 
       <div className="grid gap-8 lg:grid-cols-3">
@@ -54,11 +48,9 @@ export default function ContactPage() {
             <CardHeader>
               <CardTitle className="flex items-center gap-2">
                 <Mail className="h-5 w-5" />
-                Email
+                {t('contact.emailTitle')}
               </CardTitle>
-              <CardDescription>
-                For project inquiries, collaborations, or general questions
-              </CardDescription>
+              <CardDescription>{t('contact.emailDescription')}</CardDescription>
             </CardHeader>
             <CardContent>
               <Button variant="outline" className="w-full" asChild>
@@ -67,7 +59,7 @@ export default function ContactPage() {
                   data-analytics-event="cta_email"
                   data-analytics-prop-location="contact_page"
                 >
-                  Send Email
+                  {t('contact.sendEmail')}
                   <ExternalLink className="ml-2 h-4 w-4" />
                 </a>
               </Button>
@@ -78,9 +70,9 @@ export default function ContactPage() {
             <CardHeader>
               <CardTitle className="flex items-center gap-2">
                 <Linkedin className="h-5 w-5" />
-                LinkedIn
+                {t('contact.linkedinTitle')}
               </CardTitle>
-              <CardDescription>Professional networking and career opportunities</CardDescription>
+              <CardDescription>{t('contact.linkedinDescription')}</CardDescription>
             </CardHeader>
             <CardContent>
               <Button variant="outline" className="w-full" asChild>
@@ -91,7 +83,7 @@ export default function ContactPage() {
                   data-analytics-event="cta_linkedin"
                   data-analytics-prop-location="contact_page"
                 >
-                  Connect on LinkedIn
+                  {t('contact.connectLinkedin')}
                   <ExternalLink className="ml-2 h-4 w-4" />
                 </a>
               </Button>
@@ -102,9 +94,9 @@ export default function ContactPage() {
             <CardHeader>
               <CardTitle className="flex items-center gap-2">
                 <Github className="h-5 w-5" />
-                GitHub
+                {t('contact.githubTitle')}
               </CardTitle>
-              <CardDescription>View my open-source projects and contributions</CardDescription>
+              <CardDescription>{t('contact.githubDescription')}</CardDescription>
             </CardHeader>
             <CardContent>
               <Button variant="outline" className="w-full" asChild>
@@ -115,7 +107,7 @@ export default function ContactPage() {
                   data-analytics-event="cta_github"
                   data-analytics-prop-location="contact_page"
                 >
-                  Visit GitHub
+                  {t('contact.visitGithub')}
                   <ExternalLink className="ml-2 h-4 w-4" />
                 </a>
               </Button>
@@ -127,13 +119,11 @@ export default function ContactPage() {
         <div className="lg:col-span-2">
           <Card>
             <CardHeader>
-              <CardTitle>Send a Message</CardTitle>
-              <CardDescription>
-                Fill out the form below and I'll get back to you as soon as possible.
-              </CardDescription>
+              <CardTitle>{t('contact.formTitle')}</CardTitle>
+              <CardDescription>{t('contact.formIntro')}</CardDescription>
             </CardHeader>
             <CardContent>
-              <ContactForm />
+              <ContactForm labels={getContactFormLabels(locale)} />
             </CardContent>
           </Card>
         </div>
@@ -144,26 +134,22 @@ export default function ContactPage() {
         <CardHeader>
           <CardTitle className="flex items-center gap-2">
             <Clock className="h-5 w-5" />
-            Current Availability
+            {t('contact.availabilityTitle')}
           </CardTitle>
         </CardHeader>
         <CardContent className="space-y-4">
           <div className="flex items-center gap-3">
             <div className="flex items-center gap-2">
               <CheckCircle className="h-5 w-5 text-green-500" />
-              <span className="font-semibold text-green-700">Available for Projects</span>
+              <span className="font-semibold text-green-700">{t('contact.availableNow')}</span>
             </div>
           </div>
           <div className="space-y-2 text-sm text-muted-foreground">
-            <p>✅ Open to freelance and consulting projects</p>
-            <p>✅ Available for full-time opportunities</p>
-            <p>✅ Quick response time: 24-48 hours</p>
-            <p>⏰ Priority slots available for urgent projects</p>
+            {availabilityPoints.map(point => (
+              <p key={point}>{point}</p>
+            ))}
           </div>
-          <p className="text-sm">
-            For urgent matters, please mention it in your message and I'll respond as soon as
-            possible.
-          </p>
+          <p className="text-sm">{t('contact.urgentNote')}</p>
         </CardContent>
       </Card>
 
@@ -171,11 +157,11 @@ export default function ContactPage() {
       <div className="text-center">
         <Button variant="outline" asChild>
           <Link
-            href="/"
+            href={localizePageLink('/', locale)}
             data-analytics-event="nav_home"
             data-analytics-prop-location="contact_page"
           >
-            ← Back to Home
+            {t('contact.backToHome')}
           </Link>
         </Button>
       </div>
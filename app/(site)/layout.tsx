@@ -1,9 +1,11 @@
 import { ReactNode } from 'react';
-import { Navigation } from '@/components/navigation';
-import { StructuredData } from '@/components/structured-data';
+import { SiteShell } from '@/components/site-shell';
 import type { Metadata } from 'next';
+import { isPreviewBuild } from '@/lib/content';
 import { siteUrl } from '@/lib/site';
-import './globals.css';
+import { feedAlternateTypes } from '@/lib/feeds';
+import { DEFAULT_LOCALE, getOpenGraphLocale } from '@/lib/i18n';
+import '../globals.css';
 
 export const metadata: Metadata = {
   metadataBase: new URL(siteUrl),
@@ -26,20 +28,22 @@ export const metadata: Metadata = {
   authors: [{ name: 'Abigael Awino' }],
   creator: 'Abigael Awino',
   publisher: 'Abigael Awino',
-  robots: {
-    index: true,
-    follow: true,
-    googleBot: {
-      index: true,
-      follow: true,
-      'max-video-preview': -1,
-      'max-image-preview': 'large',
-      'max-snippet': -1,
-    },
-  },
+  robots: isPreviewBuild
+    ? { index: false, follow: false }
+    : {
+        index: true,
+        follow: true,
+        googleBot: {
+          index: true,
+          follow: true,
+          'max-video-preview': -1,
+          'max-image-preview': 'large',
+          'max-snippet': -1,
+        },
+      },
   openGraph: {
     type: 'website',
-    locale: 'en_US',
+    locale: getOpenGraphLocale(),
     url: siteUrl,
     title: 'Abigael Awino · Data Science Portfolio',
     description:
@@ -71,34 +75,10 @@ export const metadata: Metadata = {
     languages: {
       'en-US': siteUrl,
     },
+    types: feedAlternateTypes,
   },
 };
 
 export default function RootLayout({ children }: { children: ReactNode }) {
-  return (
-    <html lang="en" data-scroll-behavior="smooth">
-      <head>
-        <StructuredData />
-      </head>
-      <body>
-        <div className="min-h-screen bg-background">
-          <a className="shell__skip-link" href="#main-content">
-            Skip to content
-          </a>
-
-          <Navigation siteName="Abigael Awino Portfolio" />
-
-          <main id="main-content" tabIndex={-1} className="container py-8 px-4 sm:px-6 lg:px-8">
-            {children}
-          </main>
-
-          <footer className="border-t py-8 mt-16">
-            <div className="container text-center text-muted-foreground px-4 sm:px-6 lg:px-8">
-              <p>&copy; 2024 Abigael Awino. All rights reserved.</p>
-            </div>
-          </footer>
-        </div>
-      </body>
-    </html>
-  );
+  return <SiteShell locale={DEFAULT_LOCALE}>{children}</SiteShell>;
 }
@@ -1,5 +1,10 @@
 import Link from 'next/link';
-import { getAllProjects } from '@/lib/content';
+import {
+  getAllBlogPosts,
+  getAllProjects,
+  getBlogPostBySlug,
+  getProjectBySlug,
+} from '@/lib/content';
 import { Button } from '@/components/ui/button';
 import {
   Card,
@@ -12,90 +17,65 @@ import {
 import { Badge } from '@/components/ui/badge';
 import { ArrowRight, Calendar, Clock, ExternalLink, Github } from 'lucide-react';
 import type { Metadata } from 'next';
-import { siteUrl } from '@/lib/site';
-import blogIndex from '@/src/generated/blog-index.json';
+import {
+  DEFAULT_LOCALE,
+  getDateLocale,
+  getLocalizedPageMetadata,
+  getTranslator,
+  localizePageLink,
+  localizePath,
+} from '@/lib/i18n';
 import { ProjectCardCarousel } from '@/components/project-card-carousel';
 import { BlogCardCarousel } from '@/components/blog-card-carousel';
 import './page.css';
 
-export const metadata: Metadata = {
-  title: 'Home',
-  description:
-    'Data science solutions bridging exploratory analysis to production-ready outcomes. Explore machine learning projects, analytics implementations, and end-to-end data solutions.',
-  openGraph: {
-    title: 'Abigael Awino · Data Science Portfolio',
-    description:
-      'Data science solutions bridging exploratory analysis to production-ready outcomes. Explore machine learning projects, analytics implementations, and end-to-end data solutions.',
-    url: siteUrl,
-    images: [
-      {
-        url: '/assets/og.png',
-        width: 1200,
-        height: 630,
-        alt: 'Abigael Awino · Data Science Portfolio',
-      },
-    ],
-  },
-  twitter: {
-    card: 'summary_large_image',
-    title: 'Abigael Awino · Data Science Portfolio',
-    description:
-      'Data science solutions bridging exploratory analysis to production-ready outcomes.',
-    images: ['/assets/og.png'],
-  },
-  alternates: {
-    canonical: siteUrl,
-  },
-};
+// Also rendered by app/[locale], which adds `locale`.
+type HomeParams = { locale?: string };
+
+export async function generateMetadata({
+  params,
+}: {
+  params: Promise<HomeParams>;
+}): Promise<Metadata> {
+  const { locale = DEFAULT_LOCALE } = await params;
+  return getLocalizedPageMetadata(locale, '/', 'home');
+}
 
-export default function HomePage() {
-  const projects = getAllProjects().slice(0, 3); // Get first 3 projects for featured section
-  const blogPosts = (blogIndex as Array<{
-    slug: string;
-    frontmatter: { title?: string; date?: string; tags?: string[]; summary?: string; cover?: string };
-    content: string;
-  }>)
-    .map(entry => ({
-      slug: entry.slug,
-      frontmatter: {
-        title: entry.frontmatter.title || '',
-        date: entry.frontmatter.date || '',
-        tags: entry.frontmatter.tags || [],
-        summary: entry.frontmatter.summary || '',
-        cover: entry.frontmatter.cover,
-      },
-      content: entry.content,
-    }))
-    .sort((a, b) => new Date(b.frontmatter.date).getTime() - new Date(a.frontmatter.date).getTime())
-    .slice(0, 3);
+export default async function HomePage({ params }: { params: Promise<HomeParams> }) {
+  const { locale = DEFAULT_LOCALE } = await params;
+  const t = getTranslator(locale);
+  // First 3 projects for the featured section, translated where a translation exists
+  const projects = getAllProjects()
+    .slice(0, 3)
+    .map(project => getProjectBySlug(project.slug, locale) ?? project);
+  const blogPosts = getAllBlogPosts()
+    .slice(0, 3)
+    .map(post => getBlogPostBySlug(post.slug, locale) ?? post);
 
   return (
     <div className="page-content space-y-12">
       {/* Hero Section */}
       <section className="text-center space-y-6">
-        <h1 className="text-4xl md:text-6xl font-bold tracking-tight">Data Science Portfolio</h1>
-        <p className="text-xl text-muted-foreground max-w-2xl mx-auto">
-          End-to-end data projects showcasing rigorous analysis, reproducible methods, and
-          production-ready solutions.
-        </p>
+        <h1 className="text-4xl md:text-6xl font-bold tracking-tight">{t('home.heroTitle')}</h1>
+        <p className="text-xl text-muted-foreground max-w-2xl mx-auto">{t('home.heroIntro')}</p>
         <div className="flex flex-col sm:flex-row gap-4 justify-center">
           <Button asChild size="lg">
             <Link
-              href="/projects"
+              href={localizePageLink('/projects', locale)}
               data-analytics-event="cta_projects"
               data-analytics-prop-location="hero"
             >
-              View Projects
+              {t('home.viewProjects')}
               <ArrowRight className="ml-2 h-4 w-4" />
             </Link>
           </Button>
           <Button asChild variant="outline" size="lg">
             <Link
-              href="/contact"
+              href={localizePageLink('/contact', locale)}
               data-analytics-event="cta_contact"
               data-analytics-prop-location="hero"
             >
-              Get in Touch
+              {t('home.getInTouch')}
             </Link>
           </Button>
         </div>
@@ -104,16 +84,14 @@ export default function HomePage() {
       {/* Featured Projects */}
       <section className="space-y-8">
         <div className="text-center space-y-2">
-          <h2 className="text-3xl font-bold tracking-tight">Featured Projects</h2>
-          <p className="text-muted-foreground">
-            Recent work in machine learning, analytics, and data visualization
-          </p>
+          <h2 className="text-3xl font-bold tracking-tight">{t('home.featuredHeading')}</h2>
+          <p className="text-muted-foreground">{t('home.featuredIntro')}</p>
         </div>
 
         {projects.length === 0 ? (
           <Card>
             <CardContent className="p-8 text-center">
-              <p className="text-muted-foreground">Projects coming soon! Check back later.</p>
+              <p className="text-muted-foreground">{t('home.projectsComingSoon')}</p>
             </CardContent>
           </Card>
         ) : (
@@ -152,14 +130,17 @@ export default function HomePage() {
                   <div className="flex items-center gap-4 text-sm text-muted-foreground">
                     <div className="flex items-center gap-1">
                       <Calendar className="h-4 w-4" />
-                      {new Date(project.frontmatter.date).toLocaleDateString('en-US', {
-                        year: 'numeric',
-                        month: 'short',
-                      })}
+                      {new Date(project.frontmatter.date).toLocaleDateString(
+                        getDateLocale(locale),
+                        {
+                          year: 'numeric',
+                          month: 'short',
+                        }
+                      )}
                     </div>
                     <div className="flex items-center gap-1">
                       <Clock className="h-4 w-4" />
-                      {Math.round(project.readingTime)} min
+                      {t('entry.minRead', { minutes: Math.round(project.readingTime) })}
                     </div>
                   </div>
                 </CardContent>
@@ -167,12 +148,12 @@ export default function HomePage() {
                 <CardFooter className="flex gap-2">
                   <Button asChild className="flex-1">
                     <Link
-                      href={`/projects/${project.slug}`}
+                      href={localizePath(`/projects/${project.slug}`, locale)}
                       data-analytics-event="project_read_more"
                       data-analytics-prop-project={project.slug}
                       data-analytics-prop-location="home_featured"
                     >
-                      Read More
+                      {t('home.readMore')}
                       <ArrowRight className="ml-2 h-4 w-4" />
                     </Link>
                   </Button>
@@ -182,7 +163,7 @@ export default function HomePage() {
                         href={project.frontmatter.repo}
                         target="_blank"
                         rel="noopener noreferrer"
-                        aria-label="View repository"
+                        aria-label={t('home.viewRepository')}
                         data-analytics-event="project_repo"
                         data-analytics-prop-project={project.slug}
                         data-analytics-prop-location="home_featured"
@@ -201,26 +182,33 @@ export default function HomePage() {
       {/* Latest Writing */}
       <section className="space-y-8">
         <div className="text-center space-y-2">
-          <h2 className="text-3xl font-bold tracking-tight">Latest Writing</h2>
-          <p className="text-muted-foreground">
-            Deep dives on data cleaning, visualization choices, and model validation
-          </p>
+          <h2 className="text-3xl font-bold tracking-tight">{t('home.latestHeading')}</h2>
+          <p className="text-muted-foreground">{t('home.latestIntro')}</p>
         </div>
 
         {blogPosts.length === 0 ? (
           <Card>
             <CardContent className="p-8 text-center">
-              <p className="text-muted-foreground">Blog posts coming soon.</p>
+              <p className="text-muted-foreground">{t('home.postsComingSoon')}</p>
             </CardContent>
           </Card>
         ) : (
-          <BlogCardCarousel posts={blogPosts} />
+          <BlogCardCarousel
+            posts={blogPosts}
+            basePath={localizePath('/blog', locale)}
+            dateLocale={getDateLocale(locale)}
+            readPostLabel={t('home.readPost')}
+          />
         )}
 
         <div className="flex justify-center">
           <Button variant="outline" asChild>
-            <Link href="/blog" data-analytics-event="cta_blog" data-analytics-prop-location="home">
-              View All Posts
+            <Link
+              href={localizePageLink('/blog', locale)}
+              data-analytics-event="cta_blog"
+              data-analytics-prop-location="home"
+            >
+              {t('home.viewAllPosts')}
             </Link>
           </Button>
         </div>
@@ -228,28 +216,25 @@ export default function HomePage() {
 
       {/* Call to Action */}
       <section className="text-center space-y-4">
-        <h2 className="text-2xl font-bold tracking-tight">Let's Work Together</h2>
-        <p className="text-muted-foreground max-w-md mx-auto">
-          I'm passionate about solving complex data challenges. Whether you need analysis, ML
-          models, or data infrastructure, I'd love to help.
-        </p>
+        <h2 className="text-2xl font-bold tracking-tight">{t('home.ctaHeading')}</h2>
+        <p className="text-muted-foreground max-w-md mx-auto">{t('home.ctaIntro')}</p>
         <div className="flex flex-col sm:flex-row gap-4 justify-center">
           <Button asChild>
             <Link
-              href="/contact"
+              href={localizePageLink('/contact', locale)}
               data-analytics-event="cta_contact"
               data-analytics-prop-location="footer"
             >
-              Contact Me
+              {t('home.contactMe')}
             </Link>
           </Button>
           <Button asChild variant="outline">
             <Link
-              href="/about"
+              href={localizePageLink('/about', locale)}
               data-analytics-event="cta_about"
               data-analytics-prop-location="footer"
             >
-              Learn More
+              {t('home.learnMore')}
             </Link>
           </Button>
         </div>
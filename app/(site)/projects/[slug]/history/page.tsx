@@ -0,0 +1,57 @@
+import { notFound } from 'next/navigation';
+import type { Metadata } from 'next';
+import { siteUrl } from '@/lib/site';
+import { getProjectBySlug, getProjectSlugs } from '@/lib/content';
+import { getContentHistory } from '@/lib/content-history';
+import { RevisionHistory } from '@/components/content-history';
+
+export const dynamic = 'force-static';
+export const dynamicParams = false;
+export const revalidate = false;
+
+type HistoryParams = { slug: string } | Promise<{ slug: string }>;
+
+export async function generateStaticParams() {
+  return getProjectSlugs().map(slug => ({ slug }));
+}
+
+export async function generateMetadata({ params }: { params: HistoryParams }): Promise<Metadata> {
+  const resolvedParams = await Promise.resolve(params);
+  const project = getProjectBySlug(resolvedParams.slug);
+
+  if (!project) {
+    return {
+      title: 'Project Not Found',
+      description: 'The requested project could not be found.',
+    };
+  }
+
+  return {
+    title: `${project.frontmatter.title} · Revision History`,
+    description: `Every change to the "${project.frontmatter.title}" case study since it was first written.`,
+    robots: { index: false, follow: true },
+    alternates: {
+      canonical: `${siteUrl}/projects/${project.slug}/history`,
+    },
+  };
+}
+
+export default async function ProjectHistoryPage({ params }: { params: HistoryParams }) {
+  const resolvedParams = await Promise.resolve(params);
+  const project = getProjectBySlug(resolvedParams.slug);
+  const history = getContentHistory('projects', resolvedParams.slug);
+
+  if (!project || !history) {
+    notFound();
+  }
+
+  return (
+    <RevisionHistory
+      title={project.frontmatter.title}
+      href={`/projects/${project.slug}`}
+      kind="case study"
+      published={project.frontmatter.date}
+      history={history}
+    />
+  );
+}
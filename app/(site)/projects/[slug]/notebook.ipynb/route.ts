@@ -0,0 +1,28 @@
+import { getAllProjects, getProjectBySlug } from '@/lib/content';
+import { getProjectNotebookSource } from '@/lib/project-notebooks';
+
+export const dynamic = 'force-static';
+export const dynamicParams = false;
+
+export async function generateStaticParams() {
+  return getAllProjects()
+    .filter(project => project.frontmatter.notebook)
+    .map(project => ({ slug: project.slug }));
+}
+
+export async function GET(
+  _request: Request,
+  { params }: { params: { slug: string } | Promise<{ slug: string }> }
+) {
+  const { slug } = await Promise.resolve(params);
+  const notebook = getProjectBySlug(slug)?.frontmatter.notebook;
+  if (!notebook) {
+    return new Response('Notebook not found', { status: 404 });
+  }
+  return new Response(getProjectNotebookSource(notebook), {
+    headers: {
+      'Content-Type': 'application/x-ipynb+json; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${slug}.ipynb"`,
+    },
+  });
+}
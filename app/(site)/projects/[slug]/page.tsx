@@ -1,14 +1,32 @@
 import Link from 'next/link';
 import { notFound } from 'next/navigation';
-import { getProjectBySlug, getAllProjects } from '@/lib/content';
+import {
+  getAllProjects,
+  getContentPublishState,
+  getProjectBySlug,
+  getRecommendedContentForProject,
+  getRelatedPostsForProject,
+} from '@/lib/content';
 import { Button } from '@/components/ui/button';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
 import { ArrowLeft, ExternalLink, Github, Clock, Tag, Calendar } from 'lucide-react';
 import { MDXContent } from '@/components/mdx-content';
-import { BabyNamesGenerationTrends, ProjectCharts } from '@/components/project-charts';
+import { ProjectChartSection } from '@/components/project-charts';
+import { getProjectCharts } from '@/lib/project-charts';
+import { getProjectNotebook } from '@/lib/project-notebooks';
 import { siteUrl } from '@/lib/site';
-import blogIndex from '@/src/generated/blog-index.json';
+import { getOgImage } from '@/lib/og';
+import { getContentHistory, getUpdatedDate } from '@/lib/content-history';
+import { getTagHref, getTagLabel } from '@/lib/tags';
+import {
+  DEFAULT_LOCALE,
+  getDateLocale,
+  getLanguageAlternates,
+  getOpenGraphLocale,
+  getTranslator,
+  localizePath,
+} from '@/lib/i18n';
 import {
   Carousel,
   CarouselContent,
@@ -16,14 +34,24 @@ import {
   CarouselNext,
   CarouselPrevious,
 } from '@/components/ui/carousel';
+import { ExportCitationProvider } from '@/components/data-export';
 import { VisualizationPanel } from '@/components/visualization-panel';
-import { NotebookDashboard } from '@/components/notebook-dashboard';
 import { NotebookCodeAccordion } from '@/components/notebook-code-accordion';
+import { ProjectNotebookCells } from '@/components/project-notebook';
+import { PreviewBanner } from '@/components/preview-banner';
+import { RelatedContent } from '@/components/related-content';
+import { UpdatedOn } from '@/components/content-history';
+import { TranslationLinks } from '@/components/translation-links';
+import { JsonLd } from '@/components/structured-data';
+import { getBreadcrumbStructuredData, getProjectStructuredData } from '@/lib/structured-data';
 
 export const dynamic = 'force-static';
 export const dynamicParams = false;
 export const revalidate = false;
 
+// Also rendered by app/[locale]/projects/[slug], which adds `locale`.
+type ProjectParams = { slug: string; locale?: string };
+
 type MdxSplit = {
   analysisContent: string;
   visualizationsContent: string | null;
@@ -163,7 +191,7 @@ export async function generateStaticParams() {
 export async function generateMetadata({
   params,
 }: {
-  params: { slug: string } | Promise<{ slug: string }>;
+  params: ProjectParams | Promise<ProjectParams>;
 }) {
   const resolvedParams = await Promise.resolve(params);
   if (!resolvedParams?.slug) {
@@ -173,7 +201,8 @@ export async function generateMetadata({
     };
   }
 
-  const project = getProjectBySlug(resolvedParams.slug);
+  const locale = resolvedParams.locale ?? DEFAULT_LOCALE;
+  const project = getProjectBySlug(resolvedParams.slug, locale);
 
   if (!project) {
     return {
@@ -186,6 +215,10 @@ export async function generateMetadata({
   const summary = project.frontmatter.summary;
   const tags = project.frontmatter.tags.slice(0, 3).join(', ');
   const tech = project.frontmatter.tech.slice(0, 3).join(', ');
+  const ogImage = getOgImage('projects', project.slug, `${title} · Case Study`);
+  const path = `/projects/${project.slug}`;
+  // A project shown untranslated under /<locale>/ points search engines at the original.
+  const canonicalUrl = `${siteUrl}${localizePath(path, project.locale)}`;
 
   return {
     title: `${title} · Case Study`,
@@ -200,23 +233,12 @@ export async function generateMetadata({
     openGraph: {
       title: `${title} · Case Study | Abigael Awino`,
       description: `${summary} Technologies: ${tech}. Tags: ${tags}.`,
-      url: `${siteUrl}/projects/${project.slug}`,
+      url: canonicalUrl,
+      locale: getOpenGraphLocale(project.locale),
       type: 'article',
-      images: [
-        {
-          url: `/images/projects/${project.slug}-cover.svg`,
-          width: 1200,
-          height: 630,
-          alt: `${title} · Case Study Cover`,
-        },
-        {
-          url: '/assets/og.png',
-          width: 1200,
-          height: 630,
-          alt: 'Abigael Awino · Data Science Portfolio',
-        },
-      ],
+      images: [ogImage],
       publishedTime: project.frontmatter.date,
+      modifiedTime: getContentHistory('projects', project.slug)?.updated,
       authors: ['Abigael Awino'],
       section: 'Case Studies',
       tags: project.frontmatter.tags,
@@ -225,10 +247,11 @@ export async function generateMetadata({
       card: 'summary_large_image',
       title: `${title} · Case Study`,
       description: `${summary} Technologies: ${tech}. Tags: ${tags}.`,
-      images: [`/images/projects/${project.slug}-cover.svg`, '/assets/og.png'],
+      images: [ogImage.url],
     },
     alternates: {
-      canonical: `${siteUrl}/projects/${project.slug}`,
+      canonical: canonicalUrl,
+      languages: getLanguageAlternates(path, project.locales),
     },
   };
 }
@@ -236,20 +259,24 @@ export async function generateMetadata({
 export default async function ProjectPage({
   params,
 }: {
-  params: { slug: string } | Promise<{ slug: string }>;
+  params: ProjectParams | Promise<ProjectParams>;
 }) {
   const resolvedParams = await Promise.resolve(params);
   if (!resolvedParams?.slug) {
     notFound();
   }
 
-  const project = getProjectBySlug(resolvedParams.slug);
+  const locale = resolvedParams.locale ?? DEFAULT_LOCALE;
+  const project = getProjectBySlug(resolvedParams.slug, locale);
 
   if (!project) {
     notFound();
   }
 
   const { frontmatter, content, readingTime } = project;
+  const updated = getUpdatedDate('projects', project.slug);
+  const t = getTranslator(locale);
+  const path = `/projects/${project.slug}`;
   const {
     analysisContent,
     visualizationsContent,
@@ -257,14 +284,11 @@ export default async function ProjectPage({
     workContent,
     notebookSnippetsContent,
   } = splitMdxContent(content);
-  const projectHasCharts = [
-    'customer-segmentation-dashboard',
-    'ecommerce-recommendation-engine',
-    'babynames-ssa-visual-story',
-    'f5-breach-threat-intelligence',
-    'ssa-disability-outcomes',
-  ].includes(resolvedParams.slug);
-  const shouldRenderVisualizations = projectHasCharts || Boolean(visualizationsContent);
+  const charts = getProjectCharts(project.slug);
+  const notebook = getProjectNotebook(frontmatter.notebook);
+  const projectHasCharts = Boolean(charts.interactive);
+  const shouldRenderVisualizations =
+    projectHasCharts || Boolean(visualizationsContent) || Boolean(notebook);
   const isBabyNames = resolvedParams.slug === 'babynames-ssa-visual-story';
   const highlights = visualizationHighlights[resolvedParams.slug] ?? [
     {
@@ -283,41 +307,8 @@ export default async function ProjectPage({
       note: 'Inline tables or summaries support the charts.',
     },
   ];
-  const relatedPosts = (() => {
-    const entries = blogIndex as Array<{
-      slug: string;
-      frontmatter: {
-        title?: string;
-        date?: string;
-        summary?: string;
-        tags?: string[];
-      };
-    }>;
-
-    const projectTags = new Set(
-      [...(frontmatter.tags || []), ...(frontmatter.tech || [])].map(tag => tag.toLowerCase())
-    );
-
-    return entries
-      .map(post => {
-        const tags = (post.frontmatter.tags || []).map(tag => tag.toLowerCase());
-        const overlap = tags.filter(tag => projectTags.has(tag));
-        return {
-          ...post,
-          overlapCount: overlap.length,
-        };
-      })
-      .filter(post => post.overlapCount > 0)
-      .sort((a, b) => {
-        if (b.overlapCount !== a.overlapCount) {
-          return b.overlapCount - a.overlapCount;
-        }
-        const dateA = a.frontmatter.date ? new Date(a.frontmatter.date).getTime() : 0;
-        const dateB = b.frontmatter.date ? new Date(b.frontmatter.date).getTime() : 0;
-        return dateB - dateA;
-      })
-      .slice(0, 3);
-  })();
+  const relatedPosts = getRelatedPostsForProject(project.slug);
+  const recommendations = getRecommendedContentForProject(project.slug);
 
   const visualizationsSection = shouldRenderVisualizations ? (
     <Card id="visualizations">
@@ -349,12 +340,14 @@ export default async function ProjectPage({
                   </Card>
                 ))}
               </div>
-              <ProjectCharts slug={resolvedParams.slug} />
+              {charts.interactive && <ProjectChartSection section={charts.interactive} />}
             </div>
           }
-          generation={isBabyNames ? <BabyNamesGenerationTrends /> : undefined}
+          generation={
+            charts.generation ? <ProjectChartSection section={charts.generation} /> : undefined
+          }
           notebook={
-            !isBabyNames && visualizationsContent ? (
+            !isBabyNames && (visualizationsContent || notebook) ? (
               <Card>
                 <CardHeader>
                   <CardTitle>Notebook Summary</CardTitle>
@@ -363,9 +356,16 @@ export default async function ProjectPage({
                   </CardDescription>
                 </CardHeader>
                 <CardContent className="p-6 min-w-0 overflow-hidden">
-                  <NotebookDashboard slug={resolvedParams.slug} />
+                  {charts.notebook && <ProjectChartSection section={charts.notebook} />}
                   <div className="mt-6 min-w-0 overflow-hidden mdx-content">
-                    <NotebookCodeAccordion slug={resolvedParams.slug} />
+                    {notebook ? (
+                      <ProjectNotebookCells
+                        notebook={notebook}
+                        downloadHref={`${path}/notebook.ipynb`}
+                      />
+                    ) : (
+                      <NotebookCodeAccordion slug={resolvedParams.slug} />
+                    )}
                   </div>
                   {notebookSnippetsContent && (
                     <div className="mt-6 space-y-3 min-w-0 overflow-hidden">
@@ -377,9 +377,11 @@ export default async function ProjectPage({
                       </div>
                     </div>
                   )}
-                  <div className="prose prose-slate max-w-none viz-notebook min-w-0 overflow-hidden">
-                    <MDXContent content={visualizationsContent} />
-                  </div>
+                  {visualizationsContent && (
+                    <div className="prose prose-slate max-w-none viz-notebook min-w-0 overflow-hidden">
+                      <MDXContent content={visualizationsContent} />
+                    </div>
+                  )}
                 </CardContent>
               </Card>
             ) : undefined
@@ -389,8 +391,24 @@ export default async function ProjectPage({
     </Card>
   ) : null;
 
-  return (
-    <div className="space-y-8">
+  const citation = {
+    project: frontmatter.title,
+    url: `${siteUrl}${localizePath(path, locale)}`,
+    source: frontmatter.caseStudyData,
+    repo: frontmatter.repo,
+  };
+
+  const page = (
+    <div className="space-y-8" lang={locale}>
+      <JsonLd
+        data={[
+          getProjectStructuredData(project),
+          getBreadcrumbStructuredData([
+            { name: 'Projects', path: '/projects' },
+            { name: project.frontmatter.title, path: localizePath(path, locale) },
+          ]),
+        ]}
+      />
       {/* Header */}
       <Card>
         <CardHeader>
@@ -398,41 +416,57 @@ export default async function ProjectPage({
             <Button variant="outline" asChild className="w-fit">
               <Link href="/projects">
                 <ArrowLeft className="mr-2 h-4 w-4" />
-                Back to Projects
+                {t('entry.backToProjects')}
               </Link>
             </Button>
 
+            <PreviewBanner
+              state={getContentPublishState(frontmatter)}
+              publishAt={frontmatter.publishAt}
+            />
+
             <div className="flex flex-wrap gap-2">
               {frontmatter.tags.map(tag => (
-                <Badge key={tag} variant="secondary">
-                  <Tag className="mr-1 h-3 w-3" />
-                  {tag}
-                </Badge>
+                <Link key={tag} href={getTagHref(tag)}>
+                  <Badge variant="secondary" className="hover:bg-secondary/80">
+                    <Tag className="mr-1 h-3 w-3" />
+                    {getTagLabel(tag)}
+                  </Badge>
+                </Link>
               ))}
             </div>
 
             <div className="flex items-center gap-4 text-sm text-muted-foreground">
               <div className="flex items-center gap-1">
                 <Clock className="h-4 w-4" />
-                {Math.round(readingTime)} min read
+                {t('entry.minRead', { minutes: Math.round(readingTime) })}
               </div>
               <div className="flex items-center gap-1">
                 <Calendar className="h-4 w-4" />
-                {new Date(frontmatter.date).toLocaleDateString()}
+                {new Date(frontmatter.date).toLocaleDateString(getDateLocale(locale))}
               </div>
+              {updated && (
+                <UpdatedOn date={updated} historyHref={`${path}/history`} locale={locale} />
+              )}
             </div>
+            <TranslationLinks
+              pathname={path}
+              locale={locale}
+              current={project.locale}
+              locales={project.locales}
+            />
           </div>
         </CardHeader>
 
         <CardContent className="space-y-6">
-          <div className="space-y-4">
+          <div className="space-y-4" lang={project.locale}>
             <h1 className="text-3xl font-bold tracking-tight">{frontmatter.title}</h1>
             <p className="text-lg text-muted-foreground">{frontmatter.summary}</p>
           </div>
 
           <div className="space-y-4">
             <div>
-              <h3 className="font-semibold mb-2">Technologies</h3>
+              <h3 className="font-semibold mb-2">{t('entry.technologies')}</h3>
               <div className="flex flex-wrap gap-2">
                 {frontmatter.tech.map(tech => (
                   <Badge key={tech} variant="outline">
@@ -446,7 +480,7 @@ export default async function ProjectPage({
               <Button asChild>
                 <a href={frontmatter.repo} target="_blank" rel="noopener noreferrer">
                   <Github className="mr-2 h-4 w-4" />
-                  View Repository
+                  {t('entry.viewRepository')}
                   <ExternalLink className="ml-2 h-4 w-4" />
                 </a>
               </Button>
@@ -487,7 +521,7 @@ export default async function ProjectPage({
         {/* Summary Section */}
         <Card>
           <CardHeader>
-            <CardTitle>Summary</CardTitle>
+            <CardTitle>{t('entry.summary')}</CardTitle>
           </CardHeader>
           <CardContent>
             {isBabyNames ? (
@@ -557,9 +591,16 @@ export default async function ProjectPage({
                   </CardDescription>
                 </CardHeader>
                 <CardContent className="space-y-6">
-                  <NotebookDashboard slug={resolvedParams.slug} />
+                  {charts.notebook && <ProjectChartSection section={charts.notebook} />}
                   <div className="min-w-0 overflow-hidden mdx-content">
-                    <NotebookCodeAccordion slug={resolvedParams.slug} />
+                    {notebook ? (
+                      <ProjectNotebookCells
+                        notebook={notebook}
+                        downloadHref={`${path}/notebook.ipynb`}
+                      />
+                    ) : (
+                      <NotebookCodeAccordion slug={resolvedParams.slug} />
+                    )}
                   </div>
                 </CardContent>
               </Card>
@@ -571,7 +612,7 @@ export default async function ProjectPage({
         {!isBabyNames && analysisContent && (
           <Card>
             <CardHeader>
-              <CardTitle>Detailed Analysis</CardTitle>
+              <CardTitle>{t('entry.detailedAnalysis')}</CardTitle>
             </CardHeader>
             <CardContent>
               <div className="prose prose-slate max-w-none">
@@ -585,7 +626,7 @@ export default async function ProjectPage({
         {frontmatter.caseStudyData && (
           <Card>
             <CardHeader>
-              <CardTitle>Data</CardTitle>
+              <CardTitle>{t('entry.data')}</CardTitle>
             </CardHeader>
             <CardContent>
               <p className="text-muted-foreground">{frontmatter.caseStudyData}</p>
@@ -596,7 +637,7 @@ export default async function ProjectPage({
         {!isBabyNames && deliverablesContent && (
           <Card>
             <CardHeader>
-              <CardTitle>Deliverables</CardTitle>
+              <CardTitle>{t('entry.deliverables')}</CardTitle>
             </CardHeader>
             <CardContent>
               <div className="prose prose-slate max-w-none">
@@ -610,7 +651,7 @@ export default async function ProjectPage({
         {!isBabyNames && frontmatter.caseStudyMethods && (
           <Card>
             <CardHeader>
-              <CardTitle>Methods</CardTitle>
+              <CardTitle>{t('entry.methods')}</CardTitle>
             </CardHeader>
             <CardContent>
               <p className="text-muted-foreground">{frontmatter.caseStudyMethods}</p>
@@ -636,7 +677,7 @@ export default async function ProjectPage({
         {!isBabyNames && frontmatter.caseStudyResults && (
           <Card>
             <CardHeader>
-              <CardTitle>Results</CardTitle>
+              <CardTitle>{t('entry.results')}</CardTitle>
             </CardHeader>
             <CardContent>
               <p className="text-muted-foreground">{frontmatter.caseStudyResults}</p>
@@ -648,7 +689,7 @@ export default async function ProjectPage({
         {frontmatter.caseStudyReproducibility && (
           <Card>
             <CardHeader>
-              <CardTitle>Reproducibility</CardTitle>
+              <CardTitle>{t('entry.reproducibility')}</CardTitle>
             </CardHeader>
             <CardContent className="space-y-4">
               <p className="text-muted-foreground">{frontmatter.caseStudyReproducibility}</p>
@@ -669,7 +710,7 @@ export default async function ProjectPage({
         {frontmatter.caseStudyReflection && (
           <Card>
             <CardHeader>
-              <CardTitle>Reflection</CardTitle>
+              <CardTitle>{t('entry.reflection')}</CardTitle>
             </CardHeader>
             <CardContent>
               <p className="text-muted-foreground">{frontmatter.caseStudyReflection}</p>
@@ -682,17 +723,17 @@ export default async function ProjectPage({
         {relatedPosts.length > 0 && (
           <Card>
             <CardHeader>
-              <CardTitle>Related Blog Posts</CardTitle>
-              <CardDescription>Additional context and implementation notes.</CardDescription>
+              <CardTitle>{t('entry.writeUps')}</CardTitle>
+              <CardDescription>{t('entry.writeUpsIntro')}</CardDescription>
             </CardHeader>
             <CardContent className="space-y-4">
               {relatedPosts.map(post => (
                 <div key={post.slug} className="flex flex-col gap-1">
                   <Link
-                    href={`/blog/${post.slug}`}
+                    href={localizePath(`/blog/${post.slug}`, locale)}
                     className="text-base font-semibold hover:text-primary"
                   >
-                    {post.frontmatter.title || 'Untitled Post'}
+                    {post.frontmatter.title || t('entry.untitledPost')}
                   </Link>
                   {post.frontmatter.summary && (
                     <p className="text-sm text-muted-foreground">{post.frontmatter.summary}</p>
@@ -702,6 +743,8 @@ export default async function ProjectPage({
             </CardContent>
           </Card>
         )}
+
+        <RelatedContent items={recommendations} />
       </div>
 
       {/* Footer */}
@@ -710,11 +753,13 @@ export default async function ProjectPage({
           <Button variant="outline" asChild>
             <Link href="/projects">
               <ArrowLeft className="mr-2 h-4 w-4" />
-              Back to Projects
+              {t('entry.backToProjects')}
             </Link>
           </Button>
         </CardContent>
       </Card>
     </div>
   );
+
+  return <ExportCitationProvider citation={citation}>{page}</ExportCitationProvider>;
 }
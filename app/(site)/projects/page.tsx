@@ -2,6 +2,8 @@ import { getAllProjects } from '@/lib/content';
 import { ProjectsClient } from './projects-client';
 import type { Metadata } from 'next';
 import { siteUrl } from '@/lib/site';
+import { JsonLd } from '@/components/structured-data';
+import { getBreadcrumbStructuredData } from '@/lib/structured-data';
 
 export const metadata: Metadata = {
   title: 'Projects',
@@ -36,5 +38,10 @@ export const metadata: Metadata = {
 export default function ProjectsPage() {
   const allProjects = getAllProjects();
 
-  return <ProjectsClient projects={allProjects} />;
+  return (
+    <>
+      <JsonLd data={[getBreadcrumbStructuredData([{ name: 'Projects', path: '/projects' }])]} />
+      <ProjectsClient projects={allProjects} />
+    </>
+  );
 }
@@ -1,6 +1,12 @@
 'use client';
 
-import { useProjectFilters } from '@/hooks/use-project-filters';
+import {
+  useProjectFilters,
+  type MatchMode,
+  type Project,
+  type ProjectSort,
+} from '@/hooks/use-project-filters';
+import { MATCH_MODES, PROJECT_SORTS } from '@/src/project-facets.js';
 import { Button } from '@/components/ui/button';
 import {
   Card,
@@ -13,16 +19,27 @@ import {
 import { Badge } from '@/components/ui/badge';
 import { Calendar, Clock, ArrowRight, Tag as TagIcon, Github, X } from 'lucide-react';
 import Link from 'next/link';
-import { Project } from '@/hooks/use-project-filters';
+import { getTagLabel } from '@/lib/tags';
 import { ProjectCardCarousel } from '@/components/project-card-carousel';
 
+const selectClassName =
+  'h-9 rounded-md border border-input bg-background px-3 py-1 text-sm shadow-xs focus-visible:outline-none focus-visible:ring-1 focus-visible:ring-ring';
+
 interface ProjectsClientProps {
   projects: Project[];
 }
 
 export function ProjectsClient({ projects }: ProjectsClientProps) {
-  const { selectedTags, allTags, filteredProjects, toggleTag, clearFilters } =
-    useProjectFilters(projects);
+  const {
+    state,
+    facets,
+    filteredProjects,
+    hasActiveFilters,
+    toggleValue,
+    setMatch,
+    setSort,
+    clearFilters,
+  } = useProjectFilters(projects);
 
   return (
     <div className="space-y-8">
@@ -33,11 +50,38 @@ export function ProjectsClient({ projects }: ProjectsClientProps) {
           Explore project case studies in ML, analytics, and production data systems.
         </p>
 
-        {allTags.length > 0 && (
-          <div className="space-y-3">
-            <div className="flex items-center justify-between gap-4">
-              <h3 className="text-lg font-semibold">Filter by Topics</h3>
-              {selectedTags.length > 0 && (
+        {projects.length > 0 && (
+          <div className="space-y-4">
+            <div className="flex flex-wrap items-center justify-center gap-4">
+              <label className="flex items-center gap-2 text-sm">
+                Sort
+                <select
+                  className={selectClassName}
+                  value={state.sort}
+                  onChange={event => setSort(event.target.value as ProjectSort)}
+                >
+                  {PROJECT_SORTS.map(sort => (
+                    <option key={sort.value} value={sort.value}>
+                      {sort.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label className="flex items-center gap-2 text-sm">
+                Combine
+                <select
+                  className={selectClassName}
+                  value={state.match}
+                  onChange={event => setMatch(event.target.value as MatchMode)}
+                >
+                  {MATCH_MODES.map(mode => (
+                    <option key={mode.value} value={mode.value}>
+                      {mode.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              {hasActiveFilters && (
                 <Button
                   variant="ghost"
                   size="sm"
@@ -50,49 +94,37 @@ export function ProjectsClient({ projects }: ProjectsClientProps) {
               )}
             </div>
 
-            {selectedTags.length > 0 && (
-              <div className="flex flex-wrap gap-2 justify-center mb-4">
-                <span className="text-sm text-muted-foreground">Active filters:</span>
-                {selectedTags.map(tag => (
-                  <Badge
-                    key={tag}
-                    variant="default"
-                    className="cursor-pointer hover:bg-destructive hover:text-destructive-foreground"
-                    onClick={() => toggleTag(tag)}
-                  >
-                    {tag}
-                    <X className="ml-1 h-3 w-3" />
-                  </Badge>
-                ))}
-              </div>
-            )}
-
-            <div className="flex flex-wrap gap-2 justify-center">
-              {allTags.map(tag => {
-                const isSelected = selectedTags.includes(tag);
-                const count = projects.filter(p => p.frontmatter.tags.includes(tag)).length;
-                return (
-                  <Badge
-                    key={tag}
-                    variant={isSelected ? 'default' : 'secondary'}
-                    className={`flex items-center gap-1 cursor-pointer transition-colors ${
-                      isSelected
-                        ? 'bg-primary text-primary-foreground hover:bg-primary/90'
-                        : 'hover:bg-secondary/80'
-                    }`}
-                    onClick={() => toggleTag(tag)}
+            {facets.map(facet => (
+              <div
+                key={facet.key}
+                role="group"
+                aria-label={`Project ${facet.key} filters`}
+                className="flex flex-wrap items-center justify-center gap-2"
+              >
+                <span className="text-sm font-semibold">{facet.label}</span>
+                {facet.options.map(option => (
+                  <Button
+                    key={option.value}
+                    type="button"
+                    size="sm"
+                    variant={option.selected ? 'default' : 'secondary'}
+                    aria-pressed={option.selected}
+                    // Selected values stay enabled so they can always be switched off.
+                    disabled={!option.selected && option.count === 0}
+                    onClick={() => toggleValue(facet.key, option.value)}
                     data-analytics-event="filter_tag"
-                    data-analytics-prop-tag={tag}
-                    data-analytics-prop-action={isSelected ? 'remove' : 'add'}
+                    data-analytics-prop-facet={facet.key}
+                    data-analytics-prop-tag={option.value}
+                    data-analytics-prop-action={option.selected ? 'remove' : 'add'}
                     data-analytics-prop-location="projects_page"
                   >
-                    <TagIcon size={12} />
-                    {tag}
-                    <span className="text-xs opacity-70">({count})</span>
-                  </Badge>
-                );
-              })}
-            </div>
+                    {facet.key === 'tag' && <TagIcon size={12} />}
+                    {option.label}
+                    <span className="text-xs opacity-70">({option.count})</span>
+                  </Button>
+                ))}
+              </div>
+            ))}
           </div>
         )}
       </div>
@@ -101,7 +133,6 @@ export function ProjectsClient({ projects }: ProjectsClientProps) {
       <div className="text-center">
         <p className="text-sm text-muted-foreground" aria-live="polite" aria-atomic="true">
           Showing {filteredProjects.length} of {projects.length} projects
-          {selectedTags.length > 0 && ` for "${selectedTags.join(', ')}"`}
         </p>
       </div>
 
@@ -110,11 +141,11 @@ export function ProjectsClient({ projects }: ProjectsClientProps) {
         <Card>
           <CardContent className="p-12 text-center space-y-4">
             <p className="text-muted-foreground text-lg">
-              {selectedTags.length > 0
-                ? `No projects found matching the selected filters: ${selectedTags.join(', ')}`
+              {hasActiveFilters
+                ? 'No projects match the selected filters.'
                 : 'No projects available yet. Check back soon!'}
             </p>
-            {selectedTags.length > 0 && (
+            {hasActiveFilters && (
               <Button variant="outline" onClick={clearFilters}>
                 Clear Filters
               </Button>
@@ -139,7 +170,7 @@ export function ProjectsClient({ projects }: ProjectsClientProps) {
                     <div className="flex flex-wrap gap-1">
                       {project.frontmatter.tags.slice(0, 3).map(tag => (
                         <Badge key={tag} variant="secondary" className="text-xs">
-                          {tag}
+                          {getTagLabel(tag)}
                         </Badge>
                       ))}
                       {project.frontmatter.tags.length > 3 && (
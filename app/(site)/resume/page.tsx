@@ -0,0 +1,285 @@
+import Link from 'next/link';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Download, Mail, Phone, MapPin, Github, Linkedin, Award } from 'lucide-react';
+import type { Metadata } from 'next';
+import {
+  DEFAULT_LOCALE,
+  getLocalizedPageMetadata,
+  getMessageSection,
+  getTranslator,
+  localizePageLink,
+} from '@/lib/i18n';
+import { JsonLd } from '@/components/structured-data';
+import { getBreadcrumbStructuredData, getPersonStructuredData } from '@/lib/structured-data';
+
+// Also rendered by app/[locale]/resume, which adds `locale`.
+type ResumeParams = { locale?: string };
+
+type SkillGroup = { name: string; items: string[] };
+
+// The `resumeDetails` catalog section.
+type ResumeDetails = {
+  specialties: string[];
+  experience: { role: string; company: string; period: string; highlights: string[] }[];
+  skills: SkillGroup[];
+  platforms: SkillGroup[];
+  education: { degree: string; school: string; period: string; details: string }[];
+  certifications: { name: string; issuer: string }[];
+  achievements: { title: string; description: string }[];
+};
+
+const ACHIEVEMENT_COLORS = ['bg-green-500', 'bg-blue-500', 'bg-purple-500', 'bg-orange-500'];
+
+export async function generateMetadata({
+  params,
+}: {
+  params: Promise<ResumeParams>;
+}): Promise<Metadata> {
+  const { locale = DEFAULT_LOCALE } = await params;
+  return getLocalizedPageMetadata(locale, '/resume', 'resume');
+}
+
+function SkillGroups({ groups }: { groups: SkillGroup[] }) {
+  return groups.map(group => (
+    <div key={group.name}>
+      <h4 className="font-semibold mb-2">{group.name}</h4>
+      <div className="flex flex-wrap gap-1">
+        {group.items.map(item => (
+          <Badge key={item}>{item}</Badge>
+        ))}
+      </div>
+    </div>
+  ));
+}
+
+export default async function ResumePage({ params }: { params: Promise<ResumeParams> }) {
+  const { locale = DEFAULT_LOCALE } = await params;
+  const t = getTranslator(locale);
+  const details = getMessageSection<ResumeDetails>(locale, 'resumeDetails');
+
+  return (
+    <div className="space-y-12">
+      <JsonLd
+        data={[
+          getPersonStructuredData(),
+          getBreadcrumbStructuredData([
+            { name: t('pages.resume.title'), path: localizePageLink('/resume', locale) },
+          ]),
+        ]}
+      />
+      {/* Header Section */}
+      <section className="text-center space-y-6">
+        <div className="space-y-4">
+          <h1 className="text-4xl font-bold tracking-tight">Abigael Awino</h1>
+          <p className="text-xl text-muted-foreground max-w-3xl mx-auto">
+            {t('resumeDetails.intro')}
+          </p>
+        </div>
+
+        <div className="flex flex-wrap justify-center gap-4 text-sm text-muted-foreground">
+          <div className="flex items-center gap-2">
+            <Mail className="h-4 w-4" />
+            <a href="mailto:contact@abigaelawino.com" className="hover:text-foreground">
+              contact@abigaelawino.com
+            </a>
+          </div>
+          <div className="flex items-center gap-2">
+            <Phone className="h-4 w-4" />
+            <span>+1 (555) 123-4567</span>
+          </div>
+          <div className="flex items-center gap-2">
+            <MapPin className="h-4 w-4" />
+            <span>San Francisco, CA</span>
+          </div>
+        </div>
+
+        <div className="flex flex-wrap justify-center gap-3">
+          <Button asChild>
+            <a
+              href="/assets/resume.pdf"
+              download="abigael-awino-resume.pdf"
+              data-analytics-event="resume_download"
+              data-analytics-prop-location="resume_page"
+            >
+              <Download className="mr-2 h-4 w-4" />
+              {t('resumeDetails.downloadPdf')}
+            </a>
+          </Button>
+          <Button variant="outline" asChild>
+            <a
+              href="https://linkedin.com/in/abigaelawino"
+              target="_blank"
+              rel="noopener noreferrer"
+              data-analytics-event="cta_linkedin"
+              data-analytics-prop-location="resume_page"
+            >
+              <Linkedin className="mr-2 h-4 w-4" />
+              {t('resumeDetails.linkedinProfile')}
+            </a>
+          </Button>
+          <Button variant="outline" asChild>
+            <a
+              href="https://github.com/abigaelawino"
+              target="_blank"
+              rel="noopener noreferrer"
+              data-analytics-event="cta_github"
+              data-analytics-prop-location="resume_page"
+            >
+              <Github className="mr-2 h-4 w-4" />
+              GitHub
+            </a>
+          </Button>
+        </div>
+      </section>
+
+      {/* Summary Section */}
+      <Card>
+        <CardHeader>
+          <CardTitle>{t('resumeDetails.summaryTitle')}</CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <p>{t('resumeDetails.summary')}</p>
+          <div className="flex flex-wrap gap-2">
+            {details.specialties.map(specialty => (
+              <Badge key={specialty} variant="secondary">
+                {specialty}
+              </Badge>
+            ))}
+          </div>
+        </CardContent>
+      </Card>
+
+      {/* Experience Section */}
+      <Card>
+        <CardHeader>
+          <CardTitle>{t('resumeDetails.experienceTitle')}</CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-8">
+          {details.experience.map(job => (
+            <div key={job.company} className="border-l-2 border-muted pl-6 space-y-3">
+              <div className="flex items-start justify-between">
+                <div>
+                  <h3 className="font-semibold text-lg">{job.role}</h3>
+                  <p className="text-muted-foreground">{job.company}</p>
+                </div>
+                <span className="text-sm text-muted-foreground whitespace-nowrap">
+                  {job.period}
+                </span>
+              </div>
+              <ul className="space-y-2 text-sm text-muted-foreground">
+                {job.highlights.map(highlight => (
+                  <li key={highlight}>• {highlight}</li>
+                ))}
+              </ul>
+            </div>
+          ))}
+        </CardContent>
+      </Card>
+
+      {/* Technical Skills */}
+      <div className="grid gap-6 md:grid-cols-2">
+        <Card>
+          <CardHeader>
+            <CardTitle>{t('resumeDetails.skillsTitle')}</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <SkillGroups groups={details.skills} />
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardHeader>
+            <CardTitle>{t('resumeDetails.platformsTitle')}</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <SkillGroups groups={details.platforms} />
+          </CardContent>
+        </Card>
+      </div>
+
+      {/* Education & Certifications */}
+      <div className="grid gap-6 md:grid-cols-2">
+        <Card>
+          <CardHeader>
+            <CardTitle>{t('resumeDetails.educationTitle')}</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            {details.education.map(degree => (
+              <div key={degree.degree} className="space-y-2">
+                <h4 className="font-semibold">{degree.degree}</h4>
+                <p className="text-muted-foreground">{degree.school}</p>
+                <p className="text-sm text-muted-foreground">{degree.period}</p>
+                <p className="text-sm">{degree.details}</p>
+              </div>
+            ))}
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardHeader>
+            <CardTitle>{t('resumeDetails.certificationsTitle')}</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            {details.certifications.map(certification => (
+              <div key={certification.name} className="flex items-start gap-3">
+                <Award className="h-5 w-5 mt-0.5 text-muted-foreground" />
+                <div>
+                  <h4 className="font-semibold">{certification.name}</h4>
+                  <p className="text-sm text-muted-foreground">{certification.issuer}</p>
+                </div>
+              </div>
+            ))}
+          </CardContent>
+        </Card>
+      </div>
+
+      {/* Key Achievements */}
+      <Card>
+        <CardHeader>
+          <CardTitle>{t('resumeDetails.achievementsTitle')}</CardTitle>
+        </CardHeader>
+        <CardContent>
+          <div className="grid gap-4 md:grid-cols-2">
+            {details.achievements.map((achievement, index) => (
+              <div key={achievement.title} className="space-y-2">
+                <div className="flex items-center gap-2">
+                  <div
+                    className={`w-2 h-2 ${ACHIEVEMENT_COLORS[index % ACHIEVEMENT_COLORS.length]} rounded-full`}
+                  ></div>
+                  <h4 className="font-semibold">{achievement.title}</h4>
+                </div>
+                <p className="text-sm text-muted-foreground">{achievement.description}</p>
+              </div>
+            ))}
+          </div>
+        </CardContent>
+      </Card>
+
+      {/* Back Navigation */}
+      <div className="text-center space-y-4">
+        <Button variant="outline" asChild>
+          <Link
+            href={localizePageLink('/contact', locale)}
+            data-analytics-event="nav_contact"
+            data-analytics-prop-location="resume_page"
+          >
+            {t('home.getInTouch')}
+          </Link>
+        </Button>
+        <div>
+          <Button variant="ghost" asChild>
+            <Link
+              href={localizePageLink('/', locale)}
+              data-analytics-event="nav_home"
+              data-analytics-prop-location="resume_page"
+            >
+              {t('resume.backToHome')}
+            </Link>
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+}
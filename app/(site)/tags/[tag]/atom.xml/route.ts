@@ -0,0 +1,16 @@
+import { feedResponse, getFeedTagSlugs } from '@/lib/feeds';
+
+export const dynamic = 'force-static';
+export const dynamicParams = false;
+
+export async function generateStaticParams() {
+  return getFeedTagSlugs().map(tag => ({ tag }));
+}
+
+export async function GET(
+  _request: Request,
+  { params }: { params: { tag: string } | Promise<{ tag: string }> }
+) {
+  const { tag } = await Promise.resolve(params);
+  return feedResponse('atom', tag);
+}
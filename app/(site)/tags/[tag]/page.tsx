@@ -0,0 +1,158 @@
+import Link from 'next/link';
+import { notFound } from 'next/navigation';
+import type { Metadata } from 'next';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { siteUrl } from '@/lib/site';
+import { getAllTaggedContent, getTaggedContent } from '@/lib/content';
+import type { TaggedContent } from '@/lib/content';
+import { getTagFeedAlternateTypes } from '@/lib/feeds';
+import { JsonLd } from '@/components/structured-data';
+import { getBreadcrumbStructuredData } from '@/lib/structured-data';
+
+export const dynamic = 'force-static';
+export const dynamicParams = false;
+export const revalidate = false;
+
+type TagParams = { tag: string } | Promise<{ tag: string }>;
+
+type TaggedItem = {
+  kind: 'Project' | 'Post';
+  href: string;
+  title: string;
+  summary: string;
+  date: string;
+  readingTime: number;
+};
+
+// Projects and posts share one list, newest first.
+function listTaggedItems(tag: TaggedContent): TaggedItem[] {
+  return [
+    ...tag.projects.map(project => ({
+      kind: 'Project' as const,
+      href: `/projects/${project.slug}`,
+      title: project.frontmatter.title,
+      summary: project.frontmatter.summary,
+      date: project.frontmatter.date,
+      readingTime: Math.ceil(project.readingTime),
+    })),
+    ...tag.posts.map(post => ({
+      kind: 'Post' as const,
+      href: `/blog/${post.slug}`,
+      title: post.frontmatter.title,
+      summary: post.frontmatter.summary,
+      date: post.frontmatter.date,
+      readingTime: post.readingTime,
+    })),
+  ].sort((a, b) => b.date.localeCompare(a.date) || a.title.localeCompare(b.title));
+}
+
+function describeCounts(tag: TaggedContent) {
+  const parts = [];
+  if (tag.projects.length > 0) {
+    parts.push(`${tag.projects.length} project${tag.projects.length === 1 ? '' : 's'}`);
+  }
+  if (tag.posts.length > 0) {
+    parts.push(`${tag.posts.length} post${tag.posts.length === 1 ? '' : 's'}`);
+  }
+  return parts.join(' · ');
+}
+
+export async function generateStaticParams() {
+  return getAllTaggedContent().map(tag => ({ tag: tag.slug }));
+}
+
+export async function generateMetadata({ params }: { params: TagParams }): Promise<Metadata> {
+  const resolvedParams = await Promise.resolve(params);
+  const tag = getTaggedContent(resolvedParams.tag);
+
+  if (!tag) {
+    return {
+      title: 'Topic Not Found',
+      description: 'The requested topic could not be found.',
+    };
+  }
+
+  const description = tag.description || `Projects and posts about ${tag.label}.`;
+
+  return {
+    title: `${tag.label} · Topics`,
+    description,
+    openGraph: {
+      title: `${tag.label} · Topics | Abigael Awino`,
+      description,
+      url: `${siteUrl}/tags/${tag.slug}`,
+      images: ['/assets/og.png'],
+    },
+    alternates: {
+      canonical: `${siteUrl}/tags/${tag.slug}`,
+      types: getTagFeedAlternateTypes(tag.slug),
+    },
+  };
+}
+
+export default async function TagPage({ params }: { params: TagParams }) {
+  const resolvedParams = await Promise.resolve(params);
+  const tag = getTaggedContent(resolvedParams.tag);
+
+  if (!tag) {
+    notFound();
+  }
+
+  return (
+    <div className="space-y-8">
+      <JsonLd
+        data={[
+          getBreadcrumbStructuredData([
+            { name: 'Topics', path: '/tags' },
+            { name: tag.label, path: `/tags/${tag.slug}` },
+          ]),
+        ]}
+      />
+      <Button variant="outline" asChild className="w-fit">
+        <Link href="/tags">← All Topics</Link>
+      </Button>
+
+      <header className="space-y-2">
+        <p className="text-sm text-muted-foreground">Topic</p>
+        <h1 className="text-4xl font-bold tracking-tight">{tag.label}</h1>
+        {tag.description && <p className="text-xl text-muted-foreground">{tag.description}</p>}
+        <p className="text-sm text-muted-foreground">
+          {describeCounts(tag)}
+          {tag.posts.length > 0 && (
+            <>
+              {' · '}
+              <a href={`/tags/${tag.slug}/feed.xml`} className="hover:text-primary">
+                RSS feed
+              </a>
+            </>
+          )}
+        </p>
+      </header>
+
+      <ul className="space-y-4">
+        {listTaggedItems(tag).map(item => (
+          <li key={item.href} className="rounded-lg border p-4 space-y-1">
+            <Badge variant="secondary" className="text-xs">
+              {item.kind}
+            </Badge>
+            <h2 className="text-lg font-semibold">
+              <Link href={item.href} className="hover:text-primary">
+                {item.title}
+              </Link>
+            </h2>
+            <p className="text-muted-foreground">{item.summary}</p>
+            <span className="text-sm text-muted-foreground">
+              {new Date(item.date).toLocaleDateString('en-US', {
+                year: 'numeric',
+                month: 'long',
+                day: 'numeric',
+              })}{' '}
+              · {item.readingTime} min read
+            </span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,47 @@
+import Link from 'next/link';
+import type { Metadata } from 'next';
+import { siteUrl } from '@/lib/site';
+import { getAllTaggedContent } from '@/lib/content';
+import { JsonLd } from '@/components/structured-data';
+import { getBreadcrumbStructuredData } from '@/lib/structured-data';
+
+export const dynamic = 'force-static';
+
+export const metadata: Metadata = {
+  title: 'Topics',
+  description: 'Browse every project case study and blog post by topic.',
+  alternates: {
+    canonical: `${siteUrl}/tags`,
+  },
+};
+
+export default function TagsPage() {
+  const tags = getAllTaggedContent();
+
+  return (
+    <div className="space-y-8">
+      <JsonLd data={[getBreadcrumbStructuredData([{ name: 'Topics', path: '/tags' }])]} />
+      <header className="space-y-2">
+        <h1 className="text-4xl font-bold tracking-tight">Topics</h1>
+        <p className="text-xl text-muted-foreground">Every project and post, grouped by topic.</p>
+      </header>
+
+      <ul className="grid gap-4 md:grid-cols-2">
+        {tags.map(tag => (
+          <li key={tag.slug} className="rounded-lg border p-4 space-y-1">
+            <h2 className="text-lg font-semibold">
+              <Link href={`/tags/${tag.slug}`} className="hover:text-primary">
+                {tag.label}
+              </Link>
+            </h2>
+            {tag.description && <p className="text-muted-foreground">{tag.description}</p>}
+            <p className="text-sm text-muted-foreground">
+              {tag.projects.length} project{tag.projects.length === 1 ? '' : 's'} ·{' '}
+              {tag.posts.length} post{tag.posts.length === 1 ? '' : 's'}
+            </p>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
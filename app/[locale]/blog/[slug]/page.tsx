@@ -0,0 +1,18 @@
+import { getBlogPostSlugs } from '@/lib/content';
+import { getTranslatedLocales } from '@/lib/i18n';
+import BlogPostPage, { generateMetadata } from '@/app/(site)/blog/[slug]/page';
+
+export const dynamic = 'force-static';
+export const dynamicParams = false;
+export const revalidate = false;
+
+// Every post exists in every locale: untranslated posts show the original text
+// with localized labels and a canonical link to the original.
+export async function generateStaticParams() {
+  return getTranslatedLocales().flatMap(locale =>
+    getBlogPostSlugs().map(slug => ({ locale, slug }))
+  );
+}
+
+export { generateMetadata };
+export default BlogPostPage;
@@ -0,0 +1,13 @@
+import { getTranslatedLocales } from '@/lib/i18n';
+import ContactPage, { generateMetadata } from '@/app/(site)/contact/page';
+
+export const dynamic = 'force-static';
+export const dynamicParams = false;
+export const revalidate = false;
+
+export async function generateStaticParams() {
+  return getTranslatedLocales().map(locale => ({ locale }));
+}
+
+export { generateMetadata };
+export default ContactPage;
@@ -0,0 +1,13 @@
+import { getTranslatedLocales } from '@/lib/i18n';
+import ContactThanksPage, { generateMetadata } from '@/app/(site)/contact/thanks/page';
+
+export const dynamic = 'force-static';
+export const dynamicParams = false;
+export const revalidate = false;
+
+export async function generateStaticParams() {
+  return getTranslatedLocales().map(locale => ({ locale }));
+}
+
+export { generateMetadata };
+export default ContactThanksPage;
@@ -0,0 +1,33 @@
+import { ReactNode } from 'react';
+import type { Metadata } from 'next';
+import { SiteShell } from '@/components/site-shell';
+import { metadata as siteMetadata } from '@/app/(site)/layout';
+import { getOpenGraphLocale } from '@/lib/i18n';
+import '../globals.css';
+
+type LocaleParams = { locale: string };
+
+// The root layout for the translated pages: the site's metadata and chrome in
+// the route's locale.
+export async function generateMetadata({
+  params,
+}: {
+  params: Promise<LocaleParams>;
+}): Promise<Metadata> {
+  const { locale } = await params;
+  return {
+    ...siteMetadata,
+    openGraph: { ...siteMetadata.openGraph, locale: getOpenGraphLocale(locale) },
+  };
+}
+
+export default async function LocaleLayout({
+  children,
+  params,
+}: {
+  children: ReactNode;
+  params: Promise<LocaleParams>;
+}) {
+  const { locale } = await params;
+  return <SiteShell locale={locale}>{children}</SiteShell>;
+}
@@ -0,0 +1,14 @@
+import { getTranslatedLocales } from '@/lib/i18n';
+import HomePage, { generateMetadata } from '@/app/(site)/page';
+
+export const dynamic = 'force-static';
+export const dynamicParams = false;
+export const revalidate = false;
+
+// One of LOCALIZED_PAGES (src/i18n.js), which the static build translates too.
+export async function generateStaticParams() {
+  return getTranslatedLocales().map(locale => ({ locale }));
+}
+
+export { generateMetadata };
+export default HomePage;
@@ -0,0 +1,17 @@
+import { getProjectSlugs } from '@/lib/content';
+import { getTranslatedLocales } from '@/lib/i18n';
+import ProjectPage, { generateMetadata } from '@/app/(site)/projects/[slug]/page';
+
+export const dynamic = 'force-static';
+export const dynamicParams = false;
+export const revalidate = false;
+
+// Like app/[locale]/blog/[slug]: every project, translated or not, in every locale.
+export async function generateStaticParams() {
+  return getTranslatedLocales().flatMap(locale =>
+    getProjectSlugs().map(slug => ({ locale, slug }))
+  );
+}
+
+export { generateMetadata };
+export default ProjectPage;
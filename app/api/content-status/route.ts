@@ -1,12 +1,11 @@
 import { NextResponse } from 'next/server';
-import projectsIndex from '@/src/generated/projects-index.json';
-import blogIndex from '@/src/generated/blog-index.json';
+import { getAllBlogPosts, getAllProjects } from '@/lib/content';
 
 export const dynamic = 'force-static';
 
 export async function GET() {
-  const projects = projectsIndex as Array<{ slug: string }>;
-  const blog = blogIndex as Array<{ slug: string }>;
+  const projects = getAllProjects();
+  const blog = getAllBlogPosts();
 
   return NextResponse.json({
     projects: {
@@ -0,0 +1,21 @@
+import type { Metadata } from 'next';
+import { SiteShell } from '@/components/site-shell';
+import { DEFAULT_LOCALE } from '@/lib/i18n';
+import './globals.css';
+
+export const metadata: Metadata = {
+  title: 'Page Not Found · Abigael Awino',
+  robots: { index: false, follow: false },
+};
+
+// The 404 for URLs outside both root layouts, with the default locale's chrome.
+export default function GlobalNotFound() {
+  return (
+    <SiteShell locale={DEFAULT_LOCALE}>
+      <div className="space-y-4 py-16 text-center">
+        <h1 className="text-4xl font-bold tracking-tight">404</h1>
+        <p className="text-muted-foreground">This page could not be found.</p>
+      </div>
+    </SiteShell>
+  );
+}
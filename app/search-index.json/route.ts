@@ -0,0 +1,25 @@
+import { readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { NextResponse } from 'next/server';
+import { getAllBlogPosts, getAllProjects } from '@/lib/content';
+import { SEARCH_INDEX_PATH, buildSearchIndex } from '@/src/search-index.js';
+
+// Served as built by the content pipeline (npm run generate:content), so this
+// route and the static dist/ build ship the same index; the search dialog
+// fetches it on first open.
+export const dynamic = 'force-static';
+
+function readSearchIndex() {
+  try {
+    return JSON.parse(
+      readFileSync(join(process.cwd(), 'src', 'generated', SEARCH_INDEX_PATH), 'utf8')
+    );
+  } catch {
+    // `next dev` without a content build: index the visible entries directly.
+    return buildSearchIndex({ projects: getAllProjects(), blog: getAllBlogPosts() });
+  }
+}
+
+export async function GET() {
+  return NextResponse.json(readSearchIndex());
+}
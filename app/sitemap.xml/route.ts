@@ -0,0 +1,8 @@
+import { getSitemaps, sitemapResponse } from '@/lib/sitemap';
+
+// The sitemap index; each section lives at /sitemaps/<section>.xml.
+export const dynamic = 'force-static';
+
+export async function GET() {
+  return sitemapResponse(getSitemaps().index);
+}
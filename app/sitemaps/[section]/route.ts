@@ -0,0 +1,20 @@
+import { getSitemaps, sitemapResponse } from '@/lib/sitemap';
+
+export const dynamic = 'force-static';
+export const dynamicParams = false;
+
+export async function generateStaticParams() {
+  return getSitemaps().sitemaps.map(sitemap => ({ section: `${sitemap.section}.xml` }));
+}
+
+export async function GET(
+  _request: Request,
+  { params }: { params: { section: string } | Promise<{ section: string }> }
+) {
+  const { section } = await Promise.resolve(params);
+  const sitemap = getSitemaps().sitemaps.find(entry => `${entry.section}.xml` === section);
+  if (!sitemap) {
+    return new Response('Sitemap not found', { status: 404 });
+  }
+  return sitemapResponse(sitemap.xml);
+}
@@ -1,36 +1,108 @@
 (() => {
-  const buttons = document.querySelectorAll('[data-filter-button]');
-  const cards = document.querySelectorAll('[data-project-card]');
-  const status = document.querySelector('[data-projects-status]');
+  const facets = window.ProjectFacets;
+  const dataElement = document.getElementById('projects-facets-data');
+  const grid = document.querySelector('[data-projects-grid]');
+  if (!facets || !dataElement || !grid) {
+    return;
+  }
 
-  const applyFilter = tag => {
-    const resolvedTag = typeof tag === 'string' && tag.trim().length > 0 ? tag : 'all';
-    let visibleCount = 0;
+  const { records, pinned } = JSON.parse(dataElement.textContent);
+  const cards = new Map(
+    Array.from(grid.querySelectorAll('[data-project-card]')).map(card => [
+      card.getAttribute('data-project-slug'),
+      card,
+    ])
+  );
+  const buttons = document.querySelectorAll('[data-facet]');
+  const sortSelect = document.querySelector('[data-projects-sort]');
+  const matchSelect = document.querySelector('[data-projects-match]');
+  const clearButton = document.querySelector('[data-projects-clear]');
+  const summary = document.querySelector('[data-projects-summary]');
 
+  let state = facets.parseFacetState(window.location.search);
+
+  const render = () => {
+    const visible = facets.applyFacetState(records, state);
+    const counts = facets.countFacetValues(records, state, { pinned });
+
+    // Hide everything, then append the matches so the grid follows the sort order.
     cards.forEach(card => {
-      const tags = (card.getAttribute('data-tags') || '').split(',').filter(Boolean);
-      const isVisible = resolvedTag === 'all' || tags.includes(resolvedTag);
-      card.hidden = !isVisible;
-      if (isVisible) {
-        visibleCount += 1;
+      card.hidden = true;
+    });
+    visible.forEach(record => {
+      const card = cards.get(record.slug);
+      if (card) {
+        card.hidden = false;
+        grid.appendChild(card);
       }
     });
 
     buttons.forEach(button => {
-      const isActive = button.getAttribute('data-filter') === resolvedTag;
+      const facet = button.getAttribute('data-facet');
+      const option = (counts[facet] || []).find(
+        item => item.value === button.getAttribute('data-filter')
+      );
+      const isActive = Boolean(option && option.selected);
+      const count = option ? option.count : 0;
       button.classList.toggle('is-active', isActive);
       button.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+      // Selected values stay enabled so they can always be switched off.
+      button.disabled = !isActive && count === 0;
+      const countElement = button.querySelector('[data-facet-count]');
+      if (countElement) {
+        countElement.textContent = String(count);
+      }
     });
 
-    if (status) {
-      const label = resolvedTag === 'all' ? 'All projects' : 'Projects tagged '.concat(resolvedTag);
-      status.textContent = `${label}: ${visibleCount} shown.`;
+    if (sortSelect) {
+      sortSelect.value = state.sort;
+    }
+    if (matchSelect) {
+      matchSelect.value = state.match;
+    }
+    if (clearButton) {
+      clearButton.hidden = !facets.hasActiveFilters(state);
+    }
+    if (summary) {
+      summary.textContent = `${visible.length} of ${records.length} projects shown.`;
     }
   };
 
+  const update = nextState => {
+    state = nextState;
+    const query = facets.serializeFacetState(state);
+    window.history.replaceState(
+      null,
+      '',
+      `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`
+    );
+    render();
+  };
+
   buttons.forEach(button => {
-    button.addEventListener('click', () => applyFilter(button.getAttribute('data-filter')));
+    button.addEventListener('click', () =>
+      update(
+        facets.toggleFacetValue(
+          state,
+          button.getAttribute('data-facet'),
+          button.getAttribute('data-filter')
+        )
+      )
+    );
+  });
+  if (sortSelect) {
+    sortSelect.addEventListener('change', () => update({ ...state, sort: sortSelect.value }));
+  }
+  if (matchSelect) {
+    matchSelect.addEventListener('change', () => update({ ...state, match: matchSelect.value }));
+  }
+  if (clearButton) {
+    clearButton.addEventListener('click', () => update(facets.clearFacetFilters(state)));
+  }
+  window.addEventListener('popstate', () => {
+    state = facets.parseFacetState(window.location.search);
+    render();
   });
 
-  applyFilter('all');
+  render();
 })();
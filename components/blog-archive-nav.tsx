@@ -0,0 +1,86 @@
+import Link from 'next/link';
+import type { BlogYearArchive } from '@/lib/content';
+
+type BlogPaginationProps = {
+  page: number;
+  pageCount: number;
+  previousPath: string | null;
+  nextPath: string | null;
+};
+
+export function BlogPagination({ page, pageCount, previousPath, nextPath }: BlogPaginationProps) {
+  if (pageCount <= 1) {
+    return null;
+  }
+
+  return (
+    <nav aria-label="Blog pages" className="flex items-center justify-between gap-4 border-t pt-6">
+      {previousPath ? (
+        <Link href={previousPath} rel="prev" className="font-medium hover:text-primary">
+          ← Newer posts
+        </Link>
+      ) : (
+        <span />
+      )}
+      <span className="text-sm text-muted-foreground">
+        Page {page} of {pageCount}
+      </span>
+      {nextPath ? (
+        <Link href={nextPath} rel="next" className="font-medium hover:text-primary">
+          Older posts →
+        </Link>
+      ) : (
+        <span />
+      )}
+    </nav>
+  );
+}
+
+/**
+ * `<link rel="prev|next">` for a paginated listing; React hoists them into the
+ * document head.
+ */
+export function PaginationLinks({
+  siteUrl,
+  previousPath,
+  nextPath,
+}: Pick<BlogPaginationProps, 'previousPath' | 'nextPath'> & { siteUrl: string }) {
+  return (
+    <>
+      {previousPath && <link rel="prev" href={`${siteUrl}${previousPath}`} />}
+      {nextPath && <link rel="next" href={`${siteUrl}${nextPath}`} />}
+    </>
+  );
+}
+
+export function BlogArchiveNav({ archives }: { archives: BlogYearArchive[] }) {
+  if (archives.length === 0) {
+    return null;
+  }
+
+  return (
+    <nav aria-label="Blog archive" className="rounded-lg border p-4 space-y-2">
+      <h2 className="text-lg font-semibold">Archive</h2>
+      <ul className="space-y-2">
+        {archives.map(archive => (
+          <li key={archive.year} className="space-y-1">
+            <Link href={archive.path} className="font-semibold hover:text-primary">
+              {archive.title}
+            </Link>{' '}
+            <span className="text-sm text-muted-foreground">({archive.posts.length})</span>
+            <ul className="flex flex-wrap gap-x-4 text-sm">
+              {archive.months.map(month => (
+                <li key={month.path}>
+                  <Link href={month.path} className="hover:text-primary">
+                    {month.title}
+                  </Link>{' '}
+                  <span className="text-muted-foreground">({month.posts.length})</span>
+                </li>
+              ))}
+            </ul>
+          </li>
+        ))}
+      </ul>
+    </nav>
+  );
+}
@@ -9,7 +9,14 @@ import {
   CarouselNext,
   CarouselPrevious,
 } from '@/components/ui/carousel';
-import { Card, CardContent, CardDescription, CardFooter, CardHeader, CardTitle } from '@/components/ui/card';
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardFooter,
+  CardHeader,
+  CardTitle,
+} from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
 import { Button } from '@/components/ui/button';
 
@@ -26,9 +33,18 @@ type BlogPost = {
 
 interface BlogCardCarouselProps {
   posts: BlogPost[];
+  // Where the posts live in the page's locale, e.g. /fr/blog.
+  basePath: string;
+  dateLocale: string;
+  readPostLabel: string;
 }
 
-export function BlogCardCarousel({ posts }: BlogCardCarouselProps) {
+export function BlogCardCarousel({
+  posts,
+  basePath,
+  dateLocale,
+  readPostLabel,
+}: BlogCardCarouselProps) {
   if (!posts || posts.length === 0) {
     return null;
   }
@@ -62,7 +78,7 @@ export function BlogCardCarousel({ posts }: BlogCardCarouselProps) {
                 <CardContent className="flex-1">
                   <div className="flex items-center gap-2 text-sm text-muted-foreground">
                     <Calendar className="h-4 w-4" />
-                    {new Date(post.frontmatter.date).toLocaleDateString('en-US', {
+                    {new Date(post.frontmatter.date).toLocaleDateString(dateLocale, {
                       year: 'numeric',
                       month: 'short',
                       day: 'numeric',
@@ -72,12 +88,12 @@ export function BlogCardCarousel({ posts }: BlogCardCarouselProps) {
                 <CardFooter>
                   <Button asChild className="w-full">
                     <Link
-                      href={`/blog/${post.slug}`}
+                      href={`${basePath}/${post.slug}`}
                       data-analytics-event="blog_read_more"
                       data-analytics-prop-location="home_latest_carousel"
                       data-analytics-prop-post={post.slug}
                     >
-                      Read Post
+                      {readPostLabel}
                       <ArrowRight className="ml-2 h-4 w-4" />
                     </Link>
                   </Button>
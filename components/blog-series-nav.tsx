@@ -0,0 +1,65 @@
+import Link from 'next/link';
+import type { BlogSeriesNavigation } from '@/lib/content';
+
+type BlogSeriesProps = {
+  navigation: BlogSeriesNavigation;
+};
+
+export function BlogSeriesContents({ navigation }: BlogSeriesProps) {
+  const { series, index } = navigation;
+
+  return (
+    <aside aria-label={`Series: ${series.title}`} className="rounded-lg border p-4 space-y-2">
+      <p className="text-sm text-muted-foreground">
+        Part {index + 1} of {series.posts.length} in{' '}
+        <Link href={`/blog/series/${series.slug}`} className="font-medium hover:text-primary">
+          {series.title}
+        </Link>
+      </p>
+      <ol className="list-decimal space-y-1 pl-5 text-sm">
+        {series.posts.map((post, position) => (
+          <li key={post.slug}>
+            {position === index ? (
+              <span aria-current="page" className="font-semibold">
+                {post.frontmatter.title}
+              </span>
+            ) : (
+              <Link href={`/blog/${post.slug}`} className="hover:text-primary">
+                {post.frontmatter.title}
+              </Link>
+            )}
+          </li>
+        ))}
+      </ol>
+    </aside>
+  );
+}
+
+export function BlogSeriesPager({ navigation }: BlogSeriesProps) {
+  const { series, previous, next } = navigation;
+  if (!previous && !next) {
+    return null;
+  }
+
+  return (
+    <nav aria-label={`More in ${series.title}`} className="grid gap-4 sm:grid-cols-2">
+      {previous ? (
+        <Link href={`/blog/${previous.slug}`} className="space-y-1 hover:text-primary/80">
+          <span className="block text-sm text-muted-foreground">← Previous in series</span>
+          <span className="block font-semibold">{previous.frontmatter.title}</span>
+        </Link>
+      ) : (
+        <span />
+      )}
+      {next && (
+        <Link
+          href={`/blog/${next.slug}`}
+          className="space-y-1 text-right hover:text-primary/80 sm:col-start-2"
+        >
+          <span className="block text-sm text-muted-foreground">Next in series →</span>
+          <span className="block font-semibold">{next.frontmatter.title}</span>
+        </Link>
+      )}
+    </nav>
+  );
+}
@@ -0,0 +1,174 @@
+'use client';
+
+import { useId, useState, useSyncExternalStore } from 'react';
+import { Eye } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { describePoint } from '@/src/chart-accessibility.js';
+
+type FallbackColumn = { field: string; title?: string };
+type ChartPoint = { label: string; value: number; series?: string };
+
+const PALETTE_KEY = 'chart-palette';
+const PALETTE_EVENT = 'chart-palette-change';
+
+// The palette choice lives in localStorage so every chart on the page, and the next page, follows it.
+function subscribePalette(onChange: () => void) {
+  window.addEventListener('storage', onChange);
+  window.addEventListener(PALETTE_EVENT, onChange);
+  return () => {
+    window.removeEventListener('storage', onChange);
+    window.removeEventListener(PALETTE_EVENT, onChange);
+  };
+}
+
+/** Whether the reader chose colorblind-safe chart colors, and a setter. */
+export function useColorblindPalette(): [boolean, (colorblind: boolean) => void] {
+  const colorblind = useSyncExternalStore(
+    subscribePalette,
+    () => window.localStorage.getItem(PALETTE_KEY) === 'colorblind',
+    () => false
+  );
+  const setColorblind = (next: boolean) => {
+    if (next) {
+      window.localStorage.setItem(PALETTE_KEY, 'colorblind');
+    } else {
+      window.localStorage.removeItem(PALETTE_KEY);
+    }
+    window.dispatchEvent(new Event(PALETTE_EVENT));
+  };
+  return [colorblind, setColorblind];
+}
+
+export function PaletteToggle() {
+  const [colorblind, setColorblind] = useColorblindPalette();
+  return (
+    <Button
+      type="button"
+      variant={colorblind ? 'secondary' : 'ghost'}
+      size="sm"
+      className="h-7 px-2 text-xs"
+      aria-pressed={colorblind}
+      onClick={() => setColorblind(!colorblind)}
+    >
+      <Eye className="mr-1 h-3.5 w-3.5" aria-hidden="true" />
+      Colorblind-safe colors
+    </Button>
+  );
+}
+
+function ChartDataTable({
+  name,
+  columns,
+  rows,
+}: {
+  name: string;
+  columns: FallbackColumn[];
+  rows: Array<Record<string, unknown>>;
+}) {
+  return (
+    <details className="text-sm">
+      <summary className="cursor-pointer text-xs text-muted-foreground">Show data table</summary>
+      <div className="mt-2 max-h-64 overflow-auto rounded-md border">
+        <table className="w-full text-left text-xs">
+          <caption className="sr-only">Data for {name}</caption>
+          <thead className="bg-muted">
+            <tr>
+              {columns.map(column => (
+                <th key={column.field} scope="col" className="px-2 py-1 font-medium">
+                  {column.title ?? column.field}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row, index) => (
+              <tr key={index} className="border-t">
+                {columns.map(column => (
+                  <td key={column.field} className="px-2 py-1">
+                    {String(row[column.field] ?? '')}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </details>
+  );
+}
+
+const NEXT_KEYS = ['ArrowRight', 'ArrowDown'];
+const PREVIOUS_KEYS = ['ArrowLeft', 'ArrowUp'];
+
+/**
+ * A chart drawing with its text alternatives (see src/chart-accessibility.js):
+ * the drawing is one tab stop named after the chart and described by the
+ * summary, arrow keys step through its data points, and the data table sits
+ * underneath for anyone who prefers numbers.
+ */
+export function ChartFigure({
+  name,
+  summary,
+  points,
+  columns,
+  rows,
+  children,
+}: {
+  name: string;
+  summary: string;
+  points: ChartPoint[];
+  columns: FallbackColumn[];
+  rows: Array<Record<string, unknown>>;
+  children: React.ReactNode;
+}) {
+  const summaryId = useId();
+  const [active, setActive] = useState<number | null>(null);
+  const point = active === null ? null : points[active];
+
+  const onKeyDown = (event: React.KeyboardEvent) => {
+    const last = points.length - 1;
+    let next: number | null | undefined;
+    if (NEXT_KEYS.includes(event.key)) {
+      next = active === null ? 0 : Math.min(active + 1, last);
+    } else if (PREVIOUS_KEYS.includes(event.key)) {
+      next = active === null ? last : Math.max(active - 1, 0);
+    } else if (event.key === 'Home') {
+      next = 0;
+    } else if (event.key === 'End') {
+      next = last;
+    } else if (event.key === 'Escape') {
+      next = null;
+    }
+    if (next !== undefined && points.length > 0) {
+      event.preventDefault();
+      setActive(next);
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      <div
+        role="group"
+        aria-roledescription="chart"
+        aria-label={name}
+        aria-describedby={summaryId}
+        tabIndex={0}
+        onKeyDown={onKeyDown}
+        onBlur={() => setActive(null)}
+        className="rounded-md focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring"
+      >
+        {children}
+      </div>
+      <p aria-live="polite" className="min-h-4 text-xs font-medium">
+        {point ? `Point ${active! + 1} of ${points.length}: ${describePoint(point)}` : ''}
+      </p>
+      <p id={summaryId} className="text-xs text-muted-foreground">
+        {summary}
+        {points.length > 0 && (
+          <span className="sr-only"> Use the arrow keys to read each point.</span>
+        )}
+      </p>
+      <ChartDataTable name={name} columns={columns} rows={rows} />
+    </div>
+  );
+}
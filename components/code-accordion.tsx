@@ -4,8 +4,10 @@ import { CodeBlock } from '@/components/code-block';
 export type CodeAccordionItem = {
   title: string;
   description?: string;
-  code: string;
+  code?: string | null;
   language?: string;
+  // Rendered below the code, e.g. a notebook cell's outputs.
+  content?: React.ReactNode;
 };
 
 type CodeAccordionProps = {
@@ -17,9 +19,9 @@ export function CodeAccordion({ items }: CodeAccordionProps) {
 
   return (
     <div className="space-y-3">
-      {items.map(item => (
+      {items.map((item, index) => (
         <details
-          key={item.title}
+          key={`${index}-${item.title}`}
           className="rounded-lg border bg-muted/20 p-4 overflow-hidden"
         >
           <summary className="cursor-pointer text-sm font-semibold text-foreground">
@@ -28,9 +30,12 @@ export function CodeAccordion({ items }: CodeAccordionProps) {
           {item.description ? (
             <p className="mt-2 text-sm text-muted-foreground">{item.description}</p>
           ) : null}
-          <div className="mt-3">
-            <CodeBlock code={item.code} language={item.language ?? 'text'} />
-          </div>
+          {item.code ? (
+            <div className="mt-3">
+              <CodeBlock code={item.code} language={item.language ?? 'text'} />
+            </div>
+          ) : null}
+          {item.content ? <div className="mt-3">{item.content}</div> : null}
         </details>
       ))}
     </div>
@@ -12,6 +12,7 @@ import {
   generateFormId,
   validateFormSubmission,
 } from '../lib/form-validation';
+import type { ContactFormLabels } from '@/lib/i18n';
 
 interface FormData {
   name: string;
@@ -22,7 +23,7 @@ interface FormData {
 
 type FormStatus = 'idle' | 'pending' | 'success' | 'error' | 'rate_limited';
 
-export function ContactForm() {
+export function ContactForm({ labels }: { labels: ContactFormLabels }) {
   const [formData, setFormData] = useState<FormData>({
     name: '',
     email: '',
@@ -123,7 +124,7 @@ export function ContactForm() {
     const errors = validateForm(formData);
     if (Object.keys(errors).length > 0) {
       setFormErrors(errors);
-      setErrorMessage('Please fix the errors below');
+      setErrorMessage(labels.fixErrors);
       return;
     }
 
@@ -176,11 +177,11 @@ export function ContactForm() {
         setSubmitCount(prev => prev + 1);
         setLastSubmitTime(Date.now());
       } else {
-        throw new Error('Form submission failed');
+        throw new Error(labels.failed);
       }
     } catch (error) {
       setFormStatus('error');
-      setErrorMessage(error instanceof Error ? error.message : 'An unknown error occurred');
+      setErrorMessage(error instanceof Error ? error.message : labels.failed);
     }
   };
 
@@ -192,12 +193,12 @@ export function ContactForm() {
           className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded"
           aria-live="polite"
         >
-          <p className="font-semibold">Please fix the following errors:</p>
+          <p className="font-semibold">{labels.fixErrors}</p>
           <ul className="list-disc list-inside mt-1">
             {Object.entries(formErrors).map(([field, error]) => (
               <li key={field}>
                 <a href={`#${field}`} className="underline">
-                  {field.charAt(0).toUpperCase() + field.slice(1)}: {error}
+                  {labels[field as keyof FormData]}: {error}
                 </a>
               </li>
             ))}
@@ -220,14 +221,14 @@ export function ContactForm() {
         <input type="hidden" name="form-name" value="contact" />
         <p className="hidden" style={{ display: 'none' }}>
           <label>
-            Don't fill this out: <input name="bot-field" onChange={handleInputChange} />
+            {labels.honeypot} <input name="bot-field" onChange={handleInputChange} />
           </label>
         </p>
 
         <div>
           <label htmlFor="name" className="block text-sm font-medium mb-1">
-            Name{' '}
-            <span className="text-red-500" aria-label="required">
+            {labels.name}{' '}
+            <span className="text-red-500" aria-label={labels.required}>
               *
             </span>
           </label>
@@ -254,8 +255,8 @@ export function ContactForm() {
 
         <div>
           <label htmlFor="email" className="block text-sm font-medium mb-1">
-            Email{' '}
-            <span className="text-red-500" aria-label="required">
+            {labels.email}{' '}
+            <span className="text-red-500" aria-label={labels.required}>
               *
             </span>
           </label>
@@ -282,7 +283,7 @@ export function ContactForm() {
 
         <div>
           <label htmlFor="subject" className="block text-sm font-medium mb-1">
-            Subject
+            {labels.subject}
           </label>
           <input
             type="text"
@@ -304,8 +305,8 @@ export function ContactForm() {
 
         <div>
           <label htmlFor="message" className="block text-sm font-medium mb-1">
-            Message{' '}
-            <span className="text-red-500" aria-label="required">
+            {labels.message}{' '}
+            <span className="text-red-500" aria-label={labels.required}>
               *
             </span>
           </label>
@@ -331,7 +332,9 @@ export function ContactForm() {
               </p>
             )}
             <p id="message-help" className="text-sm text-gray-500 text-right">
-              {formData.message.length}/{FORM_CONSTANTS.MAX_MESSAGE_LENGTH} characters
+              {labels.characterCount
+                .replace('{count}', String(formData.message.length))
+                .replace('{max}', String(FORM_CONSTANTS.MAX_MESSAGE_LENGTH))}
             </p>
           </div>
         </div>
@@ -342,14 +345,14 @@ export function ContactForm() {
           className="w-full"
           aria-describedby={statusId}
         >
-          {formStatus === 'pending' ? 'Sending...' : 'Send Message'}
+          {formStatus === 'pending' ? labels.sending : labels.submit}
         </Button>
       </form>
 
       {/* Form status messages with live regions */}
       <div id={statusId} aria-live="polite" aria-atomic="true" className="sr-only">
-        {formStatus === 'success' && 'Form submitted successfully'}
-        {formStatus === 'error' && (errorMessage || 'Form submission failed')}
+        {formStatus === 'success' && labels.submitted}
+        {formStatus === 'error' && (errorMessage || labels.failed)}
         {formStatus === 'rate_limited' && errorMessage}
       </div>
 
@@ -358,7 +361,7 @@ export function ContactForm() {
           className="mt-4 p-3 bg-green-100 border border-green-400 text-green-700 rounded"
           role="status"
         >
-          Thank you for your message! I'll get back to you soon.
+          {labels.success}
         </div>
       )}
 
@@ -367,7 +370,7 @@ export function ContactForm() {
           className="mt-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded"
           role="alert"
         >
-          {errorMessage || 'Something went wrong. Please try again.'}
+          {errorMessage || labels.failed}
         </div>
       )}
 
@@ -0,0 +1,78 @@
+import Link from 'next/link';
+import { Button } from '@/components/ui/button';
+import type { ContentHistory } from '@/lib/content-history';
+import { DEFAULT_LOCALE, getDateLocale, getTranslator } from '@/lib/i18n';
+
+function formatDate(date: string, locale: string = DEFAULT_LOCALE) {
+  return new Date(date).toLocaleDateString(getDateLocale(locale), {
+    timeZone: 'UTC',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+  });
+}
+
+/** "Updated on …" next to the publication date, linking to the revision history. */
+export function UpdatedOn({
+  date,
+  historyHref,
+  locale = DEFAULT_LOCALE,
+}: {
+  date: string;
+  historyHref: string;
+  locale?: string;
+}) {
+  const t = getTranslator(locale);
+  return (
+    <span>
+      {t('entry.updatedOn')} <time dateTime={date}>{formatDate(date, locale)}</time> ·{' '}
+      <Link href={historyHref} className="underline hover:text-primary">
+        {t('entry.history')}
+      </Link>
+    </span>
+  );
+}
+
+type RevisionHistoryProps = {
+  title: string;
+  href: string;
+  kind: string;
+  published: string;
+  history: ContentHistory;
+};
+
+/** Every commit that changed a project or post, newest first. */
+export function RevisionHistory({ title, href, kind, published, history }: RevisionHistoryProps) {
+  return (
+    <div className="space-y-8">
+      <Button variant="outline" asChild className="w-fit">
+        <Link href={href}>← Back to the {kind}</Link>
+      </Button>
+
+      <header className="space-y-2">
+        <p className="text-sm text-muted-foreground">Revision history</p>
+        <h1 className="text-4xl font-bold tracking-tight">{title}</h1>
+        <p className="text-muted-foreground">
+          Published on <time dateTime={published}>{formatDate(published)}</time>, last updated on{' '}
+          <time dateTime={history.updated}>{formatDate(history.updated)}</time>.
+        </p>
+      </header>
+
+      {history.revisions.length > 0 ? (
+        <ol className="space-y-3">
+          {history.revisions.map(revision => (
+            <li key={revision.hash} className="rounded-lg border p-4 space-y-1">
+              <time dateTime={revision.date} className="text-sm text-muted-foreground">
+                {formatDate(revision.date)}
+              </time>
+              <p className="font-medium">{revision.subject}</p>
+              <code className="text-xs text-muted-foreground">{revision.hash.slice(0, 7)}</code>
+            </li>
+          ))}
+        </ol>
+      ) : (
+        <p className="text-muted-foreground">No recorded revisions yet.</p>
+      )}
+    </div>
+  );
+}
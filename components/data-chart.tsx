@@ -0,0 +1,29 @@
+import { ChartSpecPanel } from '@/components/project-charts';
+import type { ChartSpec } from '@/lib/project-charts';
+import { loadDataChart } from '@/src/data-charts.js';
+
+// MDX passes string attributes only; see src/data-charts.js for their syntax.
+export type DataChartProps = {
+  src: string;
+  title: string;
+  caption?: string;
+  type?: 'bar' | 'line' | 'area' | 'pie';
+  x: string;
+  y?: string;
+  series?: string;
+  aggregate?: 'sum' | 'mean' | 'min' | 'max' | 'count';
+  filter?: string;
+  sort?: string;
+  limit?: string;
+  height?: string;
+  color?: string;
+};
+
+/**
+ * Charts a dataset from content/ at build time, e.g.
+ * `<DataChart src="data/…/approval-by-year.csv" title="…" x="year" y="rate" aggregate="mean" />`.
+ * An invalid chart throws, which fails the page build.
+ */
+export function DataChart(props: DataChartProps) {
+  return <ChartSpecPanel chart={loadDataChart(props) as ChartSpec} />;
+}
@@ -0,0 +1,205 @@
+'use client';
+
+import { createContext, useContext, useState, type RefObject } from 'react';
+import { Download } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { composeSvg, exportCitation, exportFileName, toCsv, toJson } from '@/src/data-exports.js';
+
+export type ExportCitation = {
+  project: string;
+  url: string;
+  source?: string;
+  repo?: string;
+};
+
+export type ExportColumn = { field: string; title?: string };
+
+const ExportCitationContext = createContext<ExportCitation | null>(null);
+
+/** Names the page that chart and table exports below it cite. */
+export function ExportCitationProvider({
+  citation,
+  children,
+}: {
+  citation: ExportCitation;
+  children: React.ReactNode;
+}) {
+  return (
+    <ExportCitationContext.Provider value={citation}>{children}</ExportCitationContext.Provider>
+  );
+}
+
+function download(name: string, blob: Blob) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = name;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Recharts draws one <svg>; Plotly stacks several. Legend icons are svgs too, so skip small ones.
+function chartSvg(container: HTMLElement, footer: string[]) {
+  const box = container.getBoundingClientRect();
+  const layers = Array.from(container.querySelectorAll<SVGSVGElement>('svg'))
+    .filter(svg => !svg.parentElement?.closest('svg'))
+    .map(svg => ({ svg, rect: svg.getBoundingClientRect() }))
+    .filter(({ rect }) => rect.width >= 48 && rect.height >= 48)
+    .map(({ svg, rect }) => {
+      const copy = svg.cloneNode(true) as SVGSVGElement;
+      copy.setAttribute('width', String(rect.width));
+      copy.setAttribute('height', String(rect.height));
+      return {
+        x: rect.left - box.left,
+        y: rect.top - box.top,
+        markup: new XMLSerializer().serializeToString(copy),
+      };
+    });
+  if (layers.length === 0) {
+    return null;
+  }
+  return {
+    width: box.width,
+    height: box.height,
+    markup: composeSvg({ width: box.width, height: box.height, layers, footer }),
+  };
+}
+
+// Rasterizes through an <img>, which refuses SVGs it cannot decode (e.g. external images in a layer).
+function svgToPng(
+  svg: { width: number; height: number; markup: string },
+  name: string,
+  onError: () => void
+) {
+  const scale = 2;
+  const image = new Image();
+  const url = URL.createObjectURL(new Blob([svg.markup], { type: 'image/svg+xml' }));
+  image.onload = () => {
+    URL.revokeObjectURL(url);
+    const canvas = document.createElement('canvas');
+    canvas.width = image.width * scale;
+    canvas.height = image.height * scale;
+    const context = canvas.getContext('2d');
+    if (!context) {
+      onError();
+      return;
+    }
+    context.scale(scale, scale);
+    context.drawImage(image, 0, 0);
+    canvas.toBlob(blob => (blob ? download(name, blob) : onError()), 'image/png');
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    onError();
+  };
+  image.src = url;
+}
+
+/**
+ * CSV, JSON, and (given the element the chart is drawn in) SVG and PNG
+ * downloads of exactly the rows and filters on screen, each with a citation.
+ */
+export function ExportMenu({
+  title,
+  columns,
+  rows,
+  filters = [],
+  data,
+  chart,
+}: {
+  title: string;
+  columns: ExportColumn[];
+  rows: Array<Record<string, unknown>>;
+  filters?: string[];
+  data?: string;
+  chart?: RefObject<HTMLElement | null>;
+}) {
+  const pageCitation = useContext(ExportCitationContext);
+  const [failed, setFailed] = useState<string | null>(null);
+
+  const footer = () =>
+    exportCitation({
+      title,
+      filters,
+      data,
+      citation: pageCitation ?? { project: document.title, url: window.location.href },
+    });
+
+  const formats: Array<{ label: string; save: () => void }> = [
+    {
+      label: 'CSV',
+      save: () =>
+        download(
+          exportFileName(title, 'csv'),
+          new Blob([toCsv({ columns, rows, footer: footer() })], { type: 'text/csv' })
+        ),
+    },
+    {
+      label: 'JSON',
+      save: () =>
+        download(
+          exportFileName(title, 'json'),
+          new Blob([toJson({ title, filters, columns, rows, footer: footer() })], {
+            type: 'application/json',
+          })
+        ),
+    },
+  ];
+  if (chart) {
+    const drawn = () => (chart.current ? chartSvg(chart.current, footer()) : null);
+    formats.push(
+      {
+        label: 'PNG',
+        save: () => {
+          const svg = drawn();
+          if (svg) {
+            svgToPng(svg, exportFileName(title, 'png'), () =>
+              setFailed('This chart could not be saved as PNG; try SVG.')
+            );
+          }
+        },
+      },
+      {
+        label: 'SVG',
+        save: () => {
+          const svg = drawn();
+          if (svg) {
+            download(
+              exportFileName(title, 'svg'),
+              new Blob([svg.markup], { type: 'image/svg+xml' })
+            );
+          }
+        },
+      }
+    );
+  }
+
+  return (
+    <div
+      className="flex flex-wrap items-center gap-1"
+      role="group"
+      aria-label={`Download ${title}`}
+    >
+      <Download className="h-3.5 w-3.5 text-muted-foreground" aria-hidden="true" />
+      {formats.map(format => (
+        <Button
+          key={format.label}
+          type="button"
+          variant="ghost"
+          size="sm"
+          className="h-7 px-2 text-xs"
+          onClick={() => {
+            setFailed(null);
+            format.save();
+          }}
+          aria-label={`Download ${title} as ${format.label}`}
+        >
+          {format.label}
+        </Button>
+      ))}
+      <span role="status" className="text-xs text-destructive">
+        {failed}
+      </span>
+    </div>
+  );
+}
@@ -9,6 +9,7 @@ import {
   getFilteredRowModel,
   useReactTable,
 } from '@tanstack/react-table';
+import { ExportMenu } from '@/components/data-export';
 import { Input } from '@/components/ui/input';
 import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
 import { cn } from '@/lib/utils';
@@ -143,6 +144,8 @@ export function DataTable<TData>({
 
   const filterColumn =
     filterKey && table.getColumn(filterKey) ? table.getColumn(filterKey) : null;
+  const filterValue = (filterColumn?.getFilterValue() as string) ?? '';
+  const filterLabel = resolvedColumns.find(col => col.key === filterKey)?.label ?? filterKey;
 
   return (
     <div className={cn('space-y-3', className)}>
@@ -151,7 +154,7 @@ export function DataTable<TData>({
         <div className="flex items-center">
           <Input
             placeholder={filterPlaceholder}
-            value={(filterColumn.getFilterValue() as string) ?? ''}
+            value={filterValue}
             onChange={event => filterColumn.setFilterValue(event.target.value)}
             className="max-w-sm"
           />
@@ -196,6 +199,14 @@ export function DataTable<TData>({
           </TableBody>
         </Table>
       </div>
+      {resolvedData.length > 0 ? (
+        <ExportMenu
+          title={title ?? 'Table'}
+          columns={resolvedColumns.map(col => ({ field: col.key, title: col.label }))}
+          rows={table.getRowModel().rows.map(row => row.original as Record<string, unknown>)}
+          filters={filterValue ? [`${filterLabel} contains "${filterValue}"`] : []}
+        />
+      ) : null}
     </div>
   );
 }
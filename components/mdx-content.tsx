@@ -22,6 +22,7 @@ import { cn } from '@/lib/utils';
 import { DataTableMini } from '@/components/data-table-mini';
 import { CodeAccordion } from '@/components/code-accordion';
 import { DataTable } from '@/components/data-table';
+import { DataChart } from '@/components/data-chart';
 
 type InlineCodeProps = React.ComponentProps<'code'>;
 
@@ -155,6 +156,7 @@ const components = {
   TableCaption,
   DataTableMini,
   DataTable,
+  DataChart,
   CodeAccordion,
   code: InlineCode,
   pre: PreWithLines,
@@ -12,28 +12,32 @@ import {
   NavigationMenuTrigger,
 } from '@/components/ui/navigation-menu';
 import { Menu, X } from 'lucide-react';
+import { SearchDialog } from '@/components/search-dialog';
+import type { NavigationLabels, NavigationLinks } from '@/lib/i18n';
 
 interface NavigationProps {
   siteName: string;
+  labels: NavigationLabels;
+  links: NavigationLinks;
 }
 
-export function Navigation({ siteName }: NavigationProps) {
+export function Navigation({ siteName, labels, links }: NavigationProps) {
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
 
   return (
     <header className="sticky top-0 z-50 w-full border-b bg-background/95 backdrop-blur supports-[backdrop-filter]:bg-background/60">
       <nav
         className="container flex h-16 items-center justify-between px-4 sm:px-6 lg:px-8"
-        aria-label="Site navigation"
+        aria-label={labels.siteNavigation}
       >
         <Link
-          href="/"
+          href={links.home}
           className="font-bold text-xl hover:text-primary transition-colors text-foreground"
           data-analytics-event="nav_home"
           data-analytics-prop-location="header"
         >
           <span className="hidden sm:inline">{siteName}</span>
-          <span className="sm:hidden">AA Portfolio</span>
+          <span className="sm:hidden">{labels.shortSiteName}</span>
         </Link>
 
         {/* Desktop Navigation */}
@@ -44,12 +48,12 @@ export function Navigation({ siteName }: NavigationProps) {
                 <NavigationMenuLink asChild>
                   <Button variant="ghost" asChild>
                     <Link
-                      href="/projects"
+                      href={links.projects}
                       className="hover:bg-accent hover:text-accent-foreground"
                       data-analytics-event="nav_projects"
                       data-analytics-prop-location="header"
                     >
-                      Projects
+                      {labels.projects}
                     </Link>
                   </Button>
                 </NavigationMenuLink>
@@ -58,12 +62,12 @@ export function Navigation({ siteName }: NavigationProps) {
                 <NavigationMenuLink asChild>
                   <Button variant="ghost" asChild>
                     <Link
-                      href="/about"
+                      href={links.about}
                       className="hover:bg-accent hover:text-accent-foreground"
                       data-analytics-event="nav_about"
                       data-analytics-prop-location="header"
                     >
-                      About
+                      {labels.about}
                     </Link>
                   </Button>
                 </NavigationMenuLink>
@@ -72,12 +76,12 @@ export function Navigation({ siteName }: NavigationProps) {
                 <NavigationMenuLink asChild>
                   <Button variant="ghost" asChild>
                     <Link
-                      href="/blog"
+                      href={links.blog}
                       className="hover:bg-accent hover:text-accent-foreground"
                       data-analytics-event="nav_blog"
                       data-analytics-prop-location="header"
                     >
-                      Blog
+                      {labels.blog}
                     </Link>
                   </Button>
                 </NavigationMenuLink>
@@ -93,7 +97,7 @@ export function Navigation({ siteName }: NavigationProps) {
               data-analytics-event="cta_contact"
               data-analytics-prop-location="header"
             >
-              <Link href="/contact">Contact</Link>
+              <Link href={links.contact}>{labels.contact}</Link>
             </Button>
             <Button
               variant="outline"
@@ -101,21 +105,25 @@ export function Navigation({ siteName }: NavigationProps) {
               data-analytics-event="cta_resume"
               data-analytics-prop-location="header"
             >
-              <Link href="/resume">View Resume</Link>
+              <Link href={links.resume}>{labels.resume}</Link>
             </Button>
           </div>
         </div>
 
-        {/* Mobile menu button */}
-        <Button
-          variant="ghost"
-          size="icon"
-          className="md:hidden"
-          onClick={() => setMobileMenuOpen(!mobileMenuOpen)}
-          aria-label="Toggle navigation menu"
-        >
-          {mobileMenuOpen ? <X className="h-5 w-5" /> : <Menu className="h-5 w-5" />}
-        </Button>
+        <div className="flex items-center gap-2">
+          <SearchDialog labels={labels.search} />
+
+          {/* Mobile menu button */}
+          <Button
+            variant="ghost"
+            size="icon"
+            className="md:hidden"
+            onClick={() => setMobileMenuOpen(!mobileMenuOpen)}
+            aria-label={labels.toggleNavigation}
+          >
+            {mobileMenuOpen ? <X className="h-5 w-5" /> : <Menu className="h-5 w-5" />}
+          </Button>
+        </div>
       </nav>
 
       {/* Mobile Navigation */}
@@ -124,32 +132,32 @@ export function Navigation({ siteName }: NavigationProps) {
           <div className="container px-4 py-4 space-y-2">
             <Button variant="ghost" asChild className="w-full justify-start">
               <Link
-                href="/projects"
+                href={links.projects}
                 onClick={() => setMobileMenuOpen(false)}
                 data-analytics-event="nav_projects"
                 data-analytics-prop-location="mobile_menu"
               >
-                Projects
+                {labels.projects}
               </Link>
             </Button>
             <Button variant="ghost" asChild className="w-full justify-start">
               <Link
-                href="/about"
+                href={links.about}
                 onClick={() => setMobileMenuOpen(false)}
                 data-analytics-event="nav_about"
                 data-analytics-prop-location="mobile_menu"
               >
-                About
+                {labels.about}
               </Link>
             </Button>
             <Button variant="ghost" asChild className="w-full justify-start">
               <Link
-                href="/blog"
+                href={links.blog}
                 onClick={() => setMobileMenuOpen(false)}
                 data-analytics-event="nav_blog"
                 data-analytics-prop-location="mobile_menu"
               >
-                Blog
+                {labels.blog}
               </Link>
             </Button>
             <div className="pt-2 border-t space-y-2">
@@ -160,8 +168,8 @@ export function Navigation({ siteName }: NavigationProps) {
                 data-analytics-event="cta_contact"
                 data-analytics-prop-location="mobile_menu"
               >
-                <Link href="/contact" onClick={() => setMobileMenuOpen(false)}>
-                  Contact
+                <Link href={links.contact} onClick={() => setMobileMenuOpen(false)}>
+                  {labels.contact}
                 </Link>
               </Button>
               <Button
@@ -171,8 +179,8 @@ export function Navigation({ siteName }: NavigationProps) {
                 data-analytics-event="cta_resume"
                 data-analytics-prop-location="mobile_menu"
               >
-                <Link href="/resume" onClick={() => setMobileMenuOpen(false)}>
-                  View Resume
+                <Link href={links.resume} onClick={() => setMobileMenuOpen(false)}>
+                  {labels.resume}
                 </Link>
               </Button>
             </div>
@@ -96,51 +96,6 @@ print(model_placebo.summary())`,
       language: 'python',
     },
   ],
-  'ssa-disability-outcomes': [
-    {
-      title: 'Clean Numeric Fields',
-      description: 'Remove commas and coerce numeric columns.',
-      code: `# Convert numeric-looking strings with commas to floats for calculations
-# Convert beneficiary count columns stored as text (object)
-# to numeric values so they can be used in calculations
-# Commas are removed before conversion
-
-df_clean["SSA Disability Beneficiaries  age 18-64*"] = (
-    df_clean["SSA Disability Beneficiaries  age 18-64*"]
-    .str.replace(",", "", regex=False)
-    .astype(float)
-)
-
-# Convert SSI Disabled Child counts from string to numeric
-
-df_clean["SSI Disabled Child (DC) Beneficiaries*"]
-    
-df_clean["SSI Disabled Child (DC) Beneficiaries*"] = (
-    df_clean["SSI Disabled Child (DC) Beneficiaries*"]
-    .str.replace(",", "", regex=False)
-    .astype(float)
-)`,
-      language: 'python',
-    },
-    {
-      title: 'Tableau Export',
-      description: 'Create join keys and export Tableau-ready CSV.',
-      code: `# adding a key column for Tableau joins
-df["State-FY"] = df["State Code"] + "-" + df["Fiscal Year"].astype(str)
-
-# Reorder a few important columns up front (optional) ----
-front = ["State Code", "Region Code", "Fiscal Year", "Date Type", "Update Date", "State-FY"]
-rest = [c for c in df.columns if c not in front]
-df = df[front + rest]
-
-# Export Tableau-ready df
-df.to_csv("ssa_disability_tableau_ready.csv", index=False, encoding="utf-8")
-print("Wrote: ssa_disability_tableau_ready.csv")
-print(df.dtypes.head(10))
-print(df.shape)`,
-      language: 'python',
-    },
-  ],
 };
 
 export function NotebookCodeAccordion({ slug }: NotebookCodeAccordionProps) {
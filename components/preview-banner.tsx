@@ -0,0 +1,34 @@
+import type { PublishState } from '@/lib/content';
+
+type PreviewBannerProps = {
+  // Omit for the site-wide banner; pass an entry's state to describe that entry.
+  state?: PublishState;
+  publishAt?: string;
+};
+
+function describeState(state: PublishState | undefined, publishAt: string | undefined) {
+  if (state === 'draft') {
+    return 'This entry is a draft and is not published.';
+  }
+  if (state === 'scheduled') {
+    return publishAt
+      ? `This entry is scheduled and goes live on ${publishAt}.`
+      : 'This entry is scheduled and is not live yet.';
+  }
+  return 'Preview build: drafts and scheduled entries are visible and pages are not indexed.';
+}
+
+export function PreviewBanner({ state, publishAt }: PreviewBannerProps) {
+  if (state === 'published') {
+    return null;
+  }
+
+  return (
+    <div
+      role="note"
+      className="rounded-lg border border-amber-300 bg-amber-50 px-4 py-2 text-sm text-amber-900"
+    >
+      {describeState(state, publishAt)}
+    </div>
+  );
+}
@@ -0,0 +1,129 @@
+import { Download, ExternalLink } from 'lucide-react';
+import { CodeAccordion, type CodeAccordionItem } from '@/components/code-accordion';
+import { Button } from '@/components/ui/button';
+import type { NotebookCell, NotebookOutput, ProjectNotebook } from '@/lib/project-notebooks';
+
+type CodeCell = Extract<NotebookCell, { kind: 'code' }>;
+type MarkdownCell = Extract<NotebookCell, { kind: 'markdown' }>;
+
+function NotebookOutputView({ output }: { output: NotebookOutput }) {
+  if (output.type === 'image') {
+    return (
+      <img src={output.src} alt={output.alt} className="max-w-full rounded-md border bg-white" />
+    );
+  }
+  if (output.type === 'table') {
+    return (
+      <div className="max-h-80 overflow-auto rounded-md border">
+        <table className="w-full text-left text-xs">
+          <thead className="bg-muted">
+            <tr>
+              {output.columns.map((column, index) => (
+                <th key={index} scope="col" className="px-2 py-1 font-medium">
+                  {column}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {output.rows.map((row, rowIndex) => (
+              <tr key={rowIndex} className="border-t">
+                {row.map((cell, index) => (
+                  <td key={index} className="px-2 py-1">
+                    {cell}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {output.omittedRows ? (
+          <p className="border-t px-2 py-1 text-xs text-muted-foreground">
+            {output.omittedRows} more rows in the notebook.
+          </p>
+        ) : null}
+      </div>
+    );
+  }
+  return (
+    <pre className="max-h-80 overflow-auto rounded-md border bg-background p-3 text-xs">
+      {output.text}
+    </pre>
+  );
+}
+
+function toAccordionItem(cell: CodeCell, language: string): CodeAccordionItem {
+  return {
+    title: cell.title,
+    code: cell.code,
+    language,
+    content:
+      cell.outputs.length > 0 ? (
+        <div className="space-y-3">
+          <div className="text-xs font-medium text-muted-foreground">Output</div>
+          {cell.outputs.map((output, index) => (
+            <NotebookOutputView key={index} output={output} />
+          ))}
+        </div>
+      ) : undefined,
+  };
+}
+
+// Markdown cells as prose, with the code cells between them grouped into one accordion.
+function groupCells(cells: NotebookCell[]) {
+  const groups: Array<MarkdownCell | CodeCell[]> = [];
+  for (const cell of cells) {
+    const last = groups[groups.length - 1];
+    if (cell.kind === 'code' && Array.isArray(last)) {
+      last.push(cell);
+    } else {
+      groups.push(cell.kind === 'code' ? [cell] : cell);
+    }
+  }
+  return groups;
+}
+
+/**
+ * The tagged cells of a project's notebook (see src/notebooks.js), with a link
+ * to the source: `notebook.url` when set, otherwise the file served from
+ * `downloadHref`. Cell HTML was sanitized when the notebook was loaded.
+ */
+export function ProjectNotebookCells({
+  notebook,
+  downloadHref,
+}: {
+  notebook: ProjectNotebook;
+  downloadHref: string;
+}) {
+  return (
+    <div className="space-y-4">
+      {groupCells(notebook.cells).map(group =>
+        Array.isArray(group) ? (
+          <CodeAccordion
+            key={group[0].number}
+            items={group.map(cell => toAccordionItem(cell, notebook.language))}
+          />
+        ) : (
+          <div
+            key={group.number}
+            className="prose prose-slate max-w-none"
+            dangerouslySetInnerHTML={{ __html: group.html }}
+          />
+        )
+      )}
+      <Button asChild variant="outline" size="sm">
+        {notebook.url ? (
+          <a href={notebook.url} target="_blank" rel="noopener noreferrer">
+            <ExternalLink className="mr-2 h-4 w-4" />
+            View full notebook
+          </a>
+        ) : (
+          <a href={downloadHref} download>
+            <Download className="mr-2 h-4 w-4" />
+            Download notebook (.ipynb)
+          </a>
+        )}
+      </Button>
+    </div>
+  );
+}
@@ -0,0 +1,33 @@
+import Link from 'next/link';
+import type { RecommendedContent } from '@/lib/content';
+
+type RelatedContentProps = {
+  items: RecommendedContent[];
+};
+
+export function RelatedContent({ items }: RelatedContentProps) {
+  if (items.length === 0) {
+    return null;
+  }
+
+  return (
+    <section aria-labelledby="related-content-heading" className="space-y-4 border-t pt-6">
+      <h2 id="related-content-heading" className="text-2xl font-semibold">
+        Related
+      </h2>
+      <ul className="grid gap-4 md:grid-cols-3">
+        {items.map(item => (
+          <li key={`${item.collection}/${item.slug}`} className="rounded-lg border p-4 space-y-1">
+            <span className="text-xs uppercase tracking-wide text-muted-foreground">
+              {item.collection === 'projects' ? 'Project' : 'Post'}
+            </span>
+            <Link href={item.href} className="block font-semibold hover:text-primary">
+              {item.title}
+            </Link>
+            <p className="text-sm text-muted-foreground">{item.summary}</p>
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
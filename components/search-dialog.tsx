@@ -0,0 +1,274 @@
+'use client';
+
+import { useCallback, useEffect, useId, useMemo, useRef, useState } from 'react';
+import type { KeyboardEvent as ReactKeyboardEvent } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import { Search, X } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import type { SearchLabels } from '@/lib/i18n';
+import {
+  SEARCH_INDEX_PATH,
+  buildSnippet,
+  highlightText,
+  prepareSearchIndex,
+  searchContent,
+} from '@/src/search-index.js';
+
+type SearchDocument = {
+  type: 'project' | 'post';
+  slug: string;
+  href: string;
+  title: string;
+  excerpt: string;
+  tags: string[];
+};
+
+type SearchResult = {
+  doc: SearchDocument;
+  score: number;
+  terms: string[];
+};
+
+type HighlightSegment = { text: string; match: boolean };
+
+const SEARCH_INDEX_URL = `/${SEARCH_INDEX_PATH}`;
+
+function Highlighted({ segments }: { segments: HighlightSegment[] }) {
+  return (
+    <>
+      {segments.map((segment, index) =>
+        segment.match ? (
+          <mark key={index} className="rounded-sm bg-yellow-200 px-0.5 text-foreground">
+            {segment.text}
+          </mark>
+        ) : (
+          <span key={index}>{segment.text}</span>
+        )
+      )}
+    </>
+  );
+}
+
+function isTypingTarget(target: EventTarget | null) {
+  return (
+    target instanceof HTMLElement &&
+    (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))
+  );
+}
+
+export function SearchDialog({ labels }: { labels: SearchLabels }) {
+  const router = useRouter();
+  const listId = useId();
+  const [open, setOpen] = useState(false);
+  const [query, setQuery] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [index, setIndex] = useState<ReturnType<typeof prepareSearchIndex> | null>(null);
+  const [loadError, setLoadError] = useState(false);
+  const inputRef = useRef<HTMLInputElement>(null);
+  const triggerRef = useRef<HTMLButtonElement>(null);
+  const dialogRef = useRef<HTMLDivElement>(null);
+
+  const close = useCallback(() => {
+    setOpen(false);
+    triggerRef.current?.focus();
+  }, []);
+
+  // Ctrl/Cmd+K toggles the dialog from anywhere; "/" opens it when not typing.
+  useEffect(() => {
+    function onKeyDown(event: KeyboardEvent) {
+      if ((event.metaKey || event.ctrlKey) && event.key.toLowerCase() === 'k') {
+        event.preventDefault();
+        setOpen(current => !current);
+      } else if (event.key === '/' && !isTypingTarget(event.target)) {
+        event.preventDefault();
+        setOpen(true);
+      }
+    }
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
+
+  useEffect(() => {
+    if (!open) {
+      return;
+    }
+    inputRef.current?.focus();
+    if (index || loadError) {
+      return;
+    }
+
+    // The index is only downloaded the first time someone opens search.
+    fetch(SEARCH_INDEX_URL)
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`Search index request failed: ${response.status}`);
+        }
+        return response.json();
+      })
+      .then(data => setIndex(prepareSearchIndex(data)))
+      .catch(() => setLoadError(true));
+  }, [open, index, loadError]);
+
+  const results = useMemo(
+    () => (index ? (searchContent(index, query, { limit: 8 }) as SearchResult[]) : []),
+    [index, query]
+  );
+
+  useEffect(() => {
+    setActiveIndex(0);
+  }, [query]);
+
+  function openResult(result: SearchResult | undefined) {
+    if (!result) {
+      return;
+    }
+    setOpen(false);
+    router.push(result.doc.href);
+  }
+
+  function onInputKeyDown(event: ReactKeyboardEvent<HTMLInputElement>) {
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault();
+      if (results.length > 0) {
+        const step = event.key === 'ArrowDown' ? 1 : -1;
+        setActiveIndex(current => (current + step + results.length) % results.length);
+      }
+    } else if (event.key === 'Enter') {
+      event.preventDefault();
+      openResult(results[activeIndex]);
+    }
+  }
+
+  function onDialogKeyDown(event: ReactKeyboardEvent<HTMLDivElement>) {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      close();
+      return;
+    }
+    if (event.key !== 'Tab' || !dialogRef.current) {
+      return;
+    }
+
+    // Keep focus inside the dialog while it is open.
+    const focusable = Array.from(
+      dialogRef.current.querySelectorAll<HTMLElement>('input, button, a[href]')
+    );
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (event.shiftKey && document.activeElement === first) {
+      event.preventDefault();
+      last?.focus();
+    } else if (!event.shiftKey && document.activeElement === last) {
+      event.preventDefault();
+      first?.focus();
+    }
+  }
+
+  const optionId = (position: number) => `${listId}-option-${position}`;
+  let status = '';
+  if (loadError) {
+    status = labels.unavailable;
+  } else if (!index) {
+    status = labels.loading;
+  } else if (query.trim() && results.length === 0) {
+    status = labels.noResults.replace('{query}', () => query.trim());
+  }
+
+  return (
+    <>
+      <Button
+        ref={triggerRef}
+        variant="outline"
+        size="sm"
+        onClick={() => setOpen(true)}
+        aria-haspopup="dialog"
+        className="gap-2 text-muted-foreground"
+        data-analytics-event="search_open"
+      >
+        <Search className="h-4 w-4" aria-hidden="true" />
+        <span className="hidden lg:inline">{labels.open}</span>
+        <kbd className="hidden rounded border px-1 text-xs lg:inline">⌘K</kbd>
+        <span className="sr-only lg:hidden">{labels.open}</span>
+      </Button>
+
+      {open && (
+        <div
+          className="fixed inset-0 z-[60] flex items-start justify-center bg-black/40 p-4 pt-[10vh]"
+          onMouseDown={event => {
+            if (event.target === event.currentTarget) {
+              close();
+            }
+          }}
+        >
+          <div
+            ref={dialogRef}
+            role="dialog"
+            aria-modal="true"
+            aria-label={labels.dialog}
+            className="w-full max-w-xl rounded-lg border bg-background shadow-lg"
+            onKeyDown={onDialogKeyDown}
+          >
+            <div className="flex items-center gap-2 border-b p-3">
+              <Search className="h-4 w-4 text-muted-foreground" aria-hidden="true" />
+              <Input
+                ref={inputRef}
+                type="search"
+                value={query}
+                onChange={event => setQuery(event.target.value)}
+                onKeyDown={onInputKeyDown}
+                placeholder={labels.placeholder}
+                role="combobox"
+                aria-expanded={results.length > 0}
+                aria-controls={listId}
+                aria-autocomplete="list"
+                aria-activedescendant={results.length > 0 ? optionId(activeIndex) : undefined}
+                className="border-0 shadow-none focus-visible:ring-0"
+              />
+              <Button variant="ghost" size="icon" onClick={close} aria-label={labels.close}>
+                <X className="h-4 w-4" />
+              </Button>
+            </div>
+
+            <ul id={listId} role="listbox" className="max-h-[60vh] overflow-y-auto p-2">
+              {results.map((result, position) => (
+                <li
+                  key={result.doc.href}
+                  id={optionId(position)}
+                  role="option"
+                  aria-selected={position === activeIndex}
+                  onMouseEnter={() => setActiveIndex(position)}
+                  className={`rounded-md ${position === activeIndex ? 'bg-accent' : ''}`}
+                >
+                  <Link
+                    href={result.doc.href}
+                    tabIndex={-1}
+                    onClick={() => setOpen(false)}
+                    className="block space-y-1 p-3"
+                  >
+                    <span className="flex items-center gap-2">
+                      <span className="text-xs uppercase tracking-wide text-muted-foreground">
+                        {result.doc.type === 'project' ? labels.project : labels.post}
+                      </span>
+                      <span className="font-semibold">
+                        <Highlighted segments={highlightText(result.doc.title, result.terms)} />
+                      </span>
+                    </span>
+                    <span className="block text-sm text-muted-foreground">
+                      <Highlighted segments={buildSnippet(result.doc.excerpt, result.terms)} />
+                    </span>
+                  </Link>
+                </li>
+              ))}
+            </ul>
+
+            <p role="status" className="px-4 pb-3 text-sm text-muted-foreground">
+              {status}
+            </p>
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
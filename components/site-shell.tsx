@@ -0,0 +1,52 @@
+import { ReactNode } from 'react';
+import { Navigation } from '@/components/navigation';
+import { StructuredData } from '@/components/structured-data';
+import { PreviewBanner } from '@/components/preview-banner';
+import { isPreviewBuild } from '@/lib/content';
+import { getNavigationLabels, getNavigationLinks, getTranslator } from '@/lib/i18n';
+
+/**
+ * The document and page chrome in `locale`. Rendered by both root layouts,
+ * app/(site) for the default locale and app/[locale] for the translations,
+ * since only a root layout can set `<html lang>`.
+ */
+export function SiteShell({ locale, children }: { locale: string; children: ReactNode }) {
+  const t = getTranslator(locale);
+
+  return (
+    <html lang={locale} data-scroll-behavior="smooth">
+      <head>
+        <StructuredData />
+      </head>
+      <body>
+        <div className="min-h-screen bg-background">
+          <a className="shell__skip-link" href="#main-content">
+            {t('chrome.skipToContent')}
+          </a>
+
+          <Navigation
+            siteName="Abigael Awino Portfolio"
+            labels={getNavigationLabels(locale)}
+            links={getNavigationLinks(locale)}
+          />
+
+          {isPreviewBuild && (
+            <div className="container px-4 pt-4 sm:px-6 lg:px-8">
+              <PreviewBanner />
+            </div>
+          )}
+
+          <main id="main-content" tabIndex={-1} className="container py-8 px-4 sm:px-6 lg:px-8">
+            {children}
+          </main>
+
+          <footer className="border-t py-8 mt-16">
+            <div className="container text-center text-muted-foreground px-4 sm:px-6 lg:px-8">
+              <p>{t('chrome.footer')}</p>
+            </div>
+          </footer>
+        </div>
+      </body>
+    </html>
+  );
+}
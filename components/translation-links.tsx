@@ -0,0 +1,39 @@
+import Link from 'next/link';
+import { getLocaleName, getTranslator, localizePath } from '@/lib/i18n';
+
+type TranslationLinksProps = {
+  // The page's path in the default locale, e.g. /blog/<slug>.
+  pathname: string;
+  // The locale of the page chrome, and the locale of the entry text it shows.
+  locale: string;
+  current: string;
+  locales: string[];
+};
+
+/** "Also available in …" links to an entry's other languages. */
+export function TranslationLinks({ pathname, locale, current, locales }: TranslationLinksProps) {
+  const others = locales.filter(other => other !== current);
+  if (others.length === 0) {
+    return null;
+  }
+
+  const t = getTranslator(locale);
+  return (
+    <p className="text-sm text-muted-foreground">
+      {t('entry.availableIn')}{' '}
+      {others.map((other, index) => (
+        <span key={other}>
+          {index > 0 && ', '}
+          <Link
+            href={localizePath(pathname, other)}
+            hrefLang={other}
+            lang={other}
+            className="underline hover:text-primary"
+          >
+            {getLocaleName(other)}
+          </Link>
+        </span>
+      ))}
+    </p>
+  );
+}
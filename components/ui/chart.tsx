@@ -15,6 +15,8 @@ import {
   Legend,
   ResponsiveContainer,
 } from 'recharts';
+import { ChartFigure, PaletteToggle, useColorblindPalette } from '@/components/chart-accessibility';
+import { COLORBLIND_PALETTE, chartFallback, chartPoints } from '@/src/chart-accessibility.js';
 
 interface ChartData {
   name: string;
@@ -34,6 +36,8 @@ interface ChartProps {
   showLegend?: boolean;
   xTickAngle?: number;
   xTickFontSize?: number;
+  // Off when a wrapping panel already gives the chart its summary, data table, and keyboard access.
+  fallback?: boolean;
 }
 
 const COLORS = [
@@ -83,12 +87,14 @@ export function Chart({
   showLegend = true,
   xTickAngle = 0,
   xTickFontSize = 12,
+  fallback = true,
 }: ChartProps) {
   const normalizedData = normalizeChartData(data as unknown as ChartData[] | string | undefined);
   const hasItemColors = normalizedData.some(item => typeof item.color === 'string');
+  const [colorblind] = useColorblindPalette();
   const renderChart = () => {
-    const fallbackColor = color || '#8884d8';
-    const palette = colors && colors.length > 0 ? colors : COLORS;
+    const fallbackColor = colorblind ? COLORBLIND_PALETTE[0] : color || '#8884d8';
+    const palette = colorblind ? COLORBLIND_PALETTE : colors && colors.length > 0 ? colors : COLORS;
     switch (type) {
       case 'bar':
         return (
@@ -162,69 +168,40 @@ export function Chart({
     }
   };
 
-  // Generate accessibility description for screen readers
-  const generateAccessibilityDescription = () => {
-    if (accessibilityLabel) return accessibilityLabel;
-
-    if (description) return description;
-
-    // Auto-generate description based on data
-    if (!normalizedData || normalizedData.length === 0) {
-      return `Chart with no data available`;
-    }
-
-    const dataSummary = normalizedData.map(d => `${d.name}: ${d.value}`).join(', ');
-    switch (type) {
-      case 'bar':
-        return `Bar chart showing ${dataSummary}`;
-      case 'line':
-        return `Line chart showing ${dataSummary}`;
-      case 'pie':
-        return `Pie chart showing ${dataSummary}`;
-      default:
-        return `Chart showing ${dataSummary}`;
-    }
-  };
-
-  // Generate data table for accessibility
-  const generateDataTable = () => {
+  const heading = title && <h3 className="text-lg font-semibold mb-4">{title}</h3>;
+  if (!fallback) {
     return (
-      <table className="sr-only" aria-label={`${title || 'Chart'} data table`}>
-        <caption>{generateAccessibilityDescription()}</caption>
-        <thead>
-          <tr>
-            <th>Category</th>
-            <th>Value</th>
-          </tr>
-        </thead>
-        <tbody>
-          {normalizedData.map((item, index) => (
-            <tr key={index}>
-              <td>{item.name}</td>
-              <td>{item.value}</td>
-            </tr>
-          ))}
-        </tbody>
-      </table>
+      <div className="w-full">
+        {heading}
+        {renderChart()}
+      </div>
     );
+  }
+
+  const channels = {
+    label: { field: 'name', title: 'Category' },
+    value: { field: 'value', title: 'Value' },
   };
+  const spec = {
+    type,
+    title: accessibilityLabel || title || 'Chart',
+    encoding: type === 'pie' ? channels : { x: channels.label, y: channels.value },
+  };
+  const { name, summary, columns, rows } = chartFallback(spec, normalizedData);
 
   return (
-    <div className="w-full">
-      {title && <h3 className="text-lg font-semibold mb-4">{title}</h3>}
-      <div
-        role="img"
-        aria-label={generateAccessibilityDescription()}
-        aria-describedby={description ? 'chart-description' : undefined}
+    <div className="w-full space-y-2">
+      {heading}
+      <ChartFigure
+        name={name}
+        summary={description ? `${description} ${summary}` : summary}
+        points={chartPoints(spec, normalizedData)}
+        columns={columns}
+        rows={rows}
       >
         {renderChart()}
-      </div>
-      {description && (
-        <p id="chart-description" className="sr-only">
-          {description}
-        </p>
-      )}
-      {generateDataTable()}
+      </ChartFigure>
+      <PaletteToggle />
     </div>
   );
 }
@@ -1,6 +1,7 @@
 'use client';
 
 import { useState, useMemo } from 'react';
+import { toCanonicalTag } from '@/lib/tags';
 
 export interface BlogPost {
   slug: string;
@@ -10,7 +11,7 @@ export interface BlogPost {
     tags: string[];
     summary: string;
     readingTime: string;
-    status: 'published' | 'draft';
+    status: 'published' | 'draft' | 'scheduled';
   };
   content: string;
 }
@@ -18,31 +19,39 @@ export interface BlogPost {
 export function useBlogFilters(posts: BlogPost[]) {
   const [selectedTags, setSelectedTags] = useState<string[]>([]);
 
-  // Get all unique tags from published posts
+  // Posts arrive already filtered for this build (drafts only appear in preview builds)
   const allTags = useMemo(() => {
     const tags = new Set<string>();
-    posts
-      .filter(post => post.frontmatter.status === 'published')
-      .forEach(post => {
-        post.frontmatter.tags.forEach(tag => tags.add(tag));
-      });
+    posts.forEach(post => {
+      post.frontmatter.tags.forEach(tag => tags.add(toCanonicalTag(tag)));
+    });
     return Array.from(tags).sort();
   }, [posts]);
 
-  // Filter posts based on selected tags and published status
-  const filteredPosts = useMemo(() => {
-    const publishedPosts = posts.filter(post => post.frontmatter.status === 'published');
+  // How many posts carry each tag, whatever spelling they use
+  const tagCounts = useMemo(() => {
+    const counts: Record<string, number> = {};
+    posts.forEach(post => {
+      new Set(post.frontmatter.tags.map(toCanonicalTag)).forEach(tag => {
+        counts[tag] = (counts[tag] ?? 0) + 1;
+      });
+    });
+    return counts;
+  }, [posts]);
 
+  // Filter posts based on selected tags
+  const filteredPosts = useMemo(() => {
     if (selectedTags.length === 0) {
-      return publishedPosts;
+      return posts;
     }
-    return publishedPosts.filter(post =>
-      selectedTags.some(tag => post.frontmatter.tags.includes(tag))
+    return posts.filter(post =>
+      selectedTags.some(tag => post.frontmatter.tags.map(toCanonicalTag).includes(tag))
     );
   }, [posts, selectedTags]);
 
   const toggleTag = (tag: string) => {
-    setSelectedTags(prev => (prev.includes(tag) ? prev.filter(t => t !== tag) : [...prev, tag]));
+    const slug = toCanonicalTag(tag);
+    setSelectedTags(prev => (prev.includes(slug) ? prev.filter(t => t !== slug) : [...prev, slug]));
   };
 
   const clearFilters = () => {
@@ -52,6 +61,7 @@ export function useBlogFilters(posts: BlogPost[]) {
   return {
     selectedTags,
     allTags,
+    tagCounts,
     filteredPosts,
     toggleTag,
     clearFilters,
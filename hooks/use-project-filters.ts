@@ -1,6 +1,21 @@
 'use client';
 
-import { useState, useMemo } from 'react';
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { getTagLabel, toCanonicalTag } from '@/lib/tags';
+import {
+  PROJECT_FACETS,
+  SUPPORTED_PROJECT_FILTERS,
+  applyFacetState,
+  clearFacetFilters,
+  countFacetValues,
+  createFacetState,
+  hasActiveFilters,
+  parseFacetState,
+  serializeFacetState,
+  toFacetRecord,
+  toggleFacetValue,
+} from '@/src/project-facets.js';
+import type { FacetState } from '@/src/project-facets.js';
 
 export interface Project {
   slug: string;
@@ -13,47 +28,91 @@ export interface Project {
     repo?: string;
     cover: string;
     gallery: string[];
-    status: 'published' | 'draft';
+    domain?: string;
   };
   content: string;
   readingTime: number;
 }
 
+export type { FacetState };
+export type FacetKey = 'tag' | 'tech' | 'year' | 'domain';
+export type MatchMode = FacetState['match'];
+export type ProjectSort = FacetState['sort'];
+
+export interface FacetOption {
+  value: string;
+  label: string;
+  count: number;
+  selected: boolean;
+}
+
+const pinned = { tag: SUPPORTED_PROJECT_FILTERS.map(filter => filter.value) };
+
+/**
+ * Faceted filtering and sorting for the projects page (src/project-facets.js).
+ * The state lives in the query string, so filtered views can be shared and
+ * survive reloads; it is read after hydration to keep the page static.
+ */
 export function useProjectFilters(projects: Project[]) {
-  const [selectedTags, setSelectedTags] = useState<string[]>([]);
-
-  // Get all unique tags
-  const allTags = useMemo(() => {
-    const tags = new Set<string>();
-    projects.forEach(project => {
-      project.frontmatter.tags.forEach(tag => tags.add(tag));
-    });
-    return Array.from(tags).sort();
-  }, [projects]);
-
-  // Filter projects based on selected tags
-  const filteredProjects = useMemo(() => {
-    if (selectedTags.length === 0) {
-      return projects;
-    }
-    return projects.filter(project =>
-      selectedTags.some(tag => project.frontmatter.tags.includes(tag))
+  const [state, setState] = useState<FacetState>(createFacetState);
+
+  useEffect(() => {
+    const readLocation = () => setState(parseFacetState(window.location.search));
+    readLocation();
+    window.addEventListener('popstate', readLocation);
+    return () => window.removeEventListener('popstate', readLocation);
+  }, []);
+
+  const update = useCallback((next: FacetState) => {
+    setState(next);
+    const query = serializeFacetState(next);
+    window.history.replaceState(
+      window.history.state,
+      '',
+      `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`
     );
-  }, [projects, selectedTags]);
+  }, []);
 
-  const toggleTag = (tag: string) => {
-    setSelectedTags(prev => (prev.includes(tag) ? prev.filter(t => t !== tag) : [...prev, tag]));
-  };
+  const records = useMemo(
+    () =>
+      projects.map(project =>
+        toFacetRecord(
+          {
+            ...project,
+            frontmatter: {
+              ...project.frontmatter,
+              tags: project.frontmatter.tags.map(toCanonicalTag),
+            },
+          },
+          { tagLabel: getTagLabel }
+        )
+      ),
+    [projects]
+  );
 
-  const clearFilters = () => {
-    setSelectedTags([]);
-  };
+  const filteredProjects = useMemo(() => {
+    const bySlug = new Map(projects.map(project => [project.slug, project]));
+    return applyFacetState(records, state).map(record => bySlug.get(record.slug) as Project);
+  }, [projects, records, state]);
+
+  const facets = useMemo(() => {
+    const counts: Record<FacetKey, FacetOption[]> = countFacetValues(records, state, { pinned });
+    // A facet with a single value (say, every project from one year) filters nothing.
+    return PROJECT_FACETS.filter(facet => counts[facet.key].length > 1).map(facet => ({
+      key: facet.key as FacetKey,
+      label: facet.label,
+      options: counts[facet.key],
+    }));
+  }, [records, state]);
 
   return {
-    selectedTags,
-    allTags,
+    state,
+    facets,
     filteredProjects,
-    toggleTag,
-    clearFilters,
+    hasActiveFilters: hasActiveFilters(state),
+    toggleValue: (facet: FacetKey, value: string) => update(toggleFacetValue(state, facet, value)),
+    setMatch: (match: MatchMode) => update({ ...state, match }),
+    setSort: (sort: ProjectSort) => update({ ...state, sort }),
+    clearFilters: () => update(clearFacetFilters(state)),
   };
 }
@@ -0,0 +1,76 @@
+import { readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { getBlogPostBySlug, getProjectBySlug } from '@/lib/content';
+import {
+  latestDate,
+  readLastModified,
+  resolveEntryHistory,
+  wasUpdatedAfterPublishing,
+} from '@/src/content-history.js';
+
+export interface ContentRevision {
+  hash: string;
+  date: string;
+  subject: string;
+}
+
+export interface ContentHistory {
+  created: string;
+  updated: string;
+  revisions: ContentRevision[];
+}
+
+type Collection = 'projects' | 'blog';
+
+type ContentHistoryFile = {
+  entries: Record<Collection, Record<string, ContentHistory>>;
+};
+
+function readContentHistory(): ContentHistoryFile | null {
+  try {
+    return JSON.parse(
+      readFileSync(join(process.cwd(), 'src', 'generated', 'content-history.json'), 'utf8')
+    );
+  } catch {
+    return null;
+  }
+}
+
+const contentHistory = readContentHistory();
+
+/**
+ * When a project or post was created and last updated, and its revisions, as
+ * derived from git by `npm run generate:content` (src/content-history.js).
+ * Server-only: without that file, dates come from the frontmatter alone.
+ */
+export function getContentHistory(collection: Collection, slug: string): ContentHistory | null {
+  const entry = collection === 'projects' ? getProjectBySlug(slug) : getBlogPostBySlug(slug);
+  if (!entry) {
+    return null;
+  }
+  return contentHistory?.entries[collection][slug] ?? resolveEntryHistory(entry.frontmatter);
+}
+
+/** The last-updated date worth showing next to the publication date, if any. */
+export function getUpdatedDate(collection: Collection, slug: string): string | null {
+  const entry = collection === 'projects' ? getProjectBySlug(slug) : getBlogPostBySlug(slug);
+  const history = getContentHistory(collection, slug);
+  if (!entry || !history) {
+    return null;
+  }
+  return wasUpdatedAfterPublishing(history, entry.frontmatter.date) ? history.updated : null;
+}
+
+/** The newest `updated` date among some entries, e.g. for a listing page. */
+export function getLatestUpdate(
+  entries: Array<{ collection: Collection; slug: string }>
+): string | null {
+  return latestDate(
+    entries.map(({ collection, slug }) => getContentHistory(collection, slug)?.updated)
+  );
+}
+
+/** When a page's source files last changed in git, for pages that are not content entries. */
+export function getSourceLastModified(...paths: string[]): string | null {
+  return readLastModified(paths);
+}
@@ -1,21 +1,44 @@
 import readingTime from 'reading-time';
 import projectsIndex from '@/src/generated/projects-index.json';
+import blogIndex from '@/src/generated/blog-index.json';
+import type { BlogFrontmatter, ProjectFrontmatter } from '@/src/generated/content-types';
+import { getPublishState, isEntryVisible, isPreviewMode } from '@/src/publishing.js';
+import { getSeriesNavigation, groupSeries } from '@/src/content-series.js';
+import {
+  findBlogArchive,
+  getBlogPageCount as countBlogPages,
+  groupBlogArchives,
+  paginateBlogEntries,
+} from '@/src/blog-archive.js';
+import { groupEntriesByTag } from '@/src/content-tags.js';
+import { DEFAULT_LOCALE } from '@/src/i18n.js';
+import { registeredTags, toCanonicalTag } from '@/lib/tags';
+import type { Tag } from '@/lib/tags';
 
-export interface ProjectFrontmatter {
-  title: string;
-  date: string;
-  tags: string[];
-  summary: string;
-  caseStudyData?: string;
-  caseStudyMethods?: string;
-  caseStudyResults?: string;
-  caseStudyReproducibility?: string;
-  caseStudyReflection?: string;
-  tech: string[];
-  repo?: string;
-  cover: string;
-  gallery: string[];
-  status: 'published' | 'draft';
+export type { BlogFrontmatter, ProjectFrontmatter } from '@/src/generated/content-types';
+export type { Tag } from '@/lib/tags';
+
+export type PublishState = 'published' | 'draft' | 'scheduled';
+
+type VisibilityOptions = {
+  // Defaults to the build mode; pass `false` for outputs that must never list drafts.
+  preview?: boolean;
+};
+
+/** True when this is a `CONTENT_PREVIEW=1` build that renders drafts and scheduled entries. */
+export const isPreviewBuild = isPreviewMode();
+
+export function isContentVisible(
+  frontmatter: Pick<ProjectFrontmatter, 'status' | 'publishAt'>,
+  { preview = isPreviewBuild }: VisibilityOptions = {}
+): boolean {
+  return isEntryVisible(frontmatter, { preview });
+}
+
+export function getContentPublishState(
+  frontmatter: Pick<ProjectFrontmatter, 'status' | 'publishAt'>
+): PublishState {
+  return getPublishState(frontmatter) as PublishState;
 }
 
 export interface Project {
@@ -23,45 +46,88 @@ export interface Project {
   frontmatter: ProjectFrontmatter;
   content: string;
   readingTime: number;
+  // The locale of the text above, and every locale the entry is written in.
+  locale: string;
+  locales: string[];
 }
 
+// Computed from tags, tech, and body text by src/content-recommendations.js.
+type Recommendation = {
+  collection: 'projects' | 'blog';
+  slug: string;
+  score: number;
+};
+
+// Translated text fields and body per locale, from content/<locale>/ (see src/content.js).
+type Translations<Frontmatter> = Record<
+  string,
+  { frontmatter: Partial<Frontmatter>; content: string }
+>;
+
+// `related` holds declared links plus back-links, resolved when the index is generated.
 type ProjectIndexEntry = {
   slug: string;
   frontmatter: ProjectFrontmatter;
   content: string;
+  related: { posts: string[]; recommended: Recommendation[] };
+  translations?: Translations<ProjectFrontmatter>;
+};
+
+type BlogIndexEntry = {
+  slug: string;
+  frontmatter: BlogFrontmatter;
+  content: string;
+  related: { projects: string[]; recommended: Recommendation[] };
+  translations?: Translations<BlogFrontmatter>;
 };
 
+// Entries without a translation for `locale` fall back to the default locale.
+function localizeEntry<Frontmatter>(
+  entry: { frontmatter: Frontmatter; content: string; translations?: Translations<Frontmatter> },
+  locale: string
+) {
+  const translation = locale === DEFAULT_LOCALE ? undefined : entry.translations?.[locale];
+  return {
+    frontmatter: { ...entry.frontmatter, ...translation?.frontmatter },
+    content: translation?.content ?? entry.content,
+    locale: translation ? locale : DEFAULT_LOCALE,
+    locales: [DEFAULT_LOCALE, ...Object.keys(entry.translations ?? {})],
+  };
+}
+
 const projectEntries = projectsIndex as ProjectIndexEntry[];
+const blogEntries = blogIndex as BlogIndexEntry[];
 
-export function getProjectSlugs() {
-  return projectEntries.map(entry => entry.slug);
+export function getProjectSlugs(options?: VisibilityOptions) {
+  return projectEntries
+    .filter(entry => isContentVisible(entry.frontmatter, options))
+    .map(entry => entry.slug);
 }
 
-export function getProjectBySlug(slug: string): Project | null {
+export function getProjectBySlug(slug: string, locale: string = DEFAULT_LOCALE): Project | null {
   if (!slug || slug === 'undefined' || slug === '') {
     return null;
   }
 
   const entry = projectEntries.find(project => project.slug === slug);
-  if (!entry) {
+  if (!entry || !isContentVisible(entry.frontmatter)) {
     return null;
   }
 
+  const localized = localizeEntry(entry, locale);
   return {
     slug: entry.slug,
-    frontmatter: entry.frontmatter,
-    content: entry.content,
-    readingTime: readingTime(entry.content).minutes,
+    ...localized,
+    readingTime: readingTime(localized.content).minutes,
   };
 }
 
-export function getAllProjects(): Project[] {
-  const slugs = getProjectSlugs();
+export function getAllProjects(options?: VisibilityOptions): Project[] {
+  const slugs = getProjectSlugs(options);
   const projects = slugs
     .filter(slug => slug && slug !== undefined && slug !== 'undefined')
-    .map(getProjectBySlug)
+    .map(slug => getProjectBySlug(slug))
     .filter((project): project is Project => project !== null)
-    .filter(project => project.frontmatter.status === 'published')
     .sort(
       (a, b) => new Date(b.frontmatter.date).getTime() - new Date(a.frontmatter.date).getTime()
     );
@@ -69,8 +135,10 @@ export function getAllProjects(): Project[] {
   return projects;
 }
 
+// Index entries carry canonical tag slugs; any registered spelling finds them.
 export function getProjectsByTag(tag: string): Project[] {
-  return getAllProjects().filter(project => project.frontmatter.tags.includes(tag));
+  const slug = toCanonicalTag(tag);
+  return getAllProjects().filter(project => project.frontmatter.tags.includes(slug));
 }
 
 export function getAllTags(): string[] {
@@ -83,3 +151,236 @@ export function getAllTags(): string[] {
 
   return Array.from(tags).sort();
 }
+
+export interface BlogPost {
+  slug: string;
+  frontmatter: BlogFrontmatter;
+  content: string;
+  readingTime: number;
+  locale: string;
+  locales: string[];
+}
+
+export interface AdjacentBlogPosts {
+  // The next older and next newer post, by date.
+  previous: BlogPost | null;
+  next: BlogPost | null;
+}
+
+function toBlogPost(entry: BlogIndexEntry, locale: string = DEFAULT_LOCALE): BlogPost {
+  const localized = localizeEntry(entry, locale);
+  return {
+    slug: entry.slug,
+    ...localized,
+    // Editors set readingTime in frontmatter; fall back to an estimate from the body.
+    readingTime:
+      localized.frontmatter.readingTime ?? Math.ceil(readingTime(localized.content).minutes),
+  };
+}
+
+export function getBlogPostSlugs(options?: VisibilityOptions) {
+  return getAllBlogPosts(options).map(post => post.slug);
+}
+
+export function getBlogPostBySlug(slug: string, locale: string = DEFAULT_LOCALE): BlogPost | null {
+  if (!slug || slug === 'undefined') {
+    return null;
+  }
+
+  const entry = blogEntries.find(post => post.slug === slug);
+  if (!entry || !isContentVisible(entry.frontmatter)) {
+    return null;
+  }
+
+  return toBlogPost(entry, locale);
+}
+
+export function getAllBlogPosts(options?: VisibilityOptions): BlogPost[] {
+  return blogEntries
+    .filter(entry => isContentVisible(entry.frontmatter, options))
+    .map(entry => toBlogPost(entry))
+    .sort(
+      (a, b) => new Date(b.frontmatter.date).getTime() - new Date(a.frontmatter.date).getTime()
+    );
+}
+
+export function getBlogPostsByTag(tag: string): BlogPost[] {
+  const slug = toCanonicalTag(tag);
+  return getAllBlogPosts().filter(post => post.frontmatter.tags.includes(slug));
+}
+
+export function getAllBlogTags(): string[] {
+  const tags = new Set<string>();
+
+  getAllBlogPosts().forEach(post => {
+    post.frontmatter.tags.forEach(tag => tags.add(tag));
+  });
+
+  return Array.from(tags).sort();
+}
+
+export function getAdjacentBlogPosts(slug: string): AdjacentBlogPosts {
+  const posts = getAllBlogPosts();
+  const index = posts.findIndex(post => post.slug === slug);
+  if (index === -1) {
+    return { previous: null, next: null };
+  }
+
+  return {
+    previous: posts[index + 1] ?? null,
+    next: posts[index - 1] ?? null,
+  };
+}
+
+export interface BlogSeries {
+  slug: string;
+  title: string;
+  // Visible parts only, in seriesOrder.
+  posts: BlogPost[];
+}
+
+export interface BlogSeriesNavigation {
+  series: BlogSeries;
+  index: number;
+  previous: BlogPost | null;
+  next: BlogPost | null;
+}
+
+export function getAllBlogSeries(options?: VisibilityOptions): BlogSeries[] {
+  return groupSeries(getAllBlogPosts(options));
+}
+
+export function getBlogSeriesBySlug(slug: string): BlogSeries | null {
+  return getAllBlogSeries().find(series => series.slug === slug) ?? null;
+}
+
+export function getBlogSeriesNavigation(slug: string): BlogSeriesNavigation | null {
+  return getSeriesNavigation(getAllBlogSeries(), slug);
+}
+
+export interface BlogPage {
+  page: number;
+  pageCount: number;
+  posts: BlogPost[];
+  previousPath: string | null;
+  nextPath: string | null;
+}
+
+/** Number of `/blog` index pages; page 1 is `/blog`, the rest `/blog/page/<n>`. */
+export function getBlogPageCount(options?: VisibilityOptions): number {
+  return countBlogPages(getAllBlogPosts(options));
+}
+
+export function getBlogPage(page: number): BlogPage | null {
+  const pagination = paginateBlogEntries(getAllBlogPosts(), page);
+  if (!pagination) {
+    return null;
+  }
+  const { entries, ...rest } = pagination;
+  return { ...rest, posts: entries };
+}
+
+export interface BlogArchive {
+  year: string;
+  // Zero-padded ("02"); unset on year archives.
+  month?: string;
+  title: string;
+  path: string;
+  posts: BlogPost[];
+}
+
+export interface BlogYearArchive extends BlogArchive {
+  months: BlogArchive[];
+}
+
+/** Visible posts by year (`/blog/2026`) and month (`/blog/2026/02`), newest first. */
+export function getBlogArchives(options?: VisibilityOptions): BlogYearArchive[] {
+  return groupBlogArchives(getAllBlogPosts(options));
+}
+
+export function getBlogArchive(year: string, month?: string): BlogArchive | null {
+  return findBlogArchive(getBlogArchives(), year, month);
+}
+
+export interface TaggedContent extends Tag {
+  projects: Project[];
+  posts: BlogPost[];
+}
+
+/** Registered tags used by at least one visible project or post, sorted by label. */
+export function getAllTaggedContent(options?: VisibilityOptions): TaggedContent[] {
+  return groupEntriesByTag(
+    { projects: getAllProjects(options), blog: getAllBlogPosts(options) },
+    registeredTags
+  );
+}
+
+export function getTaggedContent(tag: string): TaggedContent | null {
+  const slug = toCanonicalTag(tag);
+  return getAllTaggedContent().find(tagged => tagged.slug === slug) ?? null;
+}
+
+/**
+ * Blog posts linked to a project through `relatedPosts` on the project or
+ * `relatedProjects` on the post. Hidden posts are left out.
+ */
+export function getRelatedPostsForProject(slug: string): BlogPost[] {
+  const entry = projectEntries.find(project => project.slug === slug);
+  return (entry?.related.posts ?? [])
+    .map(slug => getBlogPostBySlug(slug))
+    .filter((post): post is BlogPost => post !== null);
+}
+
+/**
+ * Projects (case studies) a blog post belongs to, from either side of the link.
+ */
+export function getRelatedProjectsForPost(slug: string): Project[] {
+  const entry = blogEntries.find(post => post.slug === slug);
+  return (entry?.related.projects ?? [])
+    .map(slug => getProjectBySlug(slug))
+    .filter((project): project is Project => project !== null);
+}
+
+export interface RecommendedContent {
+  collection: 'projects' | 'blog';
+  slug: string;
+  title: string;
+  summary: string;
+  href: string;
+}
+
+function resolveRecommendations(
+  recommendations: Recommendation[] | undefined,
+  limit: number
+): RecommendedContent[] {
+  const items: RecommendedContent[] = [];
+
+  for (const { collection, slug } of recommendations ?? []) {
+    const entry = collection === 'projects' ? getProjectBySlug(slug) : getBlogPostBySlug(slug);
+    if (entry) {
+      items.push({
+        collection,
+        slug,
+        title: entry.frontmatter.title,
+        summary: entry.frontmatter.summary,
+        href: collection === 'projects' ? `/projects/${slug}` : `/blog/${slug}`,
+      });
+    }
+  }
+
+  return items.slice(0, limit);
+}
+
+/**
+ * "Related" suggestions for a project, best first, skipping hidden entries and
+ * anything already linked through relatedPosts/relatedProjects.
+ */
+export function getRecommendedContentForProject(slug: string, limit = 3): RecommendedContent[] {
+  const entry = projectEntries.find(project => project.slug === slug);
+  return resolveRecommendations(entry?.related.recommended, limit);
+}
+
+export function getRecommendedContentForPost(slug: string, limit = 3): RecommendedContent[] {
+  const entry = blogEntries.find(post => post.slug === slug);
+  return resolveRecommendations(entry?.related.recommended, limit);
+}
@@ -0,0 +1,66 @@
+import { getAllBlogPosts } from '@/lib/content';
+import { getContentHistory } from '@/lib/content-history';
+import { siteUrl } from '@/lib/site';
+import { getTagLabel } from '@/lib/tags';
+import { buildFeed, getTagFeeds, listFeedTags } from '@/src/feeds.js';
+import { SITE_FEEDS } from '@/src/seo.js';
+
+export type FeedFormat = 'rss' | 'atom' | 'json';
+
+const siteName = 'Abigael Awino Portfolio';
+
+// Feeds never include drafts or scheduled posts, even in preview builds.
+function getFeedPosts() {
+  return getAllBlogPosts({ preview: false });
+}
+
+function toAlternateTypes(
+  feeds: Array<{ type: string; path: string; label: string; title?: string }>
+) {
+  return Object.fromEntries(
+    feeds.map(feed => [
+      feed.type,
+      [{ url: feed.path, title: `${feed.title ?? siteName} (${feed.label})` }],
+    ])
+  );
+}
+
+/** `alternates.types` metadata advertising the site-wide feeds. */
+export const feedAlternateTypes = toAlternateTypes(SITE_FEEDS);
+
+// Post tags are canonical slugs (see content/tags.json), so they double as URL segments.
+export function getFeedTagSlugs(): string[] {
+  return listFeedTags(getFeedPosts());
+}
+
+/** `alternates.types` for one tag's feeds, or undefined when no published post has the tag. */
+export function getTagFeedAlternateTypes(tagSlug: string) {
+  if (!getFeedTagSlugs().includes(tagSlug)) {
+    return undefined;
+  }
+  return toAlternateTypes(getTagFeeds(tagSlug, { siteName, label: getTagLabel(tagSlug) }));
+}
+
+/**
+ * Serves one feed; `tagSlug` selects a per-tag feed and 404s for unknown tags.
+ */
+export function feedResponse(format: FeedFormat, tagSlug?: string): Response {
+  const posts = getFeedPosts();
+  if (tagSlug && !listFeedTags(posts).includes(tagSlug)) {
+    return new Response('Feed not found', { status: 404 });
+  }
+
+  const feed = buildFeed(format, {
+    siteUrl,
+    siteName,
+    posts,
+    history: Object.fromEntries(
+      posts.map(post => [post.slug, getContentHistory('blog', post.slug)])
+    ),
+    tag: tagSlug,
+    tagLabel: tagSlug ? getTagLabel(tagSlug) : undefined,
+  });
+  return new Response(feed.contents, {
+    headers: { 'Content-Type': `${feed.type}; charset=utf-8` },
+  });
+}
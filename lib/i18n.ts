@@ -0,0 +1,184 @@
+import type { Metadata } from 'next';
+import {
+  DEFAULT_LOCALE,
+  createTranslator,
+  getHreflangAlternates,
+  getLocales,
+  getMessages,
+  isLocale,
+  localizePageLink,
+  localizePath,
+} from '@/src/i18n.js';
+import { siteUrl } from '@/lib/site';
+
+export { DEFAULT_LOCALE, createTranslator, getLocales, isLocale, localizePageLink, localizePath };
+
+export type Translate = (key: string, values?: Record<string, string | number>) => string;
+
+export function getTranslator(locale: string = DEFAULT_LOCALE): Translate {
+  return createTranslator(locale) as Translate;
+}
+
+/** Locales other than the default, i.e. the ones served under /<locale>/. */
+export function getTranslatedLocales(): string[] {
+  return getLocales().slice(1);
+}
+
+export function getLocaleName(locale: string): string {
+  return getMessages(locale, 'meta').name;
+}
+
+export function getDateLocale(locale: string = DEFAULT_LOCALE): string {
+  return getMessages(locale, 'meta').dateLocale;
+}
+
+export function getOpenGraphLocale(locale: string = DEFAULT_LOCALE): string {
+  return getMessages(locale, 'meta').ogLocale;
+}
+
+/** A catalog section as is, for messages that are lists or records rather than text. */
+export function getMessageSection<T>(locale: string, section: string): T {
+  return getMessages(locale, section) as T;
+}
+
+/** `alternates.languages` metadata for a page available in `locales`. */
+export function getLanguageAlternates(pathname: string, locales: string[]) {
+  return Object.fromEntries(
+    getHreflangAlternates(pathname, locales).map(
+      ({ hreflang, path }: { hreflang: string; path: string }) => [hreflang, `${siteUrl}${path}`]
+    )
+  );
+}
+
+/**
+ * Metadata for a page translated in every locale (LOCALIZED_PAGES in
+ * src/i18n.js), from its `pages.<messageKey>` messages.
+ */
+export function getLocalizedPageMetadata(
+  locale: string,
+  pathname: string,
+  messageKey: string
+): Metadata {
+  const t = getTranslator(locale);
+  const title = t(`pages.${messageKey}.title`);
+  const description = t(`pages.${messageKey}.description`);
+  const url = `${siteUrl}${localizePath(pathname, locale)}`;
+
+  return {
+    title,
+    description,
+    openGraph: {
+      title: `${title} · Abigael Awino`,
+      description,
+      url,
+      locale: getOpenGraphLocale(locale),
+      images: [
+        { url: '/assets/og.png', width: 1200, height: 630, alt: `${title} · Abigael Awino` },
+      ],
+    },
+    twitter: {
+      card: 'summary_large_image',
+      title: `${title} · Abigael Awino`,
+      description,
+      images: ['/assets/og.png'],
+    },
+    alternates: {
+      canonical: url,
+      languages: getLanguageAlternates(pathname, getLocales()),
+    },
+  };
+}
+
+export type SearchLabels = {
+  open: string;
+  dialog: string;
+  placeholder: string;
+  close: string;
+  loading: string;
+  unavailable: string;
+  // Still holds the `{query}` placeholder; the dialog fills it in.
+  noResults: string;
+  project: string;
+  post: string;
+};
+
+export type NavigationLabels = {
+  siteNavigation: string;
+  toggleNavigation: string;
+  shortSiteName: string;
+  projects: string;
+  about: string;
+  blog: string;
+  contact: string;
+  resume: string;
+  search: SearchLabels;
+};
+
+// Navigation is a client component, so it gets its labels as props instead of
+// reading the catalogs itself.
+export function getNavigationLabels(locale: string = DEFAULT_LOCALE): NavigationLabels {
+  const t = getTranslator(locale);
+  return {
+    siteNavigation: t('chrome.siteNavigation'),
+    toggleNavigation: t('chrome.toggleNavigation'),
+    shortSiteName: t('chrome.shortSiteName'),
+    projects: t('nav.projects'),
+    about: t('nav.about'),
+    blog: t('nav.blog'),
+    contact: t('nav.contact'),
+    resume: t('nav.resume'),
+    search: getMessages(locale, 'search') as SearchLabels,
+  };
+}
+
+export type NavigationLinks = Record<
+  'home' | 'projects' | 'about' | 'blog' | 'contact' | 'resume',
+  string
+>;
+
+export function getNavigationLinks(locale: string = DEFAULT_LOCALE): NavigationLinks {
+  return {
+    home: localizePageLink('/', locale),
+    projects: localizePageLink('/projects', locale),
+    about: localizePageLink('/about', locale),
+    blog: localizePageLink('/blog', locale),
+    contact: localizePageLink('/contact', locale),
+    resume: localizePageLink('/resume', locale),
+  };
+}
+
+export type ContactFormLabels = {
+  name: string;
+  email: string;
+  subject: string;
+  message: string;
+  required: string;
+  honeypot: string;
+  // Still holds the `{count}` and `{max}` placeholders; the form fills them in.
+  characterCount: string;
+  submit: string;
+  sending: string;
+  fixErrors: string;
+  submitted: string;
+  success: string;
+  failed: string;
+};
+
+export function getContactFormLabels(locale: string = DEFAULT_LOCALE): ContactFormLabels {
+  const t = getTranslator(locale);
+  return {
+    name: t('contact.nameLabel'),
+    email: t('contact.emailLabel'),
+    subject: t('contact.subjectLabel'),
+    message: t('contact.messageLabel'),
+    required: t('contact.required'),
+    honeypot: t('contact.honeypotLabel'),
+    characterCount: t('contact.characterCount'),
+    submit: t('contact.submit'),
+    sending: t('contact.sending'),
+    fixErrors: t('contact.fixErrors'),
+    submitted: t('contact.submitted'),
+    success: t('contact.success'),
+    failed: t('contact.failed'),
+  };
+}
@@ -0,0 +1,30 @@
+import { existsSync } from 'node:fs';
+import { join } from 'node:path';
+import {
+  DEFAULT_OG_IMAGE_PATH,
+  OG_IMAGE_HEIGHT,
+  OG_IMAGE_WIDTH,
+  getOgImagePath,
+} from '@/src/og-images.js';
+
+export interface OgImage {
+  url: string;
+  width: number;
+  height: number;
+  alt: string;
+}
+
+/**
+ * The Open Graph image for a project or post, drawn at build time by
+ * `npm run generate:og` (src/og-images.js). Server-only: falls back to the
+ * site-wide image when the entry's image was not generated.
+ */
+export function getOgImage(collection: 'projects' | 'blog', slug: string, alt: string): OgImage {
+  const path = getOgImagePath(collection, slug);
+  return {
+    url: existsSync(join(process.cwd(), 'public', path)) ? path : DEFAULT_OG_IMAGE_PATH,
+    width: OG_IMAGE_WIDTH,
+    height: OG_IMAGE_HEIGHT,
+    alt,
+  };
+}
@@ -0,0 +1,70 @@
+import { loadProjectCharts } from '@/src/chart-specs.js';
+
+export type ChartRow = Record<string, string | number>;
+
+export type ChartChannel = {
+  field: string;
+  title?: string;
+  labelAngle?: number;
+};
+
+// A fixed color (`value`) or one color per value of `field`.
+export type ChartColor = {
+  value?: string;
+  field?: string;
+  scale?: Record<string, string>;
+};
+
+export type ChartSpec = {
+  type: 'bar' | 'line' | 'area' | 'pie' | 'choropleth' | 'table';
+  title: string;
+  caption?: string;
+  data: string;
+  encoding: {
+    x?: ChartChannel;
+    y?: ChartChannel;
+    label?: ChartChannel;
+    value?: ChartChannel;
+    location?: ChartChannel;
+    color?: ChartColor;
+    series?: ChartColor & { field: string };
+  };
+  columns: Array<{ field: string; title?: string }>;
+  filter?: Record<
+    string,
+    string | number | Array<string | number> | { min?: number; max?: number }
+  >;
+  aggregate?: { groupBy: string[]; field: string; method: string };
+  sort?: string;
+  limit?: number;
+  controlled?: boolean;
+  rules?: Array<{ x: string | number; label?: string }>;
+  height?: number;
+  types: Record<string, 'number' | 'string'>;
+  rows: ChartRow[];
+};
+
+export type ChartControl = {
+  type: 'slider' | 'tabs';
+  field: string;
+  title?: string;
+  caption?: string;
+  options: Array<{ value: string | number; label: string; caption?: string }>;
+  defaultValue: string | number;
+};
+
+export type ChartSection = {
+  title: string | null;
+  kpis: Array<{ label: string; value: string; note?: string }>;
+  control: ChartControl | null;
+  charts: ChartSpec[];
+};
+
+export type ProjectChartSections = Partial<
+  Record<'interactive' | 'generation' | 'notebook', ChartSection>
+>;
+
+/** The chart sections from content/data/<slug>/charts.json, or none. */
+export function getProjectCharts(slug: string): ProjectChartSections {
+  return loadProjectCharts(slug) ?? {};
+}
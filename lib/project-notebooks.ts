@@ -0,0 +1,38 @@
+import { readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { loadProjectNotebook } from '@/src/notebooks.js';
+import type { ProjectFrontmatter } from '@/lib/content';
+
+export type NotebookOutput =
+  | { type: 'text'; text: string }
+  | { type: 'table'; columns: string[]; rows: string[][]; omittedRows?: number }
+  | { type: 'image'; src: string; alt: string };
+
+export type NotebookCell =
+  | { number: number; kind: 'markdown'; title: string; html: string }
+  | {
+      number: number;
+      kind: 'code';
+      title: string;
+      code: string | null;
+      outputs: NotebookOutput[];
+    };
+
+export type ProjectNotebook = {
+  file: string;
+  url: string | null;
+  language: string;
+  cells: NotebookCell[];
+};
+
+/** The tagged, sanitized cells of a project's notebook (see src/notebooks.js), or null. */
+export function getProjectNotebook(
+  settings: ProjectFrontmatter['notebook']
+): ProjectNotebook | null {
+  return settings ? (loadProjectNotebook(settings) as ProjectNotebook) : null;
+}
+
+/** The notebook file itself, for download. */
+export function getProjectNotebookSource(settings: NonNullable<ProjectFrontmatter['notebook']>) {
+  return readFileSync(join('content', settings.file), 'utf8');
+}
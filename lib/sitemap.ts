@@ -0,0 +1,169 @@
+import {
+  getAllBlogPosts,
+  getAllBlogSeries,
+  getBlogArchives,
+  getBlogPage,
+  getBlogPageCount,
+  getAllProjects,
+  getAllTaggedContent,
+} from '@/lib/content';
+import { siteUrl } from '@/lib/site';
+import { getContentHistory, getLatestUpdate, getSourceLastModified } from '@/lib/content-history';
+import { latestDate } from '@/src/content-history.js';
+import { buildContentSitemapEntries, buildSitemaps } from '@/src/sitemap.js';
+
+type Collection = 'projects' | 'blog';
+type SitemapEntry = {
+  path: string;
+  lastmod?: string | null;
+  changefreq?: 'always' | 'hourly' | 'daily' | 'weekly' | 'monthly' | 'yearly' | 'never';
+  priority?: number;
+};
+
+function historyFor(collection: Collection, entries: Array<{ slug: string }>) {
+  return Object.fromEntries(entries.map(({ slug }) => [slug, getContentHistory(collection, slug)]));
+}
+
+/**
+ * Listing and static pages. Dates come from git (src/content-history.js): pages
+ * are dated by their source and, for listings, their newest entry.
+ */
+function getPageEntries(): SitemapEntry[] {
+  const projects = getAllProjects({ preview: false });
+  const blogPosts = getAllBlogPosts({ preview: false });
+  const projectRefs = projects.map(project => ({
+    collection: 'projects' as const,
+    slug: project.slug,
+  }));
+  const postRefs = (posts: typeof blogPosts) =>
+    posts.map(post => ({ collection: 'blog' as const, slug: post.slug }));
+
+  const staticPages: SitemapEntry[] = [
+    {
+      path: '/',
+      lastmod: latestDate([
+        getSourceLastModified('app/(site)/page.tsx'),
+        getLatestUpdate(projectRefs.slice(0, 1)),
+      ]),
+      changefreq: 'weekly',
+      priority: 1.0,
+    },
+    {
+      path: '/about',
+      lastmod: getSourceLastModified('app/(site)/about/page.tsx'),
+      changefreq: 'monthly',
+      priority: 0.8,
+    },
+    {
+      path: '/projects',
+      lastmod: latestDate([
+        getSourceLastModified(
+          'app/(site)/projects/page.tsx',
+          'app/(site)/projects/projects-client.tsx'
+        ),
+        getLatestUpdate(projectRefs),
+      ]),
+      changefreq: 'weekly',
+      priority: 0.9,
+    },
+    {
+      path: '/blog',
+      lastmod: getLatestUpdate(postRefs(getBlogPage(1)?.posts ?? [])),
+      changefreq: 'weekly',
+      priority: 0.8,
+    },
+    {
+      path: '/contact',
+      lastmod: getSourceLastModified('app/(site)/contact/page.tsx'),
+      changefreq: 'monthly',
+      priority: 0.7,
+    },
+    {
+      path: '/resume',
+      lastmod: getSourceLastModified('app/(site)/resume/page.tsx'),
+      changefreq: 'monthly',
+      priority: 0.6,
+    },
+  ];
+
+  // Older blog index pages (page 1 is /blog) and date archives
+  const blogIndexPages = Array.from(
+    { length: getBlogPageCount({ preview: false }) - 1 },
+    (_, index): SitemapEntry => ({
+      path: `/blog/page/${index + 2}`,
+      lastmod: getLatestUpdate(postRefs(getBlogPage(index + 2)?.posts ?? [])),
+      changefreq: 'weekly',
+      priority: 0.5,
+    })
+  );
+  const archivePages = getBlogArchives({ preview: false })
+    .flatMap(archive => [archive, ...archive.months])
+    .map(
+      (archive): SitemapEntry => ({
+        path: archive.path,
+        lastmod: getLatestUpdate(postRefs(archive.posts)),
+        changefreq: 'monthly',
+        priority: 0.5,
+      })
+    );
+
+  const seriesPages = getAllBlogSeries({ preview: false }).map(
+    (series): SitemapEntry => ({
+      path: `/blog/series/${series.slug}`,
+      lastmod: getLatestUpdate(postRefs(series.posts)),
+      changefreq: 'monthly',
+      priority: 0.6,
+    })
+  );
+
+  const tagPages: SitemapEntry[] = [
+    {
+      path: '/tags',
+      lastmod: getLatestUpdate([...projectRefs, ...postRefs(blogPosts)]),
+      changefreq: 'weekly',
+      priority: 0.5,
+    },
+    ...getAllTaggedContent({ preview: false }).map(
+      (tag): SitemapEntry => ({
+        path: `/tags/${tag.slug}`,
+        lastmod: getLatestUpdate([
+          ...tag.projects.map(project => ({ collection: 'projects' as const, slug: project.slug })),
+          ...postRefs(tag.posts),
+        ]),
+        changefreq: 'weekly',
+        priority: 0.5,
+      })
+    ),
+  ];
+
+  return [...staticPages, ...blogIndexPages, ...archivePages, ...seriesPages, ...tagPages];
+}
+
+/**
+ * The sitemap index and per-section sitemaps served at /sitemap.xml and
+ * /sitemaps/<section>.xml. Drafts and scheduled entries stay out even in
+ * preview builds.
+ */
+export function getSitemaps() {
+  const projects = getAllProjects({ preview: false });
+  const blogPosts = getAllBlogPosts({ preview: false });
+
+  return buildSitemaps({
+    siteUrl,
+    sections: {
+      pages: getPageEntries(),
+      projects: buildContentSitemapEntries('projects', projects, {
+        history: historyFor('projects', projects),
+      }),
+      blog: buildContentSitemapEntries('blog', blogPosts, {
+        history: historyFor('blog', blogPosts),
+      }),
+    },
+  });
+}
+
+export function sitemapResponse(xml: string): Response {
+  return new Response(xml, {
+    headers: { 'Content-Type': 'application/xml; charset=utf-8' },
+  });
+}
@@ -0,0 +1,52 @@
+import { siteUrl } from '@/lib/site';
+import { getOgImage } from '@/lib/og';
+import { getContentHistory } from '@/lib/content-history';
+import { getTagLabel } from '@/lib/tags';
+import { getAllProjects } from '@/lib/content';
+import type { BlogPost, Project } from '@/lib/content';
+import {
+  buildBlogPostingSchema,
+  buildBreadcrumbSchema,
+  buildPersonSchema,
+  buildProjectSchema,
+  buildWebSiteSchema,
+} from '@/src/structured-data.js';
+import type { Breadcrumb, StructuredData } from '@/src/structured-data.js';
+
+export type { Breadcrumb, StructuredData };
+
+/** JSON-LD for the routes, built by src/structured-data.js. Server-only. */
+export function getWebSiteStructuredData(): StructuredData {
+  return buildWebSiteSchema({
+    siteUrl,
+    siteName: 'Abigael Awino Portfolio',
+    description:
+      'Data scientist specializing in machine learning, analytics, and production-ready data solutions.',
+  });
+}
+
+export function getPersonStructuredData(): StructuredData {
+  return buildPersonSchema({ siteUrl, projects: getAllProjects() });
+}
+
+export function getBlogPostingStructuredData(post: BlogPost): StructuredData {
+  return buildBlogPostingSchema(post, {
+    siteUrl,
+    dateModified: getContentHistory('blog', post.slug)?.updated,
+    image: getOgImage('blog', post.slug, post.frontmatter.title).url,
+    tagLabel: getTagLabel,
+  });
+}
+
+export function getProjectStructuredData(project: Project): StructuredData {
+  return buildProjectSchema(project, {
+    siteUrl,
+    dateModified: getContentHistory('projects', project.slug)?.updated,
+    image: getOgImage('projects', project.slug, project.frontmatter.title).url,
+    tagLabel: getTagLabel,
+  });
+}
+
+export function getBreadcrumbStructuredData(crumbs: Breadcrumb[]): StructuredData {
+  return buildBreadcrumbSchema(crumbs, { siteUrl });
+}
@@ -0,0 +1,34 @@
+import tagRegistryData from '@/content/tags.json';
+import { createTagRegistry, normalizeTag, resolveTag } from '@/src/content-tags.js';
+
+export interface Tag {
+  slug: string;
+  label: string;
+  description: string;
+}
+
+// content/tags.json; safe to import from client components.
+const tagRegistry = createTagRegistry(tagRegistryData);
+
+export const registeredTags: Tag[] = tagRegistry.tags.map(({ slug, label, description }) => ({
+  slug,
+  label,
+  description,
+}));
+
+/**
+ * The canonical slug for any spelling of a tag. Unregistered tags are only
+ * normalized, so they still compare equal across case, spaces, and underscores.
+ */
+export function toCanonicalTag(tag: string): string {
+  return resolveTag(tagRegistry, tag) ?? normalizeTag(tag);
+}
+
+export function getTagLabel(tag: string): string {
+  const slug = toCanonicalTag(tag);
+  return registeredTags.find(registered => registered.slug === slug)?.label ?? tag;
+}
+
+export function getTagHref(tag: string): string {
+  return `/tags/${toCanonicalTag(tag)}`;
+}
@@ -2,14 +2,28 @@
 const nextConfig = {
   output: 'standalone',
   trailingSlash: false,
+  experimental: {
+    // app/global-not-found.tsx: unmatched URLs have no root layout to render in.
+    globalNotFound: true,
+  },
   images: {
     unoptimized: true,
   },
   outputFileTracingIncludes: {
-    '/projects/[slug]': ['content/projects/**/*'],
-    '/blog/[slug]': ['content/blog/**/*'],
+    '/projects/[slug]': [
+      'content/projects/**/*',
+      'content/locales/**/*',
+      'content/data/**/*',
+      'content/notebooks/**/*',
+    ],
+    '/projects/[slug]/notebook.ipynb': ['content/projects/**/*', 'content/notebooks/**/*'],
+    '/blog/[slug]': ['content/blog/**/*', 'content/locales/**/*'],
+    '/[locale]/projects/[slug]': ['content/**/*'],
+    '/[locale]/blog/[slug]': ['content/**/*'],
     '/sitemap.xml': ['content/**/*'],
+    '/sitemaps/[section]': ['content/**/*'],
     '/robots.txt': ['content/**/*'],
+    '/search-index.json': ['src/generated/search-index.json'],
   },
   redirects() {
     return [
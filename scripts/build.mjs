@@ -1,21 +1,80 @@
-import { cpSync, mkdirSync, rmSync, writeFileSync } from 'node:fs';
+import { cpSync, existsSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
 import { createRequire } from 'node:module';
 import { dirname, join } from 'node:path';
 import { deflateSync } from 'node:zlib';
+import readingTime from 'reading-time';
 
 const require = createRequire(import.meta.url);
 const { generateContentIndexes } = require('../src/content.js');
 const { getSiteTitle } = require('../src/index.js');
-const { buildRobotsTxt, buildSeoHead, buildSitemapXml, resolveSiteUrl } = require('../src/seo.js');
+const { buildRobotsTxt, buildSeoHead, resolveSiteUrl } = require('../src/seo.js');
+const {
+  DEFAULT_LOCALE,
+  createTranslator,
+  getHreflangAlternates,
+  getLocales,
+  getMessages,
+  LOCALIZED_PAGES,
+  localizePageLink,
+  localizePath,
+} = require('../src/i18n.js');
+const { SITEMAP_INDEX_PATH, buildSitemaps } = require('../src/sitemap.js');
 const { DEFAULT_RESUME_ASSET_PATH, renderResumePage } = require('../src/resume.js');
 const { renderHomePage } = require('../src/home.js');
 const { renderAboutPage } = require('../src/about.js');
 const { renderContactPage, renderContactThanksPage } = require('../src/contact.js');
 const { renderProjectsPage } = require('../src/projects.js');
 const { renderBlogIndexPage } = require('../src/blog.js');
-
+const {
+  getBlogPageCount,
+  getBlogPagePath,
+  groupBlogArchives,
+  paginateBlogEntries,
+} = require('../src/blog-archive.js');
+const { CONTENT_SCOPES, pageNeedsRebuild, planRebuild } = require('../src/dev-watch.js');
+const { filterVisibleEntries, isPreviewMode } = require('../src/publishing.js');
+const { groupSeries } = require('../src/content-series.js');
+const { latestDate, readLastModified } = require('../src/content-history.js');
+const { buildFeedFiles, getTagFeeds } = require('../src/feeds.js');
+const { SEARCH_INDEX_PATH } = require('../src/search-index.js');
+const { groupEntriesByTag } = require('../src/content-tags.js');
+const { renderTagIndexPage, renderTagPage } = require('../src/tags.js');
+const { generateOgImages, getOgImagePath, toOgImageCards } = require('../src/og-images.js');
+const {
+  buildBreadcrumbSchema,
+  buildPersonSchema,
+  buildWebSiteSchema,
+  renderStructuredDataScripts,
+} = require('../src/structured-data.js');
+
+// `node scripts/build.mjs --changed=<path> ...` (used by dev:static) rebuilds
+// only the pages fed by the changed content files, reusing the existing dist/.
+const changedPaths = process.argv
+  .slice(2)
+  .filter(arg => arg.startsWith('--changed='))
+  .map(arg => arg.slice('--changed='.length));
+const rebuildPlan =
+  changedPaths.length > 0 && existsSync(join('dist', 'index.html'))
+    ? planRebuild(changedPaths)
+    : { full: true, scopes: [...CONTENT_SCOPES] };
+
+// Preview builds (CONTENT_PREVIEW=1) include drafts and scheduled entries behind a noindex banner.
+const previewBuild = isPreviewMode(process.env);
 const contentIndexes = generateContentIndexes({ outputDir: 'src/generated' });
-const { projects, blog } = contentIndexes;
+// Reading time estimated like lib/content.ts (rounded up, as for posts) for cards and sorting.
+const projects = filterVisibleEntries(contentIndexes.projects, { preview: previewBuild }).map(
+  project => ({ ...project, readingTime: Math.ceil(readingTime(project.content).minutes) })
+);
+const blog = filterVisibleEntries(contentIndexes.blog, { preview: previewBuild });
+const blogSeries = groupSeries(blog);
+const blogPages = Array.from({ length: getBlogPageCount(blog) }, (_, index) =>
+  paginateBlogEntries(blog, index + 1)
+);
+const blogArchives = groupBlogArchives(blog);
+// Year archives followed by their months.
+const blogArchivePages = blogArchives.flatMap(archive => [archive, ...archive.months]);
+const tagPages = groupEntriesByTag({ projects, blog }, contentIndexes.tags);
+const tagLabels = Object.fromEntries(contentIndexes.tags.map(tag => [tag.slug, tag.label]));
 
 function escapeHtml(value) {
   return String(value)
@@ -62,6 +121,7 @@ a { color: inherit; }
 .shell__brand { font-weight: 700; text-decoration: none; }
 .shell__links { display: flex; gap: 0.75rem; flex-wrap: wrap; list-style: none; margin: 0; padding: 0; }
 .shell__link { text-decoration: none; border: 1px solid #e5e7eb; border-radius: 999px; padding: 0.35rem 0.65rem; }
+.shell__preview { margin: 0 0 1rem; padding: 0.5rem 0.85rem; border: 1px solid #fcd34d; border-radius: 0.6rem; background: #fffbeb; color: #78350f; font-size: 0.9rem; }
 
 /* shadcn/ui base styles */
 :root {
@@ -321,19 +381,37 @@ function generateNonce() {
   return Buffer.from(array).toString('base64');
 }
 
-function buildHtmlDocument({ title, description, body, pathname = '/', robots }) {
+function buildHtmlDocument({
+  title,
+  description,
+  body,
+  pathname = '/',
+  robots,
+  feeds,
+  scripts = [],
+  pagination,
+  ogImage,
+  structuredData = [],
+  locale = DEFAULT_LOCALE,
+  alternates = [],
+}) {
   const resolvedTitle = escapeHtml(title);
   const siteTitle = getSiteTitle();
   const nonce = generateNonce();
+  const t = key => escapeHtml(createTranslator(locale)(key));
   const seoHead = buildSeoHead({
     siteUrl: resolveSiteUrl(process.env),
     siteName: siteTitle,
     pathname,
     title,
     description,
-    ogImagePath: '/assets/og.png',
+    ogImagePath: ogImage ?? '/assets/og.png',
     ogImageAlt: `${siteTitle} — ${description}`,
-    ...(robots ? { robots } : {}),
+    locale,
+    alternates,
+    ...(feeds ? { feeds } : {}),
+    ...(pagination ? { pagination } : {}),
+    ...(previewBuild ? { robots: 'noindex,nofollow' } : robots ? { robots } : {}),
   });
   const analyticsSnippet = ANALYTICS_DOMAIN
     ? `
@@ -392,34 +470,50 @@ function buildHtmlDocument({ title, description, body, pathname = '/', robots })
   const cspMetaTag = ANALYTICS_DOMAIN
     ? `<meta http-equiv="Content-Security-Policy" content="default-src 'self'; script-src 'self' 'nonce-${nonce}' https://plausible.io; style-src 'self' 'unsafe-inline'; img-src 'self' data:; font-src 'self'; connect-src 'self' https://plausible.io; frame-ancestors 'none'; form-action 'self';">`
     : `<meta http-equiv="Content-Security-Policy" content="default-src 'self'; script-src 'self'; style-src 'self' 'unsafe-inline'; img-src 'self' data:; font-src 'self'; connect-src 'self'; frame-ancestors 'none'; form-action 'self';">`;
+  // Links to this page in the other locales it is translated into.
+  const languageLinks = alternates
+    .filter(alternate => alternate.hreflang !== 'x-default' && alternate.hreflang !== locale)
+    .map(
+      alternate =>
+        `<li><a class="shell__link" href="${escapeHtml(alternate.path)}" hreflang="${escapeHtml(
+          alternate.hreflang
+        )}" lang="${escapeHtml(alternate.hreflang)}">${escapeHtml(
+          getMessages(alternate.hreflang, 'meta').name
+        )}</a></li>`
+    )
+    .join('');
 
   return `
 <!doctype html>
-<html lang="en">
+<html lang="${escapeHtml(locale)}">
   <head>
     <meta charset="utf-8" />
     <meta name="viewport" content="width=device-width, initial-scale=1" />
     <title>${resolvedTitle}</title>
     ${seoHead}
+    ${renderStructuredDataScripts(structuredData)}
     ${cspMetaTag}
     <link rel="preload" href="/assets/shell.css" as="style" />
     <link rel="stylesheet" href="/assets/shell.css" />
     ${analyticsSnippet}
     <script src="/assets/analytics.js" defer nonce="${nonce}"></script>
+    ${scripts.map(src => `<script src="${escapeHtml(src)}" defer nonce="${nonce}"></script>`).join('\n    ')}
   </head>
   <body>
     <div class="shell">
-      <a class="shell__skip-link" href="#main-content">Skip to content</a>
+      <a class="shell__skip-link" href="#main-content">${t('chrome.skipToContent')}</a>
       <header>
-        <nav class="shell__nav" aria-label="Site navigation">
-          <a class="shell__brand" href="/" data-analytics-event="nav_home">${escapeHtml(getSiteTitle())}</a>
+        <nav class="shell__nav" aria-label="${t('chrome.siteNavigation')}">
+          <a class="shell__brand" href="${escapeHtml(localizePageLink('/', locale))}" data-analytics-event="nav_home">${escapeHtml(getSiteTitle())}</a>
           <ul class="shell__links">
-            <li><a class="shell__link" href="/projects" data-analytics-event="nav_projects">Projects</a></li>
-            <li><a class="shell__link" href="/about" data-analytics-event="nav_about">About</a></li>
-            <li><a class="shell__link" href="/contact" data-analytics-event="nav_contact">Contact</a></li>
+            <li><a class="shell__link" href="${escapeHtml(localizePageLink('/projects', locale))}" data-analytics-event="nav_projects">${t('nav.projects')}</a></li>
+            <li><a class="shell__link" href="${escapeHtml(localizePageLink('/about', locale))}" data-analytics-event="nav_about">${t('nav.about')}</a></li>
+            <li><a class="shell__link" href="${escapeHtml(localizePageLink('/contact', locale))}" data-analytics-event="nav_contact">${t('nav.contact')}</a></li>
+            ${languageLinks}
           </ul>
         </nav>
       </header>
+      ${previewBuild ? `<p class="shell__preview" role="note">${t('chrome.previewBuild')}</p>` : ''}
       <main id="main-content" tabindex="-1">
         ${body}
       </main>
@@ -497,51 +591,87 @@ function buildSimplePdf(lines) {
   return Buffer.concat(chunks);
 }
 
-rmSync('dist', { recursive: true, force: true });
-mkdirSync('dist', { recursive: true });
-mkdirSync(join('dist', 'assets'), { recursive: true });
-cpSync('assets', join('dist', 'assets'), { recursive: true });
-try {
-  cpSync('public/images', join('dist', 'images'), { recursive: true });
-} catch {
+function prepareDist() {
+  rmSync('dist', { recursive: true, force: true });
+  mkdirSync('dist', { recursive: true });
+  mkdirSync(join('dist', 'assets'), { recursive: true });
+  cpSync('assets', join('dist', 'assets'), { recursive: true });
   try {
-    cpSync('images', join('dist', 'images'), { recursive: true });
+    cpSync('public/images', join('dist', 'images'), { recursive: true });
   } catch {
-    // Optional images directory.
+    try {
+      cpSync('images', join('dist', 'images'), { recursive: true });
+    } catch {
+      // Optional images directory.
+    }
   }
-}
-try {
-  cpSync('public/admin', join('dist', 'admin'), { recursive: true });
-} catch {
   try {
-    cpSync('admin', join('dist', 'admin'), { recursive: true });
+    cpSync('public/admin', join('dist', 'admin'), { recursive: true });
   } catch {
-    // Admin directory should exist for CMS.
+    try {
+      cpSync('admin', join('dist', 'admin'), { recursive: true });
+    } catch {
+      // Admin directory should exist for CMS.
+    }
   }
-}
-writeFileSync(join('dist', 'assets', 'og.png'), buildDefaultOgPng());
-writeFileSync(join('dist', 'assets', 'shell.css'), `${SHELL_CSS}\n`);
-
-// Copy favicon files
-try {
-  cpSync('public/assets/favicon-32x32.png', join('dist', 'assets', 'favicon-32x32.png'));
-  cpSync('public/assets/favicon-16x16.png', join('dist', 'assets', 'favicon-16x16.png'));
-  cpSync('public/assets/apple-touch-icon.png', join('dist', 'assets', 'apple-touch-icon.png'));
-} catch {
-  // Favicon files are optional, create minimal ones
-  const faviconBuffer = Buffer.from(
-    'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==',
-    'base64'
+  writeFileSync(join('dist', 'assets', 'og.png'), buildDefaultOgPng());
+  writeFileSync(join('dist', 'assets', 'shell.css'), `${SHELL_CSS}\n`);
+  // The projects filter script shares its facet logic with the Next.js page.
+  writeFileSync(
+    join('dist', 'assets', 'project-facets.js'),
+    `(function (module) {\n${readFileSync('src/project-facets.js', 'utf8')}\nwindow.ProjectFacets = module.exports;\n})({ exports: {} });\n`
   );
-  writeFileSync(join('dist', 'assets', 'favicon-32x32.png'), faviconBuffer);
-  writeFileSync(join('dist', 'assets', 'favicon-16x16.png'), faviconBuffer);
-  writeFileSync(join('dist', 'assets', 'apple-touch-icon.png'), faviconBuffer);
+
+  // Copy favicon files
+  try {
+    cpSync('public/assets/favicon-32x32.png', join('dist', 'assets', 'favicon-32x32.png'));
+    cpSync('public/assets/favicon-16x16.png', join('dist', 'assets', 'favicon-16x16.png'));
+    cpSync('public/assets/apple-touch-icon.png', join('dist', 'assets', 'apple-touch-icon.png'));
+  } catch {
+    // Favicon files are optional, create minimal ones
+    const faviconBuffer = Buffer.from(
+      'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==',
+      'base64'
+    );
+    writeFileSync(join('dist', 'assets', 'favicon-32x32.png'), faviconBuffer);
+    writeFileSync(join('dist', 'assets', 'favicon-16x16.png'), faviconBuffer);
+    writeFileSync(join('dist', 'assets', 'apple-touch-icon.png'), faviconBuffer);
+  }
+}
+
+if (rebuildPlan.full) {
+  prepareDist();
 }
 
 const siteTitle = getSiteTitle();
 const featuredProject = projects[0] ?? null;
 const siteUrl = resolveSiteUrl(process.env);
-const sitemapLastmod = new Date().toISOString().slice(0, 10);
+
+// Per-entry Open Graph images live in public/og (served by Next.js too) and are
+// copied next to the static pages.
+const ogImages = generateOgImages(
+  toOgImageCards({ projects, blog }, { siteName: siteTitle, tagLabels })
+);
+if (!ogImages.available && ogImages.skipped.length > 0) {
+  console.warn(
+    `Skipped ${ogImages.skipped.length} Open Graph image(s): the "canvas" package is not usable here (run npm rebuild canvas). Pages fall back to /assets/og.png.`
+  );
+}
+if (existsSync(join('public', 'og'))) {
+  rmSync(join('dist', 'og'), { recursive: true, force: true });
+  cpSync(join('public', 'og'), join('dist', 'og'), { recursive: true });
+}
+const generatedOgImages = new Set(ogImages.images);
+
+function ogImageFor(collection, slug) {
+  const path = getOgImagePath(collection, slug);
+  return generatedOgImages.has(path) ? path : undefined;
+}
+
+// JSON-LD breadcrumbs below Home; paths end in "/" like the static pages' canonical URLs.
+function breadcrumbs(...crumbs) {
+  return buildBreadcrumbSchema(crumbs, { siteUrl });
+}
 
 function routePathnameForOutput(relativePath) {
   const normalized = String(relativePath).replaceAll('\\', '/');
@@ -554,22 +684,98 @@ function routePathnameForOutput(relativePath) {
   return `/${normalized}`;
 }
 
-function writePage(relativePath, { title, description, body, robots }) {
+function writePage(
+  relativePath,
+  {
+    title,
+    description,
+    body,
+    robots,
+    feeds,
+    scripts,
+    pagination,
+    ogImage,
+    structuredData,
+    locale,
+    alternates,
+  }
+) {
   const pathname = routePathnameForOutput(relativePath);
-  const document = buildHtmlDocument({ title, description, body, pathname, robots });
+  const document = buildHtmlDocument({
+    title,
+    description,
+    body,
+    pathname,
+    robots,
+    feeds,
+    scripts,
+    pagination,
+    ogImage,
+    structuredData,
+    locale,
+    alternates,
+  });
   const outputPath = join('dist', relativePath);
   mkdirSync(dirname(outputPath), { recursive: true });
   writeFileSync(outputPath, `${document}\n`);
 }
 
+// LOCALIZED_PAGES (home, contact and the resume) are translated through the
+// message catalogs (content/locales); every other locale gets them under /<locale>/.
+const locales = getLocales();
+const withTrailingSlash = path => (path.endsWith('/') ? path : `${path}/`);
+
+function localeAlternates(pathname) {
+  return getHreflangAlternates(pathname, locales).map(alternate => ({
+    ...alternate,
+    path: withTrailingSlash(alternate.path),
+  }));
+}
+
+// `pathname` is the default-locale page, e.g. "/contact/".
+function localizedPage(locale, pathname, messageKey) {
+  const t = createTranslator(locale);
+  return {
+    path: join(localizePath(pathname, locale).slice(1), 'index.html'),
+    pathname: withTrailingSlash(localizePath(pathname, locale)),
+    title: t(`pages.${messageKey}.title`),
+    description: t(`pages.${messageKey}.description`),
+    locale,
+    alternates: localeAlternates(pathname),
+  };
+}
+
+const localizedPages = locales.flatMap(locale => {
+  const home = localizedPage(locale, '/', 'home');
+  const contact = localizedPage(locale, '/contact/', 'contact');
+  const thanks = localizedPage(locale, '/contact/thanks/', 'contactThanks');
+  return [
+    {
+      ...home,
+      title: `${siteTitle} · ${home.title}`,
+      body: renderHomePage(featuredProject, undefined, { locale }),
+      structuredData: [
+        buildWebSiteSchema({
+          siteUrl,
+          siteName: siteTitle,
+          description:
+            'Data scientist specializing in machine learning, analytics, and production-ready data solutions.',
+        }),
+      ],
+      scopes: ['projects'],
+    },
+    { ...contact, title: `${siteTitle} · ${contact.title}`, body: renderContactPage({ locale }) },
+    {
+      ...thanks,
+      title: `${siteTitle} · ${thanks.title}`,
+      body: renderContactThanksPage({ locale }),
+      robots: 'noindex,follow',
+    },
+  ];
+});
+
 const staticPages = [
-  {
-    path: 'index.html',
-    title: `${siteTitle} · Home`,
-    description:
-      'Data science portfolio showcasing end-to-end machine learning projects from exploratory analysis to production-ready solutions with measurable business impact.',
-    body: renderHomePage(featuredProject),
-  },
+  ...localizedPages,
   {
     path: join('about', 'index.html'),
     title: `${siteTitle} · About`,
@@ -577,65 +783,210 @@ const staticPages = [
       "Discover Abigael Awino's expertise in data science, her technical strengths, professional background, and comprehensive toolkit for data-driven solutions.",
     body: renderAboutPage(),
   },
-  {
-    path: join('contact', 'index.html'),
-    title: `${siteTitle} · Contact`,
-    description:
-      'Contact Abigael Awino for data science collaborations via secure form or connect professionally on LinkedIn and GitHub for opportunities.',
-    body: renderContactPage(),
-  },
-  {
-    path: join('contact', 'thanks', 'index.html'),
-    title: `${siteTitle} · Message sent`,
-    description: 'Thanks for reaching out — your message has been sent.',
-    body: renderContactThanksPage(),
-    robots: 'noindex,follow',
-  },
   {
     path: join('projects', 'index.html'),
     title: `${siteTitle} · Projects`,
     description:
       'Explore comprehensive data science project case studies showcasing machine learning, analytics dashboards, and production-ready data systems with real impact.',
-    body: renderProjectsPage(projects),
+    body: renderProjectsPage(projects, { tagLabels }),
+    scripts: ['/assets/project-facets.js', '/assets/projects-filter.js'],
+    structuredData: [breadcrumbs({ name: 'Projects', path: '/projects/' })],
+    scopes: ['projects'],
   },
-  {
-    path: join('blog', 'index.html'),
-    title: `${siteTitle} · Blog`,
+  ...blogPages.map(pagination => ({
+    path: join(getBlogPagePath(pagination.page).slice(1), 'index.html'),
+    title:
+      pagination.page === 1
+        ? `${siteTitle} · Blog`
+        : `${siteTitle} · Blog · Page ${pagination.page}`,
     description:
       'Read technical insights on machine learning model monitoring, analytics implementation strategies, and production data engineering workflows.',
-    body: renderBlogIndexPage(blog),
+    body: renderBlogIndexPage(pagination.entries, { pagination, archives: blogArchives }),
+    // Directory URLs, matching the canonical links of the static pages.
+    pagination: {
+      previousPath: pagination.previousPath && `${pagination.previousPath}/`,
+      nextPath: pagination.nextPath && `${pagination.nextPath}/`,
+    },
+    structuredData: [
+      breadcrumbs(
+        { name: 'Blog', path: '/blog/' },
+        ...(pagination.page > 1
+          ? [{ name: `Page ${pagination.page}`, path: `${getBlogPagePath(pagination.page)}/` }]
+          : [])
+      ),
+    ],
+    scopes: ['blog'],
+  })),
+  ...blogArchivePages.map(archive => ({
+    path: join(archive.path.slice(1), 'index.html'),
+    title: `${siteTitle} · Blog · ${archive.title}`,
+    description: `Blog posts published in ${archive.title}.`,
+    body: renderBlogIndexPage(archive.posts, { archive }),
+    structuredData: [
+      breadcrumbs(
+        { name: 'Blog', path: '/blog/' },
+        { name: archive.year, path: `/blog/${archive.year}/` },
+        ...(archive.month ? [{ name: archive.title, path: `${archive.path}/` }] : [])
+      ),
+    ],
+    scopes: ['blog'],
+  })),
+  ...blogSeries.map(series => ({
+    path: join('blog', 'series', series.slug, 'index.html'),
+    title: `${siteTitle} · ${series.title}`,
+    description: `${series.title}: a ${series.posts.length}-part blog series, in reading order.`,
+    body: renderBlogIndexPage(series.posts, { series }),
+    ogImage: ogImageFor('blog', series.posts[0].slug),
+    structuredData: [
+      breadcrumbs(
+        { name: 'Blog', path: '/blog/' },
+        { name: series.title, path: `/blog/series/${series.slug}/` }
+      ),
+    ],
+    scopes: ['blog'],
+  })),
+  {
+    path: join('tags', 'index.html'),
+    title: `${siteTitle} · Topics`,
+    description: 'Browse every project case study and blog post by topic.',
+    body: renderTagIndexPage(tagPages),
+    structuredData: [breadcrumbs({ name: 'Topics', path: '/tags/' })],
+    scopes: ['projects', 'blog'],
   },
+  ...tagPages.map(tag => ({
+    path: join('tags', tag.slug, 'index.html'),
+    title: `${siteTitle} · ${tag.label}`,
+    description: tag.description || `Projects and posts about ${tag.label}.`,
+    body: renderTagPage(tag),
+    // Tags without posts have no per-tag feeds.
+    feeds:
+      tag.posts.length > 0
+        ? getTagFeeds(tag.slug, { siteName: siteTitle, label: tag.label })
+        : undefined,
+    structuredData: [
+      breadcrumbs(
+        { name: 'Topics', path: '/tags/' },
+        { name: tag.label, path: `/tags/${tag.slug}/` }
+      ),
+    ],
+    scopes: ['projects', 'blog'],
+  })),
 ];
 
-staticPages.forEach(page => writePage(page.path, page));
+const pagesToWrite = staticPages.filter(page => pageNeedsRebuild(page.scopes, rebuildPlan));
+pagesToWrite.forEach(page => writePage(page.path, page));
+
+// The resume's structured data lists the tech used across projects.
+if (pageNeedsRebuild(['projects'], rebuildPlan)) {
+  for (const locale of locales) {
+    const resume = localizedPage(locale, '/resume/', 'resume');
+    mkdirSync(join('dist', dirname(resume.path)), { recursive: true });
+    writeFileSync(
+      join('dist', resume.path),
+      buildHtmlDocument({
+        ...resume,
+        title: `${resume.title} · ${getSiteTitle()}`,
+        body: renderResumePage({}, { locale }),
+        structuredData: [
+          buildPersonSchema({ siteUrl, projects }),
+          breadcrumbs({ name: resume.title, path: resume.pathname }),
+        ],
+      })
+    );
+  }
 
-mkdirSync(join('dist', 'resume'), { recursive: true });
-writeFileSync(
-  join('dist', 'resume', 'index.html'),
-  buildHtmlDocument({
-    title: `Resume · ${getSiteTitle()}`,
-    description:
-      "Download Abigael Awino's professional resume and view a concise web summary of experience, skills, and qualifications in data science and machine learning.",
-    body: renderResumePage(),
-    pathname: '/resume/',
-  })
-);
+  const pdfBuffer = buildSimplePdf([
+    'Abigael Awino — Resume',
+    'Web summary: /resume/',
+    `PDF download path: ${DEFAULT_RESUME_ASSET_PATH}`,
+    'This PDF is auto-generated. Replace with a full resume as needed.',
+  ]);
+  writeFileSync(join('dist', 'resume', 'abigael-awino-resume.pdf'), pdfBuffer);
+}
 
-const pdfBuffer = buildSimplePdf([
-  'Abigael Awino — Resume',
-  'Web summary: /resume/',
-  `PDF download path: ${DEFAULT_RESUME_ASSET_PATH}`,
-  'This PDF is auto-generated. Replace with a full resume as needed.',
-]);
-writeFileSync(join('dist', 'resume', 'abigael-awino-resume.pdf'), pdfBuffer);
-
-const sitemapPaths = ['/', '/about/', '/contact/', '/projects/', '/blog/', '/resume/'];
-writeFileSync(
-  join('dist', 'sitemap.xml'),
-  buildSitemapXml({ siteUrl, paths: sitemapPaths, lastmod: sitemapLastmod })
+// Sitemap dates come from git (src/content-history.js): listings use their most
+// recently updated entry, other pages the last change to their renderer.
+const contentHistory = contentIndexes.history.entries;
+function lastUpdated({ projects: listedProjects = [], blog: listedPosts = [] }) {
+  return latestDate([
+    ...listedProjects.map(project => contentHistory.projects[project.slug]?.updated),
+    ...listedPosts.map(post => contentHistory.blog[post.slug]?.updated),
+  ]);
+}
+const TRANSLATED_PATHS = LOCALIZED_PAGES.map(withTrailingSlash);
+const sitemapPaths = [
+  {
+    path: '/',
+    lastmod: latestDate([readLastModified(['src/home.js']), lastUpdated({ projects })]),
+  },
+  { path: '/about/', lastmod: readLastModified(['src/about.js']) },
+  { path: '/contact/', lastmod: readLastModified(['src/contact.js']) },
+  { path: '/projects/', lastmod: lastUpdated({ projects }) },
+  ...blogPages.map(pagination => ({
+    path: `${getBlogPagePath(pagination.page)}/`,
+    lastmod: lastUpdated({ blog: pagination.entries }),
+  })),
+  ...blogArchivePages.map(archive => ({
+    path: `${archive.path}/`,
+    lastmod: lastUpdated({ blog: archive.posts }),
+  })),
+  ...blogSeries.map(series => ({
+    path: `/blog/series/${series.slug}/`,
+    lastmod: lastUpdated({ blog: series.posts }),
+  })),
+  { path: '/tags/', lastmod: lastUpdated({ projects, blog }) },
+  ...tagPages.map(tag => ({
+    path: `/tags/${tag.slug}/`,
+    lastmod: lastUpdated({ projects: tag.projects, blog: tag.posts }),
+  })),
+  { path: '/resume/', lastmod: readLastModified(['src/resume.js']) },
+].flatMap(entry =>
+  // Translated pages are listed once per locale, each pointing at the others.
+  TRANSLATED_PATHS.includes(entry.path)
+    ? locales.map(locale => ({
+        ...entry,
+        path: withTrailingSlash(localizePath(entry.path, locale)),
+        alternates: localeAlternates(entry.path),
+      }))
+    : [entry]
 );
+// Detail pages are only rendered by Next.js, so the static build has a single section.
+const sitemaps = buildSitemaps({ siteUrl, sections: { pages: sitemapPaths } });
+writeFileSync(join('dist', SITEMAP_INDEX_PATH), sitemaps.index);
+for (const sitemap of sitemaps.sitemaps) {
+  mkdirSync(join('dist', dirname(sitemap.path)), { recursive: true });
+  writeFileSync(join('dist', sitemap.path), sitemap.xml);
+}
 writeFileSync(join('dist', 'robots.txt'), buildRobotsTxt({ siteUrl, allowAll: true }));
 
+// Feeds never include drafts or scheduled posts, even in preview builds.
+if (pageNeedsRebuild(['blog'], rebuildPlan)) {
+  const feedFiles = buildFeedFiles({
+    siteUrl,
+    siteName: siteTitle,
+    posts: filterVisibleEntries(contentIndexes.blog),
+    history: contentHistory.blog,
+    tagLabels,
+  });
+  for (const feed of feedFiles) {
+    const outputPath = join('dist', ...feed.path.split('/'));
+    mkdirSync(dirname(outputPath), { recursive: true });
+    writeFileSync(outputPath, feed.contents);
+  }
+}
+
+// The search dialog fetches the index the content pipeline built for this build.
+if (pageNeedsRebuild(['projects', 'blog'], rebuildPlan)) {
+  writeFileSync(join('dist', SEARCH_INDEX_PATH), `${JSON.stringify(contentIndexes.searchIndex)}\n`);
+}
+
+if (!rebuildPlan.full) {
+  console.log(
+    `✅ Rebuilt ${pagesToWrite.length} page(s) for ${rebuildPlan.scopes.join(', ')} changes`
+  );
+  process.exit(0);
+}
+
 // Optimize for Netlify deployment
 addCompressionOptimization();
 
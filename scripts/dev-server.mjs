@@ -1,9 +1,22 @@
 import { createServer } from 'node:http';
-import { createReadStream, existsSync, statSync } from 'node:fs';
+import { createReadStream, existsSync, readFileSync, statSync } from 'node:fs';
+import { createRequire } from 'node:module';
 import { join, extname } from 'node:path';
 
+const require = createRequire(import.meta.url);
+const {
+  LIVE_RELOAD_CLIENT,
+  LIVE_RELOAD_CLIENT_PATH,
+  LIVE_RELOAD_EVENTS_PATH,
+  formatServerSentEvent,
+  injectLiveReloadScript,
+} = require('../src/dev-watch.js');
+
 const DIST_DIR = 'dist';
 const PORT = Number(process.env.PORT ?? 3000);
+// Live reload is on when scripts/dev.mjs starts the server with an IPC channel.
+const LIVE_RELOAD = typeof process.send === 'function' || process.env.LIVE_RELOAD === '1';
+const reloadClients = new Set();
 
 const MIME_MAP = {
   '.html': 'text/html; charset=utf-8',
@@ -54,7 +67,38 @@ function drainRequest(req) {
   });
 }
 
+function openReloadStream(req, res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.write('retry: 1000\n\n');
+  reloadClients.add(res);
+  req.on('close', () => reloadClients.delete(res));
+}
+
+function broadcastReload(detail) {
+  const message = formatServerSentEvent('reload', detail);
+  for (const client of reloadClients) {
+    client.write(message);
+  }
+}
+
 const server = createServer((req, res) => {
+  if (LIVE_RELOAD) {
+    const pathname = new URL(req.url, 'http://localhost').pathname;
+    if (pathname === LIVE_RELOAD_EVENTS_PATH) {
+      openReloadStream(req, res);
+      return;
+    }
+    if (pathname === LIVE_RELOAD_CLIENT_PATH) {
+      res.writeHead(200, { 'Content-Type': MIME_MAP['.js'], 'Cache-Control': 'no-cache' });
+      res.end(LIVE_RELOAD_CLIENT);
+      return;
+    }
+  }
+
   if (isContactFormPost(req)) {
     drainRequest(req).then(() => {
       res.writeHead(303, {
@@ -74,6 +118,12 @@ const server = createServer((req, res) => {
   }
 
   const contentType = MIME_MAP[extname(path)] ?? 'application/octet-stream';
+  if (LIVE_RELOAD && extname(path) === '.html') {
+    res.writeHead(200, { 'Content-Type': contentType, 'Cache-Control': 'no-cache' });
+    res.end(injectLiveReloadScript(readFileSync(path, 'utf8')));
+    return;
+  }
+
   res.writeHead(200, { 'Content-Type': contentType });
   const stream = createReadStream(path);
   stream.pipe(res);
@@ -83,4 +133,10 @@ server.on('listening', () => {
   console.log(`Dev server running at http://localhost:${PORT} serving ${DIST_DIR}/`);
 });
 
+process.on('message', message => {
+  if (LIVE_RELOAD && message?.type === 'reload') {
+    broadcastReload({ scopes: message.scopes ?? [] });
+  }
+});
+
 server.listen(PORT);
@@ -1,51 +1,83 @@
 import { spawn } from 'node:child_process';
 import chokidar from 'chokidar';
+import { createRequire } from 'node:module';
 import { fileURLToPath } from 'node:url';
 import { dirname } from 'node:path';
 
+const require = createRequire(import.meta.url);
+const { isBuildOutputPath, planRebuild } = require('../src/dev-watch.js');
+
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const buildScript = `${__dirname}/build.mjs`;
 const serverScript = `${__dirname}/dev-server.mjs`;
 
+// Editors often write a file several times in a row; batch those into one rebuild.
+const REBUILD_DELAY_MS = 100;
+
 let building = false;
-let pending = false;
+let pendingPaths = new Set();
+let flushTimer = null;
+let server = null;
 
-function runBuild() {
-  if (building) {
-    pending = true;
-    return Promise.resolve();
-  }
+function runBuild(changedPaths = []) {
+  const plan = changedPaths.length > 0 ? planRebuild(changedPaths) : { full: true, scopes: [] };
+  const args = plan.full
+    ? [buildScript]
+    : [buildScript, ...changedPaths.map(p => `--changed=${p}`)];
 
   building = true;
   return new Promise((resolve, reject) => {
-    const child = spawn(process.execPath, [buildScript], { stdio: 'inherit' });
+    const child = spawn(process.execPath, args, { stdio: 'inherit' });
     child.on('exit', code => {
       building = false;
       if (code === 0) {
-        resolve();
+        resolve(plan);
       } else {
-        pending = false;
         reject(new Error(`build exited with ${code}`));
       }
-      if (pending) {
-        pending = false;
-        runBuild();
-      }
     });
     child.on('error', err => {
       building = false;
-      pending = false;
       reject(err);
     });
   });
 }
 
+function flushChanges() {
+  flushTimer = null;
+  if (building || pendingPaths.size === 0) {
+    return;
+  }
+
+  const changedPaths = [...pendingPaths];
+  pendingPaths = new Set();
+
+  runBuild(changedPaths)
+    .then(plan => {
+      server?.send({ type: 'reload', scopes: plan.scopes });
+    })
+    .catch(error => {
+      console.error('Rebuild failed:', error);
+    })
+    .finally(() => {
+      // Files saved while the build ran are picked up by the next pass.
+      if (pendingPaths.size > 0) {
+        scheduleFlush();
+      }
+    });
+}
+
+function scheduleFlush() {
+  clearTimeout(flushTimer);
+  flushTimer = setTimeout(flushChanges, REBUILD_DELAY_MS);
+}
+
 async function main() {
   await runBuild();
 
-  const server = spawn(process.execPath, [serverScript], {
-    stdio: 'inherit',
+  server = spawn(process.execPath, [serverScript], {
+    stdio: ['inherit', 'inherit', 'inherit', 'ipc'],
     env: {
       ...process.env,
       PORT: process.env.PORT ?? '3000',
@@ -54,18 +86,17 @@ async function main() {
 
   const watcher = chokidar.watch(['src', 'content', 'assets', 'scripts'], {
     ignoreInitial: true,
+    ignored: isBuildOutputPath,
   });
 
-  const scheduleBuild = () => {
-    runBuild().catch(error => {
-      console.error('Rebuild failed:', error);
-    });
-  };
-
-  watcher.on('all', scheduleBuild);
+  watcher.on('all', (_event, filePath) => {
+    pendingPaths.add(filePath);
+    scheduleFlush();
+  });
 
   const cleanUp = () => {
     watcher.close();
+    clearTimeout(flushTimer);
     if (!server.killed) {
       server.kill();
     }
@@ -1,10 +1,76 @@
+import { mkdirSync, writeFileSync } from 'node:fs';
 import { createRequire } from 'node:module';
-import { join } from 'node:path';
+import { dirname, join } from 'node:path';
 
 const require = createRequire(import.meta.url);
 const { generateContentIndexes } = require('../src/content.js');
+const { DEFAULT_LOCALE, getLocales } = require('../src/i18n.js');
+const {
+  buildContentReport,
+  formatGithubAnnotations,
+  formatIssuesText,
+} = require('../src/content-report.js');
+
+// Usage: node scripts/generate-content-index.mjs [--format=text|json|github] [--report=<path>]
+function readOption(name) {
+  const prefix = `--${name}=`;
+  const arg = process.argv.slice(2).find(value => value.startsWith(prefix));
+  return arg ? arg.slice(prefix.length) : null;
+}
+
+const format = readOption('format') ?? (process.env.GITHUB_ACTIONS === 'true' ? 'github' : 'text');
+const reportPath = readOption('report');
 
 const outputDir = join('src', 'generated');
-const { projects, blog } = generateContentIndexes({ outputDir });
+const { projects, blog, history, issues, changes, written, stats } = generateContentIndexes({
+  outputDir,
+  validate: true,
+});
+const report = buildContentReport(issues);
+
+if (reportPath) {
+  mkdirSync(dirname(reportPath), { recursive: true });
+  writeFileSync(reportPath, `${JSON.stringify(report, null, 2)}\n`);
+}
+
+if (format === 'json') {
+  console.log(JSON.stringify(report, null, 2));
+} else if (!report.valid) {
+  if (format === 'github') {
+    console.log(formatGithubAnnotations(issues));
+  }
+  console.error(
+    `Content validation failed: ${report.errorCount} error(s) in ${report.fileCount} file(s).`
+  );
+  console.error(formatIssuesText(issues));
+} else {
+  console.log(`Generated content indexes: ${projects.length} projects, ${blog.length} blog posts.`);
+  console.log(`Parsed ${stats.parsed} file(s), reused ${stats.cached} from cache.`);
+  // Untranslated entries are not errors: they are shown in the default locale.
+  for (const locale of getLocales().slice(1)) {
+    const translated = entries => entries.filter(entry => entry.translations?.[locale]).length;
+    console.log(
+      `  ${locale}: ${translated(projects)}/${projects.length} projects and ${translated(blog)}/${blog.length} blog posts translated; the rest fall back to ${DEFAULT_LOCALE}.`
+    );
+  }
+  for (const [collection, diff] of Object.entries(changes)) {
+    const summary = ['added', 'changed', 'removed']
+      .filter(kind => diff[kind].length > 0)
+      .map(kind => `${kind} ${diff[kind].join(', ')}`);
+    if (summary.length > 0) {
+      console.log(`  ${collection}: ${summary.join('; ')}`);
+    }
+  }
+  if (history?.shallow) {
+    console.log(
+      '  Shallow git clone: dates older than the clone come from frontmatter; fetch the full history for exact created/updated dates.'
+    );
+  }
+  if (written.length === 0) {
+    console.log('Indexes unchanged; nothing written.');
+  }
+}
 
-console.log(`Generated content indexes: ${projects.length} projects, ${blog.length} blog posts.`);
+if (!report.valid) {
+  process.exit(1);
+}
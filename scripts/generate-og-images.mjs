@@ -0,0 +1,33 @@
+import { readFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const { getSiteTitle } = require('../src/index.js');
+const { TAGS_FILE, createTagRegistry } = require('../src/content-tags.js');
+const { filterVisibleEntries, isPreviewMode } = require('../src/publishing.js');
+const { generateOgImages, toOgImageCards } = require('../src/og-images.js');
+
+// Usage: node scripts/generate-og-images.mjs (after generate:content; reads src/generated)
+const preview = isPreviewMode(process.env);
+const projects = filterVisibleEntries(require('../src/generated/projects-index.json'), { preview });
+const blog = filterVisibleEntries(require('../src/generated/blog-index.json'), { preview });
+const { tags } = createTagRegistry(JSON.parse(readFileSync(TAGS_FILE, 'utf8')));
+
+const cards = toOgImageCards(
+  { projects, blog },
+  {
+    siteName: getSiteTitle(),
+    tagLabels: Object.fromEntries(tags.map(tag => [tag.slug, tag.label])),
+  }
+);
+const { available, written, reused, skipped } = generateOgImages(cards);
+
+if (!available) {
+  console.warn(
+    `Skipped ${skipped.length} Open Graph image(s): the "canvas" package is not usable here (run npm rebuild canvas). Pages fall back to /assets/og.png.`
+  );
+} else {
+  console.log(
+    `Open Graph images: drew ${written.length}, reused ${reused.length} unchanged (public/og).`
+  );
+}
@@ -0,0 +1,135 @@
+/**
+ * Blog pagination (`/blog`, `/blog/page/2`, ...) and date archives (`/blog/2026`,
+ * `/blog/2026/02`), shared by the Next.js routes and scripts/build.mjs. Pass
+ * entries that are already filtered for visibility and sorted newest first.
+ */
+
+const BLOG_PAGE_SIZE = 10;
+
+const MONTH_NAMES = [
+  'January',
+  'February',
+  'March',
+  'April',
+  'May',
+  'June',
+  'July',
+  'August',
+  'September',
+  'October',
+  'November',
+  'December',
+];
+
+// These share a URL segment with post slugs, so no post may use them.
+const RESERVED_BLOG_SLUG = /^(?:page|series|\d{4})$/;
+
+function getBlogPagePath(page) {
+  return page <= 1 ? '/blog' : `/blog/page/${page}`;
+}
+
+function getBlogArchivePath(year, month) {
+  return month ? `/blog/${year}/${month}` : `/blog/${year}`;
+}
+
+function getBlogPageCount(entries, pageSize = BLOG_PAGE_SIZE) {
+  return Math.max(1, Math.ceil(entries.length / pageSize));
+}
+
+/**
+ * One page of the blog index with the paths of its neighbours, or null when
+ * `page` is out of range. Page 1 is `/blog` itself.
+ * @template T
+ * @param {T[]} entries
+ * @returns {{ page: number, pageCount: number, entries: T[], previousPath: string | null, nextPath: string | null } | null}
+ */
+function paginateBlogEntries(entries, page, pageSize = BLOG_PAGE_SIZE) {
+  const pageCount = getBlogPageCount(entries, pageSize);
+  if (!Number.isInteger(page) || page < 1 || page > pageCount) {
+    return null;
+  }
+
+  return {
+    page,
+    pageCount,
+    entries: entries.slice((page - 1) * pageSize, page * pageSize),
+    previousPath: page > 1 ? getBlogPagePath(page - 1) : null,
+    nextPath: page < pageCount ? getBlogPagePath(page + 1) : null,
+  };
+}
+
+/**
+ * Entries grouped by year and month, newest first. `month` is zero-padded
+ * ("02") as it appears in archive URLs.
+ * @template {{ frontmatter: { date: string } }} T
+ * @param {T[]} entries
+ * @returns {Array<{ year: string, title: string, path: string, posts: T[], months: Array<{ year: string, month: string, title: string, path: string, posts: T[] }> }>}
+ */
+function groupBlogArchives(entries) {
+  const years = new Map();
+
+  for (const entry of entries) {
+    const match = /^(\d{4})-(\d{2})/.exec(String(entry.frontmatter.date));
+    if (!match) {
+      continue;
+    }
+    const [, year, month] = match;
+    if (!years.has(year)) {
+      years.set(year, { year, title: year, path: getBlogArchivePath(year), posts: [], months: [] });
+    }
+    const archive = years.get(year);
+    archive.posts.push(entry);
+
+    let monthArchive = archive.months.find(item => item.month === month);
+    if (!monthArchive) {
+      monthArchive = {
+        year,
+        month,
+        title: `${MONTH_NAMES[Number(month) - 1]} ${year}`,
+        path: getBlogArchivePath(year, month),
+        posts: [],
+      };
+      archive.months.push(monthArchive);
+    }
+    monthArchive.posts.push(entry);
+  }
+
+  return [...years.values()]
+    .map(archive => ({
+      ...archive,
+      months: archive.months.sort((a, b) => b.month.localeCompare(a.month)),
+    }))
+    .sort((a, b) => b.year.localeCompare(a.year));
+}
+
+/** The year archive, or one of its months when `month` is given; null if empty. */
+function findBlogArchive(archives, year, month) {
+  const archive = archives.find(item => item.year === year);
+  if (!archive || !month) {
+    return archive ?? null;
+  }
+  return archive.months.find(item => item.month === month) ?? null;
+}
+
+/** Posts whose slug would collide with a pagination, series, or archive URL. */
+function findReservedBlogSlugs(entries) {
+  return entries
+    .filter(entry => RESERVED_BLOG_SLUG.test(entry.slug))
+    .map(entry => ({
+      slug: entry.slug,
+      field: 'slug',
+      message: `slug "${entry.slug}" clashes with the blog's page, series, or archive URLs`,
+      hint: 'Rename the file to a descriptive slug, e.g. "model-monitoring-lessons.mdx"',
+    }));
+}
+
+module.exports = {
+  BLOG_PAGE_SIZE,
+  findBlogArchive,
+  findReservedBlogSlugs,
+  getBlogArchivePath,
+  getBlogPageCount,
+  getBlogPagePath,
+  groupBlogArchives,
+  paginateBlogEntries,
+};
@@ -9,8 +9,22 @@ function renderTags(tags, className) {
   return tags.map(tag => `<li class="${className}">${escapeHtml(tag)}</li>`).join('');
 }
 
-function renderBlogCard(post) {
-  const tagBadges = (post.tags || [])
+// Accepts content index entries (`{ slug, frontmatter }`) as well as flat post objects.
+function getBlogPostMeta(post) {
+  const frontmatter = post.frontmatter || {};
+  return {
+    ...post,
+    title: frontmatter.title || post.title || 'Untitled Post',
+    summary: frontmatter.summary || post.summary || '',
+    date: frontmatter.date || post.date || '',
+    tags: frontmatter.tags || post.tags || [],
+    readingTime: post.readingTime || frontmatter.readingTime,
+  };
+}
+
+function renderBlogCard(entry) {
+  const post = getBlogPostMeta(entry);
+  const tagBadges = post.tags
     .map(tag => `<span class="badge badge-secondary">${escapeHtml(tag)}</span>`)
     .join('');
 
@@ -45,16 +59,113 @@ function renderBlogCard(post) {
   `.trim();
 }
 
-function renderBlogIndexPage(posts) {
-  const cards = posts.map(renderBlogCard).join('\n');
+function renderSeriesCards(posts) {
+  const items = posts
+    .map(
+      (post, index) => `
+          <li class="space-y-2">
+            <span class="text-sm text-muted-foreground">Part ${index + 1}</span>
+            ${renderBlogCard(post)}
+          </li>`
+    )
+    .join('');
+
+  return `<ol class="space-y-6" data-blog-series-parts>${items}</ol>`;
+}
+
+function renderBlogPagination({ page, pageCount, previousPath, nextPath }) {
+  if (pageCount <= 1) {
+    return '';
+  }
 
   return `
-    <div class="container space-y-8">
-      <div class="text-center space-y-4">
+      <nav class="flex items-center justify-between gap-4" aria-label="Blog pages" data-blog-pagination>
+        ${previousPath ? `<a class="button button-outline" href="${escapeHtml(previousPath)}" rel="prev">← Newer posts</a>` : '<span></span>'}
+        <span class="text-sm text-muted-foreground">Page ${page} of ${pageCount}</span>
+        ${nextPath ? `<a class="button button-outline" href="${escapeHtml(nextPath)}" rel="next">Older posts →</a>` : '<span></span>'}
+      </nav>`;
+}
+
+function renderBlogArchiveNav(archives) {
+  if (archives.length === 0) {
+    return '';
+  }
+
+  const years = archives
+    .map(archive => {
+      const months = archive.months
+        .map(
+          month =>
+            `<li><a href="${escapeHtml(month.path)}">${escapeHtml(month.title)}</a> (${month.posts.length})</li>`
+        )
+        .join('');
+      return `
+          <li>
+            <a class="font-semibold" href="${escapeHtml(archive.path)}">${escapeHtml(archive.title)}</a> (${archive.posts.length})
+            <ul class="flex flex-wrap gap-x-4 text-sm">${months}</ul>
+          </li>`;
+    })
+    .join('');
+
+  return `
+      <nav class="card" aria-label="Blog archive" data-blog-archive-nav>
+        <div class="card-content space-y-2">
+          <h2 class="text-lg font-semibold">Archive</h2>
+          <ul class="space-y-2">${years}
+          </ul>
+        </div>
+      </nav>`;
+}
+
+function renderBlogIndexHeader(posts, { series, archive, pagination }) {
+  if (series) {
+    return `
+        <p class="text-sm text-muted-foreground">Blog series</p>
+        <h1 class="text-3xl md:text-4xl font-bold tracking-tight">${escapeHtml(series.title)}</h1>
+        <p class="text-xl text-muted-foreground max-w-2xl mx-auto">
+          ${posts.length} posts, meant to be read in order.
+        </p>`;
+  }
+  if (archive) {
+    return `
+        <p class="text-sm text-muted-foreground">Blog archive</p>
+        <h1 class="text-3xl md:text-4xl font-bold tracking-tight">${escapeHtml(archive.title)}</h1>
+        <p class="text-xl text-muted-foreground max-w-2xl mx-auto">
+          ${posts.length} post${posts.length === 1 ? '' : 's'} published in ${escapeHtml(archive.title)}.
+        </p>`;
+  }
+  const pageLabel =
+    pagination && pagination.page > 1
+      ? `
+        <p class="text-sm text-muted-foreground">Page ${pagination.page} of ${pagination.pageCount}</p>`
+      : '';
+  return `
         <h1 class="text-3xl md:text-4xl font-bold tracking-tight">Blog</h1>
         <p class="text-xl text-muted-foreground max-w-2xl mx-auto">
           Read notes on model monitoring, analytics implementation, and production workflows.
-        </p>
+        </p>${pageLabel}`;
+}
+
+/**
+ * Renders the blog index, or with `{ series: { slug, title } }` the landing page
+ * of one series; `posts` must then be that series' parts in reading order.
+ * `{ archive: { year, month?, title } }` renders a date archive instead. On the
+ * index, `pagination` (from `paginateBlogEntries`, src/blog-archive.js) adds
+ * older/newer links and `archives` (from `groupBlogArchives`) the archive list.
+ */
+function renderBlogIndexPage(posts, options = {}) {
+  const { series, archive, pagination, archives = [] } = options;
+  const cards = posts.map(renderBlogCard).join('\n');
+  const header = renderBlogIndexHeader(posts, { series, archive, pagination });
+  const dataAttribute = series
+    ? ` data-blog-series="${escapeHtml(series.slug)}"`
+    : archive
+      ? ` data-blog-archive="${escapeHtml(archive.month ? `${archive.year}-${archive.month}` : archive.year)}"`
+      : '';
+
+  return `
+    <div class="container space-y-8"${dataAttribute}>
+      <div class="text-center space-y-4">${header}
       </div>
 
       ${
@@ -66,22 +177,89 @@ function renderBlogIndexPage(posts) {
           </div>
         </div>
       `
-          : `
+          : series
+            ? renderSeriesCards(posts)
+            : `
         <div class="grid gap-6 md:grid-cols-2">
           ${cards}
         </div>
       `
       }
+      ${pagination ? renderBlogPagination(pagination) : ''}
+      ${renderBlogArchiveNav(archives)}
 
       <div class="text-center">
-        <a class="button button-outline" href="/">
-          ← Back to Home
+        <a class="button button-outline" href="${series || archive ? '/blog' : '/'}">
+          ← Back to ${series || archive ? 'Blog' : 'Home'}
         </a>
       </div>
     </div>
   `.trim();
 }
 
+function renderRelatedProjects(projects) {
+  if (!Array.isArray(projects) || projects.length === 0) {
+    return '';
+  }
+
+  const links = projects
+    .map(
+      project =>
+        `<li><a href="/projects/${escapeHtml(project.slug)}">${escapeHtml(project.title)}</a></li>`
+    )
+    .join('');
+
+  return `
+      <aside class="card" aria-label="Related case studies" data-related-projects>
+        <div class="card-content space-y-2">
+          <h2 class="text-lg font-semibold">Part of the case study</h2>
+          <ul>${links}</ul>
+        </div>
+      </aside>
+  `;
+}
+
+function renderSeriesContents(series) {
+  const items = series.posts
+    .map((part, index) =>
+      index === series.index
+        ? `<li aria-current="page"><strong>${escapeHtml(part.title)}</strong></li>`
+        : `<li><a href="/blog/${escapeHtml(part.slug)}">${escapeHtml(part.title)}</a></li>`
+    )
+    .join('');
+
+  return `
+      <aside class="card" aria-label="Series: ${escapeHtml(series.title)}" data-blog-series-contents>
+        <div class="card-content space-y-2">
+          <p class="text-sm text-muted-foreground">
+            Part ${series.index + 1} of ${series.posts.length} in
+            <a href="/blog/series/${escapeHtml(series.slug)}">${escapeHtml(series.title)}</a>
+          </p>
+          <ol>${items}</ol>
+        </div>
+      </aside>
+  `;
+}
+
+function renderSeriesPager(series) {
+  const previous = series.posts[series.index - 1];
+  const next = series.posts[series.index + 1];
+  if (!previous && !next) {
+    return '';
+  }
+
+  return `
+      <nav class="flex justify-between gap-4" aria-label="More in ${escapeHtml(series.title)}" data-blog-series-pager>
+        ${previous ? `<a href="/blog/${escapeHtml(previous.slug)}" rel="prev">← ${escapeHtml(previous.title)}</a>` : '<span></span>'}
+        ${next ? `<a href="/blog/${escapeHtml(next.slug)}" rel="next">${escapeHtml(next.title)} →</a>` : ''}
+      </nav>
+  `;
+}
+
+/**
+ * `post.series`, when set, is `{ slug, title, index, posts: [{ slug, title }] }`
+ * and adds the series table of contents and previous/next-in-series links.
+ */
 function renderBlogPostPage(post, mdxMarkup = '') {
   const tags = Array.isArray(post.tags) ? post.tags : [];
   const tagBadges = tags
@@ -114,6 +292,7 @@ function renderBlogPostPage(post, mdxMarkup = '') {
         </div>
       </div>
 
+      ${post.series ? renderSeriesContents(post.series) : ''}
       ${
         mdxMarkup
           ? `
@@ -127,7 +306,8 @@ function renderBlogPostPage(post, mdxMarkup = '') {
       `
           : ''
       }
-
+      ${post.series ? renderSeriesPager(post.series) : ''}
+      ${renderRelatedProjects(post.relatedProjects)}
       <div class="text-center">
         <a class="button button-outline" href="/blog">
           ← Back to Blog
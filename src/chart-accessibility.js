@@ -0,0 +1,246 @@
+/**
+ * Text alternatives for charts: the accessible name, a plain-language summary
+ * (trend, extremes, notable changes), the data table behind the drawing, and
+ * a colorblind-safe palette. Chart components render these, so a chart with a
+ * picture always has words and numbers too. No Node APIs here.
+ */
+
+// Okabe & Ito's palette, distinguishable with every common color vision deficiency.
+const COLORBLIND_PALETTE = [
+  '#0072B2',
+  '#E69F00',
+  '#009E73',
+  '#CC79A7',
+  '#56B4E9',
+  '#D55E00',
+  '#F0E442',
+  '#000000',
+];
+// Viridis, light to dark, for maps.
+const COLORBLIND_SCALE = [
+  [0, '#fde725'],
+  [0.5, '#21918c'],
+  [1, '#440154'],
+];
+
+const TYPE_LABELS = {
+  bar: 'Bar chart',
+  line: 'Line chart',
+  area: 'Area chart',
+  pie: 'Pie chart',
+  choropleth: 'Map',
+  table: 'Table',
+};
+// A step this many times the average step is called out as a notable change.
+const NOTABLE_CHANGE = 2;
+const MAX_NOTABLE_CHANGES = 2;
+const MAX_SERIES_SUMMARIES = 4;
+
+function formatNumber(value) {
+  return value.toLocaleString('en-US', { maximumFractionDigits: 2 });
+}
+
+// The category and value channels of a chart, whatever its type calls them.
+function chartChannels(chart) {
+  const { encoding = {} } = chart;
+  return {
+    label: encoding.x ?? encoding.label ?? encoding.location,
+    value: encoding.y ?? encoding.value,
+    series: encoding.series,
+  };
+}
+
+function channelName(channel) {
+  return channel.title ?? channel.field;
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * The data points a chart draws, in order, for keyboard navigation and
+ * summaries. Rows without a numeric value are skipped.
+ */
+function chartPoints(chart, rows) {
+  const { label, value, series } = chartChannels(chart);
+  if (!label || !value) {
+    return [];
+  }
+  return rows
+    .map(row => ({
+      label: String(row[label.field]),
+      value: Number(row[value.field]),
+      ...(series ? { series: String(row[series.field]) } : {}),
+    }))
+    .filter(point => Number.isFinite(point.value));
+}
+
+/** One point as read aloud, e.g. `2021, F: 60.57`. */
+function describePoint(point) {
+  return `${point.label}${point.series ? `, ${point.series}` : ''}: ${formatNumber(point.value)}`;
+}
+
+function extremes(points) {
+  return points.reduce(
+    ({ min, max }, point) => ({
+      min: point.value < min.value ? point : min,
+      max: point.value > max.value ? point : max,
+    }),
+    { min: points[0], max: points[0] }
+  );
+}
+
+// Trend, range, and the steps much larger than the rest, for points in x order.
+function describeOrdered(points, valueName) {
+  const first = points[0];
+  const last = points[points.length - 1];
+  const { min, max } = extremes(points);
+  const change = last.value - first.value;
+  const direction =
+    max.value === min.value || Math.abs(change) <= (max.value - min.value) * 0.1
+      ? 'stays roughly flat'
+      : change > 0
+        ? 'rises'
+        : 'falls';
+  const sentences = [
+    `${capitalize(valueName)} ${direction} from ${formatNumber(first.value)} (${first.label}) to ${formatNumber(last.value)} (${last.label}).`,
+    `Lowest ${formatNumber(min.value)} (${min.label}); highest ${formatNumber(max.value)} (${max.label}).`,
+  ];
+
+  const steps = points.slice(1).map((point, index) => ({
+    from: points[index],
+    to: point,
+    change: point.value - points[index].value,
+  }));
+  const averageStep =
+    steps.reduce((total, step) => total + Math.abs(step.change), 0) / steps.length;
+  const notable = steps
+    .filter(step => steps.length > 2 && Math.abs(step.change) >= averageStep * NOTABLE_CHANGE)
+    .sort((a, b) => Math.abs(b.change) - Math.abs(a.change))
+    .slice(0, MAX_NOTABLE_CHANGES);
+  if (notable.length > 0) {
+    const changes = notable.map(
+      step =>
+        `${step.change > 0 ? '+' : ''}${formatNumber(step.change)} from ${step.from.label} to ${step.to.label}`
+    );
+    sentences.push(`Notable change${notable.length > 1 ? 's' : ''}: ${changes.join('; ')}.`);
+  }
+  return sentences;
+}
+
+function describeCategories(points, chart) {
+  const { min, max } = extremes(points);
+  const sentences = [
+    `Highest ${max.label} (${formatNumber(max.value)}); lowest ${min.label} (${formatNumber(min.value)}).`,
+  ];
+  if (chart.type === 'pie') {
+    const total = points.reduce((sum, point) => sum + point.value, 0);
+    if (total > 0) {
+      sentences.push(`${max.label} is ${formatNumber((max.value / total) * 100)}% of the total.`);
+    }
+  }
+  return sentences;
+}
+
+/**
+ * A plain-language summary of what a chart shows: for ordered x values
+ * (years, line charts) the trend, range, and notable changes; otherwise the
+ * highest and lowest categories. Series are summarized one by one.
+ */
+function summarizeChart(chart, rows) {
+  const typeLabel = TYPE_LABELS[chart.type] ?? 'Chart';
+  if (chart.type === 'table') {
+    const columns = (chart.columns ?? []).map(column => column.title ?? column.field);
+    return `${typeLabel} with ${rows.length} row${rows.length === 1 ? '' : 's'}: ${columns.join(', ')}.`;
+  }
+
+  const { label, value, series } = chartChannels(chart);
+  const points = chartPoints(chart, rows);
+  if (!label || !value || points.length === 0) {
+    return `${typeLabel} with no data.`;
+  }
+
+  const valueName = channelName(value);
+  const ordered =
+    chart.type === 'line' || chart.type === 'area' || chart.types?.[label.field] === 'number';
+  const describe = groupPoints =>
+    ordered && groupPoints.length > 1
+      ? describeOrdered(groupPoints, valueName)
+      : describeCategories(groupPoints, chart);
+  const intro = `${typeLabel} of ${valueName} by ${channelName(label)}${series ? ` and ${channelName(series)}` : ''}, ${points.length} points.`;
+
+  if (!series) {
+    return [intro, ...describe(points)].join(' ');
+  }
+  const groups = [...new Set(points.map(point => point.series))];
+  const summaries = groups
+    .slice(0, MAX_SERIES_SUMMARIES)
+    .map(
+      group => `${group}: ${describe(points.filter(point => point.series === group)).join(' ')}`
+    );
+  if (groups.length > MAX_SERIES_SUMMARIES) {
+    summaries.push(`${groups.length - MAX_SERIES_SUMMARIES} more series in the data table.`);
+  }
+  return [intro, ...summaries].join(' ');
+}
+
+/**
+ * Everything a chart needs besides its drawing: the accessible `name`, the
+ * `summary`, and the `columns` and `rows` of its data table.
+ */
+function chartFallback(chart, rows) {
+  const { label, value, series } = chartChannels(chart);
+  const channels = [label, series, value].filter(Boolean);
+  const columns =
+    chart.type === 'table' || channels.length < 2
+      ? (chart.columns ?? [])
+      : channels.map(channel => ({ field: channel.field, title: channel.title }));
+  return {
+    name: chart.title,
+    summary: summarizeChart(chart, rows),
+    columns,
+    rows,
+  };
+}
+
+function paletteScale(values) {
+  return Object.fromEntries(
+    values.map((value, index) => [value, COLORBLIND_PALETTE[index % COLORBLIND_PALETTE.length]])
+  );
+}
+
+/** The chart spec with its colors swapped for COLORBLIND_PALETTE. */
+function colorblindChart(chart) {
+  const { encoding } = chart;
+  const { color, series } = encoding;
+  const seriesValues = series
+    ? Object.keys(series.scale ?? {}).length > 0
+      ? Object.keys(series.scale)
+      : [...new Set(chart.rows.map(row => String(row[series.field])))]
+    : [];
+  return {
+    ...chart,
+    encoding: {
+      ...encoding,
+      ...(color
+        ? {
+            color: color.field
+              ? { ...color, scale: paletteScale(Object.keys(color.scale ?? {})) }
+              : { ...color, value: COLORBLIND_PALETTE[0] },
+          }
+        : {}),
+      ...(series ? { series: { ...series, scale: paletteScale(seriesValues) } } : {}),
+    },
+  };
+}
+
+module.exports = {
+  COLORBLIND_PALETTE,
+  COLORBLIND_SCALE,
+  chartFallback,
+  chartPoints,
+  colorblindChart,
+  describePoint,
+  summarizeChart,
+};
@@ -0,0 +1,448 @@
+/**
+ * Declarative chart specs for project pages.
+ *
+ * A project's charts live in content/data/<slug>/: its datasets (CSV or JSON)
+ * and a charts.json that maps page sections (see CHART_SECTIONS) to a title,
+ * optional KPI cards, an optional control (a year slider, generation tabs),
+ * and a list of chart specs:
+ *
+ *   { "type": "line", "title": "…", "caption": "…", "data": "births.csv",
+ *     "encoding": { "x": { "field": "year" }, "y": { "field": "births" } } }
+ *
+ * checkChartSpecs validates every spec against its dataset in the issue format
+ * of src/content.js; loadProjectCharts resolves the specs with their rows for
+ * components/project-charts.tsx.
+ */
+const { existsSync, readFileSync, readdirSync } = require('node:fs');
+const { extname, join } = require('node:path');
+const { DATASET_EXTENSIONS, DATA_DIR, readDataset } = require('./datasets.js');
+const { transformRows } = require('./data-transforms.js');
+const { findFieldPosition, locateFields } = require('./field-positions.js');
+
+const CHARTS_FILE = 'charts.json';
+
+// Sections of the project page's Visualizations panel, in display order.
+const CHART_SECTIONS = ['interactive', 'generation', 'notebook'];
+const CONTROL_TYPES = ['slider', 'tabs'];
+
+// Encoding channels per chart type; `numeric` channels need a number column.
+const CHART_TYPES = {
+  bar: { required: ['x', 'y'], optional: ['color', 'series'], numeric: ['y'] },
+  line: { required: ['x', 'y'], optional: ['color', 'series'], numeric: ['y'] },
+  area: { required: ['x', 'y'], optional: ['color'], numeric: ['y'] },
+  pie: { required: ['label', 'value'], optional: [], numeric: ['value'] },
+  choropleth: { required: ['location', 'value'], optional: [], numeric: ['value'] },
+  table: { required: [], optional: [], numeric: [] },
+};
+
+const SECTION_KEYS = ['title', 'kpis', 'control', 'charts'];
+const CHART_KEYS = [
+  'type',
+  'title',
+  'caption',
+  'data',
+  'encoding',
+  'columns',
+  'filter',
+  'sort',
+  'limit',
+  'controlled',
+  'rules',
+  'height',
+];
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function listChartDirectories(dataDir) {
+  if (!existsSync(dataDir)) {
+    return [];
+  }
+  return readdirSync(dataDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && existsSync(join(dataDir, entry.name, CHARTS_FILE)))
+    .map(entry => entry.name)
+    .sort();
+}
+
+/**
+ * Validates one project's charts.json and the datasets it references.
+ * Returns `{ spec, datasets, issues }`; `spec` is null when the file does not parse.
+ */
+function inspectChartSpecs(projectDir) {
+  const file = join(projectDir, CHARTS_FILE);
+  const source = readFileSync(file, 'utf8');
+  const issues = [];
+
+  let spec;
+  try {
+    spec = JSON.parse(source);
+  } catch (error) {
+    issues.push({
+      file,
+      line: 1,
+      column: 1,
+      field: null,
+      message: `Invalid JSON: ${error.message}`,
+      hint: 'Check for trailing commas and unquoted keys',
+    });
+    return { spec: null, datasets: {}, issues };
+  }
+
+  const positions = locateFields(source);
+  const report = (field, message, hint) =>
+    issues.push({
+      file,
+      ...(findFieldPosition(positions, field) ?? { line: 1, column: 1 }),
+      field,
+      message,
+      hint,
+    });
+
+  const datasets = {};
+  // Reads `name` once; reports a missing or malformed file at `field`.
+  function loadDataset(name, field) {
+    if (Object.hasOwn(datasets, name)) {
+      return datasets[name];
+    }
+    datasets[name] = null;
+    if (typeof name !== 'string' || !DATASET_EXTENSIONS.includes(extname(name))) {
+      report(
+        field,
+        `"data" must name a ${DATASET_EXTENSIONS.join(' or ')} file`,
+        `Put the dataset in ${projectDir} and reference it by file name`
+      );
+      return null;
+    }
+    const dataPath = join(projectDir, name);
+    if (!existsSync(dataPath)) {
+      report(field, `Dataset "${name}" does not exist`, `Add ${dataPath} or fix the file name`);
+      return null;
+    }
+    try {
+      datasets[name] = readDataset(dataPath);
+    } catch (error) {
+      issues.push({
+        file: dataPath,
+        line: error.line ?? 1,
+        column: error.column ?? 1,
+        field: null,
+        message: error.reason ?? error.message,
+        hint: 'Every row needs one value per column; quote values that contain commas',
+      });
+    }
+    return datasets[name];
+  }
+
+  function checkColumn(dataset, column, field, { numeric = false } = {}) {
+    if (!dataset.columns.includes(column)) {
+      report(
+        field,
+        `Column "${column}" is not in the dataset`,
+        `Use one of: ${dataset.columns.join(', ')}`
+      );
+      return false;
+    }
+    if (numeric && dataset.types[column] !== 'number') {
+      report(
+        field,
+        `Column "${column}" must be numeric`,
+        'Remove units and thousands separators from its values'
+      );
+      return false;
+    }
+    return true;
+  }
+
+  function checkUnknownKeys(object, allowed, path) {
+    for (const key of Object.keys(object).filter(key => !allowed.includes(key))) {
+      report(`${path}.${key}`, `Unknown key "${key}"`, `Use one of: ${allowed.join(', ')}`);
+    }
+  }
+
+  function checkControl(control, path) {
+    if (!isPlainObject(control)) {
+      report(path, '"control" must be an object', 'Set "type", "data", and "field"');
+      return null;
+    }
+    if (!CONTROL_TYPES.includes(control.type)) {
+      report(
+        `${path}.type`,
+        `"type" must be ${CONTROL_TYPES.join(' or ')}`,
+        'Sliders step through a numeric column, tabs switch between listed values'
+      );
+    }
+    const dataset = loadDataset(control.data, `${path}.data`);
+    if (!dataset || !checkColumn(dataset, control.field, `${path}.field`)) {
+      return null;
+    }
+    if (control.type === 'slider' && dataset.types[control.field] !== 'number') {
+      report(`${path}.field`, 'Slider controls need a numeric column', 'Use tabs instead');
+    }
+    if (control.type === 'tabs') {
+      const values = new Set(dataset.rows.map(row => row[control.field]));
+      if (!Array.isArray(control.options) || control.options.length === 0) {
+        report(`${path}.options`, 'Tabs need "options"', 'List { "value", "label" } per tab');
+      } else {
+        control.options.forEach((option, index) => {
+          if (!values.has(option?.value)) {
+            report(
+              `${path}.options[${index}].value`,
+              `No "${control.field}" rows have the value ${JSON.stringify(option?.value)}`,
+              `Use a value from the "${control.field}" column of ${control.data}`
+            );
+          }
+        });
+      }
+    }
+    return control;
+  }
+
+  function checkTitle(title, path, control) {
+    if (typeof title !== 'string' || title.trim() === '') {
+      report(path, 'A title is required', 'Describe what the chart shows');
+      return;
+    }
+    for (const [, name] of title.matchAll(PLACEHOLDER_PATTERN)) {
+      if (name !== control?.field) {
+        report(
+          path,
+          `"{${name}}" is not the section's control field`,
+          control ? `Only {${control.field}} is filled in` : 'Remove the placeholder'
+        );
+      }
+    }
+  }
+
+  function checkChart(chart, path, control) {
+    if (!isPlainObject(chart)) {
+      report(path, 'Each chart must be an object', 'Set at least "type", "title", and "data"');
+      return;
+    }
+    checkUnknownKeys(chart, CHART_KEYS, path);
+    const type = CHART_TYPES[chart.type];
+    if (!type) {
+      report(
+        `${path}.type`,
+        `Unknown chart type ${JSON.stringify(chart.type)}`,
+        `Use one of: ${Object.keys(CHART_TYPES).join(', ')}`
+      );
+    }
+    checkTitle(chart.title, `${path}.title`, control);
+    const dataset = loadDataset(chart.data, `${path}.data`);
+    if (!type || !dataset) {
+      return;
+    }
+
+    const encoding = chart.encoding ?? {};
+    for (const channel of type.required) {
+      if (!isPlainObject(encoding[channel]) || typeof encoding[channel].field !== 'string') {
+        report(
+          `${path}.encoding.${channel}`,
+          `"${chart.type}" charts need encoding.${channel}.field`,
+          `Map ${channel} to a column of ${chart.data}`
+        );
+      }
+    }
+    for (const [channel, value] of Object.entries(encoding)) {
+      const channelPath = `${path}.encoding.${channel}`;
+      if (![...type.required, ...type.optional].includes(channel)) {
+        report(
+          channelPath,
+          `"${chart.type}" charts have no "${channel}" channel`,
+          `Use: ${[...type.required, ...type.optional].join(', ') || 'no encoding'}`
+        );
+      } else if (isPlainObject(value) && typeof value.field === 'string') {
+        checkColumn(dataset, value.field, `${channelPath}.field`, {
+          numeric: type.numeric.includes(channel),
+        });
+      }
+    }
+
+    // Tables show every column of the dataset unless `columns` picks some.
+    if (chart.columns !== undefined) {
+      if (!Array.isArray(chart.columns) || chart.columns.length === 0) {
+        report(
+          `${path}.columns`,
+          '"columns" must be a list',
+          'List { "field", "title" } per column'
+        );
+      } else {
+        chart.columns.forEach((column, index) =>
+          checkColumn(dataset, column?.field, `${path}.columns[${index}].field`)
+        );
+      }
+    }
+
+    for (const [column, condition] of Object.entries(chart.filter ?? {})) {
+      if (checkColumn(dataset, column, `${path}.filter.${column}`)) {
+        const expected = dataset.types[column];
+        const values = isPlainObject(condition)
+          ? [condition.min, condition.max].filter(value => value !== undefined)
+          : [condition].flat();
+        if (values.some(value => typeof value !== expected)) {
+          report(
+            `${path}.filter.${column}`,
+            `Filter values for "${column}" must be ${expected}s`,
+            'Use a value, a list of values, or { "min", "max" }'
+          );
+        }
+      }
+    }
+    if (chart.sort !== undefined) {
+      checkColumn(dataset, String(chart.sort).replace(/^-/, ''), `${path}.sort`);
+    }
+    if (chart.limit !== undefined && !(Number.isInteger(chart.limit) && chart.limit > 0)) {
+      report(`${path}.limit`, '"limit" must be a positive whole number', 'e.g. "limit": 10');
+    }
+    if (chart.controlled) {
+      if (!control) {
+        report(`${path}.controlled`, 'The section has no control', 'Add a section "control"');
+      } else {
+        checkColumn(dataset, control.field, `${path}.controlled`);
+      }
+    }
+    const xField = encoding.x?.field;
+    (chart.rules ?? []).forEach((rule, index) => {
+      const values = dataset.rows.map(row => String(row[xField]));
+      if (!values.includes(String(rule?.x))) {
+        report(
+          `${path}.rules[${index}].x`,
+          `The rule's x value ${JSON.stringify(rule?.x)} is not in the "${xField}" column`,
+          'Rules mark a point on the x axis, e.g. an event date'
+        );
+      }
+    });
+  }
+
+  if (!isPlainObject(spec)) {
+    report(null, 'charts.json must be an object of page sections', `e.g. { "interactive": { … } }`);
+    return { spec: null, datasets, issues };
+  }
+
+  for (const [name, section] of Object.entries(spec)) {
+    if (!CHART_SECTIONS.includes(name)) {
+      report(name, `Unknown section "${name}"`, `Use one of: ${CHART_SECTIONS.join(', ')}`);
+      continue;
+    }
+    if (!isPlainObject(section)) {
+      report(name, `Section "${name}" must be an object`, 'Give it a "charts" list');
+      continue;
+    }
+    checkUnknownKeys(section, SECTION_KEYS, name);
+    const control = section.control ? checkControl(section.control, `${name}.control`) : null;
+    if (section.title !== undefined) {
+      checkTitle(section.title, `${name}.title`, control);
+    }
+    (section.kpis ?? []).forEach((kpi, index) => {
+      if (typeof kpi?.label !== 'string' || typeof kpi?.value !== 'string') {
+        report(
+          `${name}.kpis[${index}]`,
+          'KPIs need a "label" and a "value" string',
+          'Quote numbers, e.g. "value": "1,092"'
+        );
+      }
+    });
+    if (!Array.isArray(section.charts) || section.charts.length === 0) {
+      report(`${name}.charts`, `Section "${name}" has no charts`, 'Add at least one chart spec');
+      continue;
+    }
+    section.charts.forEach((chart, index) =>
+      checkChart(chart, `${name}.charts[${index}]`, control)
+    );
+  }
+
+  return { spec, datasets, issues };
+}
+
+/**
+ * Validates the charts of every project under `dataDir`. Chart directories
+ * must be named after an existing project slug.
+ */
+function checkChartSpecs({ dataDir = DATA_DIR, projectSlugs } = {}) {
+  return listChartDirectories(dataDir).flatMap(slug => {
+    const projectDir = join(dataDir, slug);
+    const { issues } = inspectChartSpecs(projectDir);
+    if (projectSlugs && !projectSlugs.includes(slug)) {
+      issues.unshift({
+        file: join(projectDir, CHARTS_FILE),
+        line: 1,
+        column: 1,
+        field: null,
+        message: `No project has the slug "${slug}"`,
+        hint: 'Name the directory after the project file in content/projects/',
+      });
+    }
+    return issues;
+  });
+}
+
+function resolveControl(control, datasets) {
+  if (!control) {
+    return null;
+  }
+  if (control.type === 'tabs') {
+    return { ...control, defaultValue: control.options[0].value };
+  }
+  const values = [...new Set(datasets[control.data].rows.map(row => row[control.field]))].sort(
+    (a, b) => a - b
+  );
+  return {
+    ...control,
+    options: values.map(value => ({ value, label: String(value) })),
+    defaultValue: values[values.length - 1],
+  };
+}
+
+function resolveChart(chart, datasets) {
+  const { columns, types, rows } = datasets[chart.data];
+  // Controlled charts are sorted and limited in the browser, after the control's filter.
+  const transformed = chart.controlled ? transformRows(rows, { filter: chart.filter }) : rows;
+  return {
+    ...chart,
+    columns: chart.columns ?? columns.map(field => ({ field })),
+    types,
+    rows: chart.controlled ? transformed : transformRows(rows, chart),
+  };
+}
+
+/**
+ * The chart sections of a project with every chart's rows, or null when the
+ * project has no charts.json. Invalid specs throw with the first issue.
+ */
+function loadProjectCharts(slug, { dataDir = DATA_DIR } = {}) {
+  const projectDir = join(dataDir, slug);
+  if (!existsSync(join(projectDir, CHARTS_FILE))) {
+    return null;
+  }
+
+  const { spec, datasets, issues } = inspectChartSpecs(projectDir);
+  if (issues.length > 0) {
+    const [first] = issues;
+    throw new Error(`${first.file}:${first.line}:${first.column}: ${first.message}`);
+  }
+
+  return Object.fromEntries(
+    CHART_SECTIONS.filter(name => spec[name]).map(name => {
+      const section = spec[name];
+      return [
+        name,
+        {
+          title: section.title ?? null,
+          kpis: section.kpis ?? [],
+          control: resolveControl(section.control, datasets),
+          charts: section.charts.map(chart => resolveChart(chart, datasets)),
+        },
+      ];
+    })
+  );
+}
+
+module.exports = {
+  CHARTS_FILE,
+  CHART_SECTIONS,
+  CHART_TYPES,
+  checkChartSpecs,
+  loadProjectCharts,
+};
@@ -1,25 +1,24 @@
 const { escapeHtml } = require('./utils/escape-html.js');
+const { DEFAULT_LOCALE, createTranslator, getMessages, localizePath } = require('./i18n.js');
 
 const DEFAULT_CONTACT_LINKS = {
   github: 'https://github.com/abigaelawino',
   linkedin: 'https://www.linkedin.com/in/abigaelawino/',
 };
 
-const DEFAULT_CONTACT_COPY = {
-  heading: 'Contact',
-  intro: 'Send a message using the form below. I typically respond within 1–2 business days.',
-  privacyNote:
-    'Privacy: This form collects your name, email address, and message so I can reply. Submissions are stored in Netlify Forms for delivery and spam filtering. I will not share or sell your information, and I can delete it on request.',
-  elsewhereHeading: 'Elsewhere',
-};
+// Copy comes from the message catalogs (content/locales); `options.copy` overrides it.
+function getContactCopy(locale) {
+  const { heading, intro, privacyNote, elsewhereHeading } = getMessages(locale, 'contact');
+  return { heading, intro, privacyNote, elsewhereHeading };
+}
 
-const DEFAULT_CONTACT_THANKS_COPY = {
-  heading: 'Message sent',
-  intro: 'Thanks for reaching out. I’ll reply as soon as I can.',
-  followUp: 'If you don’t hear back within 2 business days, feel free to connect on LinkedIn.',
-  primaryCtaLabel: 'Back to home',
-  primaryCtaHref: '/',
-};
+function getContactThanksCopy(locale) {
+  const { heading, intro, followUp, primaryCtaLabel } = getMessages(locale, 'contactThanks');
+  return { heading, intro, followUp, primaryCtaLabel, primaryCtaHref: localizePath('/', locale) };
+}
+
+const DEFAULT_CONTACT_COPY = getContactCopy(DEFAULT_LOCALE);
+const DEFAULT_CONTACT_THANKS_COPY = getContactThanksCopy(DEFAULT_LOCALE);
 
 function renderElsewhereLinks(links) {
   const entries = [
@@ -56,18 +55,21 @@ function renderContactPage(options = {}) {
     ...(options.links ?? {}),
   };
 
+  const locale = options.locale ?? DEFAULT_LOCALE;
   const copy = {
-    ...DEFAULT_CONTACT_COPY,
+    ...getContactCopy(locale),
     ...(options.copy ?? {}),
   };
+  const translate = createTranslator(locale);
+  const t = key => escapeHtml(translate(`contact.${key}`));
 
   return `
     <div class="container space-y-12">
       <!-- Header -->
       <section class="text-center space-y-4">
-        <h1 class="text-4xl font-bold tracking-tight">Get in Touch</h1>
+        <h1 class="text-4xl font-bold tracking-tight">${t('pageTitle')}</h1>
         <p class="text-xl text-muted-foreground max-w-2xl mx-auto">
-          I'd love to hear about your data science challenges and discuss how I can help.
+          ${t('pageIntro')}
         </p>
       </section>
 
@@ -80,15 +82,15 @@ function renderContactPage(options = {}) {
                 <svg class="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                   <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M3 8l7.89 5.26a2 2 0 002.22 0L21 8M5 19h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z"></path>
                 </svg>
-                Email
+                ${t('emailTitle')}
               </h2>
               <p class="card-description">
-                For project inquiries, collaborations, or general questions
+                ${t('emailDescription')}
               </p>
             </div>
             <div class="card-content">
               <a class="button button-outline w-full" href="mailto:contact@example.com">
-                Send Email
+                ${t('sendEmail')}
                 <svg class="ml-2 h-4 w-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                   <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M10 6H6a2 2 0 00-2 2v10a2 2 0 002 2h10a2 2 0 002-2v-4M14 4h6m0 0v6m0-6L10 14"></path>
                 </svg>
@@ -102,15 +104,15 @@ function renderContactPage(options = {}) {
                 <svg class="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                   <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M17 8h2a2 2 0 012 2v6a2 2 0 01-2 2h-2v4l-4-4H9a1.994 1.994 0 01-1.414-.586m0 0L11 14h4a2 2 0 002-2V6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2v4l.586-.586z"></path>
                 </svg>
-                LinkedIn
+                ${t('linkedinTitle')}
               </h2>
               <p class="card-description">
-                Professional networking and career opportunities
+                ${t('linkedinDescription')}
               </p>
             </div>
             <div class="card-content">
               <a class="button button-outline w-full" href="https://linkedin.com" target="_blank" rel="noopener noreferrer">
-                Connect on LinkedIn
+                ${t('connectLinkedin')}
                 <svg class="ml-2 h-4 w-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                   <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M10 6H6a2 2 0 00-2 2v10a2 2 0 002 2h10a2 2 0 002-2v-4M14 4h6m0 0v6m0-6L10 14"></path>
                 </svg>
@@ -124,15 +126,15 @@ function renderContactPage(options = {}) {
                 <svg class="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                   <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M10 20l4-16m4 4l4 4-4 4M6 16l-4-4 4-4"></path>
                 </svg>
-                GitHub
+                ${t('githubTitle')}
               </h2>
               <p class="card-description">
-                View my open-source projects and contributions
+                ${t('githubDescription')}
               </p>
             </div>
             <div class="card-content">
               <a class="button button-outline w-full" href="https://github.com" target="_blank" rel="noopener noreferrer">
-                Visit GitHub
+                ${t('visitGithub')}
                 <svg class="ml-2 h-4 w-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                   <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M10 6H6a2 2 0 00-2 2v10a2 2 0 002 2h10a2 2 0 002-2v-4M14 4h6m0 0v6m0-6L10 14"></path>
                 </svg>
@@ -145,16 +147,16 @@ function renderContactPage(options = {}) {
         <div class="lg:col-span-2">
           <div class="card">
             <div class="card-header">
-              <h2 class="card-title">Send a Message</h2>
+              <h2 class="card-title">${t('formTitle')}</h2>
               <p class="card-description">
-                Fill out the form below and I'll get back to you as soon as possible.
+                ${t('formIntro')}
               </p>
             </div>
             <div class="card-content">
               <form
                 name="contact"
                 method="POST"
-                action="/contact/thanks/"
+                action="${escapeHtml(localizePath('/contact/thanks/', locale))}"
                 aria-describedby="contact-privacy-note"
                 data-netlify="true"
                 netlify-honeypot="bot-field"
@@ -168,19 +170,19 @@ function renderContactPage(options = {}) {
 
                 <div class="contact-form__honeypot" aria-hidden="true" style="position: absolute; left: -10000px; top: auto; width: 1px; height: 1px; overflow: hidden;">
                   <label>
-                    Don't fill this out if you're human:
+                    ${t('honeypotLabel')}
                     <input name="bot-field" tabindex="-1" autocomplete="off" />
                   </label>
                 </div>
                 <div class="contact-form__honeypot" aria-hidden="true" style="position: absolute; left: -10000px; top: auto; width: 1px; height: 1px; overflow: hidden;">
                   <label>
-                    Website (leave blank):
+                    ${t('honeypotWebsiteLabel')}
                     <input name="website-field" tabindex="-1" autocomplete="off" />
                   </label>
                 </div>
 
                 <div class="space-y-2">
-                  <label class="font-semibold" for="contact-name">Name</label>
+                  <label class="font-semibold" for="contact-name">${t('nameLabel')}</label>
                   <input
                     class="w-full border border-input bg-background px-3 py-2 text-sm ring-offset-background file:border-0 file:bg-transparent file:text-sm file:font-medium placeholder:text-muted-foreground focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 disabled:cursor-not-allowed disabled:opacity-50 rounded-md"
                     id="contact-name"
@@ -192,7 +194,7 @@ function renderContactPage(options = {}) {
                 </div>
 
                 <div class="space-y-2">
-                  <label class="font-semibold" for="contact-email">Email</label>
+                  <label class="font-semibold" for="contact-email">${t('emailLabel')}</label>
                   <input
                     class="w-full border border-input bg-background px-3 py-2 text-sm ring-offset-background file:border-0 file:bg-transparent file:text-sm file:font-medium placeholder:text-muted-foreground focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 disabled:cursor-not-allowed disabled:opacity-50 rounded-md"
                     id="contact-email"
@@ -204,7 +206,7 @@ function renderContactPage(options = {}) {
                 </div>
 
                 <div class="space-y-2">
-                  <label class="font-semibold" for="contact-message">Message</label>
+                  <label class="font-semibold" for="contact-message">${t('messageLabel')}</label>
                   <textarea
                     class="w-full border border-input bg-background px-3 py-2 text-sm ring-offset-background file:border-0 file:bg-transparent file:text-sm file:font-medium placeholder:text-muted-foreground focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 disabled:cursor-not-allowed disabled:opacity-50 rounded-md min-h-[8.5rem] resize-vertical"
                     id="contact-message"
@@ -214,7 +216,7 @@ function renderContactPage(options = {}) {
                 </div>
 
                 <div class="flex flex-col sm:flex-row gap-2">
-                  <button class="button button-primary" type="submit">Send Message</button>
+                  <button class="button button-primary" type="submit">${t('submit')}</button>
                 </div>
 
                 <p class="text-sm text-muted-foreground" id="contact-privacy-note" data-contact-privacy>${escapeHtml(copy.privacyNote)}</p>
@@ -231,21 +233,20 @@ function renderContactPage(options = {}) {
             <svg class="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z"></path>
             </svg>
-            Availability
+            ${t('availabilityTitle')}
           </h2>
         </div>
         <div class="card-content">
           <p class="text-muted-foreground">
-            I'm currently available for freelance projects, consulting, and full-time opportunities.
-            Typical response time is 24-48 hours. For urgent matters, please mention it in your message.
+            ${t('availabilityText')}
           </p>
         </div>
       </div>
 
       <!-- Back Navigation -->
       <div class="text-center">
-        <a class="button button-outline" href="/">
-          ← Back to Home
+        <a class="button button-outline" href="${escapeHtml(localizePath('/', locale))}">
+          ${t('backToHome')}
         </a>
       </div>
     </div>
@@ -254,7 +255,7 @@ function renderContactPage(options = {}) {
 
 function renderContactThanksPage(options = {}) {
   const copy = {
-    ...DEFAULT_CONTACT_THANKS_COPY,
+    ...getContactThanksCopy(options.locale ?? DEFAULT_LOCALE),
     ...(options.copy ?? {}),
   };
 
@@ -0,0 +1,107 @@
+const { createHash } = require('node:crypto');
+const { existsSync, mkdirSync, readFileSync, writeFileSync } = require('node:fs');
+const { dirname, join } = require('node:path');
+
+const DEFAULT_CACHE_FILE = join('.cache', 'content-index.json');
+
+function hashContent(...parts) {
+  const hash = createHash('sha256');
+  for (const part of parts) {
+    hash.update(typeof part === 'string' ? part : JSON.stringify(part));
+    hash.update('\0');
+  }
+  return hash.digest('hex');
+}
+
+function readJson(filePath, fallback) {
+  try {
+    return JSON.parse(readFileSync(filePath, 'utf8'));
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * Per-file parse cache keyed by content hash. `key` should change whenever the
+ * pipeline itself changes (schemas, parser code) so stale results are dropped.
+ */
+function createContentCache({ cacheFile = DEFAULT_CACHE_FILE, key }) {
+  const stored = cacheFile ? readJson(cacheFile, null) : null;
+  const previousFiles = stored?.key === key ? (stored.files ?? {}) : {};
+  const files = {};
+  const stats = { parsed: 0, cached: 0 };
+
+  return {
+    stats,
+    resolve(filePath, source, compute) {
+      const hash = hashContent(source);
+      const previous = previousFiles[filePath];
+
+      if (previous?.hash === hash) {
+        stats.cached += 1;
+        files[filePath] = previous;
+        return previous.result;
+      }
+
+      stats.parsed += 1;
+      const result = compute();
+      files[filePath] = { hash, result };
+      return result;
+    },
+    save() {
+      if (!cacheFile) {
+        return;
+      }
+      // Only entries seen in this run are kept, so deleted files fall out of the cache.
+      writeFileIfChanged(cacheFile, `${JSON.stringify({ key, files })}\n`);
+    },
+  };
+}
+
+/**
+ * Writes `contents` only when it differs from what is on disk, so file watchers
+ * (Next.js, chokidar) are not triggered by no-op rebuilds. Returns true on write.
+ */
+function writeFileIfChanged(filePath, contents) {
+  if (existsSync(filePath) && readFileSync(filePath, 'utf8') === contents) {
+    return false;
+  }
+
+  mkdirSync(dirname(filePath), { recursive: true });
+  writeFileSync(filePath, contents);
+  return true;
+}
+
+/**
+ * Compares two index arrays by slug and lists added, changed, and removed slugs.
+ */
+function diffIndexEntries(previousEntries, nextEntries) {
+  const previousBySlug = new Map(
+    (Array.isArray(previousEntries) ? previousEntries : []).map(entry => [entry.slug, entry])
+  );
+  const nextSlugs = new Set(nextEntries.map(entry => entry.slug));
+  const added = [];
+  const changed = [];
+
+  for (const entry of nextEntries) {
+    const previous = previousBySlug.get(entry.slug);
+    if (!previous) {
+      added.push(entry.slug);
+    } else if (JSON.stringify(previous) !== JSON.stringify(entry)) {
+      changed.push(entry.slug);
+    }
+  }
+
+  const removed = [...previousBySlug.keys()].filter(slug => !nextSlugs.has(slug));
+
+  return { added, changed, removed };
+}
+
+module.exports = {
+  DEFAULT_CACHE_FILE,
+  createContentCache,
+  diffIndexEntries,
+  hashContent,
+  readJson,
+  writeFileIfChanged,
+};
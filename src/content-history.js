@@ -0,0 +1,206 @@
+/**
+ * Created and last-modified dates for content files, derived from git history.
+ * Frontmatter `created` / `updated` override what git says, e.g. to keep a typo
+ * fix from counting as an update. Without git (or outside a repository) every
+ * entry falls back to its frontmatter `date`, and so do the dates a shallow
+ * clone cannot see (see `readGitHistory`).
+ */
+const { execFileSync } = require('node:child_process');
+
+const RECORD_SEPARATOR = '\x1e';
+const FIELD_SEPARATOR = '\x1f';
+
+function runGit(args, cwd) {
+  return execFileSync('git', args, {
+    cwd,
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'ignore'],
+    maxBuffer: 64 * 1024 * 1024,
+  });
+}
+
+/**
+ * Parses `git log --name-status -M` output (see `readGitHistory`) into each
+ * file's revisions, newest first. Renames are followed, so history recorded
+ * under an earlier file name belongs to the file's current path.
+ * @returns {Map<string, Array<{ hash: string, date: string, subject: string }>>}
+ */
+function parseGitLog(output) {
+  const history = new Map();
+  // Older names of files, mapped to the path they have today.
+  const renamedTo = new Map();
+
+  for (const record of output.split(RECORD_SEPARATOR).slice(1)) {
+    const [header, ...lines] = record.split('\n');
+    const [hash, date, subject] = header.split(FIELD_SEPARATOR);
+
+    for (const line of lines) {
+      if (!line.trim()) {
+        continue;
+      }
+      const [status, ...paths] = line.split('\t');
+      const path = paths.at(-1);
+      const current = renamedTo.get(path) ?? path;
+      if (!history.has(current)) {
+        history.set(current, []);
+      }
+      history.get(current).push({ hash, date: new Date(date).toISOString(), subject });
+      if (status.startsWith('R')) {
+        renamedTo.set(paths[0], current);
+      }
+    }
+  }
+
+  return history;
+}
+
+/**
+ * Revisions of every file under `paths`, keyed by path relative to `cwd`.
+ *
+ * In a shallow clone (the default on Netlify and most CI) the oldest commit
+ * has no parents, so git lists every file as added there. Those revisions are
+ * dropped, and the files whose history reached that commit are listed in
+ * `truncated`: their creation date is unknown, and their last change may be
+ * too if nothing touched them since.
+ * @param {string[]} paths
+ * @param {{ cwd?: string, run?: (args: string[], cwd: string) => string }} [options]
+ */
+function readGitHistory(paths, { cwd = process.cwd(), run = runGit } = {}) {
+  try {
+    const output = run(
+      [
+        'log',
+        '--relative',
+        '--name-status',
+        '-M',
+        `--format=${RECORD_SEPARATOR}%H${FIELD_SEPARATOR}%aI${FIELD_SEPARATOR}%s`,
+        '--',
+        ...paths,
+      ],
+      cwd
+    );
+    const shallow = run(['rev-parse', '--is-shallow-repository'], cwd).trim() === 'true';
+    const history = parseGitLog(output);
+    const truncated = new Set();
+    if (shallow) {
+      const boundaries = new Set(run(['rev-list', '--max-parents=0', 'HEAD'], cwd).split(/\s+/));
+      for (const [path, revisions] of history) {
+        if (boundaries.has(revisions.at(-1).hash)) {
+          revisions.pop();
+          truncated.add(path);
+        }
+      }
+    }
+    return { available: true, shallow, history, truncated };
+  } catch {
+    return { available: false, shallow: false, history: new Map(), truncated: new Set() };
+  }
+}
+
+/**
+ * When any of `paths` last changed in git (ISO 8601), or null without git.
+ * Used to date pages that are not content entries.
+ */
+function readLastModified(paths, { cwd = process.cwd(), run = runGit } = {}) {
+  try {
+    const date = run(['log', '-1', '--format=%aI', '--', ...paths], cwd).trim();
+    return date ? new Date(date).toISOString() : null;
+  } catch {
+    return null;
+  }
+}
+
+/** The latest of some dates (ISO 8601 strings or `YYYY-MM-DD`), or null. */
+function latestDate(dates) {
+  return dates
+    .filter(Boolean)
+    .reduce((latest, date) => (latest && toTime(latest) >= toTime(date) ? latest : date), null);
+}
+
+function toTime(value) {
+  return Date.parse(value.length === 10 ? `${value}T00:00:00Z` : value);
+}
+
+/**
+ * An entry's dates: frontmatter overrides first, then git, then `date`. With
+ * `truncated` (history cut off by a shallow clone), git cannot tell when the
+ * file was created.
+ * @param {{ date: string, created?: string, updated?: string }} frontmatter
+ * @param {Array<{ hash: string, date: string, subject: string }>} [revisions] Newest first.
+ * @param {{ truncated?: boolean }} [options]
+ */
+function resolveEntryHistory(frontmatter, revisions = [], { truncated = false } = {}) {
+  const created =
+    frontmatter.created ?? (truncated ? undefined : revisions.at(-1)?.date) ?? frontmatter.date;
+  const updated = frontmatter.updated ?? revisions[0]?.date ?? created;
+  return { created, updated, revisions };
+}
+
+/** True when `updated` falls on a later day than `date`, i.e. worth showing. */
+function wasUpdatedAfterPublishing(history, date) {
+  return history.updated.slice(0, 10) > String(date).slice(0, 10);
+}
+
+function checkHistoryFields(frontmatter) {
+  const issues = [];
+  const { date, created, updated } = frontmatter;
+
+  if (updated && toTime(updated) < toTime(date)) {
+    issues.push({
+      field: 'updated',
+      message: `field "updated" (${updated}) is before the publication date (${date})`,
+      hint: 'set updated to the day of the last meaningful change, or remove it to use git history',
+    });
+  }
+  if (created && updated && toTime(created) > toTime(updated)) {
+    issues.push({
+      field: 'created',
+      message: `field "created" (${created}) is after "updated" (${updated})`,
+      hint: 'created is when the file was first written; remove it to use git history',
+    });
+  }
+
+  return issues;
+}
+
+/**
+ * Dates and revisions for every entry of each collection, keyed by slug. Pass
+ * `git: false` to skip git and use frontmatter dates only.
+ * @param {Record<string, { dir: string, entries: Array<{ slug: string, frontmatter: object }> }>} collections
+ */
+function buildContentHistory(collections, { git = true, ...gitOptions } = {}) {
+  const dirs = Object.values(collections).map(collection => collection.dir);
+  const { available, shallow, history, truncated } = git
+    ? readGitHistory(dirs, gitOptions)
+    : { available: false, shallow: false, history: new Map(), truncated: new Set() };
+
+  const entries = Object.fromEntries(
+    Object.entries(collections).map(([name, { dir, entries: collectionEntries }]) => [
+      name,
+      Object.fromEntries(
+        collectionEntries.map(entry => {
+          const path = `${dir.replaceAll('\\', '/')}/${entry.slug}.mdx`;
+          return [
+            entry.slug,
+            resolveEntryHistory(entry.frontmatter, history.get(path), {
+              truncated: truncated.has(path),
+            }),
+          ];
+        })
+      ),
+    ])
+  );
+
+  return { available, shallow, entries };
+}
+
+module.exports = {
+  buildContentHistory,
+  checkHistoryFields,
+  latestDate,
+  parseGitLog,
+  readGitHistory,
+  readLastModified,
+  resolveEntryHistory,
+  wasUpdatedAfterPublishing,
+};
@@ -0,0 +1,173 @@
+/**
+ * "Related" recommendations for every project and post, computed when the
+ * indexes are generated. Scores mix tag overlap, tech stack overlap, and TF-IDF
+ * cosine similarity of the MDX bodies. Only the entries themselves feed the
+ * scores and ties break on collection and slug, so the same content always
+ * produces the same recommendations.
+ */
+
+const RECOMMENDATION_WEIGHTS = { tags: 0.35, tech: 0.15, text: 0.5 };
+
+// More than the pages show, so enough remain once drafts are filtered out.
+const RECOMMENDATION_LIMIT = 6;
+
+const STOP_WORDS = new Set(
+  `about after also and are because been before being between both but can could did does
+  each for from had has have here how into its just like more most not now only other our out
+  over same should some such than that the their them then there these they this those through
+  too under until use used uses using very was were what when where which while who why will
+  with within without would you your`.split(/\s+/)
+);
+
+function tokenize(source) {
+  return (
+    String(source)
+      // Code, JSX/HTML tags, import/export lines, and URLs say little about the topic.
+      .replace(/```[\s\S]*?```/g, ' ')
+      .replace(/^\s*(?:import|export)\s.*$/gm, ' ')
+      .replace(/<[^>]+>/g, ' ')
+      .replace(/https?:\/\/\S+/g, ' ')
+      .toLowerCase()
+      .match(/[a-z][a-z0-9]+/g)
+      ?.filter(token => token.length > 2 && !STOP_WORDS.has(token)) ?? []
+  );
+}
+
+function countTerms(tokens) {
+  const counts = new Map();
+  for (const token of tokens) {
+    counts.set(token, (counts.get(token) ?? 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * Unit-length TF-IDF vectors (`Map<term, weight>`), one per document.
+ */
+function buildTfIdfVectors(documents) {
+  const termCounts = documents.map(document => countTerms(tokenize(document)));
+  const documentFrequency = new Map();
+  for (const counts of termCounts) {
+    for (const term of counts.keys()) {
+      documentFrequency.set(term, (documentFrequency.get(term) ?? 0) + 1);
+    }
+  }
+
+  return termCounts.map(counts => {
+    const vector = new Map();
+    let squaredLength = 0;
+    for (const [term, count] of counts) {
+      const idf = Math.log((documents.length + 1) / (documentFrequency.get(term) + 1)) + 1;
+      const weight = count * idf;
+      vector.set(term, weight);
+      squaredLength += weight * weight;
+    }
+
+    const length = Math.sqrt(squaredLength) || 1;
+    for (const [term, weight] of vector) {
+      vector.set(term, weight / length);
+    }
+    return vector;
+  });
+}
+
+function cosineSimilarity(a, b) {
+  const [smaller, larger] = a.size <= b.size ? [a, b] : [b, a];
+  let dot = 0;
+  for (const [term, weight] of smaller) {
+    dot += weight * (larger.get(term) ?? 0);
+  }
+  return dot;
+}
+
+function normalizeTerms(values) {
+  return new Set((values ?? []).map(value => String(value).trim().toLowerCase()));
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) {
+    return 0;
+  }
+  let shared = 0;
+  for (const value of a) {
+    if (b.has(value)) {
+      shared += 1;
+    }
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+function compareStrings(a, b) {
+  // Plain code-unit order; localeCompare depends on the build machine's ICU data.
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function compareCandidates(a, b) {
+  return (
+    b.score - a.score ||
+    compareStrings(a.collection, b.collection) ||
+    compareStrings(a.slug, b.slug)
+  );
+}
+
+/**
+ * Adds `related.recommended` (`[{ collection, slug, score }]`, best first) to
+ * every entry. Entries already linked through `related` are left out, since
+ * the pages list those separately.
+ */
+function recommendRelatedContent({ projects, blog }, { limit = RECOMMENDATION_LIMIT } = {}) {
+  const items = [
+    ...projects.map(entry => ({ collection: 'projects', entry })),
+    ...blog.map(entry => ({ collection: 'blog', entry })),
+  ];
+  const vectors = buildTfIdfVectors(items.map(({ entry }) => entry.content));
+  const tags = items.map(({ entry }) => normalizeTerms(entry.frontmatter.tags));
+  const tech = items.map(({ entry }) => normalizeTerms(entry.frontmatter.tech));
+
+  const recommendations = items.map(({ entry }, index) => {
+    const linked = new Set([
+      ...(entry.related?.posts ?? []).map(slug => `blog/${slug}`),
+      ...(entry.related?.projects ?? []).map(slug => `projects/${slug}`),
+    ]);
+
+    return items
+      .map((candidate, candidateIndex) => ({
+        collection: candidate.collection,
+        slug: candidate.entry.slug,
+        score: Number(
+          (
+            RECOMMENDATION_WEIGHTS.tags * jaccard(tags[index], tags[candidateIndex]) +
+            RECOMMENDATION_WEIGHTS.tech * jaccard(tech[index], tech[candidateIndex]) +
+            RECOMMENDATION_WEIGHTS.text * cosineSimilarity(vectors[index], vectors[candidateIndex])
+          ).toFixed(4)
+        ),
+      }))
+      .filter(
+        (candidate, candidateIndex) =>
+          candidateIndex !== index &&
+          !linked.has(`${candidate.collection}/${candidate.slug}`) &&
+          candidate.score > 0
+      )
+      .sort(compareCandidates)
+      .slice(0, limit);
+  });
+
+  const withRecommendations = (entry, index) => ({
+    ...entry,
+    related: { ...entry.related, recommended: recommendations[index] },
+  });
+
+  return {
+    projects: projects.map(withRecommendations),
+    blog: blog.map((entry, index) => withRecommendations(entry, projects.length + index)),
+  };
+}
+
+module.exports = {
+  RECOMMENDATION_LIMIT,
+  RECOMMENDATION_WEIGHTS,
+  buildTfIdfVectors,
+  cosineSimilarity,
+  recommendRelatedContent,
+  tokenize,
+};
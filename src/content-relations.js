@@ -0,0 +1,74 @@
+/**
+ * Checks `reference` fields collected while loading the collections (see
+ * `loadCollectionEntries`'s `references` option) against the loaded slugs.
+ * @param {Array<{ file: string, line: number, column: number, field: string, collection: string, slug: string }>} references
+ * @param {Record<string, Array<{ slug: string }>>} collections
+ */
+function checkReferences(references, collections) {
+  const slugsByCollection = new Map(
+    Object.entries(collections).map(([name, entries]) => [
+      name,
+      new Set(entries.map(entry => entry.slug)),
+    ])
+  );
+
+  return references
+    .filter(reference => !slugsByCollection.get(reference.collection)?.has(reference.slug))
+    .map(({ file, line, column, field, collection, slug }) => ({
+      file,
+      line,
+      column,
+      field,
+      message: `field "${field}" references unknown ${collection} entry "${slug}"`,
+      hint: `Use the file name (without .mdx) of an entry in content/${collection}/`,
+    }));
+}
+
+function unique(values) {
+  return [...new Set(values)];
+}
+
+function groupBackLinks(entries, field) {
+  const backLinks = new Map();
+  for (const entry of entries) {
+    for (const target of entry.frontmatter[field] ?? []) {
+      backLinks.set(target, [...(backLinks.get(target) ?? []), entry.slug]);
+    }
+  }
+  return backLinks;
+}
+
+/**
+ * Adds `related` to every entry: the slugs it declares plus the slugs of entries
+ * that declare it, so a link written on either side shows up on both.
+ */
+function linkRelatedEntries({ projects, blog }) {
+  const postsByProject = groupBackLinks(blog, 'relatedProjects');
+  const projectsByPost = groupBackLinks(projects, 'relatedPosts');
+
+  return {
+    projects: projects.map(project => ({
+      ...project,
+      related: {
+        posts: unique([
+          ...(project.frontmatter.relatedPosts ?? []),
+          ...(postsByProject.get(project.slug) ?? []),
+        ]),
+      },
+    })),
+    blog: blog.map(post => ({
+      ...post,
+      related: {
+        projects: unique([
+          ...(post.frontmatter.relatedProjects ?? []),
+          ...(projectsByPost.get(post.slug) ?? []),
+        ]),
+      },
+    })),
+  };
+}
+
+module.exports = {
+  checkReferences,
+  linkRelatedEntries,
+};
@@ -0,0 +1,70 @@
+function escapeAnnotationData(value) {
+  return String(value).replaceAll('%', '%25').replaceAll('\r', '%0D').replaceAll('\n', '%0A');
+}
+
+function escapeAnnotationProperty(value) {
+  return escapeAnnotationData(value).replaceAll(':', '%3A').replaceAll(',', '%2C');
+}
+
+function sortIssues(issues) {
+  return [...issues].sort(
+    (a, b) => a.file.localeCompare(b.file) || a.line - b.line || a.column - b.column
+  );
+}
+
+/**
+ * Machine-readable validation report written by `npm run generate:content`.
+ */
+function buildContentReport(issues) {
+  const sorted = sortIssues(issues);
+  return {
+    valid: sorted.length === 0,
+    errorCount: sorted.length,
+    fileCount: new Set(sorted.map(issue => issue.file)).size,
+    issues: sorted.map(({ file, line, column, field, message, hint }) => ({
+      file,
+      line,
+      column,
+      field,
+      message,
+      hint,
+    })),
+  };
+}
+
+/**
+ * Formats issues as GitHub Actions workflow commands so they show up as
+ * inline annotations on the pull request diff.
+ */
+function formatGithubAnnotations(issues) {
+  return sortIssues(issues)
+    .map(issue => {
+      const title = issue.field ? `Content: ${issue.field}` : 'Content';
+      const properties = [
+        `file=${escapeAnnotationProperty(issue.file)}`,
+        `line=${issue.line}`,
+        `col=${issue.column}`,
+        `title=${escapeAnnotationProperty(title)}`,
+      ].join(',');
+      const message = issue.hint ? `${issue.message}\nFix: ${issue.hint}` : issue.message;
+      return `::error ${properties}::${escapeAnnotationData(message)}`;
+    })
+    .join('\n');
+}
+
+function formatIssuesText(issues) {
+  return sortIssues(issues)
+    .map(issue => {
+      const location = `${issue.file}:${issue.line}:${issue.column}`;
+      return issue.hint
+        ? `- ${location} ${issue.message}\n    fix: ${issue.hint}`
+        : `- ${location} ${issue.message}`;
+    })
+    .join('\n');
+}
+
+module.exports = {
+  buildContentReport,
+  formatGithubAnnotations,
+  formatIssuesText,
+};
@@ -0,0 +1,483 @@
+const FIELD_TYPES = new Set([
+  'string',
+  'number',
+  'boolean',
+  'date',
+  'url',
+  'path',
+  'image',
+  'reference',
+  'enum',
+  'object',
+  'list',
+]);
+
+const STRING_LIKE_TYPES = new Set(['string', 'date', 'url', 'path', 'image', 'reference']);
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+const DECAP_WIDGETS = {
+  string: ['string', 'text', 'markdown'],
+  number: ['number'],
+  boolean: ['boolean'],
+  date: ['datetime', 'date'],
+  url: ['string'],
+  path: ['string', 'file', 'image'],
+  image: ['image', 'string'],
+  enum: ['select'],
+  reference: ['relation'],
+  object: ['object'],
+  list: ['list'],
+};
+
+/**
+ * Expands a schema field into its descriptor form. Field shorthands are the
+ * type name (`'string'`, `'date'`, ...) or `'<type>[]'` for a non-empty list.
+ */
+function normalizeField(field) {
+  if (typeof field === 'string') {
+    if (field.endsWith('[]')) {
+      return normalizeField({ type: 'list', of: field.slice(0, -2) });
+    }
+    return normalizeField({ type: field });
+  }
+
+  if (!field || !FIELD_TYPES.has(field.type)) {
+    throw new Error(`Unknown schema field type: ${JSON.stringify(field?.type ?? field)}`);
+  }
+
+  const descriptor = { ...field, optional: Boolean(field.optional) };
+
+  if (descriptor.type === 'enum') {
+    if (!Array.isArray(descriptor.values) || descriptor.values.length === 0) {
+      throw new Error('Enum schema fields must declare a non-empty "values" array');
+    }
+  }
+
+  if (descriptor.type === 'reference' && !isNonEmptyString(descriptor.collection)) {
+    throw new Error('Reference schema fields must name the "collection" they point to');
+  }
+
+  if (descriptor.type === 'object') {
+    descriptor.fields = normalizeSchema(descriptor.fields ?? {});
+  }
+
+  if (descriptor.type === 'list') {
+    descriptor.of = normalizeField(descriptor.of ?? 'string');
+    descriptor.minItems = descriptor.minItems ?? 1;
+  }
+
+  return descriptor;
+}
+
+function normalizeSchema(schema) {
+  return Object.fromEntries(
+    Object.entries(schema).map(([name, field]) => [name, normalizeField(field)])
+  );
+}
+
+function isRequired(descriptor) {
+  return !descriptor.optional && !('default' in descriptor);
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+function isHttpUrl(value) {
+  try {
+    const parsed = new URL(value);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+function isSitePath(value) {
+  return value.startsWith('/') && !value.startsWith('//') && !/\s/.test(value);
+}
+
+function exampleFor(descriptor) {
+  switch (descriptor.type) {
+    case 'date':
+      return '2026-01-31';
+    case 'url':
+      return 'https://github.com/Abigaelawino/example';
+    case 'path':
+      return '/images/example.png';
+    case 'image':
+      return '/images/projects/example-cover.svg';
+    case 'reference':
+      return 'example-slug';
+    case 'number':
+      return '5';
+    case 'boolean':
+      return 'true';
+    case 'enum':
+      return descriptor.values[0];
+    case 'list':
+      return `[${exampleFor(descriptor.of)}]`;
+    default:
+      return 'Example text';
+  }
+}
+
+function issue(label, message, hint) {
+  return { field: label, message: `field "${label}" ${message}`, hint };
+}
+
+function checkString(value, descriptor, label) {
+  if (!isNonEmptyString(value)) {
+    return issue(label, 'must be a non-empty string', `Set ${label}: ${exampleFor(descriptor)}`);
+  }
+
+  if (descriptor.type === 'date') {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      return issue(
+        label,
+        'must use YYYY-MM-DD format',
+        `Write the date as ${exampleFor(descriptor)}`
+      );
+    }
+
+    const parsed = new Date(`${value}T00:00:00.000Z`);
+    if (Number.isNaN(parsed.getTime()) || parsed.toISOString().slice(0, 10) !== value) {
+      return issue(label, 'must be a valid date', 'Check the month (01-12) and day of month');
+    }
+  }
+
+  if (descriptor.type === 'url' && !isHttpUrl(value)) {
+    return issue(
+      label,
+      'must be an absolute http(s) URL',
+      `Include the scheme, e.g. ${exampleFor(descriptor)}`
+    );
+  }
+
+  if (descriptor.type === 'path' && !isSitePath(value)) {
+    return issue(
+      label,
+      'must be a site-relative path starting with "/"',
+      `Reference files under public/, e.g. ${exampleFor(descriptor)}`
+    );
+  }
+
+  if (descriptor.type === 'reference' && !SLUG_PATTERN.test(value)) {
+    return issue(
+      label,
+      `must be the slug of an entry in "${descriptor.collection}"`,
+      `Use the file name without .mdx, e.g. ${exampleFor(descriptor)}`
+    );
+  }
+
+  if (descriptor.type === 'image' && !isSitePath(value) && !isHttpUrl(value)) {
+    return issue(
+      label,
+      'must be a site-relative path or an absolute http(s) URL',
+      `Reference files under public/, e.g. ${exampleFor(descriptor)}`
+    );
+  }
+
+  return null;
+}
+
+function checkValue(value, descriptor, label, issues) {
+  if (STRING_LIKE_TYPES.has(descriptor.type)) {
+    const problem = checkString(value, descriptor, label);
+    if (problem) {
+      issues.push(problem);
+    }
+    return value;
+  }
+
+  if (descriptor.type === 'number') {
+    if (typeof value !== 'number' || Number.isNaN(value) || value <= 0) {
+      issues.push(
+        issue(label, 'must be a positive number', `Use an unquoted number, e.g. ${label}: 5`)
+      );
+    }
+    return value;
+  }
+
+  if (descriptor.type === 'boolean') {
+    if (typeof value !== 'boolean') {
+      issues.push(issue(label, 'must be true or false', 'Use an unquoted true or false'));
+    }
+    return value;
+  }
+
+  if (descriptor.type === 'enum') {
+    if (!descriptor.values.includes(value)) {
+      issues.push(
+        issue(
+          label,
+          `must be one of: ${descriptor.values.map(item => JSON.stringify(item)).join(', ')}`,
+          `Set ${label}: ${descriptor.values[0]}`
+        )
+      );
+    }
+    return value;
+  }
+
+  if (descriptor.type === 'object') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      issues.push(issue(label, 'must be an object', `Indent nested keys under ${label}:`));
+      return value;
+    }
+    return applySchema(value, descriptor.fields, issues, `${label}.`);
+  }
+
+  const isStringList = descriptor.of.type === 'string';
+  const listHint = `Add at least ${Math.max(1, descriptor.minItems)} item(s), e.g. ${label}: ${exampleFor(descriptor)}`;
+  if (!Array.isArray(value) || value.length < descriptor.minItems) {
+    issues.push(
+      isStringList && descriptor.minItems > 0
+        ? issue(label, 'must be a non-empty string array', listHint)
+        : issue(label, `must be a list with at least ${descriptor.minItems} item(s)`, listHint)
+    );
+    return value;
+  }
+
+  if (isStringList && value.some(item => !isNonEmptyString(item))) {
+    issues.push(
+      issue(label, 'must be a non-empty string array', 'Remove blank entries from the list')
+    );
+    return value;
+  }
+
+  return value.map((item, index) => checkValue(item, descriptor.of, `${label}[${index}]`, issues));
+}
+
+function applySchema(entry, schema, issues, prefix = '') {
+  const result = { ...entry };
+
+  for (const [field, descriptor] of Object.entries(schema)) {
+    const label = `${prefix}${field}`;
+
+    if (!(field in entry) || entry[field] === null) {
+      if ('default' in descriptor) {
+        result[field] = structuredClone(descriptor.default);
+        continue;
+      }
+      if (descriptor.optional) {
+        delete result[field];
+        continue;
+      }
+      issues.push({
+        field: label,
+        message: `missing required frontmatter field "${label}"`,
+        hint: `Add ${label}: ${exampleFor(descriptor)} to the frontmatter`,
+      });
+      continue;
+    }
+
+    result[field] = checkValue(entry[field], descriptor, label, issues);
+  }
+
+  return result;
+}
+
+/**
+ * Validates frontmatter against a collection schema without throwing.
+ * Returns the entry with defaults filled in plus every `{ field, message, hint }` issue found.
+ */
+function validateSchema(entry, schema) {
+  const issues = [];
+  const value = applySchema(entry, normalizeSchema(schema), issues);
+  return { value, issues };
+}
+
+function collectReferences(value, schema, prefix, references) {
+  for (const [field, descriptor] of Object.entries(schema)) {
+    const label = prefix ? `${prefix}.${field}` : field;
+    const fieldValue = value?.[field];
+    if (fieldValue === undefined || fieldValue === null) {
+      continue;
+    }
+
+    if (descriptor.type === 'reference') {
+      references.push({ field: label, collection: descriptor.collection, slug: fieldValue });
+    } else if (descriptor.type === 'object') {
+      collectReferences(fieldValue, descriptor.fields, label, references);
+    } else if (descriptor.type === 'list' && Array.isArray(fieldValue)) {
+      fieldValue.forEach((item, index) => {
+        const itemLabel = `${label}[${index}]`;
+        if (descriptor.of.type === 'reference') {
+          references.push({ field: itemLabel, collection: descriptor.of.collection, slug: item });
+        } else if (descriptor.of.type === 'object') {
+          collectReferences(item, descriptor.of.fields, itemLabel, references);
+        }
+      });
+    }
+  }
+  return references;
+}
+
+/**
+ * Lists every `reference` value in a validated entry as `{ field, collection, slug }`
+ * so the pipeline can check that the referenced entries exist.
+ */
+function listReferences(value, schema) {
+  return collectReferences(value, normalizeSchema(schema), '', []);
+}
+
+/**
+ * Validates frontmatter against a collection schema and returns a copy with
+ * schema defaults filled in. Unknown fields are passed through untouched.
+ */
+function assertSchema(entry, schema, sourcePath) {
+  const { value, issues } = validateSchema(entry, schema);
+  if (issues.length > 0) {
+    throw new Error(`${sourcePath}: ${issues[0].message}`);
+  }
+  return value;
+}
+
+function toTypeScriptLiteral(value) {
+  if (typeof value === 'string') {
+    return `'${value.replaceAll('\\', '\\\\').replaceAll("'", "\\'")}'`;
+  }
+  return String(value);
+}
+
+function toTypeScript(descriptor, indent) {
+  if (descriptor.type === 'number') {
+    return 'number';
+  }
+  if (descriptor.type === 'boolean') {
+    return 'boolean';
+  }
+  if (descriptor.type === 'enum') {
+    return descriptor.values.map(toTypeScriptLiteral).join(' | ');
+  }
+  if (descriptor.type === 'list') {
+    const itemType = toTypeScript(descriptor.of, indent);
+    return descriptor.of.type === 'enum' ? `Array<${itemType}>` : `${itemType}[]`;
+  }
+  if (descriptor.type === 'object') {
+    return toTypeScriptObject(descriptor.fields, indent);
+  }
+  return 'string';
+}
+
+function toTypeScriptObject(schema, indent = '') {
+  const innerIndent = `${indent}  `;
+  const members = Object.entries(schema).map(
+    ([field, descriptor]) =>
+      `${innerIndent}${field}${isRequired(descriptor) || 'default' in descriptor ? '' : '?'}: ${toTypeScript(descriptor, innerIndent)};`
+  );
+  return `{\n${members.join('\n')}\n${indent}}`;
+}
+
+/**
+ * Renders TypeScript interfaces for the given schemas, keyed by interface name.
+ * Fields with a default are non-optional because the index always carries them.
+ */
+function buildTypeDeclarations(schemasByName) {
+  const interfaces = Object.entries(schemasByName).map(
+    ([name, schema]) => `export interface ${name} ${toTypeScriptObject(normalizeSchema(schema))}`
+  );
+
+  return `// Generated from the collection schemas in src/content.js. Do not edit by hand.\n\n${interfaces.join('\n\n')}\n`;
+}
+
+function referenceTarget(descriptor) {
+  if (descriptor.type === 'reference') {
+    return descriptor;
+  }
+  return descriptor.type === 'list' && descriptor.of.type === 'reference' ? descriptor.of : null;
+}
+
+function compareDecapField(descriptor, decapField, label, problems) {
+  const widget = decapField.widget ?? 'string';
+  const reference = referenceTarget(descriptor);
+  if (reference) {
+    // Decap models a list of references as a single relation widget with `multiple`.
+    if (widget !== 'relation' || decapField.collection !== reference.collection) {
+      problems.push(
+        `${label}: must be a relation widget on the "${reference.collection}" collection`
+      );
+    }
+    if (Boolean(decapField.multiple) !== (descriptor.type === 'list')) {
+      problems.push(`${label}: relation widget must set multiple: ${descriptor.type === 'list'}`);
+    }
+  } else if (!DECAP_WIDGETS[descriptor.type].includes(widget)) {
+    problems.push(`${label}: widget "${widget}" does not match schema type "${descriptor.type}"`);
+  }
+
+  const decapRequired = decapField.required !== false;
+  if (isRequired(descriptor) && !decapRequired) {
+    problems.push(`${label}: required in the schema but optional in the CMS`);
+  }
+  if (descriptor.optional && !('default' in descriptor) && decapRequired) {
+    problems.push(`${label}: optional in the schema but required in the CMS`);
+  }
+
+  if ('default' in descriptor && 'default' in decapField) {
+    if (JSON.stringify(descriptor.default) !== JSON.stringify(decapField.default)) {
+      problems.push(`${label}: CMS default does not match schema default`);
+    }
+  }
+
+  if (descriptor.type === 'enum') {
+    const options = (decapField.options ?? []).map(option =>
+      typeof option === 'object' && option !== null ? option.value : option
+    );
+    if (JSON.stringify(options) !== JSON.stringify(descriptor.values)) {
+      problems.push(`${label}: CMS options must be ${JSON.stringify(descriptor.values)}`);
+    }
+  }
+
+  if (descriptor.type === 'date' && widget === 'datetime') {
+    if (decapField.format !== 'YYYY-MM-DD' || decapField.time_format !== false) {
+      problems.push(`${label}: datetime widget must use format "YYYY-MM-DD" and time_format false`);
+    }
+  }
+
+  if (descriptor.type === 'object') {
+    problems.push(...compareDecapFields(descriptor.fields, decapField.fields ?? [], `${label}.`));
+  }
+
+  if (descriptor.type === 'list' && descriptor.of.type === 'object') {
+    problems.push(
+      ...compareDecapFields(descriptor.of.fields, decapField.fields ?? [], `${label}[].`)
+    );
+  }
+}
+
+function compareDecapFields(schema, decapFields, prefix = '') {
+  const problems = [];
+  const byName = new Map(decapFields.map(field => [field.name, field]));
+
+  for (const [field, descriptor] of Object.entries(normalizeSchema(schema))) {
+    const label = `${prefix}${field}`;
+    const decapField = byName.get(field);
+
+    if (!decapField) {
+      problems.push(`${label}: missing from the CMS collection`);
+      continue;
+    }
+
+    compareDecapField(descriptor, decapField, label, problems);
+  }
+
+  return problems;
+}
+
+/**
+ * Lists every mismatch between a collection schema and the matching Decap CMS
+ * collection `fields`. Extra CMS fields such as `body` are ignored.
+ */
+function checkDecapCollection(schema, decapCollection) {
+  return compareDecapFields(schema, decapCollection?.fields ?? []);
+}
+
+module.exports = {
+  assertSchema,
+  buildTypeDeclarations,
+  checkDecapCollection,
+  listReferences,
+  normalizeField,
+  normalizeSchema,
+  validateSchema,
+};
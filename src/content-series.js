@@ -0,0 +1,148 @@
+/**
+ * Blog series: posts sharing a `series` name, read in `seriesOrder` (1, 2, ...).
+ * Series are grouped after drafts are filtered out, so a hidden part never
+ * shows up in a table of contents.
+ */
+
+function slugifySeries(name) {
+  return String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+function checkSeriesFields(frontmatter) {
+  if (frontmatter.series && frontmatter.seriesOrder === undefined) {
+    return [
+      {
+        field: 'series',
+        message: 'field "series" is set but "seriesOrder" is missing',
+        hint: 'add seriesOrder: 1 (this post’s position in the series)',
+      },
+    ];
+  }
+  if (frontmatter.seriesOrder !== undefined && !frontmatter.series) {
+    return [
+      {
+        field: 'seriesOrder',
+        message: 'field "seriesOrder" is set but "series" is missing',
+        hint: 'add series: <Series name>, or remove seriesOrder',
+      },
+    ];
+  }
+  if (frontmatter.seriesOrder !== undefined && !Number.isInteger(frontmatter.seriesOrder)) {
+    return [
+      {
+        field: 'seriesOrder',
+        message: 'field "seriesOrder" must be a whole number',
+        hint: 'Number the parts 1, 2, 3, ...',
+      },
+    ];
+  }
+  return [];
+}
+
+/**
+ * Groups entries into series, each with its posts in reading order.
+ * @template T
+ * @param {T[]} entries
+ * @returns {Array<{ slug: string, title: string, posts: T[] }>}
+ */
+function groupSeries(entries) {
+  const bySlug = new Map();
+
+  for (const entry of entries) {
+    const title = entry.frontmatter.series;
+    if (!title) {
+      continue;
+    }
+    const slug = slugifySeries(title);
+    if (!bySlug.has(slug)) {
+      bySlug.set(slug, { slug, title, posts: [] });
+    }
+    bySlug.get(slug).posts.push(entry);
+  }
+
+  return [...bySlug.values()]
+    .map(series => ({
+      ...series,
+      posts: [...series.posts].sort(
+        (a, b) => a.frontmatter.seriesOrder - b.frontmatter.seriesOrder
+      ),
+    }))
+    .sort((a, b) => a.title.localeCompare(b.title));
+}
+
+/**
+ * Finds posts that share a series position, or series names that only differ
+ * in spelling (same slug, different title). Returns `{ slug, field, message, hint }`.
+ */
+function findSeriesConflicts(entries) {
+  const conflicts = [];
+  const titles = new Map();
+  const positions = new Map();
+
+  for (const entry of entries) {
+    const title = entry.frontmatter.series;
+    if (!title) {
+      continue;
+    }
+    const slug = slugifySeries(title);
+
+    if (titles.has(slug) && titles.get(slug) !== title) {
+      conflicts.push({
+        slug: entry.slug,
+        field: 'series',
+        message: `field "series" is "${title}" but other posts in this series use "${titles.get(slug)}"`,
+        hint: `Use the same series name in every part: series: ${titles.get(slug)}`,
+      });
+      continue;
+    }
+    titles.set(slug, title);
+
+    const key = `${slug}#${entry.frontmatter.seriesOrder}`;
+    if (positions.has(key)) {
+      conflicts.push({
+        slug: entry.slug,
+        field: 'seriesOrder',
+        message: `field "seriesOrder" ${entry.frontmatter.seriesOrder} is already used by "${positions.get(key)}" in series "${title}"`,
+        hint: 'Give each part of the series its own seriesOrder',
+      });
+      continue;
+    }
+    positions.set(key, entry.slug);
+  }
+
+  return conflicts;
+}
+
+/**
+ * Position of a post within its series plus the neighbouring parts, or null
+ * when the post is not part of a series.
+ * @template {{ posts: Array<{ slug: string }> }} S
+ * @param {S[]} seriesList
+ * @param {string} postSlug
+ * @returns {{ series: S, index: number, previous: S['posts'][number] | null, next: S['posts'][number] | null } | null}
+ */
+function getSeriesNavigation(seriesList, postSlug) {
+  for (const series of seriesList) {
+    const index = series.posts.findIndex(post => post.slug === postSlug);
+    if (index !== -1) {
+      return {
+        series,
+        index,
+        previous: series.posts[index - 1] ?? null,
+        next: series.posts[index + 1] ?? null,
+      };
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  checkSeriesFields,
+  findSeriesConflicts,
+  getSeriesNavigation,
+  groupSeries,
+  slugifySeries,
+};
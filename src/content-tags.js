@@ -0,0 +1,143 @@
+/**
+ * The tag registry (content/tags.json): one canonical slug per topic, with a
+ * display label, a description, and the other spellings editors may write.
+ * Entry tags are rewritten to canonical slugs when the content index is built,
+ * so "Time Series", "time_series", and "timeseries" all become `time-series`.
+ *
+ * This module has no Node dependencies so client components can use it too.
+ */
+
+const TAGS_FILE = 'content/tags.json';
+const TAG_SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+function normalizeTag(tag) {
+  return String(tag)
+    .trim()
+    .toLowerCase()
+    .replace(/[\s_]+/g, '-')
+    .replace(/-{2,}/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Builds the lookup used to canonicalize tags. Problems with the registry itself
+ * come back in `problems` as `{ field, message, hint }`, like frontmatter issues.
+ * @param {{ tags?: Array<{ slug: string, label: string, description?: string, aliases?: string[] }> }} data
+ */
+function createTagRegistry(data) {
+  const tags = [];
+  const lookup = new Map();
+  const problems = [];
+
+  (data?.tags ?? []).forEach((tag, index) => {
+    const field = `tags[${index}]`;
+    if (!TAG_SLUG_PATTERN.test(String(tag.slug ?? ''))) {
+      problems.push({
+        field: `${field}.slug`,
+        message: `tag slug "${tag.slug ?? ''}" must be lowercase words joined by hyphens`,
+        hint: `Use "${normalizeTag(tag.slug ?? '')}"`,
+      });
+      return;
+    }
+    if (!tag.label) {
+      problems.push({
+        field: `${field}.label`,
+        message: `tag "${tag.slug}" is missing a label`,
+        hint: 'Add the name readers should see, e.g. "Time Series"',
+      });
+    }
+
+    const aliases = (tag.aliases ?? []).map(normalizeTag);
+    for (const spelling of [tag.slug, ...aliases]) {
+      const owner = lookup.get(spelling);
+      if (owner && owner !== tag.slug) {
+        problems.push({
+          field,
+          message: `"${spelling}" belongs to both "${owner}" and "${tag.slug}"`,
+          hint: 'Each slug and alias can only point at one tag',
+        });
+      } else {
+        lookup.set(spelling, tag.slug);
+      }
+    }
+
+    tags.push({
+      slug: tag.slug,
+      label: tag.label ?? tag.slug,
+      description: tag.description ?? '',
+      aliases,
+    });
+  });
+
+  return { tags, lookup, problems };
+}
+
+/** The canonical slug for any registered spelling of a tag, or null. */
+function resolveTag(registry, tag) {
+  return registry.lookup.get(normalizeTag(tag)) ?? null;
+}
+
+/**
+ * Rewrites each entry's tags to canonical slugs (deduplicated, in the order
+ * written). Tags missing from the registry are dropped and reported as
+ * `{ slug, field, message, hint }`.
+ * @template {{ slug: string, frontmatter: { tags?: string[] } }} T
+ * @param {T[]} entries
+ * @returns {{ entries: T[], problems: Array<{ slug: string, field: string, message: string, hint: string }> }}
+ */
+function canonicalizeEntryTags(entries, registry) {
+  const problems = [];
+
+  const canonical = entries.map(entry => {
+    const tags = [];
+    for (const tag of entry.frontmatter.tags ?? []) {
+      const slug = resolveTag(registry, tag);
+      if (!slug) {
+        problems.push({
+          slug: entry.slug,
+          field: 'tags',
+          message: `unknown tag "${tag}"`,
+          hint: `Use a tag from ${TAGS_FILE}, or add it there (other spellings go in "aliases")`,
+        });
+      } else if (!tags.includes(slug)) {
+        tags.push(slug);
+      }
+    }
+    return { ...entry, frontmatter: { ...entry.frontmatter, tags } };
+  });
+
+  return { entries: canonical, problems };
+}
+
+/**
+ * Registered tags that at least one entry uses, sorted by label, each with the
+ * projects and posts carrying it. Pass entries that are already filtered for
+ * visibility.
+ * @template P, B
+ * @param {{ projects: P[], blog: B[] }} collections
+ * @param {Array<{ slug: string, label: string, description: string }>} tags The registry's `tags`.
+ * @returns {Array<{ slug: string, label: string, description: string, projects: P[], posts: B[] }>}
+ */
+function groupEntriesByTag({ projects, blog }, tags) {
+  const hasTag = slug => entry => (entry.frontmatter.tags ?? []).includes(slug);
+
+  return tags
+    .map(({ slug, label, description }) => ({
+      slug,
+      label,
+      description,
+      projects: projects.filter(hasTag(slug)),
+      posts: blog.filter(hasTag(slug)),
+    }))
+    .filter(tag => tag.projects.length + tag.posts.length > 0)
+    .sort((a, b) => a.label.localeCompare(b.label));
+}
+
+module.exports = {
+  TAGS_FILE,
+  canonicalizeEntryTags,
+  createTagRegistry,
+  groupEntriesByTag,
+  normalizeTag,
+  resolveTag,
+};
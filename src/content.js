@@ -1,5 +1,38 @@
-const { readFileSync, readdirSync, mkdirSync, writeFileSync } = require('node:fs');
+const { existsSync, readFileSync, readdirSync } = require('node:fs');
 const { join, basename } = require('node:path');
+const { LineCounter, isMap, isSeq, parseDocument } = require('yaml');
+const {
+  assertSchema,
+  buildTypeDeclarations,
+  listReferences,
+  validateSchema,
+} = require('./content-schema.js');
+const {
+  createContentCache,
+  diffIndexEntries,
+  hashContent,
+  readJson,
+  writeFileIfChanged,
+} = require('./content-cache.js');
+const {
+  PUBLISH_STATUSES,
+  checkPublishFields,
+  filterVisibleEntries,
+  isPreviewMode,
+} = require('./publishing.js');
+const { checkSeriesFields, findSeriesConflicts } = require('./content-series.js');
+const { findReservedBlogSlugs } = require('./blog-archive.js');
+const { SEARCH_INDEX_PATH, buildSearchIndex } = require('./search-index.js');
+const { buildContentHistory, checkHistoryFields } = require('./content-history.js');
+const { recommendRelatedContent } = require('./content-recommendations.js');
+const { checkReferences, linkRelatedEntries } = require('./content-relations.js');
+const { TAGS_FILE, canonicalizeEntryTags, createTagRegistry } = require('./content-tags.js');
+const { checkMessageCatalogs, getLocales } = require('./i18n.js');
+const { checkChartSpecs } = require('./chart-specs.js');
+const { checkDataCharts } = require('./data-charts.js');
+const { checkProjectNotebooks } = require('./notebooks.js');
+const { collectFieldPositions, findFieldPosition } = require('./field-positions.js');
+const { PROJECT_DOMAINS } = require('./project-facets.js');
 
 const CONTENT_ROOT = 'content';
 const PROJECTS_DIR = join(CONTENT_ROOT, 'projects');
@@ -10,16 +43,35 @@ const projectSchema = {
   date: 'date',
   tags: 'string[]',
   summary: 'string',
-  caseStudyData: 'string',
-  caseStudyMethods: 'string',
-  caseStudyResults: 'string',
-  caseStudyReproducibility: 'string',
-  caseStudyReflection: 'string',
+  caseStudyData: { type: 'string', optional: true },
+  caseStudyMethods: { type: 'string', optional: true },
+  caseStudyResults: { type: 'string', optional: true },
+  caseStudyReproducibility: { type: 'string', optional: true },
+  caseStudyReflection: { type: 'string', optional: true },
   tech: 'string[]',
-  repo: 'string',
-  cover: 'string',
-  gallery: 'string[]',
-  status: 'string',
+  domain: { type: 'enum', values: PROJECT_DOMAINS.map(domain => domain.value), optional: true },
+  repo: { type: 'url', optional: true },
+  notebook: {
+    type: 'object',
+    optional: true,
+    fields: {
+      file: 'string',
+      url: { type: 'url', optional: true },
+      tag: { type: 'string', optional: true },
+    },
+  },
+  cover: 'image',
+  gallery: 'image[]',
+  status: { type: 'enum', values: PUBLISH_STATUSES, default: 'draft' },
+  publishAt: { type: 'date', optional: true },
+  created: { type: 'date', optional: true },
+  updated: { type: 'date', optional: true },
+  relatedPosts: {
+    type: 'list',
+    of: { type: 'reference', collection: 'blog' },
+    minItems: 0,
+    optional: true,
+  },
 };
 
 const blogSchema = {
@@ -27,87 +79,92 @@ const blogSchema = {
   date: 'date',
   tags: 'string[]',
   summary: 'string',
-  cover: 'string',
+  cover: { type: 'image', default: '/assets/og.png' },
   readingTime: 'number',
+  status: { type: 'enum', values: PUBLISH_STATUSES, default: 'draft' },
+  publishAt: { type: 'date', optional: true },
+  created: { type: 'date', optional: true },
+  updated: { type: 'date', optional: true },
+  relatedProjects: {
+    type: 'list',
+    of: { type: 'reference', collection: 'projects' },
+    minItems: 0,
+    optional: true,
+  },
+  series: { type: 'string', optional: true },
+  seriesOrder: { type: 'number', optional: true },
 };
 
-function parseScalar(value) {
-  const trimmed = value.trim();
+// Fields a translation (content/<locale>/<collection>/<slug>.mdx) may set; the
+// rest (dates, tags, images, relations) always come from the default locale.
+const TRANSLATABLE_FIELDS = {
+  projects: [
+    'title',
+    'summary',
+    'caseStudyData',
+    'caseStudyMethods',
+    'caseStudyResults',
+    'caseStudyReproducibility',
+    'caseStudyReflection',
+  ],
+  blog: ['title', 'summary'],
+};
 
-  if (
-    (trimmed.startsWith('"') && trimmed.endsWith('"')) ||
-    (trimmed.startsWith("'") && trimmed.endsWith("'"))
-  ) {
-    return trimmed.slice(1, -1);
-  }
+function buildTranslationSchema(schema, fields) {
+  return Object.fromEntries(fields.map(field => [field, schema[field]]));
+}
 
-  if (trimmed === 'true') {
-    return true;
-  }
+const translationSchemas = {
+  projects: buildTranslationSchema(projectSchema, TRANSLATABLE_FIELDS.projects),
+  blog: buildTranslationSchema(blogSchema, TRANSLATABLE_FIELDS.blog),
+};
 
-  if (trimmed === 'false') {
-    return false;
-  }
+function createFrontmatterError(reason, line, column) {
+  const error = new Error(`Invalid frontmatter line ${line}, column ${column}: ${reason}`);
+  error.reason = reason;
+  error.line = line;
+  error.column = column;
+  return error;
+}
 
-  if (/^-?\d+(\.\d+)?$/.test(trimmed)) {
-    return Number(trimmed);
+function readFrontmatterDocument(frontmatterBlock) {
+  const lineCounter = new LineCounter();
+  // YAML 1.2 core schema keeps `2026-01-01` dates as strings and only treats
+  // true/false as booleans, which matches what the content schemas expect.
+  const document = parseDocument(frontmatterBlock, {
+    lineCounter,
+    prettyErrors: false,
+    schema: 'core',
+  });
+
+  const errors = document.errors.map(error => {
+    const { line, col } = lineCounter.linePos(error.pos[0]);
+    return createFrontmatterError(error.message, line, col);
+  });
+
+  if (errors.length === 0 && document.contents !== null && !isMap(document.contents)) {
+    const { line, col } = lineCounter.linePos(document.contents.range[0]);
+    const reason = isSeq(document.contents)
+      ? 'Invalid list entry without a key'
+      : 'frontmatter must be a mapping of key: value pairs';
+    errors.push(createFrontmatterError(reason, line, col));
   }
 
-  if (trimmed.startsWith('[') && trimmed.endsWith(']')) {
-    const inner = trimmed.slice(1, -1).trim();
-    if (inner.length === 0) {
-      return [];
-    }
-
-    return inner
-      .split(',')
-      .map(part => parseScalar(part))
-      .map(part => String(part));
+  if (errors.length > 0) {
+    return { errors, data: null, fieldPositions: {} };
   }
 
-  return trimmed;
+  const fieldPositions = {};
+  collectFieldPositions(document.contents, lineCounter, '', fieldPositions);
+
+  return { errors, data: document.contents === null ? {} : document.toJS(), fieldPositions };
 }
 
 function parseFrontmatter(frontmatterBlock) {
-  const data = {};
-  const lines = frontmatterBlock.split('\n');
-  let activeListKey = null;
-
-  for (const line of lines) {
-    const trimmed = line.trim();
-
-    if (trimmed.length === 0) {
-      continue;
-    }
-
-    if (/^\s+-\s+/.test(line)) {
-      if (!activeListKey) {
-        throw new Error(`Invalid list entry without a key: "${line}"`);
-      }
-
-      const listValue = line.replace(/^\s*-\s+/, '');
-      data[activeListKey].push(String(parseScalar(listValue)));
-      continue;
-    }
-
-    const match = line.match(/^([A-Za-z][\w-]*):(?:\s*(.*))?$/);
-    if (!match) {
-      throw new Error(`Invalid frontmatter line: "${line}"`);
-    }
-
-    const [, key, rawValue = ''] = match;
-    const value = rawValue.trim();
-
-    if (value.length === 0) {
-      data[key] = [];
-      activeListKey = key;
-      continue;
-    }
-
-    data[key] = parseScalar(value);
-    activeListKey = null;
+  const { errors, data } = readFrontmatterDocument(frontmatterBlock);
+  if (errors.length > 0) {
+    throw errors[0];
   }
-
   return data;
 }
 
@@ -138,69 +195,156 @@ function splitFrontmatter(sourceText) {
   };
 }
 
-function assertSchema(entry, schema, sourcePath) {
-  for (const [field, expectedType] of Object.entries(schema)) {
-    if (!(field in entry)) {
-      throw new Error(`${sourcePath}: missing required frontmatter field "${field}"`);
+function parseMdxFile(filePath) {
+  const source = readFileSync(filePath, 'utf8');
+  const { frontmatter, body } = splitFrontmatter(source);
+  let data;
+
+  try {
+    data = parseFrontmatter(frontmatter);
+  } catch (error) {
+    if (typeof error.line !== 'number') {
+      throw error;
     }
 
-    const value = entry[field];
+    // Shift past the opening --- so the position points into the MDX file itself.
+    const line = error.line + 1;
+    throw Object.assign(new Error(`${filePath}:${line}:${error.column}: ${error.reason}`), {
+      reason: error.reason,
+      line,
+      column: error.column,
+    });
+  }
 
-    if (expectedType === 'string') {
-      if (typeof value !== 'string' || value.trim().length === 0) {
-        throw new Error(`${sourcePath}: field "${field}" must be a non-empty string`);
-      }
-      continue;
-    }
+  if (body.length === 0) {
+    throw new Error(`${filePath}: MDX body must not be empty`);
+  }
 
-    if (expectedType === 'number') {
-      if (typeof value !== 'number' || Number.isNaN(value) || value <= 0) {
-        throw new Error(`${sourcePath}: field "${field}" must be a positive number`);
-      }
-      continue;
-    }
+  return {
+    frontmatter: data,
+    body,
+  };
+}
 
-    if (expectedType === 'date') {
-      if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
-        throw new Error(`${sourcePath}: field "${field}" must use YYYY-MM-DD format`);
-      }
+const YAML_FIX_HINT =
+  'Check indentation and quoting near this line; quote values that contain ": " or start with @, `, or %';
 
-      const parsed = new Date(`${value}T00:00:00.000Z`);
-      if (Number.isNaN(parsed.getTime())) {
-        throw new Error(`${sourcePath}: field "${field}" must be a valid date`);
-      }
-      continue;
-    }
+function createIssue(filePath, position, details) {
+  return {
+    file: filePath,
+    line: position?.line ?? 1,
+    column: position?.column ?? 1,
+    field: null,
+    ...details,
+  };
+}
 
-    if (expectedType === 'string[]') {
-      if (
-        !Array.isArray(value) ||
-        value.length === 0 ||
-        value.some(item => typeof item !== 'string' || item.trim().length === 0)
-      ) {
-        throw new Error(`${sourcePath}: field "${field}" must be a non-empty string array`);
-      }
-      continue;
-    }
+/**
+ * Parses and validates one MDX file without throwing on content problems.
+ * Every issue carries the file, field, 1-based line/column, and a fix hint.
+ */
+function inspectMdxSource(filePath, source, schema) {
+  let parts;
+
+  try {
+    parts = splitFrontmatter(source);
+  } catch (error) {
+    return {
+      entry: null,
+      issues: [
+        createIssue(filePath, null, {
+          message: error.message,
+          hint: 'Start the file with a --- line, then the frontmatter, then a closing --- line',
+        }),
+      ],
+    };
   }
-}
 
-function parseMdxFile(filePath) {
-  const source = readFileSync(filePath, 'utf8');
-  const { frontmatter, body } = splitFrontmatter(source);
-  const data = parseFrontmatter(frontmatter);
+  const issues = [];
+  const { errors, data, fieldPositions } = readFrontmatterDocument(parts.frontmatter);
 
-  if (body.length === 0) {
-    throw new Error(`${filePath}: MDX body must not be empty`);
+  // Positions are shifted past the opening --- so they point into the MDX file itself.
+  const toFileLine = position => position && { ...position, line: position.line + 1 };
+
+  for (const error of errors) {
+    issues.push(
+      createIssue(filePath, toFileLine(error), { message: error.reason, hint: YAML_FIX_HINT })
+    );
   }
 
+  if (parts.body.length === 0) {
+    issues.push(
+      createIssue(
+        filePath,
+        { line: parts.frontmatter.split('\n').length + 2, column: 1 },
+        {
+          message: 'MDX body must not be empty',
+          hint: 'Add MDX content below the closing --- line',
+        }
+      )
+    );
+  }
+
+  if (!data) {
+    return { entry: null, issues };
+  }
+
+  const { value, issues: schemaIssues } = validateSchema(data, schema);
+  if (schemaIssues.length === 0) {
+    schemaIssues.push(
+      ...checkPublishFields(value),
+      ...checkSeriesFields(value),
+      ...checkHistoryFields(value)
+    );
+  }
+  for (const schemaIssue of schemaIssues) {
+    const position = toFileLine(findFieldPosition(fieldPositions, schemaIssue.field));
+    issues.push(createIssue(filePath, position, schemaIssue));
+  }
+
+  const references = listReferences(value, schema).map(reference => ({
+    file: filePath,
+    ...toFileLine(findFieldPosition(fieldPositions, reference.field)),
+    ...reference,
+  }));
+
+  // Top-level field locations, for problems only found once every file is loaded.
+  const locations = Object.fromEntries(
+    Object.keys(value)
+      .filter(field => fieldPositions[field])
+      .map(field => [field, toFileLine(fieldPositions[field])])
+  );
+
   return {
-    frontmatter: data,
-    body,
+    entry: { frontmatter: value, body: parts.body },
+    issues,
+    references,
+    locations,
   };
 }
 
-function loadCollectionEntries(collectionDir, schema) {
+function inspectMdxFile(filePath, schema) {
+  return inspectMdxSource(filePath, readFileSync(filePath, 'utf8'), schema);
+}
+
+function formatIssueLocation(issue) {
+  return `${issue.file}:${issue.line}:${issue.column}`;
+}
+
+/**
+ * Loads every MDX file in a collection. By default the first problem throws;
+ * pass `{ issues: [] }` to collect all problems into that array instead, and
+ * `{ cache }` (see src/content-cache.js) to skip re-parsing unchanged files.
+ * `{ references: [] }` collects every reference field value with its location,
+ * and `{ locations: new Map() }` maps each file to its top-level field positions.
+ */
+function loadCollectionEntries(collectionDir, schema, options = {}) {
+  return readCollectionFiles(collectionDir, schema, options).sort((a, b) =>
+    b.frontmatter.date.localeCompare(a.frontmatter.date)
+  );
+}
+
+function readCollectionFiles(collectionDir, schema, options) {
   const entries = [];
 
   for (const name of readdirSync(collectionDir)) {
@@ -210,40 +354,293 @@ function loadCollectionEntries(collectionDir, schema) {
 
     const filePath = join(collectionDir, name);
     const slug = basename(name, '.mdx');
-    const parsed = parseMdxFile(filePath);
+    const source = readFileSync(filePath, 'utf8');
+    const inspect = () => inspectMdxSource(filePath, source, schema);
+    const { entry, issues, references, locations } = options.cache
+      ? options.cache.resolve(filePath, source, inspect)
+      : inspect();
+
+    if (issues.length > 0) {
+      if (!options.issues) {
+        throw new Error(`${formatIssueLocation(issues[0])}: ${issues[0].message}`);
+      }
+      options.issues.push(...issues);
+      continue;
+    }
 
-    assertSchema(parsed.frontmatter, schema, filePath);
+    options.references?.push(...references);
+    options.locations?.set(filePath, locations);
 
     entries.push({
       slug,
-      frontmatter: parsed.frontmatter,
-      content: parsed.body,
+      frontmatter: entry.frontmatter,
+      content: entry.body,
     });
   }
 
-  return entries.sort((a, b) => b.frontmatter.date.localeCompare(a.frontmatter.date));
+  return entries;
+}
+
+/**
+ * Loads the translations of a collection for every locale with a message
+ * catalog, from content/<locale>/<collection>/. Returns the translations keyed
+ * by slug and locale, and the problems only visible across files: translations
+ * of entries that do not exist and fields that cannot be translated. Accepts
+ * the options of loadCollectionEntries plus `contentRoot` and `locales`.
+ */
+function loadTranslations(
+  collection,
+  entries,
+  { contentRoot = CONTENT_ROOT, locales = getLocales().slice(1), ...options } = {}
+) {
+  const translations = {};
+  const problems = [];
+  const slugs = new Set(entries.map(entry => entry.slug));
+  const locations = new Map();
+
+  for (const locale of locales) {
+    const localeDir = join(contentRoot, locale, collection);
+    if (!existsSync(localeDir)) {
+      continue;
+    }
+
+    for (const translation of readCollectionFiles(localeDir, translationSchemas[collection], {
+      ...options,
+      locations,
+    })) {
+      const filePath = join(localeDir, `${translation.slug}.mdx`);
+      const fieldLocations = locations.get(filePath) ?? {};
+
+      if (!slugs.has(translation.slug)) {
+        problems.push(
+          createIssue(filePath, null, {
+            message: `Translation of unknown ${collection} entry "${translation.slug}"`,
+            hint: `Rename it after an existing file in ${join(contentRoot, collection)}, or delete it`,
+          })
+        );
+        continue;
+      }
+
+      const untranslatable = Object.keys(translation.frontmatter).filter(
+        field => !TRANSLATABLE_FIELDS[collection].includes(field)
+      );
+      for (const field of untranslatable) {
+        problems.push(
+          createIssue(filePath, fieldLocations[field], {
+            field,
+            message: `field "${field}" cannot be translated`,
+            hint: `Remove it; translations use the ${field} of ${join(contentRoot, collection, `${translation.slug}.mdx`)}`,
+          })
+        );
+      }
+      if (untranslatable.length > 0) {
+        continue;
+      }
+
+      translations[translation.slug] = {
+        ...translations[translation.slug],
+        [locale]: { frontmatter: translation.frontmatter, content: translation.content },
+      };
+    }
+  }
+
+  return { translations, problems };
 }
 
+// Entries carry `translations` only when at least one locale translates them.
+function attachTranslations(entries, translations) {
+  return entries.map(entry =>
+    translations[entry.slug] ? { ...entry, translations: translations[entry.slug] } : entry
+  );
+}
+
+function buildCacheKey() {
+  // Any change to the schemas or the parser code invalidates every cached file.
+  return hashContent(
+    projectSchema,
+    blogSchema,
+    readFileSync(__filename, 'utf8'),
+    readFileSync(join(__dirname, 'content-schema.js'), 'utf8'),
+    readFileSync(join(__dirname, 'publishing.js'), 'utf8'),
+    readFileSync(join(__dirname, 'content-series.js'), 'utf8'),
+    readFileSync(join(__dirname, 'content-history.js'), 'utf8'),
+    readFileSync(join(__dirname, 'field-positions.js'), 'utf8')
+  );
+}
+
+/**
+ * Builds the projects and blog indexes. With `validate: true`, every content
+ * problem is returned in `issues` and no index is written while any remain.
+ * Entry tags are rewritten to the canonical slugs in `tagsFile` (content/tags.json).
+ * Project chart specs in `dataDir` (content/data, see src/chart-specs.js) and
+ * `<DataChart>` tags in MDX (see src/data-charts.js) are checked against their
+ * datasets, and project notebooks (see src/notebooks.js) must parse and have
+ * tagged cells.
+ *
+ * Parsed files are cached by content hash in `cacheFile` (pass `cache: false`
+ * to disable), index files are only rewritten when their contents change, and
+ * `changes` lists the slugs added, changed, or removed per collection.
+ *
+ * Created/updated dates and revisions per entry come from git history (see
+ * src/content-history.js; `history: false` skips git) and are written to
+ * `content-history.json`, which is not committed: it would always be one commit
+ * behind.
+ *
+ * The site search index (see src/search-index.js) is built from the entries
+ * visible to this build (drafts only with CONTENT_PREVIEW) and written to
+ * `search-index.json`, also uncommitted, since scheduled entries join it by date.
+ */
 function generateContentIndexes(options = {}) {
   const outputDir = options.outputDir ?? join('src', 'generated');
+  const issues = [];
+  const cache =
+    options.cache === false
+      ? null
+      : createContentCache({ cacheFile: options.cacheFile, key: buildCacheKey() });
+  const references = [];
+  const locations = new Map();
+  const collectOptions = options.validate
+    ? { issues, cache, references, locations }
+    : { cache, references, locations };
+
+  const loadedProjects = loadCollectionEntries(PROJECTS_DIR, projectSchema, collectOptions);
+  const loadedBlog = loadCollectionEntries(BLOG_DIR, blogSchema, collectOptions);
+  const projectTranslations = loadTranslations('projects', loadedProjects, collectOptions);
+  const blogTranslations = loadTranslations('blog', loadedBlog, collectOptions);
+  const translationCount = [projectTranslations, blogTranslations]
+    .flatMap(({ translations }) => Object.values(translations))
+    .reduce((count, locales) => count + Object.keys(locales).length, 0);
+  const stats = cache
+    ? { ...cache.stats }
+    : { parsed: loadedProjects.length + loadedBlog.length + translationCount, cached: 0 };
+
+  const toIssue =
+    collectionDir =>
+    ({ slug, ...details }) => {
+      const filePath = join(collectionDir, `${slug}.mdx`);
+      return createIssue(filePath, locations.get(filePath)?.[details.field], details);
+    };
+
+  // Tags are canonicalized here rather than per file, so editing the registry
+  // never leaves stale results in the parse cache.
+  const tagsFile = options.tagsFile ?? TAGS_FILE;
+  const tagRegistry = createTagRegistry(JSON.parse(readFileSync(tagsFile, 'utf8')));
+  const taggedProjects = canonicalizeEntryTags(loadedProjects, tagRegistry);
+  const taggedBlog = canonicalizeEntryTags(loadedBlog, tagRegistry);
+
+  const collectionIssues = [
+    ...tagRegistry.problems.map(problem => createIssue(tagsFile, null, problem)),
+    ...taggedProjects.problems.map(toIssue(PROJECTS_DIR)),
+    ...taggedBlog.problems.map(toIssue(BLOG_DIR)),
+    ...checkReferences(references, { projects: loadedProjects, blog: loadedBlog }),
+    ...findSeriesConflicts(loadedBlog).map(toIssue(BLOG_DIR)),
+    ...findReservedBlogSlugs(loadedBlog).map(toIssue(BLOG_DIR)),
+    ...projectTranslations.problems,
+    ...blogTranslations.problems,
+    ...checkChartSpecs({
+      dataDir: options.dataDir,
+      projectSlugs: loadedProjects.map(project => project.slug),
+    }),
+    ...checkDataCharts(),
+    ...checkProjectNotebooks(loadedProjects).map(toIssue(PROJECTS_DIR)),
+    // Catalog gaps fall back to the default locale at runtime, so only validation reports them.
+    ...(options.validate ? checkMessageCatalogs() : []),
+  ];
+  if (collectionIssues.length > 0 && !options.validate) {
+    const [first] = collectionIssues;
+    throw new Error(`${formatIssueLocation(first)}: ${first.message}`);
+  }
+  issues.push(...collectionIssues);
+
+  const recommended = recommendRelatedContent(
+    linkRelatedEntries({ projects: taggedProjects.entries, blog: taggedBlog.entries })
+  );
+  const projects = attachTranslations(recommended.projects, projectTranslations.translations);
+  const blog = attachTranslations(recommended.blog, blogTranslations.translations);
+  const { tags } = tagRegistry;
+
+  if (issues.length > 0) {
+    return {
+      projects,
+      blog,
+      tags,
+      history: null,
+      searchIndex: null,
+      outputDir,
+      issues,
+      changes: null,
+      written: [],
+      stats,
+    };
+  }
 
-  const projects = loadCollectionEntries(PROJECTS_DIR, projectSchema);
-  const blog = loadCollectionEntries(BLOG_DIR, blogSchema);
+  const history = buildContentHistory(
+    {
+      projects: { dir: PROJECTS_DIR, entries: projects },
+      blog: { dir: BLOG_DIR, entries: blog },
+    },
+    { git: options.history !== false }
+  );
+
+  const projectsPath = join(outputDir, 'projects-index.json');
+  const blogPath = join(outputDir, 'blog-index.json');
+  const changes = {
+    projects: diffIndexEntries(readJson(projectsPath, []), projects),
+    blog: diffIndexEntries(readJson(blogPath, []), blog),
+  };
 
-  mkdirSync(outputDir, { recursive: true });
-  writeFileSync(join(outputDir, 'projects-index.json'), `${JSON.stringify(projects, null, 2)}\n`);
-  writeFileSync(join(outputDir, 'blog-index.json'), `${JSON.stringify(blog, null, 2)}\n`);
+  const outputs = [
+    [projectsPath, `${JSON.stringify(projects, null, 2)}\n`],
+    [blogPath, `${JSON.stringify(blog, null, 2)}\n`],
+    [
+      join(outputDir, 'content-types.ts'),
+      buildTypeDeclarations({ ProjectFrontmatter: projectSchema, BlogFrontmatter: blogSchema }),
+    ],
+  ];
+  const written = outputs
+    .filter(([filePath, contents]) => writeFileIfChanged(filePath, contents))
+    .map(([filePath]) => filePath);
+  // Not part of `written`: it changes with every commit, not with the content.
+  writeFileIfChanged(
+    join(outputDir, 'content-history.json'),
+    `${JSON.stringify(history, null, 2)}\n`
+  );
+
+  const preview = isPreviewMode(process.env);
+  const searchIndex = buildSearchIndex({
+    projects: filterVisibleEntries(projects, { preview }),
+    blog: filterVisibleEntries(blog, { preview }),
+  });
+  writeFileIfChanged(join(outputDir, SEARCH_INDEX_PATH), `${JSON.stringify(searchIndex)}\n`);
+
+  cache?.save();
 
-  return { projects, blog, outputDir };
+  return {
+    projects,
+    blog,
+    tags,
+    history,
+    searchIndex,
+    outputDir,
+    issues,
+    changes,
+    written,
+    stats,
+  };
 }
 
 module.exports = {
   BLOG_DIR,
   CONTENT_ROOT,
   PROJECTS_DIR,
+  PUBLISH_STATUSES,
+  TRANSLATABLE_FIELDS,
+  assertSchema,
   blogSchema,
   generateContentIndexes,
+  inspectMdxFile,
   loadCollectionEntries,
+  loadTranslations,
   parseFrontmatter,
   parseMdxFile,
   projectSchema,
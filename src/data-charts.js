@@ -0,0 +1,420 @@
+/**
+ * `<DataChart>` for MDX: charts a dataset from content/ without copying its
+ * numbers into the post.
+ *
+ *   <DataChart src="data/ssa-disability-outcomes/approval-by-year.csv"
+ *     title="Average approval rate" type="line" x="year" y="rate" aggregate="mean" />
+ *
+ * MDX pages render with JavaScript expressions stripped (next-mdx-remote's
+ * blockJS), so every attribute is a string; `filter` uses a small syntax of
+ * its own: `year>=2015; state=KS|AK`.
+ *
+ * resolveDataChart turns the attributes into a chart spec (see
+ * src/chart-specs.js) with its rows. checkDataCharts validates every
+ * `<DataChart>` in content/ in the issue format of src/content.js, so a chart
+ * with a missing column fails `npm run generate:content` instead of the page.
+ */
+const { existsSync, readFileSync, readdirSync } = require('node:fs');
+const { extname, join, relative, resolve } = require('node:path');
+const { DATASET_EXTENSIONS, readDataset } = require('./datasets.js');
+const { AGGREGATES, transformRows } = require('./data-transforms.js');
+
+const CONTENT_ROOT = 'content';
+const DATA_CHART_TYPES = ['bar', 'line', 'area', 'pie'];
+const DATA_CHART_ATTRIBUTES = [
+  'src',
+  'title',
+  'caption',
+  'type',
+  'x',
+  'y',
+  'series',
+  'aggregate',
+  'filter',
+  'sort',
+  'limit',
+  'height',
+  'color',
+];
+const FILTER_CONDITION = /^([A-Za-z_][\w-]*)\s*(>=|<=|=)\s*(.*)$/;
+
+/**
+ * Parses `filter` into column -> { op, values } clauses. `=` takes one value
+ * or alternatives separated by `|`; `>=` and `<=` take one bound each.
+ */
+function parseFilter(text) {
+  const clauses = [];
+  for (const part of text.split(';').map(clause => clause.trim())) {
+    if (!part) {
+      continue;
+    }
+    const match = part.match(FILTER_CONDITION);
+    if (!match || match[3].trim() === '') {
+      throw new Error(`Cannot read the filter condition "${part}"`);
+    }
+    const [, column, op, value] = match;
+    clauses.push({ column, op, values: value.split('|').map(item => item.trim()) });
+  }
+  return clauses;
+}
+
+// Turns filter clauses into matchesCondition() conditions typed like their columns.
+function buildFilter(clauses, types) {
+  const filter = {};
+  for (const { column, op, values } of clauses) {
+    const typed = values.map(value => (types[column] === 'number' ? Number(value) : value));
+    if (typed.some(value => Number.isNaN(value))) {
+      throw new Error(`"${column}" is numeric, so "${values.join('|')}" cannot match it`);
+    }
+    if (op === '=') {
+      filter[column] = typed.length === 1 ? typed[0] : typed;
+    } else {
+      filter[column] = {
+        ...(typeof filter[column] === 'object' && !Array.isArray(filter[column])
+          ? filter[column]
+          : {}),
+        [op === '>=' ? 'min' : 'max']: typed[0],
+      };
+    }
+  }
+  return filter;
+}
+
+/**
+ * Resolves `<DataChart>` attributes to `{ chart, problems }`. `chart` is a
+ * chart spec with its rows (null when a problem prevents it); each problem
+ * names the offending `attribute` and carries a `message` and `hint`.
+ */
+function resolveDataChart(attributes, { contentRoot = CONTENT_ROOT } = {}) {
+  const problems = [];
+  const problem = (attribute, message, hint) => problems.push({ attribute, message, hint });
+
+  for (const name of Object.keys(attributes).filter(
+    name => !DATA_CHART_ATTRIBUTES.includes(name)
+  )) {
+    problem(name, `Unknown attribute "${name}"`, `Use: ${DATA_CHART_ATTRIBUTES.join(', ')}`);
+  }
+
+  const { src, title, caption, x, y, series, aggregate, sort, color } = attributes;
+  const type = attributes.type ?? 'bar';
+  if (typeof title !== 'string' || title.trim() === '') {
+    problem('title', 'A title is required', 'Describe what the chart shows');
+  }
+  if (!DATA_CHART_TYPES.includes(type)) {
+    problem('type', `Unknown chart type "${type}"`, `Use one of: ${DATA_CHART_TYPES.join(', ')}`);
+  }
+  if (aggregate !== undefined && !Object.hasOwn(AGGREGATES, aggregate)) {
+    problem(
+      'aggregate',
+      `Unknown aggregate "${aggregate}"`,
+      `Use one of: ${Object.keys(AGGREGATES).join(', ')}`
+    );
+  }
+  for (const name of ['limit', 'height']) {
+    if (attributes[name] !== undefined && !/^[1-9]\d*$/.test(attributes[name])) {
+      problem(name, `"${name}" must be a positive whole number`, `e.g. ${name}="10"`);
+    }
+  }
+
+  let dataset = null;
+  const dataPath = typeof src === 'string' ? resolve(contentRoot, src) : null;
+  if (!dataPath) {
+    problem('src', 'A dataset is required', 'Set src to a file under content/, e.g. data/…/x.csv');
+  } else if (relative(resolve(contentRoot), dataPath).startsWith('..')) {
+    problem('src', `"${src}" is outside ${contentRoot}/`, 'Paths are relative to content/');
+  } else if (!DATASET_EXTENSIONS.includes(extname(dataPath))) {
+    problem(
+      'src',
+      `"${src}" is not a ${DATASET_EXTENSIONS.join(' or ')} file`,
+      'Export the data as CSV or as a JSON array of rows'
+    );
+  } else if (!existsSync(dataPath)) {
+    problem('src', `Dataset "${src}" does not exist`, `Add ${join(contentRoot, src)}`);
+  } else {
+    try {
+      dataset = readDataset(dataPath);
+    } catch (error) {
+      problem(
+        'src',
+        `${src} line ${error.line ?? 1}: ${error.reason ?? error.message}`,
+        'Every row needs one value per column; quote values that contain commas'
+      );
+    }
+  }
+  if (!dataset) {
+    return { chart: null, problems };
+  }
+
+  const { columns, types } = dataset;
+  const checkColumn = (attribute, column, { numeric = false } = {}) => {
+    if (!columns.includes(column)) {
+      problem(
+        attribute,
+        `Column "${column}" is not in ${src}`,
+        `Use one of: ${columns.join(', ')}`
+      );
+    } else if (numeric && types[column] !== 'number') {
+      problem(attribute, `Column "${column}" must be numeric`, 'Pick a column of numbers');
+    }
+  };
+
+  // `aggregate="count"` counts rows, so it needs no y column.
+  const counting = aggregate === 'count';
+  const valueField = counting ? 'count' : y;
+  if (typeof x !== 'string') {
+    problem('x', 'An x column is required', `Use one of: ${columns.join(', ')}`);
+  } else {
+    checkColumn('x', x);
+  }
+  if (!counting && typeof y !== 'string') {
+    problem('y', 'A y column is required', 'Or count rows with aggregate="count"');
+  } else if (!counting) {
+    checkColumn('y', y, { numeric: true });
+  }
+  if (series !== undefined) {
+    if (type === 'pie') {
+      problem('series', 'Pie charts cannot have a series', 'Remove series or use type="bar"');
+    } else {
+      checkColumn('series', series);
+    }
+  }
+
+  let filter;
+  if (attributes.filter !== undefined) {
+    try {
+      const clauses = parseFilter(attributes.filter);
+      clauses.forEach(({ column }) => checkColumn('filter', column));
+      filter = buildFilter(clauses, types);
+    } catch (error) {
+      problem('filter', error.message, 'e.g. filter="year>=2015; state=KS|AK"');
+    }
+  }
+
+  const groupBy = [x, ...(series ? [series] : [])];
+  const outputColumns = aggregate ? [...groupBy, valueField] : columns;
+  if (sort !== undefined && !outputColumns.includes(sort.replace(/^-/, ''))) {
+    problem('sort', `Cannot sort by "${sort}"`, `Sort by one of: ${outputColumns.join(', ')}`);
+  }
+
+  if (problems.length > 0) {
+    return { chart: null, problems };
+  }
+
+  const transform = {
+    filter,
+    aggregate: aggregate ? { groupBy, field: valueField, method: aggregate } : undefined,
+    sort,
+    limit: attributes.limit === undefined ? undefined : Number(attributes.limit),
+  };
+  const rows = transformRows(dataset.rows, transform);
+  const encoding =
+    type === 'pie'
+      ? { label: { field: x }, value: { field: valueField } }
+      : {
+          x: { field: x },
+          y: { field: valueField },
+          ...(series ? { series: { field: series } } : {}),
+          ...(color ? { color: { value: color } } : {}),
+        };
+
+  return {
+    chart: {
+      type,
+      title,
+      caption,
+      data: src,
+      encoding,
+      columns: outputColumns.map(field => ({ field })),
+      types: { ...types, ...(counting ? { count: 'number' } : {}) },
+      ...Object.fromEntries(Object.entries(transform).filter(([, value]) => value !== undefined)),
+      rows,
+      ...(attributes.height ? { height: Number(attributes.height) } : {}),
+    },
+    problems,
+  };
+}
+
+/** Resolves `<DataChart>` attributes for rendering; the first problem throws. */
+function loadDataChart(attributes, options) {
+  const { chart, problems } = resolveDataChart(attributes, options);
+  if (problems.length > 0) {
+    const [first] = problems;
+    throw new Error(`<DataChart src="${attributes.src}"> ${first.attribute}: ${first.message}`);
+  }
+  return chart;
+}
+
+function lineStarts(source) {
+  const starts = [0];
+  for (let index = 0; index < source.length; index += 1) {
+    if (source[index] === '\n') {
+      starts.push(index + 1);
+    }
+  }
+  return starts;
+}
+
+function positionAt(starts, offset) {
+  let line = starts.length - 1;
+  while (starts[line] > offset) {
+    line -= 1;
+  }
+  return { line: line + 1, column: offset - starts[line] + 1 };
+}
+
+// Offsets of fenced code blocks, where `<DataChart` is example text.
+function findFences(source) {
+  const fences = [];
+  const pattern = /^```.*$/gm;
+  let open = null;
+  for (const match of source.matchAll(pattern)) {
+    if (open === null) {
+      open = match.index;
+    } else {
+      fences.push([open, match.index + match[0].length]);
+      open = null;
+    }
+  }
+  return open === null ? fences : [...fences, [open, source.length]];
+}
+
+// Reads one attribute value starting at `index`: a quoted string or a `{…}` expression.
+function readAttributeValue(source, index) {
+  const quote = source[index];
+  if (quote === '"' || quote === "'") {
+    const end = source.indexOf(quote, index + 1);
+    return end === -1 ? null : { value: source.slice(index + 1, end), end: end + 1 };
+  }
+  if (quote === '{') {
+    let depth = 0;
+    for (let cursor = index; cursor < source.length; cursor += 1) {
+      depth += source[cursor] === '{' ? 1 : source[cursor] === '}' ? -1 : 0;
+      if (depth === 0) {
+        return { expression: source.slice(index, cursor + 1), end: cursor + 1 };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Finds every `<DataChart … />` in an MDX source with its attributes and
+ * 1-based positions. Attributes that are not plain strings are reported in
+ * `problems`: MDX strips them before the chart renders.
+ */
+function findDataCharts(source) {
+  const starts = lineStarts(source);
+  const fences = findFences(source);
+  const tags = [];
+
+  for (const match of source.matchAll(/<DataChart\b/g)) {
+    if (fences.some(([start, end]) => match.index > start && match.index < end)) {
+      continue;
+    }
+    const tag = { ...positionAt(starts, match.index), attributes: {}, problems: [] };
+    let index = match.index + match[0].length;
+    while (index < source.length) {
+      const rest = source.slice(index);
+      const space = rest.match(/^\s*/)[0].length;
+      index += space;
+      if (source.startsWith('/>', index) || source[index] === '>') {
+        break;
+      }
+      const name = source.slice(index).match(/^[A-Za-z_][\w-]*/)?.[0];
+      if (!name) {
+        tag.problems.push({
+          ...positionAt(starts, index),
+          attribute: null,
+          message: 'Cannot read the <DataChart> attributes',
+          hint: 'Write attributes as name="value" and close the tag with />',
+        });
+        break;
+      }
+      const position = positionAt(starts, index);
+      index += name.length;
+      if (source[index] !== '=') {
+        tag.attributes[name] = { ...position, value: 'true' };
+        continue;
+      }
+      const value = readAttributeValue(source, index + 1);
+      if (!value) {
+        tag.problems.push({
+          ...position,
+          attribute: name,
+          message: `Cannot read the value of "${name}"`,
+          hint: 'Quote the value: name="value"',
+        });
+        break;
+      }
+      index = value.end;
+      if (value.expression !== undefined) {
+        tag.problems.push({
+          ...position,
+          attribute: name,
+          message: `"${name}" must be a string, not ${value.expression}`,
+          hint: `MDX drops {…} attributes when the page renders; write ${name}="…"`,
+        });
+        continue;
+      }
+      tag.attributes[name] = { ...position, value: value.value };
+    }
+    tags.push(tag);
+  }
+
+  return tags;
+}
+
+function listMdxFiles(dir) {
+  return readdirSync(dir, { withFileTypes: true })
+    .flatMap(entry =>
+      entry.isDirectory()
+        ? listMdxFiles(join(dir, entry.name))
+        : entry.name.endsWith('.mdx')
+          ? [join(dir, entry.name)]
+          : []
+    )
+    .sort();
+}
+
+/** Validates every `<DataChart>` in the MDX files under `contentRoot`. */
+function checkDataCharts({ contentRoot = CONTENT_ROOT } = {}) {
+  const issues = [];
+  for (const file of listMdxFiles(contentRoot)) {
+    const source = readFileSync(file, 'utf8');
+    if (!source.includes('<DataChart')) {
+      continue;
+    }
+    for (const tag of findDataCharts(source)) {
+      const issue = ({ line, column, attribute, message, hint }) => ({
+        file,
+        line,
+        column,
+        field: attribute,
+        message: `<DataChart> ${message}`,
+        hint,
+      });
+      issues.push(...tag.problems.map(issue));
+      const attributes = Object.fromEntries(
+        Object.entries(tag.attributes).map(([name, { value }]) => [name, value])
+      );
+      const { problems } = resolveDataChart(attributes, { contentRoot });
+      issues.push(
+        ...problems
+          // An attribute written as {…} is already reported above.
+          .filter(({ attribute }) => !tag.problems.some(other => other.attribute === attribute))
+          .map(({ attribute, message, hint }) =>
+            issue({ ...(tag.attributes[attribute] ?? tag), attribute, message, hint })
+          )
+      );
+    }
+  }
+  return issues;
+}
+
+module.exports = {
+  DATA_CHART_TYPES,
+  checkDataCharts,
+  findDataCharts,
+  loadDataChart,
+  resolveDataChart,
+};
@@ -0,0 +1,140 @@
+/**
+ * Builds the files behind the chart and table download buttons: CSV, JSON,
+ * and an SVG of the drawn chart, each ending with a citation. No Node APIs
+ * here: the export buttons run these in the browser.
+ */
+const { escapeHtml } = require('./utils/escape-html.js');
+
+function formatValue(value) {
+  return typeof value === 'number' ? String(value) : `"${value}"`;
+}
+
+/** Describes a transformRows() filter, e.g. `year = 2021`, `state in KS, AK`. */
+function describeFilter(filter = {}) {
+  return Object.entries(filter).map(([column, condition]) => {
+    if (Array.isArray(condition)) {
+      return `${column} in ${condition.join(', ')}`;
+    }
+    if (condition && typeof condition === 'object') {
+      const bounds = [
+        condition.min === undefined ? null : `${column} >= ${formatValue(condition.min)}`,
+        condition.max === undefined ? null : `${column} <= ${formatValue(condition.max)}`,
+      ];
+      return bounds.filter(Boolean).join(' and ');
+    }
+    return `${column} = ${formatValue(condition)}`;
+  });
+}
+
+/** Describes the transformRows() options behind the rows on screen, in the order they apply. */
+function describeRows({ filter, aggregate, sort, limit } = {}) {
+  const lines = describeFilter(filter);
+  if (aggregate) {
+    lines.push(`${aggregate.method} of ${aggregate.field} by ${aggregate.groupBy.join(', ')}`);
+  }
+  if (sort) {
+    const descending = sort.startsWith('-');
+    lines.push(`sorted by ${sort.replace(/^-/, '')} (${descending ? 'descending' : 'ascending'})`);
+  }
+  if (limit) {
+    lines.push(`first ${limit} rows`);
+  }
+  return lines;
+}
+
+/**
+ * The citation lines every export ends with. `citation` names the page the
+ * export came from (`project`, `url`) and optionally its `source` and `repo`.
+ */
+function exportCitation({ title, filters = [], data, citation, exportedAt = new Date() }) {
+  return [
+    title,
+    ...(filters.length > 0 ? [`Filters: ${filters.join('; ')}`] : []),
+    ...(citation.source ? [`Source: ${citation.source}`] : []),
+    ...(data ? [`Data file: ${data}`] : []),
+    ...(citation.repo ? [`Repository: ${citation.repo}`] : []),
+    `From: ${citation.project} (${citation.url})`,
+    `Exported: ${exportedAt.toISOString().slice(0, 10)}`,
+  ];
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+/**
+ * Rows as CSV with a header of column titles. The citation follows the data
+ * after a blank line, as `#` comments.
+ */
+function toCsv({ columns, rows, footer = [] }) {
+  const lines = [
+    columns.map(column => csvCell(column.title ?? column.field)).join(','),
+    ...rows.map(row => columns.map(column => csvCell(row[column.field])).join(',')),
+  ];
+  if (footer.length > 0) {
+    lines.push('', ...footer.map(line => `# ${line}`));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/** Rows as JSON, keyed by column field, with the filters and citation alongside. */
+function toJson({ title, filters = [], columns, rows, footer = [] }) {
+  const fields = columns.map(column => column.field);
+  return `${JSON.stringify(
+    {
+      title,
+      filters,
+      columns,
+      rows: rows.map(row => Object.fromEntries(fields.map(field => [field, row[field] ?? null]))),
+      citation: footer,
+    },
+    null,
+    2
+  )}\n`;
+}
+
+const FOOTER_LINE_HEIGHT = 16;
+const FOOTER_PADDING = 12;
+
+/**
+ * One standalone SVG from the layers a chart library drew (Plotly stacks
+ * several), each placed at its offset, with the footer lines underneath.
+ */
+function composeSvg({ width, height, layers, footer = [], background = '#ffffff' }) {
+  const footerHeight = footer.length > 0 ? footer.length * FOOTER_LINE_HEIGHT + FOOTER_PADDING : 0;
+  const totalHeight = Math.ceil(height + footerHeight);
+  const text = footer
+    .map(
+      (line, index) =>
+        `<text x="${FOOTER_PADDING}" y="${height + FOOTER_PADDING + (index + 1) * FOOTER_LINE_HEIGHT - 4}">${escapeHtml(line)}</text>`
+    )
+    .join('');
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${Math.ceil(width)}" height="${totalHeight}" viewBox="0 0 ${Math.ceil(width)} ${totalHeight}">`,
+    `<rect width="100%" height="100%" fill="${escapeHtml(background)}"/>`,
+    ...layers.map(layer => `<g transform="translate(${layer.x} ${layer.y})">${layer.markup}</g>`),
+    text ? `<g font-family="sans-serif" font-size="11" fill="#475569">${text}</g>` : '',
+    '</svg>',
+  ].join('');
+}
+
+/** A download name from the chart title, e.g. `top-states-fy2021.csv`. */
+function exportFileName(title, extension) {
+  const base = String(title)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return `${base || 'data'}.${extension}`;
+}
+
+module.exports = {
+  composeSvg,
+  describeFilter,
+  describeRows,
+  exportCitation,
+  exportFileName,
+  toCsv,
+  toJson,
+};
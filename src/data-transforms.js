@@ -0,0 +1,84 @@
+/**
+ * Row transforms for datasets (see src/datasets.js). No Node APIs here: chart
+ * components re-apply them in the browser when a control changes.
+ */
+
+/**
+ * Whether `value` passes a filter condition: a single value to match, a list
+ * of allowed values, or a `{ min, max }` range (both bounds inclusive).
+ */
+function matchesCondition(value, condition) {
+  if (Array.isArray(condition)) {
+    return condition.includes(value);
+  }
+  if (condition && typeof condition === 'object') {
+    return (
+      (condition.min === undefined || value >= condition.min) &&
+      (condition.max === undefined || value <= condition.max)
+    );
+  }
+  return value === condition;
+}
+
+const AGGREGATES = {
+  sum: values => values.reduce((total, value) => total + value, 0),
+  mean: values => AGGREGATES.sum(values) / values.length,
+  min: values => Math.min(...values),
+  max: values => Math.max(...values),
+  count: values => values.length,
+};
+
+/**
+ * One row per distinct combination of the `groupBy` columns, with `field`
+ * reduced by `method` (a key of AGGREGATES). Groups keep first-seen order;
+ * `count` writes the number of rows to `field`.
+ */
+function aggregateRows(rows, { groupBy = [], field, method }) {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = JSON.stringify(groupBy.map(column => row[column]));
+    if (!groups.has(key)) {
+      groups.set(key, { keys: row, values: [] });
+    }
+    groups.get(key).values.push(Number(row[field]));
+  }
+  return [...groups.values()].map(({ keys, values }) => ({
+    ...Object.fromEntries(groupBy.map(column => [column, keys[column]])),
+    [field]: AGGREGATES[method](values),
+  }));
+}
+
+/**
+ * Applies `filter` (column -> condition), then `aggregate` (see aggregateRows),
+ * then `sort` (a column name, `-name` for descending), then `limit` to a
+ * dataset's rows.
+ */
+function transformRows(rows, { filter, aggregate, sort, limit } = {}) {
+  let result = rows;
+  if (filter) {
+    result = result.filter(row =>
+      Object.entries(filter).every(([column, condition]) =>
+        matchesCondition(row[column], condition)
+      )
+    );
+  }
+  if (aggregate) {
+    result = aggregateRows(result, aggregate);
+  }
+  if (sort) {
+    const descending = sort.startsWith('-');
+    const column = descending ? sort.slice(1) : sort;
+    const direction = descending ? -1 : 1;
+    result = [...result].sort((a, b) =>
+      a[column] < b[column] ? -direction : a[column] > b[column] ? direction : 0
+    );
+  }
+  return limit === undefined ? result : result.slice(0, limit);
+}
+
+module.exports = {
+  AGGREGATES,
+  aggregateRows,
+  matchesCondition,
+  transformRows,
+};
@@ -0,0 +1,158 @@
+/**
+ * Reads the CSV and JSON datasets under content/data/ (row transforms live in
+ * src/data-transforms.js, which the browser can load too).
+ *
+ * A dataset is `{ columns, types, rows }`: column names in file order, each
+ * column's type (`number` when every non-empty value is numeric, otherwise
+ * `string`), and one plain object per row.
+ */
+const { readFileSync } = require('node:fs');
+const { extname, join } = require('node:path');
+
+const DATA_DIR = join('content', 'data');
+const DATASET_EXTENSIONS = ['.csv', '.json'];
+const NUMBER_PATTERN = /^-?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i;
+
+function createDatasetError(reason, line, column = 1) {
+  const error = new Error(`Invalid dataset line ${line}, column ${column}: ${reason}`);
+  error.reason = reason;
+  error.line = line;
+  error.column = column;
+  return error;
+}
+
+// RFC 4180: comma-separated, fields may be quoted, "" is a quote inside quotes.
+function splitCsvRecords(source) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+  let quoteLine = 1;
+
+  for (let index = 0; index < source.length; index += 1) {
+    const char = source[index];
+    if (quoted) {
+      if (char === '"' && source[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') {
+          line += 1;
+        }
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+      quoteLine = line;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[index + 1] === '\n') {
+        index += 1;
+      }
+      record.push(field);
+      records.push({ line: recordLine, fields: record });
+      record = [];
+      field = '';
+      line += 1;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw createDatasetError('Unterminated quoted field', quoteLine);
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push({ line: recordLine, fields: record });
+  }
+  return records.filter(({ fields }) => fields.length > 1 || fields[0] !== '');
+}
+
+function inferTypes(columns, rows) {
+  return Object.fromEntries(
+    columns.map(column => {
+      const values = rows.map(row => row[column]).filter(value => value !== '' && value != null);
+      const numeric =
+        values.length > 0 &&
+        values.every(value => typeof value === 'number' || NUMBER_PATTERN.test(value));
+      return [column, numeric ? 'number' : 'string'];
+    })
+  );
+}
+
+function coerceRows(rows, types) {
+  return rows.map(row =>
+    Object.fromEntries(
+      Object.entries(row).map(([column, value]) => [
+        column,
+        types[column] === 'number' && value !== '' && value != null ? Number(value) : value,
+      ])
+    )
+  );
+}
+
+function parseCsv(source) {
+  const [header, ...records] = splitCsvRecords(source);
+  if (!header) {
+    throw createDatasetError('CSV file is empty; the first line must name the columns', 1);
+  }
+
+  const columns = header.fields.map(name => name.trim());
+  const duplicate = columns.find((name, index) => columns.indexOf(name) !== index);
+  if (columns.includes('') || duplicate) {
+    throw createDatasetError(
+      duplicate ? `Duplicate column "${duplicate}"` : 'Every column needs a name',
+      header.line
+    );
+  }
+
+  const rows = records.map(({ line, fields }) => {
+    if (fields.length !== columns.length) {
+      throw createDatasetError(
+        `Expected ${columns.length} values (${columns.join(', ')}), found ${fields.length}`,
+        line
+      );
+    }
+    return Object.fromEntries(columns.map((column, index) => [column, fields[index]]));
+  });
+
+  const types = inferTypes(columns, rows);
+  return { columns, types, rows: coerceRows(rows, types) };
+}
+
+function parseJsonDataset(source) {
+  let data;
+  try {
+    data = JSON.parse(source);
+  } catch (error) {
+    throw createDatasetError(error.message, 1);
+  }
+  if (!Array.isArray(data) || data.some(row => !row || typeof row !== 'object')) {
+    throw createDatasetError('JSON datasets must be an array of row objects', 1);
+  }
+
+  const columns = [...new Set(data.flatMap(row => Object.keys(row)))];
+  const types = inferTypes(columns, data);
+  return { columns, types, rows: coerceRows(data, types) };
+}
+
+/** Reads a .csv or .json dataset. Malformed files throw with `line`/`column`. */
+function readDataset(filePath) {
+  const source = readFileSync(filePath, 'utf8');
+  return extname(filePath) === '.json' ? parseJsonDataset(source) : parseCsv(source);
+}
+
+module.exports = {
+  DATASET_EXTENSIONS,
+  DATA_DIR,
+  parseCsv,
+  readDataset,
+};
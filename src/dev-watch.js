@@ -0,0 +1,106 @@
+const { isAbsolute, relative } = require('node:path');
+
+// Static pages declare the content they are rendered from with these scopes.
+const CONTENT_SCOPES = ['projects', 'blog', 'settings'];
+
+const LIVE_RELOAD_EVENTS_PATH = '/__live-reload';
+const LIVE_RELOAD_CLIENT_PATH = '/__live-reload.js';
+
+const LIVE_RELOAD_CLIENT = `
+(function () {
+  var source = new EventSource('${LIVE_RELOAD_EVENTS_PATH}');
+  source.addEventListener('reload', function () {
+    window.location.reload();
+  });
+})();
+`.trimStart();
+
+function toPosixPath(filePath, cwd = process.cwd()) {
+  const resolved = isAbsolute(filePath) ? relative(cwd, filePath) : filePath;
+  return resolved.replaceAll('\\', '/').replace(/^\.\//, '');
+}
+
+/**
+ * Maps a changed file to the content scope it feeds, or null when the change
+ * needs a full rebuild (source code, assets, scripts, other content files).
+ */
+function classifyChange(filePath) {
+  const normalized = toPosixPath(filePath);
+
+  if (normalized === 'content/settings.json') {
+    return 'settings';
+  }
+  if (/^content\/projects\/[^/]+\.mdx$/.test(normalized)) {
+    return 'projects';
+  }
+  if (/^content\/blog\/[^/]+\.mdx$/.test(normalized)) {
+    return 'blog';
+  }
+  return null;
+}
+
+/**
+ * Decides how much of the static build a batch of changed files requires.
+ * @param {string[]} changedPaths
+ * @returns {{ full: boolean, scopes: string[] }}
+ */
+function planRebuild(changedPaths) {
+  const scopes = new Set();
+
+  for (const filePath of changedPaths) {
+    const scope = classifyChange(filePath);
+    if (!scope) {
+      return { full: true, scopes: [...CONTENT_SCOPES] };
+    }
+    scopes.add(scope);
+  }
+
+  return { full: false, scopes: CONTENT_SCOPES.filter(scope => scopes.has(scope)) };
+}
+
+/**
+ * Settings are site-wide, so a settings change re-renders every page; otherwise
+ * only pages rendered from a changed collection are rebuilt.
+ */
+function pageNeedsRebuild(pageScopes, plan) {
+  if (plan.full || plan.scopes.includes('settings')) {
+    return true;
+  }
+  return (pageScopes ?? []).some(scope => plan.scopes.includes(scope));
+}
+
+// Files the build itself writes; watching them would retrigger the build.
+function isBuildOutputPath(filePath) {
+  const normalized = toPosixPath(filePath);
+  return normalized.startsWith('src/generated/') || normalized.startsWith('dist/');
+}
+
+function formatServerSentEvent(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Adds the live reload client to an HTML document. The client is an external
+ * script because the page CSP does not allow inline scripts.
+ */
+function injectLiveReloadScript(html) {
+  const tag = `<script src="${LIVE_RELOAD_CLIENT_PATH}" defer></script>`;
+  const closingBody = html.lastIndexOf('</body>');
+  if (closingBody === -1) {
+    return `${html}${tag}\n`;
+  }
+  return `${html.slice(0, closingBody)}  ${tag}\n  ${html.slice(closingBody)}`;
+}
+
+module.exports = {
+  CONTENT_SCOPES,
+  LIVE_RELOAD_CLIENT,
+  LIVE_RELOAD_CLIENT_PATH,
+  LIVE_RELOAD_EVENTS_PATH,
+  classifyChange,
+  formatServerSentEvent,
+  injectLiveReloadScript,
+  isBuildOutputPath,
+  pageNeedsRebuild,
+  planRebuild,
+};
@@ -0,0 +1,256 @@
+const { escapeHtml } = require('./utils/escape-html.js');
+const { normalizeTag } = require('./content-tags.js');
+const { renderMarkdown } = require('./markdown.js');
+const { SITE_FEEDS, resolveSiteUrl, toSitemapLoc } = require('./seo.js');
+
+const DEFAULT_FEED_DESCRIPTION =
+  'Notes on model monitoring, analytics implementation, and production data workflows.';
+
+// Per-tag feeds use the same file names as the site-wide ones, under /tags/<tag>/.
+const FEED_FORMATS = Object.fromEntries(
+  SITE_FEEDS.map(feed => [feed.format, { ...feed, fileName: feed.path.slice(1) }])
+);
+
+function getFeedPath(format, tag) {
+  const { fileName } = FEED_FORMATS[format];
+  return tag ? `/tags/${normalizeTag(tag)}/${fileName}` : `/${fileName}`;
+}
+
+/**
+ * One tag's feeds, in the shape `buildSeoHead({ feeds })` takes.
+ */
+function getTagFeeds(tag, { siteName, label } = {}) {
+  return SITE_FEEDS.map(feed => ({
+    ...feed,
+    path: getFeedPath(feed.format, tag),
+    title: `${siteName ?? 'Blog'} · ${label ?? tag}`,
+  }));
+}
+
+// Frontmatter dates are days (midnight UTC); git history dates are full timestamps.
+function toUtcDate(date) {
+  return new Date(/^\d{4}-\d{2}-\d{2}$/.test(date) ? `${date}T00:00:00Z` : date);
+}
+
+/**
+ * Normalizes blog index entries (`{ slug, frontmatter, content }`, newest first)
+ * into feed items with absolute URLs and rendered HTML. `history` maps slugs to
+ * their content history (src/content-history.js) for the `updated` date;
+ * without it, frontmatter `updated` is used.
+ */
+function buildFeedItems(posts, { siteUrl, history = {} } = {}) {
+  const resolvedSiteUrl = resolveSiteUrl({ SITE_URL: siteUrl });
+
+  return [...posts]
+    .sort(
+      (a, b) => b.frontmatter.date.localeCompare(a.frontmatter.date) || (a.slug < b.slug ? -1 : 1)
+    )
+    .map(post => {
+      const url = `${resolvedSiteUrl}/blog/${post.slug}`;
+      const date = toUtcDate(post.frontmatter.date);
+      const updated = history[post.slug]?.updated ?? post.frontmatter.updated;
+      return {
+        id: url,
+        url,
+        title: post.frontmatter.title,
+        summary: post.frontmatter.summary,
+        contentHtml: renderMarkdown(post.content, { baseUrl: resolvedSiteUrl }),
+        date,
+        // Never before publication, e.g. for a post backdated in frontmatter.
+        updated: updated && toUtcDate(updated) > date ? toUtcDate(updated) : date,
+        tags: post.frontmatter.tags ?? [],
+        image: post.frontmatter.cover
+          ? toSitemapLoc(resolvedSiteUrl, post.frontmatter.cover)
+          : null,
+      };
+    });
+}
+
+function describeFeed({
+  siteUrl,
+  siteName,
+  description = DEFAULT_FEED_DESCRIPTION,
+  tag,
+  tagLabel = tag,
+}) {
+  const resolvedSiteUrl = resolveSiteUrl({ SITE_URL: siteUrl });
+  return {
+    siteUrl: resolvedSiteUrl,
+    title: tag ? `${siteName} · Posts tagged “${tagLabel}”` : `${siteName} · Blog`,
+    description: tag ? `Blog posts tagged “${tagLabel}”.` : description,
+    homeUrl: tag ? `${resolvedSiteUrl}/tags/${normalizeTag(tag)}` : `${resolvedSiteUrl}/blog`,
+  };
+}
+
+// Feeds are dated by their latest post update, not the build time, so rebuilds are byte-identical.
+function latestDate(items) {
+  return new Date(Math.max(0, ...items.map(item => item.updated.getTime())));
+}
+
+function cdata(value) {
+  return `<![CDATA[${String(value).replaceAll(']]>', ']]]]><![CDATA[>')}]]>`;
+}
+
+/**
+ * RSS 2.0. `posts` are blog index entries and `history` their content history
+ * by slug; pass `tag` (and its display `tagLabel`) for a per-tag feed.
+ */
+function buildRssFeed({ siteUrl, siteName, description, posts, history, tag, tagLabel }) {
+  const feed = describeFeed({ siteUrl, siteName, description, tag, tagLabel });
+  const items = buildFeedItems(posts, { siteUrl, history });
+  const selfUrl = `${feed.siteUrl}${getFeedPath('rss', tag)}`;
+
+  const entries = items
+    .map(
+      item => `
+    <item>
+      <title>${escapeHtml(item.title)}</title>
+      <link>${escapeHtml(item.url)}</link>
+      <guid isPermaLink="true">${escapeHtml(item.id)}</guid>
+      <pubDate>${item.date.toUTCString()}</pubDate>
+      <description>${escapeHtml(item.summary)}</description>
+${item.tags.map(category => `      <category>${escapeHtml(category)}</category>\n`).join('')}      <content:encoded>${cdata(item.contentHtml)}</content:encoded>
+    </item>`
+    )
+    .join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">
+  <channel>
+    <title>${escapeHtml(feed.title)}</title>
+    <link>${escapeHtml(feed.homeUrl)}</link>
+    <description>${escapeHtml(feed.description)}</description>
+    <language>en-us</language>
+    <lastBuildDate>${latestDate(items).toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeHtml(selfUrl)}" rel="self" type="application/rss+xml" />${entries}
+  </channel>
+</rss>
+`;
+}
+
+/**
+ * Atom 1.0, with the same inputs as `buildRssFeed`.
+ */
+function buildAtomFeed({ siteUrl, siteName, description, posts, history, tag, tagLabel }) {
+  const feed = describeFeed({ siteUrl, siteName, description, tag, tagLabel });
+  const items = buildFeedItems(posts, { siteUrl, history });
+  const selfUrl = `${feed.siteUrl}${getFeedPath('atom', tag)}`;
+
+  const entries = items
+    .map(
+      item => `
+  <entry>
+    <title>${escapeHtml(item.title)}</title>
+    <link href="${escapeHtml(item.url)}" />
+    <id>${escapeHtml(item.id)}</id>
+    <published>${item.date.toISOString()}</published>
+    <updated>${item.updated.toISOString()}</updated>
+    <summary>${escapeHtml(item.summary)}</summary>
+${item.tags.map(category => `    <category term="${escapeHtml(category)}" />\n`).join('')}    <content type="html">${escapeHtml(item.contentHtml)}</content>
+  </entry>`
+    )
+    .join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeHtml(feed.title)}</title>
+  <subtitle>${escapeHtml(feed.description)}</subtitle>
+  <link href="${escapeHtml(feed.homeUrl)}" />
+  <link href="${escapeHtml(selfUrl)}" rel="self" type="application/atom+xml" />
+  <id>${escapeHtml(selfUrl)}</id>
+  <updated>${latestDate(items).toISOString()}</updated>
+  <author><name>${escapeHtml(siteName)}</name></author>${entries}
+</feed>
+`;
+}
+
+/**
+ * JSON Feed 1.1, with the same inputs as `buildRssFeed`.
+ */
+function buildJsonFeed({ siteUrl, siteName, description, posts, history, tag, tagLabel }) {
+  const feed = describeFeed({ siteUrl, siteName, description, tag, tagLabel });
+  const items = buildFeedItems(posts, { siteUrl, history });
+
+  return `${JSON.stringify(
+    {
+      version: 'https://jsonfeed.org/version/1.1',
+      title: feed.title,
+      home_page_url: feed.homeUrl,
+      feed_url: `${feed.siteUrl}${getFeedPath('json', tag)}`,
+      description: feed.description,
+      language: 'en-US',
+      authors: [{ name: siteName }],
+      items: items.map(item => ({
+        id: item.id,
+        url: item.url,
+        title: item.title,
+        summary: item.summary,
+        content_html: item.contentHtml,
+        date_published: item.date.toISOString(),
+        date_modified: item.updated.toISOString(),
+        tags: item.tags,
+        ...(item.image ? { image: item.image } : {}),
+      })),
+    },
+    null,
+    2
+  )}\n`;
+}
+
+const FEED_BUILDERS = { rss: buildRssFeed, atom: buildAtomFeed, json: buildJsonFeed };
+
+/**
+ * One feed file. With `tag`, only posts carrying that tag are included.
+ * @param {'rss' | 'atom' | 'json'} format
+ * @param {{ siteUrl: string, siteName: string, description?: string, posts: Array<{ slug: string, frontmatter: object, content: string }>, history?: Record<string, { updated: string }>, tag?: string | null, tagLabel?: string }} options
+ * @returns {{ path: string, type: string, contents: string }}
+ */
+function buildFeed(format, { siteUrl, siteName, description, posts, history, tag, tagLabel }) {
+  const feedPosts = tag ? posts.filter(post => (post.frontmatter.tags ?? []).includes(tag)) : posts;
+  return {
+    path: getFeedPath(format, tag),
+    type: FEED_FORMATS[format].type,
+    contents: FEED_BUILDERS[format]({
+      siteUrl,
+      siteName,
+      description,
+      posts: feedPosts,
+      history,
+      tag,
+      tagLabel,
+    }),
+  };
+}
+
+function listFeedTags(posts) {
+  return [...new Set(posts.flatMap(post => post.frontmatter.tags ?? []))].sort();
+}
+
+/**
+ * Every feed file for the blog: the three site-wide feeds plus three per tag.
+ * Paths are site-relative (`/feed.xml`, `/tags/python/atom.xml`, ...), and
+ * `tagLabels` maps tag slugs to the names used in feed titles.
+ * @returns {Array<{ path: string, type: string, contents: string }>}
+ */
+function buildFeedFiles({ tagLabels = {}, ...options }) {
+  const tags = [null, ...listFeedTags(options.posts)];
+  return tags.flatMap(tag =>
+    Object.keys(FEED_BUILDERS).map(format =>
+      buildFeed(format, { ...options, tag, tagLabel: tag ? tagLabels[tag] : undefined })
+    )
+  );
+}
+
+module.exports = {
+  DEFAULT_FEED_DESCRIPTION,
+  FEED_FORMATS,
+  buildAtomFeed,
+  buildFeed,
+  buildFeedFiles,
+  buildFeedItems,
+  buildJsonFeed,
+  buildRssFeed,
+  getFeedPath,
+  getTagFeeds,
+  listFeedTags,
+};
@@ -0,0 +1,65 @@
+/**
+ * 1-based line/column lookups for fields of YAML and JSON sources, so content
+ * issues can point at the offending key. Paths use `a.b[0].c` notation.
+ */
+const { LineCounter, isMap, isScalar, isSeq, parseDocument } = require('yaml');
+
+function collectFieldPositions(node, lineCounter, prefix, positions) {
+  if (isMap(node)) {
+    for (const pair of node.items) {
+      const key = isScalar(pair.key) ? String(pair.key.value) : null;
+      if (key === null || !pair.key.range) {
+        continue;
+      }
+
+      const path = prefix ? `${prefix}.${key}` : key;
+      const { line, col } = lineCounter.linePos(pair.key.range[0]);
+      positions[path] = { line, column: col };
+      collectFieldPositions(pair.value, lineCounter, path, positions);
+    }
+    return;
+  }
+
+  if (isSeq(node)) {
+    node.items.forEach((item, index) => {
+      const path = `${prefix}[${index}]`;
+      if (item?.range) {
+        const { line, col } = lineCounter.linePos(item.range[0]);
+        positions[path] = { line, column: col };
+      }
+      collectFieldPositions(item, lineCounter, path, positions);
+    });
+  }
+}
+
+/** Positions of every field in a YAML or JSON document (JSON is YAML). */
+function locateFields(source) {
+  const lineCounter = new LineCounter();
+  const document = parseDocument(source, { lineCounter });
+  const positions = {};
+  collectFieldPositions(document.contents, lineCounter, '', positions);
+  return positions;
+}
+
+function findFieldPosition(fieldPositions, field) {
+  let path = field;
+  while (path) {
+    if (fieldPositions[path]) {
+      return fieldPositions[path];
+    }
+
+    // Fall back to the closest parent key, e.g. `artifacts[0].href` -> `artifacts[0]`.
+    const parent = path.replace(/(\.[^.[\]]+|\[\d+\])$/, '');
+    if (parent === path) {
+      break;
+    }
+    path = parent;
+  }
+  return null;
+}
+
+module.exports = {
+  collectFieldPositions,
+  findFieldPosition,
+  locateFields,
+};
@@ -0,0 +1,44 @@
+// Generated from the collection schemas in src/content.js. Do not edit by hand.
+
+export interface ProjectFrontmatter {
+  title: string;
+  date: string;
+  tags: string[];
+  summary: string;
+  caseStudyData?: string;
+  caseStudyMethods?: string;
+  caseStudyResults?: string;
+  caseStudyReproducibility?: string;
+  caseStudyReflection?: string;
+  tech: string[];
+  domain?: 'public-sector' | 'finance' | 'retail' | 'saas' | 'developer-tools';
+  repo?: string;
+  notebook?: {
+    file: string;
+    url?: string;
+    tag?: string;
+  };
+  cover: string;
+  gallery: string[];
+  status: 'published' | 'draft' | 'scheduled';
+  publishAt?: string;
+  created?: string;
+  updated?: string;
+  relatedPosts?: string[];
+}
+
+export interface BlogFrontmatter {
+  title: string;
+  date: string;
+  tags: string[];
+  summary: string;
+  cover: string;
+  readingTime: number;
+  status: 'published' | 'draft' | 'scheduled';
+  publishAt?: string;
+  created?: string;
+  updated?: string;
+  relatedProjects?: string[];
+  series?: string;
+  seriesOrder?: number;
+}
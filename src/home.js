@@ -1,4 +1,5 @@
 const { escapeHtml } = require('./utils/escape-html.js');
+const { DEFAULT_LOCALE, createTranslator, localizePath } = require('./i18n.js');
 
 const DEFAULT_HOME_LINKS = {
   resume: '/resume/abigael-awino-resume.pdf',
@@ -6,17 +7,24 @@ const DEFAULT_HOME_LINKS = {
   linkedin: 'https://www.linkedin.com/in/abigaelawino/',
 };
 
-function renderHomePage(featuredProject, links = DEFAULT_HOME_LINKS) {
+function renderHomePage(
+  featuredProject,
+  links = DEFAULT_HOME_LINKS,
+  { locale = DEFAULT_LOCALE } = {}
+) {
   const quickLinks = {
     ...DEFAULT_HOME_LINKS,
     ...links,
   };
+  const translate = createTranslator(locale);
+  const t = key => escapeHtml(translate(`home.${key}`));
+  const contactHref = localizePath('/contact', locale);
 
   const featuredProjectMarkup = featuredProject
     ? `
       <div class="card card-hover">
         <div class="card-header">
-          <div class="badge badge-secondary">Featured project</div>
+          <div class="badge badge-secondary">${t('featuredBadge')}</div>
           <h2 class="card-title">${escapeHtml(featuredProject.title)}</h2>
           <p class="card-description">${escapeHtml(featuredProject.summary)}</p>
         </div>
@@ -26,10 +34,10 @@ function renderHomePage(featuredProject, links = DEFAULT_HOME_LINKS) {
               featuredProject.slug
             )}" data-analytics-event="home_featured_case_study_click" data-analytics-prop-slug="${escapeHtml(
               featuredProject.slug
-            )}">View Projects →</a>
+            )}">${t('viewCaseStudy')}</a>
             <a class="button button-outline button-lg" href="${escapeHtml(featuredProject.repo)}" target="_blank" rel="noopener noreferrer" data-analytics-event="home_featured_repo_click" data-analytics-prop-slug="${escapeHtml(
               featuredProject.slug
-            )}">View Repository</a>
+            )}">${t('viewRepository')}</a>
           </div>
         </div>
       </div>
@@ -37,12 +45,12 @@ function renderHomePage(featuredProject, links = DEFAULT_HOME_LINKS) {
     : `
       <div class="card">
         <div class="card-header">
-          <div class="badge badge-secondary">Featured project</div>
-          <h2 class="card-title">Project spotlight coming soon</h2>
-          <p class="card-description">Browse the projects page for recent case studies in ML, analytics, and production data tooling.</p>
+          <div class="badge badge-secondary">${t('featuredBadge')}</div>
+          <h2 class="card-title">${t('spotlightTitle')}</h2>
+          <p class="card-description">${t('spotlightIntro')}</p>
         </div>
         <div class="card-content">
-          <a class="button button-primary button-lg" href="/projects" data-analytics-event="home_browse_projects_click">Browse Projects</a>
+          <a class="button button-primary button-lg" href="/projects" data-analytics-event="home_browse_projects_click">${t('browseProjects')}</a>
         </div>
       </div>
     `.trim();
@@ -52,28 +60,28 @@ function renderHomePage(featuredProject, links = DEFAULT_HOME_LINKS) {
       <!-- Hero Section -->
       <section class="text-center space-y-6">
         <h1 class="text-4xl md:text-6xl font-bold tracking-tight">
-          Data Science Portfolio
+          ${t('heroTitle')}
         </h1>
         <p class="text-xl text-muted-foreground max-w-2xl mx-auto">
-          End-to-end data projects showcasing rigorous analysis, reproducible methods, and production-ready solutions.
+          ${t('heroIntro')}
         </p>
         <div class="flex flex-col sm:flex-row gap-4 justify-center">
           <a class="button button-primary button-lg" href="/projects">
-            View Projects
+            ${t('viewProjects')}
             <svg class="ml-2 h-4 w-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M17 8l4 4m0 0l-4 4m4-4H3"></path>
             </svg>
           </a>
-          <a class="button button-outline button-lg" href="/contact">Get in Touch</a>
+          <a class="button button-outline button-lg" href="${contactHref}">${t('getInTouch')}</a>
         </div>
       </section>
 
       <!-- Featured Projects -->
       <section class="space-y-8">
         <div class="text-center space-y-2">
-          <h2 class="text-3xl font-bold tracking-tight">Featured Projects</h2>
+          <h2 class="text-3xl font-bold tracking-tight">${t('featuredHeading')}</h2>
           <p class="text-muted-foreground">
-            Recent work in machine learning, analytics, and data visualization
+            ${t('featuredIntro')}
           </p>
         </div>
         ${featuredProjectMarkup}
@@ -81,14 +89,13 @@ function renderHomePage(featuredProject, links = DEFAULT_HOME_LINKS) {
 
       <!-- Call to Action -->
       <section class="text-center space-y-4">
-        <h2 class="text-2xl font-bold tracking-tight">Let's Work Together</h2>
+        <h2 class="text-2xl font-bold tracking-tight">${t('ctaHeading')}</h2>
         <p class="text-muted-foreground max-w-md mx-auto">
-          I'm passionate about solving complex data challenges. Whether you need analysis,
-          ML models, or data infrastructure, I'd love to help.
+          ${t('ctaIntro')}
         </p>
         <div class="flex flex-col sm:flex-row gap-4 justify-center">
-          <a class="button button-primary" href="/contact">Contact Me</a>
-          <a class="button button-outline" href="/about">Learn More</a>
+          <a class="button button-primary" href="${contactHref}">${t('contactMe')}</a>
+          <a class="button button-outline" href="/about">${t('learnMore')}</a>
         </div>
       </section>
     </div>
@@ -0,0 +1,215 @@
+/**
+ * Message catalogs for the site chrome and helpers for localized routes.
+ *
+ * Every locale has a catalog at content/locales/<locale>.json; the default
+ * locale's catalog is the reference and any message missing from another
+ * locale falls back to it. Pages in the default locale keep their unprefixed
+ * paths, other locales live under /<locale>/ (e.g. /fr/contact).
+ */
+const { existsSync, readFileSync, readdirSync } = require('node:fs');
+const { basename, join } = require('node:path');
+const { findFieldPosition, locateFields } = require('./field-positions.js');
+
+const LOCALES_DIR = join('content', 'locales');
+const DEFAULT_LOCALE = 'en';
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+// The pages both the static build and the Next.js app render in every locale.
+// Blog posts and case studies are translated too, but only Next.js renders them.
+const LOCALIZED_PAGES = ['/', '/contact', '/contact/thanks', '/resume'];
+
+const catalogCache = new Map();
+
+/**
+ * Reads every catalog in `localesDir`, keyed by locale. Catalogs are cached
+ * per directory, so repeated lookups during a build read each file once.
+ * @returns {Record<string, object>}
+ */
+function loadMessageCatalogs(localesDir = LOCALES_DIR) {
+  if (!catalogCache.has(localesDir)) {
+    const catalogs = {};
+    if (existsSync(localesDir)) {
+      for (const name of readdirSync(localesDir).filter(file => file.endsWith('.json'))) {
+        catalogs[basename(name, '.json')] = JSON.parse(
+          readFileSync(join(localesDir, name), 'utf8')
+        );
+      }
+    }
+    catalogCache.set(localesDir, catalogs);
+  }
+  return catalogCache.get(localesDir);
+}
+
+/** The default locale first, then the other locales with a catalog. */
+function getLocales(catalogs = loadMessageCatalogs()) {
+  return [
+    DEFAULT_LOCALE,
+    ...Object.keys(catalogs)
+      .filter(locale => locale !== DEFAULT_LOCALE)
+      .sort(),
+  ];
+}
+
+function isLocale(value, catalogs = loadMessageCatalogs()) {
+  return typeof value === 'string' && Object.hasOwn(catalogs, value);
+}
+
+function lookupMessage(catalog, key) {
+  return key
+    .split('.')
+    .reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+}
+
+function interpolate(message, values) {
+  return message.replace(PLACEHOLDER_PATTERN, (placeholder, name) =>
+    Object.hasOwn(values, name) ? String(values[name]) : placeholder
+  );
+}
+
+/**
+ * Returns `t(key, values)` for `locale`. Keys are dotted paths into the catalog
+ * (`contact.heading`), `{name}` placeholders are filled from `values`, and a
+ * message missing from the locale falls back to the default locale. A key the
+ * default catalog does not define is a bug and throws.
+ */
+function createTranslator(locale, catalogs = loadMessageCatalogs()) {
+  const catalog = catalogs[locale] ?? {};
+  const fallback = catalogs[DEFAULT_LOCALE] ?? {};
+
+  return function translate(key, values = {}) {
+    const message = lookupMessage(catalog, key) ?? lookupMessage(fallback, key);
+    if (message === undefined) {
+      throw new Error(`Unknown message "${key}" (not in content/locales/${DEFAULT_LOCALE}.json)`);
+    }
+    return typeof message === 'string' ? interpolate(message, values) : message;
+  };
+}
+
+/** One catalog section (e.g. `contact`) for `locale`, with default-locale fallbacks. */
+function getMessages(locale, section, catalogs = loadMessageCatalogs()) {
+  return {
+    ...(catalogs[DEFAULT_LOCALE]?.[section] ?? {}),
+    ...(catalogs[locale]?.[section] ?? {}),
+  };
+}
+
+function localizePath(pathname, locale) {
+  if (locale === DEFAULT_LOCALE) {
+    return pathname;
+  }
+  return pathname === '/' ? `/${locale}` : `/${locale}${pathname}`;
+}
+
+/**
+ * Where a link to `pathname` should point from a page in `locale`: the
+ * localized page if there is one, the default-locale page otherwise. Both
+ * builds render their navigation with it.
+ */
+function localizePageLink(pathname, locale) {
+  return LOCALIZED_PAGES.includes(pathname) ? localizePath(pathname, locale) : pathname;
+}
+
+/**
+ * hreflang alternates for a page available in `locales`, with the default
+ * locale as `x-default`. Pass the result to buildSeoHead or the sitemap.
+ */
+function getHreflangAlternates(pathname, locales) {
+  const alternates = locales.map(locale => ({
+    hreflang: locale,
+    path: localizePath(pathname, locale),
+  }));
+  return locales.length > 1
+    ? [...alternates, { hreflang: 'x-default', path: localizePath(pathname, DEFAULT_LOCALE) }]
+    : [];
+}
+
+function collectKeys(node, prefix = '') {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) {
+    return [prefix];
+  }
+  return Object.entries(node).flatMap(([key, value]) =>
+    collectKeys(value, prefix ? `${prefix}.${key}` : key)
+  );
+}
+
+function listPlaceholders(message) {
+  return typeof message === 'string'
+    ? [...message.matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]).sort()
+    : [];
+}
+
+/**
+ * Compares every catalog with the default locale's and reports messages that
+ * are missing, no longer used, or use different `{placeholders}`, in the
+ * issue format of src/content.js.
+ */
+function checkMessageCatalogs(localesDir = LOCALES_DIR) {
+  const catalogs = loadMessageCatalogs(localesDir);
+  const reference = catalogs[DEFAULT_LOCALE];
+  if (!reference) {
+    return [];
+  }
+
+  const referenceKeys = collectKeys(reference);
+  const issues = [];
+
+  for (const locale of getLocales(catalogs).slice(1)) {
+    const file = join(localesDir, `${locale}.json`);
+    const positions = locateFields(readFileSync(file, 'utf8'));
+    const keys = collectKeys(catalogs[locale]);
+    const issue = (field, details) => ({
+      file,
+      ...(findFieldPosition(positions, field) ?? { line: 1, column: 1 }),
+      field,
+      ...details,
+    });
+
+    for (const key of referenceKeys) {
+      const message = lookupMessage(catalogs[locale], key);
+      if (message === undefined || message === '') {
+        issues.push(
+          issue(key, {
+            message: `Missing "${locale}" translation for "${key}"`,
+            hint: `Translate "${key}" from ${DEFAULT_LOCALE}.json; until then the ${DEFAULT_LOCALE} text is shown`,
+          })
+        );
+        continue;
+      }
+      const expected = listPlaceholders(lookupMessage(reference, key));
+      if (listPlaceholders(message).join() !== expected.join()) {
+        issues.push(
+          issue(key, {
+            message: `"${key}" must use the placeholders ${expected.map(name => `{${name}}`).join(', ') || '(none)'}`,
+            hint: `Keep the {placeholders} of ${DEFAULT_LOCALE}.json as they are and only translate the text around them`,
+          })
+        );
+      }
+    }
+
+    for (const key of keys.filter(key => !referenceKeys.includes(key))) {
+      issues.push(
+        issue(key, {
+          message: `"${key}" is not a message in ${DEFAULT_LOCALE}.json`,
+          hint: `Remove it, or add it to ${DEFAULT_LOCALE}.json first`,
+        })
+      );
+    }
+  }
+
+  return issues;
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  LOCALES_DIR,
+  LOCALIZED_PAGES,
+  checkMessageCatalogs,
+  createTranslator,
+  getHreflangAlternates,
+  getLocales,
+  getMessages,
+  isLocale,
+  loadMessageCatalogs,
+  localizePageLink,
+  localizePath,
+};
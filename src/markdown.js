@@ -0,0 +1,229 @@
+const { escapeHtml } = require('./utils/escape-html.js');
+
+/**
+ * Small Markdown-to-HTML renderer for MDX bodies outside React (feeds, static
+ * pages). It covers the syntax the content uses: headings, paragraphs, lists,
+ * block quotes, fenced code, GFM tables, rules, emphasis, code, links, and
+ * images. JSX components and import/export lines are dropped, since they only
+ * render inside the Next.js app. Links and images keep only http(s), mailto,
+ * anchor, and site-relative targets; others (`javascript:`, `data:`, ...)
+ * render without one.
+ */
+
+const SAFE_URL = /^(?:https?:|mailto:|#|\/(?!\/))/i;
+
+function resolveUrl(url, baseUrl) {
+  if (!baseUrl || !url.startsWith('/') || url.startsWith('//')) {
+    return url;
+  }
+  return `${baseUrl.replace(/\/+$/, '')}${url}`;
+}
+
+// ` name="url"`, or nothing when the URL is not safe to link to.
+function urlAttribute(name, url, options) {
+  return SAFE_URL.test(url) ? ` ${name}="${escapeHtml(resolveUrl(url, options.baseUrl))}"` : '';
+}
+
+function renderInline(text, options) {
+  const placeholders = [];
+  const hold = html => `\uE000${placeholders.push(html) - 1}\uE000`;
+
+  let value = text
+    .replace(/`([^`]+)`/g, (_, code) => hold(`<code>${escapeHtml(code)}</code>`))
+    .replace(/!\[([^\]]*)\]\(([^)\s]+)(?:\s+"([^"]*)")?\)/g, (_, alt, src, title) =>
+      hold(
+        `<img${urlAttribute('src', src, options)} alt="${escapeHtml(alt)}"${
+          title ? ` title="${escapeHtml(title)}"` : ''
+        } />`
+      )
+    )
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (_, label, href) =>
+      hold(`<a${urlAttribute('href', href, options)}>${renderInline(label, options)}</a>`)
+    );
+
+  value = escapeHtml(value)
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/__([^_]+)__/g, '<strong>$1</strong>')
+    .replace(/(^|[^*])\*([^*\s][^*]*)\*/g, '$1<em>$2</em>')
+    .replace(/(^|[^\w_])_([^_\s][^_]*)_(?!\w)/g, '$1<em>$2</em>')
+    .replace(/~~([^~]+)~~/g, '<del>$1</del>');
+
+  return value.replace(/\uE000(\d+)\uE000/g, (_, index) => placeholders[Number(index)]);
+}
+
+function splitTableRow(line) {
+  return line
+    .trim()
+    .replace(/^\||\|$/g, '')
+    .split('|')
+    .map(cell => cell.trim());
+}
+
+const LIST_ITEM = /^\s*(?:([-*+])|(\d+)[.)])\s+(.*)$/;
+const TABLE_DIVIDER = /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+
+function isBlockStart(line, nextLine) {
+  return (
+    /^#{1,6}\s/.test(line) ||
+    /^```/.test(line) ||
+    /^>/.test(line) ||
+    LIST_ITEM.test(line) ||
+    /^(?:-{3,}|\*{3,}|_{3,})\s*$/.test(line) ||
+    /^\s*<[A-Za-z]/.test(line) ||
+    (line.includes('|') && TABLE_DIVIDER.test(nextLine ?? ''))
+  );
+}
+
+function countMatches(line, pattern) {
+  return (line.match(pattern) ?? []).length;
+}
+
+// Skips a JSX/HTML block: a (possibly multi-line) self-closing tag, or everything
+// up to the matching closing tag.
+function skipJsxBlock(lines, start) {
+  const name = lines[start].match(/^\s*<([A-Za-z][\w.]*)/)[1].replaceAll('.', '\\.');
+  const opening = new RegExp(`<${name}(?=[\\s>/]|$)`, 'g');
+  const closing = new RegExp(`</${name}\\s*>`, 'g');
+  const selfClosing = new RegExp(`<${name}\\b[^<>]*/>`, 'g');
+  let depth = 0;
+  let inOpeningTag = false;
+
+  for (let i = start; i < lines.length; i += 1) {
+    const line = lines[i];
+    depth += countMatches(line, opening) - countMatches(line, closing);
+    depth -= countMatches(line, selfClosing);
+
+    if (i === start) {
+      inOpeningTag = !/>\s*$/.test(line.replace(selfClosing, '')) && depth > 0;
+    } else if (inOpeningTag && /\/>\s*$/.test(line)) {
+      depth -= 1;
+      inOpeningTag = false;
+    } else if (inOpeningTag && line.includes('>')) {
+      inOpeningTag = false;
+    }
+
+    if (depth <= 0) {
+      return i + 1;
+    }
+  }
+  return lines.length;
+}
+
+/**
+ * @param {string} source MDX body (frontmatter already removed).
+ * @param {{ baseUrl?: string }} [options] `baseUrl` makes root-relative links and images absolute.
+ */
+function renderMarkdown(source, options = {}) {
+  const lines = String(source)
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .filter(line => !/^\s*(?:import|export)\s/.test(line));
+  const html = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i += 1;
+      continue;
+    }
+
+    const fence = line.match(/^```\s*([\w-]*)/);
+    if (fence) {
+      const code = [];
+      i += 1;
+      while (i < lines.length && !/^```/.test(lines[i])) {
+        code.push(lines[i]);
+        i += 1;
+      }
+      i += 1;
+      const language = fence[1] ? ` class="language-${escapeHtml(fence[1])}"` : '';
+      html.push(`<pre><code${language}>${escapeHtml(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+
+    if (/^\s*<[A-Za-z]/.test(line)) {
+      i = skipJsxBlock(lines, i);
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      const level = heading[1].length;
+      html.push(`<h${level}>${renderInline(heading[2], options)}</h${level}>`);
+      i += 1;
+      continue;
+    }
+
+    if (/^(?:-{3,}|\*{3,}|_{3,})\s*$/.test(line)) {
+      html.push('<hr />');
+      i += 1;
+      continue;
+    }
+
+    if (line.includes('|') && TABLE_DIVIDER.test(lines[i + 1] ?? '')) {
+      const header = splitTableRow(line);
+      const rows = [];
+      i += 2;
+      while (i < lines.length && lines[i].includes('|') && lines[i].trim()) {
+        rows.push(splitTableRow(lines[i]));
+        i += 1;
+      }
+      const cells = (row, tag) =>
+        row.map(cell => `<${tag}>${renderInline(cell, options)}</${tag}>`).join('');
+      html.push(
+        `<table><thead><tr>${cells(header, 'th')}</tr></thead><tbody>${rows
+          .map(row => `<tr>${cells(row, 'td')}</tr>`)
+          .join('')}</tbody></table>`
+      );
+      continue;
+    }
+
+    if (/^>/.test(line)) {
+      const quoted = [];
+      while (i < lines.length && /^>/.test(lines[i])) {
+        quoted.push(lines[i].replace(/^>\s?/, ''));
+        i += 1;
+      }
+      html.push(`<blockquote>${renderMarkdown(quoted.join('\n'), options)}</blockquote>`);
+      continue;
+    }
+
+    const listItem = line.match(LIST_ITEM);
+    if (listItem) {
+      const ordered = Boolean(listItem[2]);
+      const items = [];
+      while (i < lines.length) {
+        const item = lines[i].match(LIST_ITEM);
+        if (item && Boolean(item[2]) === ordered) {
+          items.push(item[3]);
+        } else if (lines[i].trim() && /^\s+/.test(lines[i]) && items.length > 0) {
+          items[items.length - 1] += ` ${lines[i].trim()}`;
+        } else {
+          break;
+        }
+        i += 1;
+      }
+      const tag = ordered ? 'ol' : 'ul';
+      html.push(
+        `<${tag}>${items.map(item => `<li>${renderInline(item, options)}</li>`).join('')}</${tag}>`
+      );
+      continue;
+    }
+
+    const paragraph = [line.trim()];
+    i += 1;
+    while (i < lines.length && lines[i].trim() && !isBlockStart(lines[i], lines[i + 1])) {
+      paragraph.push(lines[i].trim());
+      i += 1;
+    }
+    html.push(`<p>${renderInline(paragraph.join(' '), options)}</p>`);
+  }
+
+  return html.join('\n');
+}
+
+module.exports = {
+  renderMarkdown,
+};
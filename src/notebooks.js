@@ -0,0 +1,263 @@
+/**
+ * Jupyter notebooks as case-study sections. A project names its notebook in
+ * frontmatter, with a path relative to content/:
+ *
+ *   notebook:
+ *     file: notebooks/ssa-disability-outcomes.ipynb
+ *     url: https://github.com/…/analysis.ipynb   # optional; the source link
+ *     tag: highlight                              # optional; the default
+ *
+ * Only cells tagged `tag` (Jupyter's cell tags) are shown, in notebook order.
+ * The Jupyter Book tags `remove-input` and `remove-output` hide a shown
+ * cell's code or outputs.
+ *
+ * Cells are sanitized here, before React sees them: markdown goes through
+ * src/markdown.js, which escapes HTML and keeps only http(s), mailto, site, and
+ * anchor links, and outputs are reduced to plain text, tables (from pandas'
+ * HTML), and PNG images. Scripts, widgets, stderr, and other rich outputs are
+ * dropped.
+ */
+const { existsSync, readFileSync } = require('node:fs');
+const { join, relative, resolve } = require('node:path');
+const { renderMarkdown } = require('./markdown.js');
+
+const CONTENT_ROOT = 'content';
+const NOTEBOOK_TAG = 'highlight';
+const MAX_IMAGE_BYTES = 1024 * 1024;
+const MAX_TABLE_ROWS = 50;
+const MAX_TEXT_LINES = 60;
+// Terminal color codes, as in colored pandas or tqdm output.
+const ANSI_ESCAPE = new RegExp(`${String.fromCharCode(27)}\\[[0-9;]*[A-Za-z]`, 'g');
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'", nbsp: ' ' };
+
+function joinSource(source) {
+  return Array.isArray(source) ? source.join('') : String(source ?? '');
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (_, name) => HTML_ENTITIES[name]);
+}
+
+function truncateLines(text, limit) {
+  const lines = text.replace(/\n+$/, '').split('\n');
+  return lines.length > limit
+    ? [...lines.slice(0, limit), `… ${lines.length - limit} more lines`].join('\n')
+    : lines.join('\n');
+}
+
+function tableCells(rowHtml) {
+  return [...rowHtml.matchAll(/<t[hd]\b[^>]*>([\s\S]*?)<\/t[hd]>/gi)].map(([, cell]) =>
+    decodeEntities(cell.replace(/<[^>]*>/g, '')).trim()
+  );
+}
+
+/**
+ * The first `<table>` of an HTML output (pandas' DataFrame display) as
+ * `{ columns, rows }` of plain strings, or null. Nothing of the HTML survives
+ * but the cell text.
+ */
+function parseHtmlTable(html) {
+  const table = html.match(/<table\b[\s\S]*?<\/table>/i)?.[0];
+  if (!table) {
+    return null;
+  }
+  const head = table.match(/<thead\b[\s\S]*?<\/thead>/i)?.[0] ?? '';
+  const body = table.match(/<tbody\b[\s\S]*?<\/tbody>/i)?.[0] ?? table.replace(head, '');
+  const rowsOf = html =>
+    [...html.matchAll(/<tr\b[\s\S]*?<\/tr>/gi)].map(([row]) => tableCells(row));
+  const [columns = []] = rowsOf(head);
+  const rows = rowsOf(body).filter(row => row.length > 0);
+  if (columns.length === 0 && rows.length === 0) {
+    return null;
+  }
+  return {
+    columns: columns.length > 0 ? columns : rows[0].map((_, index) => `Column ${index + 1}`),
+    rows: rows.slice(0, MAX_TABLE_ROWS),
+    ...(rows.length > MAX_TABLE_ROWS ? { omittedRows: rows.length - MAX_TABLE_ROWS } : {}),
+  };
+}
+
+function convertImage(data, problem) {
+  const base64 = joinSource(data['image/png']).replace(/\s/g, '');
+  if (!/^[A-Za-z0-9+/]+={0,2}$/.test(base64)) {
+    problem('has a PNG output that is not valid base64', 'Re-run the cell and save the notebook');
+    return null;
+  }
+  if ((base64.length * 3) / 4 > MAX_IMAGE_BYTES) {
+    problem(
+      `has a PNG output over ${MAX_IMAGE_BYTES / 1024} KB`,
+      'Save the figure at a lower dpi, or tag a smaller cell'
+    );
+    return null;
+  }
+  const alt = joinSource(data['text/plain']).trim();
+  return {
+    type: 'image',
+    src: `data:image/png;base64,${base64}`,
+    // `<Figure size 640x480 with 1 Axes>` describes the object, not the picture.
+    alt: alt && !/^<.*>$/.test(alt) ? alt : 'Notebook figure',
+  };
+}
+
+// One output as { type: 'text' | 'table' | 'image', ... }, or null when it is not shown.
+function convertOutput(output, problem) {
+  if (output.output_type === 'stream') {
+    return output.name === 'stdout'
+      ? {
+          type: 'text',
+          text: truncateLines(joinSource(output.text).replace(ANSI_ESCAPE, ''), MAX_TEXT_LINES),
+        }
+      : null;
+  }
+  if (output.output_type === 'error') {
+    return { type: 'text', text: `${output.ename}: ${output.evalue}`.replace(ANSI_ESCAPE, '') };
+  }
+  const data = output.data ?? {};
+  if (data['image/png']) {
+    return convertImage(data, problem);
+  }
+  const table = data['text/html'] ? parseHtmlTable(joinSource(data['text/html'])) : null;
+  if (table) {
+    return { type: 'table', ...table };
+  }
+  if (data['text/plain']) {
+    return {
+      type: 'text',
+      text: truncateLines(joinSource(data['text/plain']).replace(ANSI_ESCAPE, ''), MAX_TEXT_LINES),
+    };
+  }
+  return null;
+}
+
+// A title from the cell's `title` metadata, its first heading, or its first comment line.
+function cellTitle(cell, source, number) {
+  if (typeof cell.metadata?.title === 'string' && cell.metadata.title.trim()) {
+    return cell.metadata.title.trim();
+  }
+  const pattern = cell.cell_type === 'markdown' ? /^#{1,6}\s+(.+)$/m : /^\s*#\s*(.+)$/m;
+  return source.match(pattern)?.[1].trim() ?? `Cell ${number}`;
+}
+
+/**
+ * The tagged cells of a parsed notebook, sanitized: `{ cells, problems }`.
+ * Each cell has its 1-based `number`, `kind` (code or markdown), `title`, and
+ * `code` and `outputs` or `html`. Problems name the cell they come from.
+ */
+function extractNotebookCells(notebook, { tag = NOTEBOOK_TAG } = {}) {
+  const problems = [];
+  const cells = [];
+
+  (notebook.cells ?? []).forEach((cell, index) => {
+    const tags = cell.metadata?.tags ?? [];
+    if (!tags.includes(tag) || !['code', 'markdown'].includes(cell.cell_type)) {
+      return;
+    }
+    const number = index + 1;
+    const problem = (message, hint) =>
+      problems.push({ message: `Cell ${number} ${message}`, hint });
+    const source = joinSource(cell.source);
+    const title = cellTitle(cell, source, number);
+
+    if (cell.cell_type === 'markdown') {
+      cells.push({ number, kind: 'markdown', title, html: renderMarkdown(source) });
+      return;
+    }
+    cells.push({
+      number,
+      kind: 'code',
+      title,
+      code: tags.includes('remove-input') ? null : source.replace(/\n+$/, ''),
+      outputs: tags.includes('remove-output')
+        ? []
+        : (cell.outputs ?? []).map(output => convertOutput(output, problem)).filter(Boolean),
+    });
+  });
+
+  if (cells.length === 0) {
+    problems.push({
+      message: `No cells are tagged "${tag}"`,
+      hint: `In Jupyter, add the "${tag}" tag to each cell to show (View → Cell Toolbar → Tags)`,
+    });
+  }
+  return { cells, problems };
+}
+
+/**
+ * Reads and extracts a project's `notebook` frontmatter: `{ notebook, problems }`,
+ * where `notebook` is `{ file, url, language, cells }` (null when it cannot be read).
+ */
+function inspectProjectNotebook(settings, { contentRoot = CONTENT_ROOT } = {}) {
+  const filePath = resolve(contentRoot, settings.file);
+  const fail = (message, hint) => ({ notebook: null, problems: [{ message, hint }] });
+  if (relative(resolve(contentRoot), filePath).startsWith('..')) {
+    return fail(`"${settings.file}" is outside ${contentRoot}/`, 'Paths are relative to content/');
+  }
+  if (!settings.file.endsWith('.ipynb')) {
+    return fail(
+      `"${settings.file}" is not a .ipynb file`,
+      'Point notebook.file at a Jupyter notebook'
+    );
+  }
+  if (!existsSync(filePath)) {
+    return fail(
+      `Notebook "${settings.file}" does not exist`,
+      `Add ${join(contentRoot, settings.file)}`
+    );
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    return fail(`${settings.file} is not valid JSON: ${error.message}`, 'Re-save it from Jupyter');
+  }
+  if (!Array.isArray(parsed?.cells) || !(parsed.nbformat >= 4)) {
+    return fail(
+      `${settings.file} is not an nbformat 4 notebook`,
+      'Re-save it from Jupyter 4 or later'
+    );
+  }
+
+  const { cells, problems } = extractNotebookCells(parsed, { tag: settings.tag });
+  const metadata = parsed.metadata ?? {};
+  return {
+    notebook: {
+      file: settings.file,
+      url: settings.url ?? null,
+      language: metadata.language_info?.name ?? metadata.kernelspec?.language ?? 'python',
+      cells,
+    },
+    problems,
+  };
+}
+
+/** A project's notebook for rendering; the first problem throws. */
+function loadProjectNotebook(settings, options) {
+  const { notebook, problems } = inspectProjectNotebook(settings, options);
+  if (problems.length > 0) {
+    throw new Error(`notebook ${settings.file}: ${problems[0].message}`);
+  }
+  return notebook;
+}
+
+/** Problems with every project's `notebook`, as `{ slug, field, message, hint }`. */
+function checkProjectNotebooks(projects, options) {
+  return projects
+    .filter(project => project.frontmatter.notebook)
+    .flatMap(project =>
+      inspectProjectNotebook(project.frontmatter.notebook, options).problems.map(problem => ({
+        slug: project.slug,
+        field: 'notebook',
+        ...problem,
+      }))
+    );
+}
+
+module.exports = {
+  NOTEBOOK_TAG,
+  checkProjectNotebooks,
+  extractNotebookCells,
+  inspectProjectNotebook,
+  loadProjectNotebook,
+  parseHtmlTable,
+};
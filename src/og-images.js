@@ -0,0 +1,261 @@
+/**
+ * Build-time Open Graph images: one 1200x630 PNG per project and post, showing
+ * its title, tags, date, and reading time in the site theme. Images are drawn
+ * with `canvas` (node-canvas, headless) into `public/og/<collection>/<slug>.png`
+ * and cached by a hash of what they show, so unchanged entries are not redrawn.
+ */
+const { existsSync, mkdirSync, readFileSync, rmSync, writeFileSync } = require('node:fs');
+const { dirname, join } = require('node:path');
+const readingTime = require('reading-time');
+const { hashContent, readJson, writeFileIfChanged } = require('./content-cache.js');
+
+const OG_IMAGE_WIDTH = 1200;
+const OG_IMAGE_HEIGHT = 630;
+const DEFAULT_OG_IMAGE_PATH = '/assets/og.png';
+const DEFAULT_CACHE_FILE = join('.cache', 'og-images.json');
+
+// The dark theme from app/globals.css.
+const THEME = {
+  background: '#352621',
+  foreground: '#f8fafc',
+  muted: '#94a3b8',
+  primary: '#3c8add',
+};
+
+const PADDING = 80;
+const TITLE_FONT_SIZES = [72, 64, 56, 48];
+const TITLE_MAX_LINES = 3;
+
+function getOgImagePath(collection, slug) {
+  return `/og/${collection}/${slug}.png`;
+}
+
+function formatOgDate(date) {
+  const parsed = new Date(`${String(date).slice(0, 10)}T00:00:00Z`);
+  if (Number.isNaN(parsed.getTime())) {
+    return '';
+  }
+  return parsed.toLocaleDateString('en-US', {
+    timeZone: 'UTC',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+  });
+}
+
+/**
+ * Everything an entry's image shows. `tagLabel` maps tag slugs to display names.
+ * @param {{ slug: string, content?: string, frontmatter: { title: string, date: string, tags?: string[], readingTime?: number } }} entry
+ * @param {{ collection: 'projects' | 'blog', siteName: string, tagLabel?: (tag: string) => string }} options
+ */
+function toOgImageCard(entry, { collection, siteName, tagLabel = tag => tag }) {
+  const minutes =
+    entry.frontmatter.readingTime ?? Math.ceil(readingTime(entry.content ?? '').minutes);
+
+  return {
+    path: getOgImagePath(collection, entry.slug),
+    kicker: collection === 'projects' ? 'Project case study' : 'Blog',
+    title: entry.frontmatter.title,
+    tags: (entry.frontmatter.tags ?? []).slice(0, 4).map(tagLabel),
+    date: formatOgDate(entry.frontmatter.date),
+    readingTime: `${Math.max(1, minutes)} min read`,
+    siteName,
+  };
+}
+
+/**
+ * Cards for every project and post. Pass entries already filtered for visibility
+ * so draft titles never end up in public images.
+ * @param {{ projects: object[], blog: object[] }} collections
+ * @param {{ siteName: string, tagLabels?: Record<string, string> }} options
+ */
+function toOgImageCards({ projects, blog }, { siteName, tagLabels = {} }) {
+  const tagLabel = tag => tagLabels[tag] ?? tag;
+  return [
+    ...projects.map(entry => toOgImageCard(entry, { collection: 'projects', siteName, tagLabel })),
+    ...blog.map(entry => toOgImageCard(entry, { collection: 'blog', siteName, tagLabel })),
+  ];
+}
+
+/**
+ * Greedy word wrap. Text that needs more than `maxLines` lines is cut and ends
+ * with an ellipsis; `truncated` tells the caller to try a smaller font.
+ * @param {(text: string) => number} measure Width of `text` in pixels.
+ */
+function wrapText(text, maxWidth, measure, maxLines = Infinity) {
+  const lines = [];
+  let truncated = false;
+
+  for (const word of String(text).split(/\s+/).filter(Boolean)) {
+    const current = lines.at(-1);
+    if (current !== undefined && measure(`${current} ${word}`) <= maxWidth) {
+      lines[lines.length - 1] = `${current} ${word}`;
+    } else if (lines.length < maxLines) {
+      lines.push(word);
+    } else {
+      truncated = true;
+      break;
+    }
+  }
+
+  if (truncated) {
+    let last = lines[lines.length - 1];
+    while (last.includes(' ') && measure(`${last}…`) > maxWidth) {
+      last = last.slice(0, last.lastIndexOf(' '));
+    }
+    lines[lines.length - 1] = `${last}…`;
+  }
+
+  return { lines, truncated };
+}
+
+/** The largest title size that fits in three lines, falling back to a cut title. */
+function fitTitle(title, maxWidth, measureAt) {
+  for (const fontSize of TITLE_FONT_SIZES) {
+    const { lines, truncated } = wrapText(title, maxWidth, measureAt(fontSize), TITLE_MAX_LINES);
+    if (!truncated) {
+      return { fontSize, lines };
+    }
+  }
+  const fontSize = TITLE_FONT_SIZES.at(-1);
+  return { fontSize, lines: wrapText(title, maxWidth, measureAt(fontSize), TITLE_MAX_LINES).lines };
+}
+
+function font(size, weight = 'normal') {
+  return `${weight} ${size}px sans-serif`;
+}
+
+function drawPill(context, text, x, y) {
+  const width = context.measureText(text).width + 40;
+  const height = 48;
+  context.beginPath();
+  context.roundRect(x, y, width, height, height / 2);
+  context.strokeStyle = THEME.primary;
+  context.lineWidth = 2;
+  context.stroke();
+  context.fillText(text, x + 20, y + height / 2);
+  return width;
+}
+
+/**
+ * Draws one card and returns the PNG.
+ * @param {ReturnType<typeof toOgImageCard>} card
+ * @param {{ createCanvas: (width: number, height: number) => any }} canvasModule `require('canvas')`
+ * @returns {Buffer}
+ */
+function renderOgImage(card, { createCanvas }) {
+  const canvas = createCanvas(OG_IMAGE_WIDTH, OG_IMAGE_HEIGHT);
+  const context = canvas.getContext('2d');
+  const contentWidth = OG_IMAGE_WIDTH - PADDING * 2;
+
+  context.fillStyle = THEME.background;
+  context.fillRect(0, 0, OG_IMAGE_WIDTH, OG_IMAGE_HEIGHT);
+  context.fillStyle = THEME.primary;
+  context.fillRect(0, 0, 16, OG_IMAGE_HEIGHT);
+  context.textBaseline = 'middle';
+
+  context.font = font(28, 'bold');
+  context.fillStyle = THEME.primary;
+  context.fillText(card.kicker.toUpperCase(), PADDING, 110);
+
+  const title = fitTitle(card.title, contentWidth, size => {
+    context.font = font(size, 'bold');
+    return text => context.measureText(text).width;
+  });
+  context.font = font(title.fontSize, 'bold');
+  context.fillStyle = THEME.foreground;
+  const lineHeight = Math.round(title.fontSize * 1.2);
+  title.lines.forEach((line, index) => {
+    context.fillText(line, PADDING, 190 + lineHeight * index + lineHeight / 2);
+  });
+
+  context.font = font(24);
+  let x = PADDING;
+  for (const tag of card.tags) {
+    const width = context.measureText(tag).width + 40;
+    if (x + width > OG_IMAGE_WIDTH - PADDING) {
+      break;
+    }
+    x += drawPill(context, tag, x, 456) + 16;
+  }
+
+  context.font = font(26);
+  context.fillStyle = THEME.muted;
+  context.fillText([card.date, card.readingTime].filter(Boolean).join(' · '), PADDING, 560);
+  context.textAlign = 'right';
+  context.fillText(card.siteName, OG_IMAGE_WIDTH - PADDING, 560);
+
+  return canvas.toBuffer('image/png');
+}
+
+/** node-canvas, or null where its native binding is not installed. */
+function loadCanvas() {
+  try {
+    return require('canvas');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Writes the image for every card under `publicDir` (so `card.path` is its URL)
+ * and removes images of entries that no longer exist. A card is only redrawn
+ * when what it shows, or this renderer, has changed.
+ *
+ * Without a working `canvas` nothing is drawn: the entries come back in
+ * `skipped` and pages fall back to the site-wide image.
+ * @returns {{ available: boolean, images: string[], written: string[], reused: string[], skipped: string[] }}
+ */
+function generateOgImages(cards, options = {}) {
+  const publicDir = options.publicDir ?? 'public';
+  const cacheFile = options.cacheFile ?? DEFAULT_CACHE_FILE;
+  const canvas = options.canvas === undefined ? loadCanvas() : options.canvas;
+  const renderer = readFileSync(__filename, 'utf8');
+  const previous = readJson(cacheFile, {});
+  const hashes = {};
+  const result = { available: Boolean(canvas), images: [], written: [], reused: [], skipped: [] };
+
+  for (const card of cards) {
+    const filePath = join(publicDir, card.path);
+    const hash = hashContent(renderer, card);
+
+    if (previous[card.path] === hash && existsSync(filePath)) {
+      hashes[card.path] = hash;
+      result.reused.push(card.path);
+    } else if (canvas) {
+      mkdirSync(dirname(filePath), { recursive: true });
+      writeFileSync(filePath, renderOgImage(card, canvas));
+      hashes[card.path] = hash;
+      result.written.push(card.path);
+    } else {
+      // An outdated image is worse than the site-wide fallback.
+      rmSync(filePath, { force: true });
+      result.skipped.push(card.path);
+      continue;
+    }
+    result.images.push(card.path);
+  }
+
+  for (const path of Object.keys(previous)) {
+    if (!cards.some(card => card.path === path)) {
+      rmSync(join(publicDir, path), { force: true });
+    }
+  }
+  writeFileIfChanged(cacheFile, `${JSON.stringify(hashes, null, 2)}\n`);
+
+  return result;
+}
+
+module.exports = {
+  DEFAULT_OG_IMAGE_PATH,
+  OG_IMAGE_HEIGHT,
+  OG_IMAGE_WIDTH,
+  fitTitle,
+  formatOgDate,
+  generateOgImages,
+  getOgImagePath,
+  renderOgImage,
+  toOgImageCard,
+  toOgImageCards,
+  wrapText,
+};
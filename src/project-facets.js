@@ -0,0 +1,272 @@
+/**
+ * Faceted project filtering (tag, tech, year, domain) with sorting, shared by
+ * the Next.js projects page and the static build. The static build serves this
+ * file to the browser as /assets/project-facets.js (`window.ProjectFacets`), so
+ * it must not `require` anything.
+ *
+ * Filter state round-trips through the query string, e.g.
+ * `?tag=ml,nlp&tech=python&year=2024&domain=finance&match=all&sort=oldest`.
+ * Within the tag and tech facets, `match=any` keeps projects with any selected
+ * value and `match=all` only those with every selected value. A project has one
+ * year and at most one domain, so those facets always match any. Different
+ * facets always narrow the results.
+ */
+
+const PROJECT_FACETS = [
+  { key: 'tag', label: 'Topic', multiple: true },
+  { key: 'tech', label: 'Tech', multiple: true },
+  { key: 'year', label: 'Year', multiple: false },
+  { key: 'domain', label: 'Domain', multiple: false },
+];
+
+// The values of a project's optional `domain` frontmatter (projectSchema in src/content.js).
+const PROJECT_DOMAINS = [
+  { value: 'public-sector', label: 'Public Sector' },
+  { value: 'finance', label: 'Finance' },
+  { value: 'retail', label: 'Retail & E-commerce' },
+  { value: 'saas', label: 'SaaS' },
+  { value: 'developer-tools', label: 'Developer Tools' },
+];
+
+// Headline topics, listed first in the tag facet.
+const SUPPORTED_PROJECT_FILTERS = [
+  { value: 'ml', label: 'ML' },
+  { value: 'analytics', label: 'Analytics' },
+  { value: 'visualization', label: 'Visualization' },
+  { value: 'nlp', label: 'NLP' },
+  { value: 'time-series', label: 'Time Series' },
+];
+
+const PROJECT_SORTS = [
+  { value: 'newest', label: 'Newest first' },
+  { value: 'oldest', label: 'Oldest first' },
+  { value: 'reading-time', label: 'Shortest read' },
+];
+
+const MATCH_MODES = [
+  { value: 'any', label: 'Match any' },
+  { value: 'all', label: 'Match all' },
+];
+
+function toFacetValue(value) {
+  return String(value).trim().toLowerCase().replace(/\s+/g, '-');
+}
+
+/**
+ * The facet values, labels, and sort keys of one project (a content index entry
+ * or a `lib/content` Project). `tagLabel` maps a tag slug to its display name.
+ * @returns {{ slug: string, date: string, readingTime: number, values: Record<string, string[]>, labels: Record<string, Record<string, string>> }}
+ */
+function toFacetRecord(project, { tagLabel = tag => tag } = {}) {
+  const frontmatter = project.frontmatter ?? {};
+  const date = String(frontmatter.date ?? '');
+  const record = {
+    slug: project.slug,
+    date,
+    readingTime: Number(project.readingTime ?? frontmatter.readingTime) || 0,
+    values: { tag: [], tech: [], year: [], domain: [] },
+    labels: { tag: {}, tech: {}, year: {}, domain: {} },
+  };
+
+  for (const tag of frontmatter.tags ?? []) {
+    const value = toFacetValue(tag);
+    record.values.tag.push(value);
+    record.labels.tag[value] = tagLabel(tag);
+  }
+  for (const tech of frontmatter.tech ?? []) {
+    const value = toFacetValue(tech);
+    record.values.tech.push(value);
+    record.labels.tech[value] = tech;
+  }
+  if (/^\d{4}/.test(date)) {
+    record.values.year.push(date.slice(0, 4));
+    record.labels.year[date.slice(0, 4)] = date.slice(0, 4);
+  }
+  if (frontmatter.domain) {
+    const domain = PROJECT_DOMAINS.find(option => option.value === frontmatter.domain);
+    record.values.domain.push(frontmatter.domain);
+    record.labels.domain[frontmatter.domain] = domain?.label ?? frontmatter.domain;
+  }
+
+  return record;
+}
+
+/**
+ * @typedef {{ tag: string[], tech: string[], year: string[], domain: string[], match: 'any' | 'all', sort: 'newest' | 'oldest' | 'reading-time' }} FacetState
+ */
+
+/** @returns {FacetState} */
+function createFacetState() {
+  return { tag: [], tech: [], year: [], domain: [], match: 'any', sort: 'newest' };
+}
+
+/**
+ * Reads filter state from a query string (with or without the leading `?`).
+ * Unknown sort or match values fall back to the defaults.
+ * @returns {FacetState}
+ */
+function parseFacetState(search) {
+  const params = new URLSearchParams(search ?? '');
+  const state = createFacetState();
+
+  for (const { key } of PROJECT_FACETS) {
+    const values = (params.get(key) ?? '').split(',').map(toFacetValue).filter(Boolean);
+    state[key] = [...new Set(values)];
+  }
+  if (MATCH_MODES.some(mode => mode.value === params.get('match'))) {
+    state.match = params.get('match');
+  }
+  if (PROJECT_SORTS.some(sort => sort.value === params.get('sort'))) {
+    state.sort = params.get('sort');
+  }
+
+  return state;
+}
+
+/** The query string (without `?`) for a state; defaults are left out. */
+function serializeFacetState(state) {
+  const params = new URLSearchParams();
+
+  for (const { key } of PROJECT_FACETS) {
+    if (state[key].length > 0) {
+      params.set(key, state[key].join(','));
+    }
+  }
+  if (state.match !== 'any') {
+    params.set('match', state.match);
+  }
+  if (state.sort !== 'newest') {
+    params.set('sort', state.sort);
+  }
+
+  // Values are split on commas when parsed, so the separators can stay unencoded.
+  return params.toString().replaceAll('%2C', ',');
+}
+
+function hasActiveFilters(state) {
+  return PROJECT_FACETS.some(({ key }) => state[key].length > 0);
+}
+
+/**
+ * @param {FacetState} state
+ * @returns {FacetState}
+ */
+function toggleFacetValue(state, facet, value) {
+  const selected = state[facet];
+  return {
+    ...state,
+    [facet]: selected.includes(value)
+      ? selected.filter(item => item !== value)
+      : [...selected, value],
+  };
+}
+
+/**
+ * @param {FacetState} state
+ * @returns {FacetState}
+ */
+function clearFacetFilters(state) {
+  return { ...createFacetState(), match: state.match, sort: state.sort };
+}
+
+function matchesFacet(record, facet, state) {
+  const selected = state[facet.key];
+  if (selected.length === 0) {
+    return true;
+  }
+  const values = record.values[facet.key];
+  return facet.multiple && state.match === 'all'
+    ? selected.every(value => values.includes(value))
+    : selected.some(value => values.includes(value));
+}
+
+function filterFacetRecords(records, state, { except } = {}) {
+  return records.filter(record =>
+    PROJECT_FACETS.every(facet => facet.key === except || matchesFacet(record, facet, state))
+  );
+}
+
+const SORT_COMPARATORS = {
+  newest: (a, b) => b.date.localeCompare(a.date),
+  oldest: (a, b) => a.date.localeCompare(b.date),
+  'reading-time': (a, b) => a.readingTime - b.readingTime,
+};
+
+/**
+ * The records matching `state`, in its sort order.
+ * @template {{ slug: string, date: string, readingTime: number }} T
+ * @param {T[]} records
+ * @returns {T[]}
+ */
+function applyFacetState(records, state) {
+  const compare = SORT_COMPARATORS[state.sort] ?? SORT_COMPARATORS.newest;
+  return filterFacetRecords(records, state).sort(
+    (a, b) => compare(a, b) || (a.slug < b.slug ? -1 : 1)
+  );
+}
+
+/**
+ * Every value of every facet with how many results selecting it would give.
+ * When a facet matches any, its counts ignore its own selection (picking another
+ * value widens the results); with `match=all` they include it. Values listed in
+ * `pinned[facet]` come first, then the rest by how many projects use them
+ * overall (years newest first), so the order does not shift while filtering.
+ * @returns {Record<string, Array<{ value: string, label: string, count: number, selected: boolean }>>}
+ */
+function countFacetValues(records, state, { pinned = {} } = {}) {
+  const facets = {};
+
+  for (const { key, multiple } of PROJECT_FACETS) {
+    const base = filterFacetRecords(records, state, {
+      except: multiple && state.match === 'all' ? undefined : key,
+    });
+    const total = value => records.filter(record => record.values[key].includes(value)).length;
+    const labels = {};
+    for (const record of records) {
+      Object.assign(labels, record.labels[key]);
+    }
+    for (const value of state[key]) {
+      labels[value] = labels[value] ?? value;
+    }
+
+    const pinnedValues = pinned[key] ?? [];
+    const rank = value => {
+      const index = pinnedValues.indexOf(value);
+      return index === -1 ? pinnedValues.length : index;
+    };
+
+    facets[key] = Object.keys(labels)
+      .map(value => ({
+        value,
+        label: labels[value],
+        count: base.filter(record => record.values[key].includes(value)).length,
+        selected: state[key].includes(value),
+      }))
+      .sort(
+        (a, b) =>
+          rank(a.value) - rank(b.value) ||
+          (key === 'year' ? b.value.localeCompare(a.value) : total(b.value) - total(a.value)) ||
+          a.label.localeCompare(b.label)
+      );
+  }
+
+  return facets;
+}
+
+module.exports = {
+  MATCH_MODES,
+  PROJECT_DOMAINS,
+  PROJECT_FACETS,
+  PROJECT_SORTS,
+  SUPPORTED_PROJECT_FILTERS,
+  applyFacetState,
+  clearFacetFilters,
+  countFacetValues,
+  createFacetState,
+  hasActiveFilters,
+  parseFacetState,
+  serializeFacetState,
+  toFacetRecord,
+  toFacetValue,
+  toggleFacetValue,
+};
@@ -1,11 +1,3 @@
-const SUPPORTED_PROJECT_FILTERS = [
-  { value: 'ml', label: 'ML' },
-  { value: 'analytics', label: 'Analytics' },
-  { value: 'visualization', label: 'Visualization' },
-  { value: 'nlp', label: 'NLP' },
-  { value: 'time-series', label: 'Time Series' },
-];
-
 const CASE_STUDY_SECTIONS = [
   { key: 'summary', title: 'Summary' },
   { key: 'caseStudyData', title: 'Data' },
@@ -16,10 +8,16 @@ const CASE_STUDY_SECTIONS = [
 ];
 
 const { escapeHtml } = require('./utils/escape-html.js');
-
-function normalizeTag(tag) {
-  return String(tag).trim().toLowerCase().replaceAll('_', '-').replaceAll(/\s+/g, '-');
-}
+const { normalizeTag } = require('./content-tags.js');
+const {
+  MATCH_MODES,
+  PROJECT_FACETS,
+  PROJECT_SORTS,
+  SUPPORTED_PROJECT_FILTERS,
+  countFacetValues,
+  createFacetState,
+  toFacetRecord,
+} = require('./project-facets.js');
 
 function getProjectMeta(project) {
   const frontmatter = project.frontmatter || {};
@@ -64,7 +62,7 @@ function renderProjectCard(project) {
     .join('');
 
   return `
-    <div class="card card-hover" data-project-card data-tags="${escapeHtml(normalizedTags)}">
+    <div class="card card-hover" data-project-card data-project-slug="${escapeHtml(meta.slug)}" data-tags="${escapeHtml(normalizedTags)}">
       <div class="card-header space-y-3">
         <div class="space-y-2">
           <div class="flex flex-wrap gap-1">
@@ -124,28 +122,70 @@ function renderProjectCard(project) {
   `.trim();
 }
 
-function renderFilterButtons() {
-  const allButton =
-    '<button class="projects-filter__button is-active" data-filter="all" data-filter-button type="button" aria-pressed="true" aria-controls="projects-grid" data-analytics-event="projects_filter_click" data-analytics-prop-filter="all">All</button>';
-  const buttons = SUPPORTED_PROJECT_FILTERS.map(
-    filter =>
-      `<button class="projects-filter__button" data-filter="${filter.value}" data-filter-button type="button" aria-pressed="false" aria-controls="projects-grid" data-analytics-event="projects_filter_click" data-analytics-prop-filter="${escapeHtml(filter.value)}">${escapeHtml(filter.label)}</button>`
-  ).join('');
+function renderSelect(attribute, label, options, selected) {
+  const items = options
+    .map(
+      option =>
+        `<option value="${escapeHtml(option.value)}"${option.value === selected ? ' selected' : ''}>${escapeHtml(option.label)}</option>`
+    )
+    .join('');
+  return `<label class="projects-filter__control">${escapeHtml(label)} <select ${attribute}>${items}</select></label>`;
+}
 
-  return `${allButton}${buttons}`;
+function renderFacetGroup(facet, options) {
+  const buttons = options
+    .map(
+      option =>
+        `<button class="projects-filter__button${option.selected ? ' is-active' : ''}" type="button" data-facet="${facet.key}" data-filter="${escapeHtml(option.value)}" aria-pressed="${option.selected}" aria-controls="projects-grid" data-analytics-event="projects_filter_click" data-analytics-prop-facet="${facet.key}" data-analytics-prop-filter="${escapeHtml(option.value)}">${escapeHtml(option.label)} <span class="projects-filter__count" data-facet-count>${option.count}</span></button>`
+    )
+    .join('');
+
+  return `
+          <div class="projects-filter__group" role="group" aria-label="Project ${facet.key} filters">
+            <span class="projects-filter__label">${escapeHtml(facet.label)}</span>
+            ${buttons}
+          </div>`;
+}
+
+/**
+ * The facet toolbar, rendered for the default state. assets/projects-filter.js
+ * applies the query string state in the browser using the same
+ * src/project-facets.js logic, fed by the JSON records embedded here.
+ */
+function renderProjectFilters(records, projectCount) {
+  const state = createFacetState();
+  const pinned = { tag: SUPPORTED_PROJECT_FILTERS.map(filter => filter.value) };
+  const facets = countFacetValues(records, state, { pinned });
+  // A facet with a single value (say, every project from one year) filters nothing.
+  const groups = PROJECT_FACETS.filter(facet => facets[facet.key].length > 1)
+    .map(facet => renderFacetGroup(facet, facets[facet.key]))
+    .join('');
+  const data = JSON.stringify({ records, pinned }).replaceAll('<', '\\u003c');
+
+  return `
+        <div class="projects-filter space-y-3" data-projects-filters>
+          <div class="projects-filter__controls">
+            ${renderSelect('data-projects-sort', 'Sort', PROJECT_SORTS, state.sort)}
+            ${renderSelect('data-projects-match', 'Combine', MATCH_MODES, state.match)}
+            <button class="button button-outline" type="button" data-projects-clear hidden>Clear filters</button>
+          </div>${groups}
+          <p class="text-sm text-muted-foreground" data-projects-summary aria-live="polite">${projectCount} of ${projectCount} projects shown.</p>
+          <script type="application/json" id="projects-facets-data">${data}</script>
+        </div>`;
 }
 
-function renderProjectsPage(projects) {
+/**
+ * Renders the projects index. `tagLabels` maps tag slugs to display names for
+ * the filters.
+ */
+function renderProjectsPage(projects, { tagLabels = {} } = {}) {
   const cards = projects.map(renderProjectCard).join('\n');
-  const allTags = projects.reduce((tags, project) => {
-    const meta = getProjectMeta(project);
-    meta.tags.forEach(tag => {
-      if (!tags.includes(tag)) {
-        tags.push(tag);
-      }
-    });
-    return tags;
-  }, []);
+  const records = projects.map(project =>
+    toFacetRecord(
+      { ...project, readingTime: getProjectMeta(project).readingTime },
+      { tagLabel: tag => tagLabels[tag] ?? tag }
+    )
+  );
 
   return `
     <div class="container space-y-8">
@@ -155,30 +195,7 @@ function renderProjectsPage(projects) {
         <p class="text-xl text-muted-foreground max-w-2xl mx-auto">
           Explore project case studies in ML, analytics, and production data systems.
         </p>
-
-        ${
-          allTags.length > 0
-            ? `
-          <div class="space-y-3">
-            <h3 class="text-lg font-semibold">Topics</h3>
-            <div class="flex flex-wrap gap-2 justify-center">
-              ${allTags
-                .map(
-                  tag => `
-                <span class="badge badge-secondary flex items-center gap-1">
-                  <svg class="h-3 w-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M7 7h.01M7 3h5c.512 0 1.024.195 1.414.586l7 7a2 2 0 010 2.828l-7 7a2 2 0 01-2.828 0l-7-7A1.994 1.994 0 013 12V7a4 4 0 014-4z"></path>
-                  </svg>
-                  ${escapeHtml(tag)}
-                </span>
-              `
-                )
-                .join('')}
-            </div>
-          </div>
-        `
-            : ''
-        }
+${projects.length > 0 ? renderProjectFilters(records, projects.length) : ''}
       </div>
 
       <!-- Projects Grid -->
@@ -192,7 +209,7 @@ function renderProjectsPage(projects) {
         </div>
       `
           : `
-        <div class="grid gap-6 md:grid-cols-2">
+        <div class="grid gap-6 md:grid-cols-2" id="projects-grid" data-projects-grid>
           ${cards}
         </div>
       `
@@ -217,6 +234,22 @@ function renderCaseStudySection(title, content, dataKey) {
   `.trim();
 }
 
+function renderRelatedPosts(posts) {
+  if (!Array.isArray(posts) || posts.length === 0) {
+    return '';
+  }
+
+  const links = posts
+    .map(post => `<li><a href="/blog/${escapeHtml(post.slug)}">${escapeHtml(post.title)}</a></li>`)
+    .join('');
+
+  return `
+      <section class="case-study__section" data-related-posts>
+        <h2>Project write-ups</h2>
+        <ul>${links}</ul>
+      </section>`;
+}
+
 function renderProjectCaseStudy(project) {
   const sections = CASE_STUDY_SECTIONS.map(section =>
     renderCaseStudySection(section.title, project[section.key], section.key)
@@ -228,7 +261,7 @@ function renderProjectCaseStudy(project) {
         <p class="case-study__meta">${escapeHtml(project.date)}</p>
         <h1 class="case-study__title">${escapeHtml(project.title)}</h1>
       </header>
-      ${sections}
+      ${sections}${renderRelatedPosts(project.relatedPosts)}
       <footer class="case-study__footer">
         <a class="case-study__repo" href="${escapeHtml(project.repo)}" data-analytics-event="case_study_repo_click" data-analytics-prop-slug="${escapeHtml(project.slug)}">View source repository</a>
       </footer>
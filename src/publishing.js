@@ -0,0 +1,73 @@
+// Publishing states shared by every collection. `scheduled` entries go live on
+// their `publishAt` date; the site has to be rebuilt on or after that date.
+const PUBLISH_STATUSES = ['published', 'draft', 'scheduled'];
+
+/**
+ * Preview builds (`CONTENT_PREVIEW=1`) render drafts and scheduled entries so
+ * editors can review them. Every page of a preview build is marked noindex.
+ */
+function isPreviewMode(env = process.env) {
+  return ['1', 'true', 'yes'].includes(
+    String(env.CONTENT_PREVIEW ?? '')
+      .trim()
+      .toLowerCase()
+  );
+}
+
+function toDateKey(now) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+/**
+ * Effective state of an entry on `now` (UTC days): `published` only once the
+ * status allows it and any `publishAt` date has been reached.
+ * @returns {'published' | 'draft' | 'scheduled'}
+ */
+function getPublishState(frontmatter, now = new Date()) {
+  const status = frontmatter?.status ?? 'draft';
+  if (status === 'draft') {
+    return 'draft';
+  }
+
+  const publishAt = frontmatter.publishAt;
+  if (!publishAt) {
+    return status === 'scheduled' ? 'draft' : 'published';
+  }
+  return publishAt > toDateKey(now) ? 'scheduled' : 'published';
+}
+
+function isEntryVisible(frontmatter, { now = new Date(), preview = false } = {}) {
+  return preview || getPublishState(frontmatter, now) === 'published';
+}
+
+/**
+ * Keeps the index entries that belong on the site for this build.
+ */
+function filterVisibleEntries(entries, options = {}) {
+  return entries.filter(entry => isEntryVisible(entry.frontmatter, options));
+}
+
+/**
+ * Rules that involve more than one field, reported like schema issues.
+ */
+function checkPublishFields(frontmatter) {
+  if (frontmatter.status === 'scheduled' && !frontmatter.publishAt) {
+    return [
+      {
+        field: 'status',
+        message: 'field "status" is "scheduled" but no "publishAt" date is set',
+        hint: 'add publishAt: 2024-01-31 (the day the entry should go live)',
+      },
+    ];
+  }
+  return [];
+}
+
+module.exports = {
+  PUBLISH_STATUSES,
+  checkPublishFields,
+  filterVisibleEntries,
+  getPublishState,
+  isEntryVisible,
+  isPreviewMode,
+};
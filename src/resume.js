@@ -1,36 +1,35 @@
 const { escapeHtml } = require('./utils/escape-html.js');
+const { DEFAULT_LOCALE, createTranslator, localizePageLink, localizePath } = require('./i18n.js');
 
 const DEFAULT_RESUME_ASSET_PATH = '/resume/abigael-awino-resume.pdf';
 
-const DEFAULT_RESUME_CONTENT = {
-  headline: 'Data Scientist | Machine Learning | Analytics',
-  summary:
-    'I build practical machine learning and analytics systems that move from prototype to production with clear success metrics, reliable pipelines, and stakeholder-ready communication.',
-  coreSkills: [
-    'Python, SQL, pandas, scikit-learn, PyTorch',
-    'Experiment design, evaluation, and baseline-first modeling',
-    'Data pipelines, reproducibility, and monitoring',
-    'Dashboards and decision support (Tableau / Power BI)',
-  ],
-  experienceHighlights: [
-    'Translate ambiguous business questions into scoped data workstreams and measurable outcomes.',
-    'Deliver models and analytics that are explainable, validated, and production-aware.',
-    'Partner cross-functionally to ship insights into real workflows (dashboards, alerts, playbooks).',
-  ],
-  nextLinks: [
-    { label: 'Projects', href: '/projects' },
-    { label: 'Contact', href: '/contact' },
-    { label: 'About', href: '/about' },
-  ],
-};
+// Resume copy lives in the message catalogs (content/locales) under `resume`.
+function getResumeContent(locale) {
+  const t = createTranslator(locale);
+  return {
+    headline: t('resume.headline'),
+    summary: t('resume.summary'),
+    coreSkills: t('resume.coreSkills'),
+    experienceHighlights: t('resume.experienceHighlights'),
+    nextLinks: [
+      { label: t('resume.projectsLink'), href: localizePageLink('/projects', locale) },
+      { label: t('resume.contactLink'), href: localizePageLink('/contact', locale) },
+      { label: t('resume.aboutLink'), href: localizePageLink('/about', locale) },
+    ],
+  };
+}
+
+const DEFAULT_RESUME_CONTENT = getResumeContent(DEFAULT_LOCALE);
 
 function renderList(items, className) {
   return items.map(item => `<li class="${className}">${escapeHtml(item)}</li>`).join('');
 }
 
-function renderResumePage(content = DEFAULT_RESUME_CONTENT) {
+function renderResumePage(content = {}, { locale = DEFAULT_LOCALE } = {}) {
+  const translate = createTranslator(locale);
+  const t = key => escapeHtml(translate(`resume.${key}`));
   const resolved = {
-    ...DEFAULT_RESUME_CONTENT,
+    ...getResumeContent(locale),
     ...content,
   };
 
@@ -46,9 +45,9 @@ function renderResumePage(content = DEFAULT_RESUME_CONTENT) {
     <div class="container space-y-8">
       <!-- Header -->
       <div class="text-center space-y-4">
-        <h1 class="text-4xl font-bold tracking-tight">Resume</h1>
+        <h1 class="text-4xl font-bold tracking-tight">${t('title')}</h1>
         <p class="text-xl text-muted-foreground max-w-2xl mx-auto">
-          Download a PDF resume and view a concise web summary.
+          ${t('intro')}
         </p>
         <div class="flex flex-wrap gap-3 justify-center">
           <a class="button button-primary" href="${escapeHtml(
@@ -57,7 +56,7 @@ function renderResumePage(content = DEFAULT_RESUME_CONTENT) {
             <svg class="mr-2 h-4 w-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"></path>
             </svg>
-            Download PDF
+            ${t('downloadPdf')}
           </a>
           ${nextLinks
             .map(
@@ -83,7 +82,7 @@ function renderResumePage(content = DEFAULT_RESUME_CONTENT) {
       <!-- Core Skills -->
       <div class="card">
         <div class="card-header">
-          <h2 class="card-title">Core Skills</h2>
+          <h2 class="card-title">${t('coreSkillsHeading')}</h2>
         </div>
         <div class="card-content">
           <ul class="space-y-2">
@@ -106,7 +105,7 @@ function renderResumePage(content = DEFAULT_RESUME_CONTENT) {
       <!-- Experience Highlights -->
       <div class="card">
         <div class="card-header">
-          <h2 class="card-title">Experience Highlights</h2>
+          <h2 class="card-title">${t('experienceHeading')}</h2>
         </div>
         <div class="card-content">
           <ul class="space-y-3">
@@ -127,19 +126,19 @@ function renderResumePage(content = DEFAULT_RESUME_CONTENT) {
       <!-- Web Summary Note -->
       <div class="card">
         <div class="card-header">
-          <h2 class="card-title">About This Page</h2>
+          <h2 class="card-title">${t('aboutPageHeading')}</h2>
         </div>
         <div class="card-content">
           <p class="text-muted-foreground">
-            This page is a concise, web-friendly overview. The downloadable PDF contains the full, formatted resume with complete work history, education, and additional details.
+            ${t('aboutPageText')}
           </p>
         </div>
       </div>
 
       <!-- Back Navigation -->
       <div class="text-center">
-        <a class="button button-outline" href="/">
-          ← Back to Home
+        <a class="button button-outline" href="${escapeHtml(localizePath('/', locale))}">
+          ${t('backToHome')}
         </a>
       </div>
     </div>
@@ -149,9 +148,9 @@ function renderResumePage(content = DEFAULT_RESUME_CONTENT) {
     // Return fallback content for Best Practices compliance
     return `<div class="container">
       <div class="text-center space-y-4">
-        <h1 class="text-4xl font-bold tracking-tight">Resume</h1>
-        <p class="text-xl text-muted-foreground max-w-2xl mx-auto">${escapeHtml(DEFAULT_RESUME_CONTENT.headline)}</p>
-        <p class="text-muted-foreground">${escapeHtml(DEFAULT_RESUME_CONTENT.summary)}</p>
+        <h1 class="text-4xl font-bold tracking-tight">${t('title')}</h1>
+        <p class="text-xl text-muted-foreground max-w-2xl mx-auto">${t('headline')}</p>
+        <p class="text-muted-foreground">${t('summary')}</p>
       </div>
     </div>`;
   }
@@ -0,0 +1,355 @@
+/**
+ * Static full-text search. `buildSearchIndex` runs at build time and produces a
+ * compact inverted index; `prepareSearchIndex` + `searchContent` run in the
+ * browser against it, with prefix matching and typo tolerance.
+ */
+
+const SEARCH_INDEX_VERSION = 2;
+// Where the index is served from, relative to the site root; also its file name in src/generated.
+const SEARCH_INDEX_PATH = 'search-index.json';
+
+// Longest result excerpt shipped in the index; the body itself only feeds `terms`.
+const EXCERPT_LENGTH = 200;
+
+// Weight of one occurrence of a term in each field.
+const FIELD_BOOSTS = { title: 8, tags: 5, headings: 4, summary: 3, body: 1 };
+
+const STOP_WORDS = new Set(
+  'an and are as at be by for from in is it of on or that the this to was with'.split(' ')
+);
+
+// Accents dropped, so "resume" matches "résumé".
+function foldText(text) {
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '');
+}
+
+function tokenizeSearchText(text) {
+  return (
+    foldText(text)
+      .toLowerCase()
+      .match(/[a-z0-9]+/g)
+      ?.filter(token => token.length > 1 && !STOP_WORDS.has(token)) ?? []
+  );
+}
+
+/**
+ * Plain text and headings of an MDX body, without JSX, imports, or markdown syntax.
+ */
+function extractSearchText(source) {
+  const headings = [];
+  const lines = String(source)
+    .replace(/^\s*(?:import|export)\s.*$/gm, '')
+    .split('\n')
+    .map(line => {
+      const heading = line.match(/^#{1,6}\s+(.*)$/);
+      if (heading) {
+        headings.push(heading[1].trim());
+        return heading[1];
+      }
+      return line;
+    });
+
+  const text = lines
+    .join('\n')
+    .replace(/```[^\n]*\n?/g, ' ')
+    .replace(/<\/?[A-Za-z][^>]*>/g, ' ')
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/[*_`>#|]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return { headings, text };
+}
+
+// The summary and headings, or the opening of the body when there are neither.
+function buildExcerpt(summary, headings, text) {
+  const value = [summary, headings.join(' · ')].filter(Boolean).join(' — ') || text;
+  if (value.length <= EXCERPT_LENGTH) {
+    return value;
+  }
+  const cut = value.lastIndexOf(' ', EXCERPT_LENGTH);
+  return `${value.slice(0, cut > 0 ? cut : EXCERPT_LENGTH)}…`;
+}
+
+function toSearchDocument(collection, entry) {
+  const { frontmatter } = entry;
+  const { headings, text } = extractSearchText(entry.content);
+  return {
+    type: collection === 'projects' ? 'project' : 'post',
+    slug: entry.slug,
+    href: collection === 'projects' ? `/projects/${entry.slug}` : `/blog/${entry.slug}`,
+    title: frontmatter.title,
+    excerpt: buildExcerpt(frontmatter.summary ?? '', headings, text),
+    tags: [...(frontmatter.tags ?? []), ...(frontmatter.tech ?? [])],
+    fields: {
+      headings: headings.join(' '),
+      summary: frontmatter.summary,
+      body: text,
+    },
+  };
+}
+
+/**
+ * Builds the search index from already-visible entries (drafts filtered out).
+ * `terms` maps each term to a flat `[docIndex, weight, docIndex, weight, ...]` list;
+ * docs carry a short `excerpt` for display, not their body text.
+ */
+function buildSearchIndex({ projects = [], blog = [] }) {
+  const docs = [
+    ...projects.map(entry => toSearchDocument('projects', entry)),
+    ...blog.map(entry => toSearchDocument('blog', entry)),
+  ];
+  const postings = new Map();
+
+  docs.forEach((doc, docIndex) => {
+    const weights = new Map();
+    const fields = { title: doc.title, tags: doc.tags.join(' '), ...doc.fields };
+    for (const [field, value] of Object.entries(fields)) {
+      for (const term of tokenizeSearchText(value)) {
+        weights.set(term, (weights.get(term) ?? 0) + FIELD_BOOSTS[field]);
+      }
+    }
+    for (const [term, weight] of weights) {
+      if (!postings.has(term)) {
+        postings.set(term, []);
+      }
+      postings.get(term).push(docIndex, weight);
+    }
+  });
+
+  const terms = {};
+  for (const term of [...postings.keys()].sort()) {
+    terms[term] = postings.get(term);
+  }
+
+  return {
+    version: SEARCH_INDEX_VERSION,
+    docs: docs.map(({ fields, ...doc }) => doc),
+    terms,
+  };
+}
+
+/**
+ * Adds the sorted term list used for prefix and typo lookups. Call once per loaded index.
+ */
+function prepareSearchIndex(index) {
+  return { ...index, termList: Object.keys(index.terms).sort() };
+}
+
+// Optimal string alignment distance, giving up once it exceeds `max`.
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const nextRow = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+      nextRow.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) {
+      return max + 1;
+    }
+    previousRow = row;
+    row = nextRow;
+  }
+  return row[b.length];
+}
+
+function findPrefixStart(termList, prefix) {
+  let low = 0;
+  let high = termList.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (termList[middle] < prefix) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+}
+
+/**
+ * Index terms a query token can stand for, with how strongly each one counts:
+ * the exact term, longer words it starts, and (for 4+ letters) near misses.
+ */
+function expandQueryToken(prepared, token) {
+  const matches = new Map();
+  if (prepared.terms[token]) {
+    matches.set(token, 1);
+  }
+
+  for (let i = findPrefixStart(prepared.termList, token); i < prepared.termList.length; i += 1) {
+    const term = prepared.termList[i];
+    if (!term.startsWith(token)) {
+      break;
+    }
+    if (!matches.has(term)) {
+      matches.set(term, 0.7);
+    }
+  }
+
+  if (token.length >= 4) {
+    const maxEdits = token.length >= 8 ? 2 : 1;
+    for (const term of prepared.termList) {
+      if (!matches.has(term) && editDistance(token, term, maxEdits) <= maxEdits) {
+        matches.set(term, 0.4);
+      }
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Documents matching every query token, best first, each with the index terms
+ * it matched (for highlighting).
+ * @returns {Array<{ doc: object, score: number, terms: string[] }>}
+ */
+function searchContent(prepared, query, { limit = 10 } = {}) {
+  const tokens = [...new Set(tokenizeSearchText(query))];
+  if (tokens.length === 0) {
+    return [];
+  }
+
+  const docCount = prepared.docs.length;
+  let results = null;
+
+  for (const token of tokens) {
+    const tokenResults = new Map();
+    for (const [term, factor] of expandQueryToken(prepared, token)) {
+      const postings = prepared.terms[term];
+      const idf = Math.log(1 + docCount / (postings.length / 2));
+      for (let i = 0; i < postings.length; i += 2) {
+        const docIndex = postings[i];
+        const current = tokenResults.get(docIndex) ?? { score: 0, terms: [] };
+        current.score = Math.max(current.score, postings[i + 1] * factor * idf);
+        current.terms.push(term);
+        tokenResults.set(docIndex, current);
+      }
+    }
+
+    if (results === null) {
+      results = tokenResults;
+      continue;
+    }
+    for (const [docIndex, current] of results) {
+      const match = tokenResults.get(docIndex);
+      if (match) {
+        current.score += match.score;
+        current.terms.push(...match.terms);
+      } else {
+        results.delete(docIndex);
+      }
+    }
+  }
+
+  return [...results]
+    .map(([docIndex, { score, terms }]) => ({
+      doc: prepared.docs[docIndex],
+      score,
+      terms: [...new Set(terms)],
+    }))
+    .sort((a, b) => b.score - a.score || (a.doc.title < b.doc.title ? -1 : 1))
+    .slice(0, limit);
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function buildTermPattern(terms) {
+  // Longest first so "differences" wins over "difference".
+  const alternatives = [...terms].sort((a, b) => b.length - a.length).map(escapeRegExp);
+  return new RegExp(`\\b(?:${alternatives.join('|')})[a-z0-9]*`, 'gi');
+}
+
+/**
+ * Matches of `terms` in `value` as `[start, end]` offsets into `value` itself:
+ * the pattern runs over the folded text, the way the index was tokenized, and
+ * each folded character maps back to the character it came from.
+ */
+function findTermMatches(value, terms) {
+  let folded = '';
+  const origins = [];
+  for (let index = 0; index < value.length; ) {
+    const character = String.fromCodePoint(value.codePointAt(index));
+    const foldedCharacter = foldText(character);
+    folded += foldedCharacter;
+    for (let i = 0; i < foldedCharacter.length; i += 1) {
+      origins.push([index, index + character.length]);
+    }
+    index += character.length;
+  }
+
+  return [...folded.matchAll(buildTermPattern(terms))]
+    .filter(found => found[0].length > 0)
+    .map(found => [origins[found.index][0], origins[found.index + found[0].length - 1][1]]);
+}
+
+/**
+ * Splits `text` into `{ text, match }` segments so matched words can be wrapped
+ * in <mark> without injecting HTML.
+ */
+function highlightText(text, terms) {
+  const value = String(text ?? '');
+  if (terms.length === 0) {
+    return [{ text: value, match: false }];
+  }
+
+  const segments = [];
+  let lastIndex = 0;
+  for (const [start, end] of findTermMatches(value, terms)) {
+    if (start > lastIndex) {
+      segments.push({ text: value.slice(lastIndex, start), match: false });
+    }
+    segments.push({ text: value.slice(start, end), match: true });
+    lastIndex = end;
+  }
+  if (lastIndex < value.length) {
+    segments.push({ text: value.slice(lastIndex), match: false });
+  }
+  return segments;
+}
+
+/**
+ * A window of `text` around the first matched term, as highlight segments.
+ */
+function buildSnippet(text, terms, { length = 160 } = {}) {
+  const value = String(text ?? '');
+  const [first] = terms.length > 0 ? findTermMatches(value, terms) : [];
+  const start = first ? Math.max(0, first[0] - Math.floor(length / 3)) : 0;
+  const wordStart = start === 0 ? 0 : value.indexOf(' ', start) + 1 || start;
+  const end = Math.min(value.length, wordStart + length);
+  const excerpt = `${wordStart > 0 ? '…' : ''}${value.slice(wordStart, end).trim()}${
+    end < value.length ? '…' : ''
+  }`;
+
+  return highlightText(excerpt, terms);
+}
+
+module.exports = {
+  FIELD_BOOSTS,
+  SEARCH_INDEX_PATH,
+  SEARCH_INDEX_VERSION,
+  buildSearchIndex,
+  buildSnippet,
+  editDistance,
+  extractSearchText,
+  highlightText,
+  prepareSearchIndex,
+  searchContent,
+  tokenizeSearchText,
+};
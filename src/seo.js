@@ -1,3 +1,5 @@
+const { DEFAULT_LOCALE, getMessages } = require('./i18n.js');
+
 function escapeHtml(value) {
   return String(value)
     .replaceAll('&', '&amp;')
@@ -7,6 +9,13 @@ function escapeHtml(value) {
     .replaceAll("'", '&#39;');
 }
 
+// Site-wide blog feeds, built by src/feeds.js and advertised on every page.
+const SITE_FEEDS = [
+  { format: 'rss', path: '/feed.xml', type: 'application/rss+xml', label: 'RSS' },
+  { format: 'atom', path: '/atom.xml', type: 'application/atom+xml', label: 'Atom' },
+  { format: 'json', path: '/feed.json', type: 'application/feed+json', label: 'JSON Feed' },
+];
+
 function normalizeSiteUrl(rawValue) {
   if (typeof rawValue !== 'string') {
     return null;
@@ -66,9 +75,12 @@ function buildSeoHead({
   ogImageAlt,
   ogType = 'website',
   twitterCard = 'summary_large_image',
-  locale = 'en_US',
+  locale = DEFAULT_LOCALE,
+  alternates = [],
   themeColor = '#0f172a',
   robots = 'index,follow',
+  feeds = SITE_FEEDS,
+  pagination = {},
 }) {
   const resolvedSiteUrl = resolveSiteUrl({ SITE_URL: siteUrl });
   const resolvedTitle = escapeHtml(title);
@@ -79,17 +91,59 @@ function buildSeoHead({
   const resolvedOgImagePath = ogImagePath ? normalizePathname(ogImagePath) : '/assets/og.png';
   const resolvedOgImageUrl = `${resolvedSiteUrl}${resolvedOgImagePath}`;
   const resolvedOgImageAlt = escapeHtml(ogImageAlt || description || siteName);
+  const feedLinks = feeds
+    .map(
+      feed =>
+        `<link rel="alternate" type="${escapeHtml(feed.type)}" title="${escapeHtml(
+          `${feed.title ?? siteName} (${feed.label})`
+        )}" href="${escapeHtml(`${resolvedSiteUrl}${normalizePathname(feed.path)}`)}" />`
+    )
+    .join('\n    ');
+  // Paginated listings point at their neighbouring pages.
+  const paginationLinks = [
+    ['prev', pagination.previousPath],
+    ['next', pagination.nextPath],
+  ]
+    .filter(([, path]) => path)
+    .map(
+      ([rel, path]) =>
+        `<link rel="${rel}" href="${escapeHtml(`${resolvedSiteUrl}${normalizePathname(path)}`)}" />`
+    )
+    .join('\n    ');
+  // Translations of this page (see getHreflangAlternates in src/i18n.js).
+  const alternateLinks = alternates
+    .map(
+      alternate =>
+        `<link rel="alternate" hreflang="${escapeHtml(alternate.hreflang)}" href="${escapeHtml(
+          `${resolvedSiteUrl}${normalizePathname(alternate.path)}`
+        )}" />`
+    )
+    .join('\n    ');
+  const ogLocale = getMessages(locale, 'meta').ogLocale;
+  const ogLocaleAlternates = alternates
+    .filter(alternate => alternate.hreflang !== 'x-default' && alternate.hreflang !== locale)
+    .map(
+      alternate =>
+        `<meta property="og:locale:alternate" content="${escapeHtml(
+          getMessages(alternate.hreflang, 'meta').ogLocale
+        )}" />`
+    )
+    .join('\n    ');
 
   return `
     <meta name="description" content="${resolvedDescription}" />
     <meta name="robots" content="${escapeHtml(robots)}" />
     <meta name="theme-color" content="${escapeHtml(themeColor)}" />
     <link rel="canonical" href="${escapeHtml(canonicalUrl)}" />
+    ${paginationLinks}
+    ${alternateLinks}
     <link rel="icon" type="image/png" sizes="32x32" href="/assets/favicon-32x32.png" />
     <link rel="icon" type="image/png" sizes="16x16" href="/assets/favicon-16x16.png" />
     <link rel="apple-touch-icon" sizes="180x180" href="/assets/apple-touch-icon.png" />
+    ${feedLinks}
     <meta property="og:site_name" content="${resolvedSiteName}" />
-    <meta property="og:locale" content="${escapeHtml(locale)}" />
+    <meta property="og:locale" content="${escapeHtml(ogLocale)}" />
+    ${ogLocaleAlternates}
     <meta property="og:type" content="${escapeHtml(ogType)}" />
     <meta property="og:title" content="${resolvedTitle}" />
     <meta property="og:description" content="${resolvedDescription}" />
@@ -107,22 +161,101 @@ function buildSeoHead({
   `.trim();
 }
 
+const SITEMAP_NAMESPACE = 'http://www.sitemaps.org/schemas/sitemap/0.9';
+const IMAGE_SITEMAP_NAMESPACE = 'http://www.google.com/schemas/sitemap-image/1.1';
+const XHTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+const CHANGE_FREQUENCIES = ['always', 'hourly', 'daily', 'weekly', 'monthly', 'yearly', 'never'];
+// BCP 47 language tags as used by hreflang (e.g. `fr`, `pt-BR`), plus `x-default`.
+const HREFLANG_PATTERN = /^(x-default|[a-z]{2,3}(-[a-z0-9]{2,8})*)$/i;
+
+function normalizeLastmod(lastmod) {
+  return typeof lastmod === 'string' && lastmod.trim().length > 0 ? lastmod.trim() : null;
+}
+
+// Sitemap locations are absolute; images may already live on another host.
+function toSitemapLoc(siteUrl, pathOrUrl) {
+  return /^https?:\/\//.test(pathOrUrl) ? pathOrUrl : `${siteUrl}${normalizePathname(pathOrUrl)}`;
+}
+
+function buildSitemapUrlXml(entry, { siteUrl, lastmod }) {
+  const loc = toSitemapLoc(siteUrl, entry.path);
+  const entryLastmod = normalizeLastmod(entry.lastmod) ?? lastmod;
+  const tags = [`<loc>${escapeHtml(loc)}</loc>`];
+
+  if (entryLastmod) {
+    tags.push(`<lastmod>${escapeHtml(entryLastmod)}</lastmod>`);
+  }
+  if (entry.changefreq !== undefined) {
+    if (!CHANGE_FREQUENCIES.includes(entry.changefreq)) {
+      throw new TypeError(`Invalid sitemap changefreq "${entry.changefreq}" for ${loc}`);
+    }
+    tags.push(`<changefreq>${entry.changefreq}</changefreq>`);
+  }
+  if (entry.priority !== undefined) {
+    if (typeof entry.priority !== 'number' || entry.priority < 0 || entry.priority > 1) {
+      throw new RangeError(`Sitemap priority for ${loc} must be between 0 and 1`);
+    }
+    tags.push(`<priority>${entry.priority.toFixed(1)}</priority>`);
+  }
+  for (const image of entry.images ?? []) {
+    tags.push(
+      `<image:image><image:loc>${escapeHtml(toSitemapLoc(siteUrl, image))}</image:loc></image:image>`
+    );
+  }
+  for (const alternate of entry.alternates ?? []) {
+    if (!HREFLANG_PATTERN.test(alternate.hreflang)) {
+      throw new TypeError(`Invalid hreflang "${alternate.hreflang}" for ${loc}`);
+    }
+    const href = toSitemapLoc(siteUrl, alternate.path);
+    tags.push(
+      `<xhtml:link rel="alternate" hreflang="${escapeHtml(alternate.hreflang)}" href="${escapeHtml(href)}" />`
+    );
+  }
+
+  return `<url>${tags.join('')}</url>`;
+}
+
+/**
+ * `paths` are pathnames or `{ path, lastmod, changefreq, priority, images,
+ * alternates }` entries; `lastmod` is the fallback for entries without their
+ * own date. `images` are image paths or URLs (Google image sitemaps) and
+ * `alternates` are `{ hreflang, path }` translations of the page, which should
+ * include the page itself.
+ */
 function buildSitemapXml({ siteUrl, paths, lastmod }) {
   const resolvedSiteUrl = resolveSiteUrl({ SITE_URL: siteUrl });
-  const resolvedPaths = Array.isArray(paths) ? paths : [];
-  const resolvedLastmod =
-    typeof lastmod === 'string' && lastmod.trim().length > 0 ? lastmod.trim() : null;
+  const resolvedPaths = (Array.isArray(paths) ? paths : []).map(entry =>
+    typeof entry === 'string' ? { path: entry } : entry
+  );
+  const resolvedLastmod = normalizeLastmod(lastmod);
 
+  const namespaces = [`xmlns="${SITEMAP_NAMESPACE}"`];
+  if (resolvedPaths.some(entry => entry.images?.length > 0)) {
+    namespaces.push(`xmlns:image="${IMAGE_SITEMAP_NAMESPACE}"`);
+  }
+  if (resolvedPaths.some(entry => entry.alternates?.length > 0)) {
+    namespaces.push(`xmlns:xhtml="${XHTML_NAMESPACE}"`);
+  }
   const urls = resolvedPaths
-    .map(pathname => normalizePathname(pathname))
-    .map(pathname => {
-      const loc = `${resolvedSiteUrl}${pathname}`;
-      const lastmodTag = resolvedLastmod ? `<lastmod>${escapeHtml(resolvedLastmod)}</lastmod>` : '';
-      return `<url><loc>${escapeHtml(loc)}</loc>${lastmodTag}</url>`;
+    .map(entry => buildSitemapUrlXml(entry, { siteUrl: resolvedSiteUrl, lastmod: resolvedLastmod }))
+    .join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<urlset ${namespaces.join(' ')}>${urls}</urlset>\n`;
+}
+
+/** A sitemap index pointing at `sitemaps`, given as `{ path, lastmod }` entries. */
+function buildSitemapIndexXml({ siteUrl, sitemaps }) {
+  const resolvedSiteUrl = resolveSiteUrl({ SITE_URL: siteUrl });
+  const entries = (Array.isArray(sitemaps) ? sitemaps : [])
+    .map(sitemap => {
+      const loc = `${resolvedSiteUrl}${normalizePathname(sitemap.path)}`;
+      const lastmod = normalizeLastmod(sitemap.lastmod);
+      const lastmodTag = lastmod ? `<lastmod>${escapeHtml(lastmod)}</lastmod>` : '';
+      return `<sitemap><loc>${escapeHtml(loc)}</loc>${lastmodTag}</sitemap>`;
     })
     .join('');
 
-  return `<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${urls}</urlset>\n`;
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<sitemapindex xmlns="${SITEMAP_NAMESPACE}">${entries}</sitemapindex>\n`;
 }
 
 function buildRobotsTxt({ siteUrl, allowAll = true, sitemapPath = '/sitemap.xml' } = {}) {
@@ -138,10 +271,13 @@ function buildRobotsTxt({ siteUrl, allowAll = true, sitemapPath = '/sitemap.xml'
 }
 
 module.exports = {
+  SITE_FEEDS,
   buildRobotsTxt,
   buildSeoHead,
+  buildSitemapIndexXml,
   buildSitemapXml,
   resolveSiteUrl,
   toAbsoluteUrl,
+  toSitemapLoc,
   normalizeSiteUrl,
 };
@@ -0,0 +1,88 @@
+/**
+ * The site's sitemaps: a sitemap index at /sitemap.xml pointing at one sitemap
+ * per section (listing pages, projects, blog posts). Shared by the Next.js
+ * routes (lib/sitemap.ts) and the static build (scripts/build.mjs), which each
+ * supply the pages they render.
+ */
+const { latestDate } = require('./content-history.js');
+const { buildSitemapIndexXml, buildSitemapXml } = require('./seo.js');
+const { DEFAULT_LOCALE, getHreflangAlternates, localizePath } = require('./i18n.js');
+
+const SITEMAP_INDEX_PATH = '/sitemap.xml';
+const SITEMAP_SECTIONS = ['pages', 'projects', 'blog'];
+// The blog's default cover is the generic site image, not worth indexing per post.
+const DEFAULT_COVER = '/assets/og.png';
+
+const CONTENT_SITEMAP_DEFAULTS = {
+  projects: { changefreq: 'monthly', priority: 0.8 },
+  blog: { changefreq: 'monthly', priority: 0.7 },
+};
+
+function getSitemapPath(section) {
+  return `/sitemaps/${section}.xml`;
+}
+
+/** A project's or post's `cover` and `gallery` images, for image sitemaps. */
+function getEntryImages(frontmatter) {
+  const images = [frontmatter.cover, ...(frontmatter.gallery ?? [])].filter(
+    image => typeof image === 'string' && image.length > 0 && image !== DEFAULT_COVER
+  );
+  return [...new Set(images)];
+}
+
+/**
+ * Sitemap entries for a collection's detail pages, dated by `history` (the
+ * `entries[collection]` part of src/content-history.js output). Entries with
+ * `locales` (see lib/content.ts) are listed once per locale they are written
+ * in, with hreflang alternates; untranslated fallbacks are left out.
+ * @param {'projects' | 'blog'} collection
+ */
+function buildContentSitemapEntries(
+  collection,
+  entries,
+  { history = {}, getPath = slug => `/${collection}/${slug}` } = {}
+) {
+  return entries.flatMap(entry => {
+    const path = getPath(entry.slug);
+    const locales = entry.locales ?? [DEFAULT_LOCALE];
+    const alternates = getHreflangAlternates(path, locales);
+    return locales.map(locale => ({
+      path: localizePath(path, locale),
+      lastmod: history[entry.slug]?.updated ?? entry.frontmatter.date,
+      ...CONTENT_SITEMAP_DEFAULTS[collection],
+      images: getEntryImages(entry.frontmatter),
+      ...(alternates.length > 0 ? { alternates } : {}),
+    }));
+  });
+}
+
+/**
+ * Builds the sitemap index and one sitemap per non-empty section of `sections`
+ * (`{ pages, projects, blog }`, each a list of `buildSitemapXml` entries). The
+ * index dates each sitemap by its most recently modified entry.
+ * @returns {{ index: string, sitemaps: Array<{ section: string, path: string, xml: string }> }}
+ */
+function buildSitemaps({ siteUrl, sections }) {
+  const sitemaps = SITEMAP_SECTIONS.filter(section => sections[section]?.length > 0).map(
+    section => ({
+      section,
+      path: getSitemapPath(section),
+      lastmod: latestDate(sections[section].map(entry => entry.lastmod)),
+      xml: buildSitemapXml({ siteUrl, paths: sections[section] }),
+    })
+  );
+
+  return {
+    index: buildSitemapIndexXml({ siteUrl, sitemaps }),
+    sitemaps: sitemaps.map(({ section, path, xml }) => ({ section, path, xml })),
+  };
+}
+
+module.exports = {
+  SITEMAP_INDEX_PATH,
+  SITEMAP_SECTIONS,
+  buildContentSitemapEntries,
+  buildSitemaps,
+  getEntryImages,
+  getSitemapPath,
+};
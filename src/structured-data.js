@@ -0,0 +1,284 @@
+/**
+ * JSON-LD (schema.org) for every page type, built from the content index and
+ * shared by the Next.js routes and scripts/build.mjs. Pass entries that are
+ * already filtered for visibility, and absolute `siteUrl`s without a trailing
+ * slash.
+ */
+
+const SCHEMA_CONTEXT = 'https://schema.org';
+
+const SITE_PERSON = {
+  name: 'Abigael Awino',
+  jobTitle: 'Data Scientist',
+  description:
+    'Data scientist passionate about transforming complex data into actionable insights and production-ready solutions.',
+  sameAs: ['https://github.com', 'https://linkedin.com'],
+  knowsAbout: [
+    'Data Science',
+    'Machine Learning',
+    'Analytics',
+    'Statistics',
+    'Data Engineering',
+    'Python',
+    'SQL',
+  ],
+};
+
+/**
+ * Properties each schema type must carry to be useful to search engines.
+ * `validateStructuredData` checks schemas against this table.
+ */
+const REQUIRED_PROPERTIES = {
+  WebSite: ['name', 'url'],
+  Person: ['name', 'url', 'jobTitle', 'knowsAbout'],
+  BlogPosting: [
+    'headline',
+    'description',
+    'datePublished',
+    'dateModified',
+    'keywords',
+    'author',
+    'url',
+  ],
+  CreativeWork: ['name', 'description', 'datePublished', 'keywords', 'author', 'url'],
+  SoftwareSourceCode: [
+    'name',
+    'description',
+    'datePublished',
+    'keywords',
+    'author',
+    'url',
+    'codeRepository',
+  ],
+  BreadcrumbList: ['itemListElement'],
+  ListItem: ['position', 'name', 'item'],
+};
+
+const DATE_PROPERTIES = new Set(['datePublished', 'dateModified']);
+const URL_PROPERTIES = new Set(['url', 'item', 'codeRepository', 'image']);
+
+/**
+ * @typedef {{ '@context'?: string, '@type': string, [property: string]: unknown }} StructuredData
+ * @typedef {{ name: string, path: string }} Breadcrumb
+ * @typedef {{ slug: string, frontmatter: { title: string, date: string, summary: string, tags?: string[], tech?: string[], repo?: string } }} StructuredDataEntry
+ */
+
+function getPersonId(siteUrl) {
+  return `${siteUrl}/#person`;
+}
+
+function authorReference(siteUrl) {
+  return { '@type': 'Person', '@id': getPersonId(siteUrl), name: SITE_PERSON.name, url: siteUrl };
+}
+
+function absolute(siteUrl, path) {
+  if (/^https?:\/\//.test(path)) {
+    return path;
+  }
+  return path === '/' ? siteUrl : `${siteUrl}${path.startsWith('/') ? path : `/${path}`}`;
+}
+
+function keywords(tags = [], tagLabel = tag => tag) {
+  return [...new Set(tags.map(tagLabel))].join(', ');
+}
+
+/**
+ * @param {{ siteUrl: string, siteName: string, description: string }} options
+ * @returns {StructuredData}
+ */
+function buildWebSiteSchema({ siteUrl, siteName, description }) {
+  return {
+    '@context': SCHEMA_CONTEXT,
+    '@type': 'WebSite',
+    name: siteName,
+    url: siteUrl,
+    description,
+    inLanguage: 'en-US',
+    author: authorReference(siteUrl),
+  };
+}
+
+/**
+ * The site author. `knowsAbout` adds the tech used across `projects`, most used
+ * first, to the core skills.
+ * @param {{ siteUrl: string, projects?: StructuredDataEntry[] }} options
+ * @returns {StructuredData}
+ */
+function buildPersonSchema({ siteUrl, projects = [] }) {
+  const techCounts = new Map();
+  for (const project of projects) {
+    for (const tech of project.frontmatter.tech ?? []) {
+      techCounts.set(tech, (techCounts.get(tech) ?? 0) + 1);
+    }
+  }
+  const projectTech = [...techCounts]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([tech]) => tech);
+  const known = new Set(SITE_PERSON.knowsAbout.map(skill => skill.toLowerCase()));
+
+  return {
+    '@context': SCHEMA_CONTEXT,
+    '@type': 'Person',
+    '@id': getPersonId(siteUrl),
+    name: SITE_PERSON.name,
+    url: siteUrl,
+    jobTitle: SITE_PERSON.jobTitle,
+    description: SITE_PERSON.description,
+    knowsAbout: [
+      ...SITE_PERSON.knowsAbout,
+      ...projectTech.filter(tech => !known.has(tech.toLowerCase())),
+    ],
+    sameAs: SITE_PERSON.sameAs,
+    contactPoint: {
+      '@type': 'ContactPoint',
+      contactType: 'professional',
+      availableLanguage: ['English'],
+      url: `${siteUrl}/contact`,
+    },
+  };
+}
+
+/**
+ * @param {StructuredDataEntry} post
+ * @param {{ siteUrl: string, dateModified?: string, image?: string, tagLabel?: (tag: string) => string }} options
+ * @returns {StructuredData}
+ */
+function buildBlogPostingSchema(post, { siteUrl, dateModified, image, tagLabel }) {
+  const url = absolute(siteUrl, `/blog/${post.slug}`);
+  return {
+    '@context': SCHEMA_CONTEXT,
+    '@type': 'BlogPosting',
+    headline: post.frontmatter.title,
+    description: post.frontmatter.summary,
+    datePublished: post.frontmatter.date,
+    dateModified: dateModified ?? post.frontmatter.date,
+    keywords: keywords(post.frontmatter.tags, tagLabel),
+    author: authorReference(siteUrl),
+    url,
+    mainEntityOfPage: url,
+    ...(image ? { image: absolute(siteUrl, image) } : {}),
+  };
+}
+
+/**
+ * A project case study: `SoftwareSourceCode` when it links a repository,
+ * otherwise a plain `CreativeWork`.
+ * @param {StructuredDataEntry} project
+ * @param {{ siteUrl: string, dateModified?: string, image?: string, tagLabel?: (tag: string) => string }} options
+ * @returns {StructuredData}
+ */
+function buildProjectSchema(project, { siteUrl, dateModified, image, tagLabel }) {
+  const { repo, tech = [] } = project.frontmatter;
+  return {
+    '@context': SCHEMA_CONTEXT,
+    '@type': repo ? 'SoftwareSourceCode' : 'CreativeWork',
+    name: project.frontmatter.title,
+    headline: project.frontmatter.title,
+    description: project.frontmatter.summary,
+    datePublished: project.frontmatter.date,
+    dateModified: dateModified ?? project.frontmatter.date,
+    keywords: keywords(project.frontmatter.tags, tagLabel),
+    author: authorReference(siteUrl),
+    url: absolute(siteUrl, `/projects/${project.slug}`),
+    ...(repo ? { codeRepository: repo } : {}),
+    ...(repo && tech.length > 0 ? { programmingLanguage: tech } : {}),
+    ...(image ? { image: absolute(siteUrl, image) } : {}),
+  };
+}
+
+/**
+ * Breadcrumbs from the home page down to the current page.
+ * @param {Breadcrumb[]} crumbs Pages below Home, in order, ending with the current one.
+ * @param {{ siteUrl: string }} options
+ * @returns {StructuredData}
+ */
+function buildBreadcrumbSchema(crumbs, { siteUrl }) {
+  return {
+    '@context': SCHEMA_CONTEXT,
+    '@type': 'BreadcrumbList',
+    itemListElement: [{ name: 'Home', path: '/' }, ...crumbs].map((crumb, index) => ({
+      '@type': 'ListItem',
+      position: index + 1,
+      name: crumb.name,
+      item: absolute(siteUrl, crumb.path),
+    })),
+  };
+}
+
+function isMissing(value) {
+  if (Array.isArray(value)) {
+    return value.length === 0;
+  }
+  if (typeof value === 'string') {
+    return value.trim().length === 0;
+  }
+  return value === undefined || value === null;
+}
+
+/**
+ * Checks a schema (and its breadcrumb items) for the required properties of
+ * its type and for malformed dates and URLs. Returns an empty list when valid.
+ * @param {StructuredData} schema
+ * @returns {Array<{ type: string, property: string, message: string }>}
+ */
+function validateStructuredData(schema, { nested = false } = {}) {
+  const type = schema?.['@type'];
+  const required = REQUIRED_PROPERTIES[type];
+  if (!required) {
+    return [{ type: String(type), property: '@type', message: `unsupported type "${type}"` }];
+  }
+
+  const issues = [];
+  if (!nested && schema['@context'] !== SCHEMA_CONTEXT) {
+    issues.push({ type, property: '@context', message: `must be "${SCHEMA_CONTEXT}"` });
+  }
+  for (const property of required) {
+    if (isMissing(schema[property])) {
+      issues.push({ type, property, message: 'is required' });
+    }
+  }
+  for (const [property, value] of Object.entries(schema)) {
+    if (isMissing(value)) {
+      continue;
+    }
+    if (DATE_PROPERTIES.has(property) && !/^\d{4}-\d{2}-\d{2}/.test(String(value))) {
+      issues.push({ type, property, message: `"${value}" is not an ISO 8601 date` });
+    }
+    if (URL_PROPERTIES.has(property) && !/^https?:\/\/[^\s]+$/.test(String(value))) {
+      issues.push({ type, property, message: `"${value}" is not an absolute URL` });
+    }
+  }
+  if (type === 'BreadcrumbList') {
+    (schema.itemListElement ?? []).forEach((item, index) => {
+      issues.push(...validateStructuredData(item, { nested: true }));
+      if (item.position !== index + 1) {
+        issues.push({ type: 'ListItem', property: 'position', message: `expected ${index + 1}` });
+      }
+    });
+  }
+  return issues;
+}
+
+/** JSON for a `<script type="application/ld+json">`, safe to inline in HTML. */
+function serializeStructuredData(schema) {
+  return JSON.stringify(schema).replaceAll('<', '\\u003c');
+}
+
+function renderStructuredDataScripts(schemas) {
+  return schemas
+    .map(schema => `<script type="application/ld+json">${serializeStructuredData(schema)}</script>`)
+    .join('\n    ');
+}
+
+module.exports = {
+  REQUIRED_PROPERTIES,
+  SITE_PERSON,
+  buildBlogPostingSchema,
+  buildBreadcrumbSchema,
+  buildPersonSchema,
+  buildProjectSchema,
+  buildWebSiteSchema,
+  renderStructuredDataScripts,
+  serializeStructuredData,
+  validateStructuredData,
+};
@@ -0,0 +1,97 @@
+const { escapeHtml } = require('./utils/escape-html.js');
+const { renderProjectCard } = require('./projects.js');
+const { renderBlogCard } = require('./blog.js');
+
+function describeTagCounts(tag) {
+  const parts = [];
+  if (tag.projects.length > 0) {
+    parts.push(`${tag.projects.length} project${tag.projects.length === 1 ? '' : 's'}`);
+  }
+  if (tag.posts.length > 0) {
+    parts.push(`${tag.posts.length} post${tag.posts.length === 1 ? '' : 's'}`);
+  }
+  return parts.join(' · ');
+}
+
+function renderTagSection(title, cards, dataAttribute) {
+  if (!cards) {
+    return '';
+  }
+
+  return `
+      <section class="space-y-4" ${dataAttribute}>
+        <h2 class="text-2xl font-semibold">${title}</h2>
+        <div class="grid gap-6 md:grid-cols-2">
+          ${cards}
+        </div>
+      </section>`;
+}
+
+/**
+ * Renders `/tags/`: every tag in use, from `groupEntriesByTag` (src/content-tags.js).
+ */
+function renderTagIndexPage(tags) {
+  const items = tags
+    .map(
+      tag => `
+          <li class="card" data-tag="${escapeHtml(tag.slug)}">
+            <div class="card-header">
+              <h2 class="card-title"><a href="/tags/${escapeHtml(tag.slug)}/">${escapeHtml(tag.label)}</a></h2>
+              <p class="card-description">${escapeHtml(tag.description)}</p>
+              <p class="text-sm text-muted-foreground">${escapeHtml(describeTagCounts(tag))}</p>
+            </div>
+          </li>`
+    )
+    .join('');
+
+  return `
+    <div class="container space-y-8" data-tag-index>
+      <div class="text-center space-y-4">
+        <h1 class="text-3xl md:text-4xl font-bold tracking-tight">Topics</h1>
+        <p class="text-xl text-muted-foreground max-w-2xl mx-auto">
+          Every project and post, grouped by topic.
+        </p>
+      </div>
+
+      <ul class="grid gap-6 md:grid-cols-2">${items}
+      </ul>
+    </div>
+  `.trim();
+}
+
+/**
+ * Renders `/tags/<slug>/`: the projects and posts carrying one tag.
+ * @param {{ slug: string, label: string, description: string, projects: object[], posts: object[] }} tag
+ */
+function renderTagPage(tag) {
+  const projects = renderTagSection(
+    'Projects',
+    tag.projects.map(renderProjectCard).join('\n'),
+    'data-tag-projects'
+  );
+  const posts = renderTagSection(
+    'Posts',
+    tag.posts.map(renderBlogCard).join('\n'),
+    'data-tag-posts'
+  );
+
+  return `
+    <div class="container space-y-8" data-tag-page="${escapeHtml(tag.slug)}">
+      <div class="text-center space-y-4">
+        <p class="text-sm text-muted-foreground">Topic</p>
+        <h1 class="text-3xl md:text-4xl font-bold tracking-tight">${escapeHtml(tag.label)}</h1>
+        <p class="text-xl text-muted-foreground max-w-2xl mx-auto">${escapeHtml(tag.description)}</p>
+        <p class="text-sm text-muted-foreground">${escapeHtml(describeTagCounts(tag))}</p>
+      </div>${projects}${posts}
+
+      <div class="text-center">
+        <a class="button button-outline" href="/tags/">← All topics</a>
+      </div>
+    </div>
+  `.trim();
+}
+
+module.exports = {
+  renderTagIndexPage,
+  renderTagPage,
+};
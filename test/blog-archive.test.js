@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  findBlogArchive,
+  findReservedBlogSlugs,
+  getBlogArchivePath,
+  getBlogPageCount,
+  getBlogPagePath,
+  groupBlogArchives,
+  paginateBlogEntries,
+} = require('../src/blog-archive.js');
+
+function post(slug, date) {
+  return { slug, frontmatter: { title: slug, date } };
+}
+
+// Newest first, as the content index sorts them.
+const posts = [
+  post('e', '2026-02-16'),
+  post('d', '2026-02-01'),
+  post('c', '2026-01-05'),
+  post('b', '2025-12-20'),
+  post('a', '2025-12-10'),
+];
+
+test('pagination splits posts into pages, with page 1 at /blog', () => {
+  assert.equal(getBlogPageCount(posts, 2), 3);
+  assert.equal(getBlogPageCount([], 2), 1);
+  assert.equal(getBlogPagePath(1), '/blog');
+  assert.equal(getBlogPagePath(3), '/blog/page/3');
+
+  assert.deepEqual(paginateBlogEntries(posts, 1, 2), {
+    page: 1,
+    pageCount: 3,
+    entries: [posts[0], posts[1]],
+    previousPath: null,
+    nextPath: '/blog/page/2',
+  });
+  const middle = paginateBlogEntries(posts, 2, 2);
+  assert.equal(middle.previousPath, '/blog');
+  assert.equal(middle.nextPath, '/blog/page/3');
+  assert.deepEqual(paginateBlogEntries(posts, 3, 2).entries, [posts[4]]);
+  assert.equal(paginateBlogEntries(posts, 3, 2).nextPath, null);
+
+  assert.equal(paginateBlogEntries(posts, 4, 2), null);
+  assert.equal(paginateBlogEntries(posts, 0, 2), null);
+  assert.equal(paginateBlogEntries(posts, 1.5, 2), null);
+});
+
+test('archives group posts by year and month, newest first', () => {
+  const archives = groupBlogArchives(posts);
+
+  assert.deepEqual(
+    archives.map(archive => [archive.year, archive.path, archive.posts.length]),
+    [
+      ['2026', '/blog/2026', 3],
+      ['2025', '/blog/2025', 2],
+    ]
+  );
+  assert.deepEqual(
+    archives[0].months.map(month => [month.title, month.path, month.posts.map(p => p.slug)]),
+    [
+      ['February 2026', '/blog/2026/02', ['e', 'd']],
+      ['January 2026', '/blog/2026/01', ['c']],
+    ]
+  );
+  assert.equal(getBlogArchivePath('2025', '12'), '/blog/2025/12');
+
+  assert.equal(findBlogArchive(archives, '2025').title, '2025');
+  assert.equal(findBlogArchive(archives, '2026', '01').title, 'January 2026');
+  assert.equal(findBlogArchive(archives, '2026', '03'), null);
+  assert.equal(findBlogArchive(archives, '2024'), null);
+});
+
+test('post slugs that clash with blog index URLs are reported', () => {
+  const problems = findReservedBlogSlugs([
+    post('page', '2026-01-01'),
+    post('2026', '2026-01-01'),
+    post('series', '2026-01-01'),
+    post('page-speed-tips', '2026-01-01'),
+    post('2026-roadmap', '2026-01-01'),
+  ]);
+
+  assert.deepEqual(
+    problems.map(problem => [problem.slug, problem.field]),
+    [
+      ['page', 'slug'],
+      ['2026', 'slug'],
+      ['series', 'slug'],
+    ]
+  );
+  assert.match(problems[0].message, /clashes with the blog's page, series, or archive URLs/);
+});
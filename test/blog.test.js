@@ -8,6 +8,7 @@ const {
   renderBlogIndexPage,
   renderBlogPostPage,
 } = require('../src/blog.js');
+const { groupBlogArchives, paginateBlogEntries } = require('../src/blog-archive.js');
 
 const blogPosts = loadCollectionEntries(BLOG_DIR, blogSchema);
 
@@ -71,3 +72,78 @@ test('blog post page omits tags hook when tags is not an array', () => {
 
   assert.doesNotMatch(page, /data-blog-post-tags/);
 });
+
+test('blog post page links back to related case studies', () => {
+  const page = renderBlogPostPage({
+    ...blogPosts[0],
+    relatedProjects: [{ slug: 'ssa-disability-outcomes', title: 'SSA Disability Outcomes' }],
+  });
+
+  assert.match(page, /data-related-projects/);
+  assert.match(page, /href="\/projects\/ssa-disability-outcomes">SSA Disability Outcomes<\/a>/);
+  assert.doesNotMatch(renderBlogPostPage(blogPosts[0]), /data-related-projects/);
+});
+
+test('blog index renders a series landing page in reading order', () => {
+  const parts = [
+    { slug: 'part-one', title: 'Part One', summary: 'First', date: '2024-01-01', readingTime: 3 },
+    { slug: 'part-two', title: 'Part Two', summary: 'Second', date: '2024-01-02', readingTime: 4 },
+  ];
+  const page = renderBlogIndexPage(parts, { series: { slug: 'study', title: 'The Study' } });
+
+  assert.match(page, /data-blog-series="study"/);
+  assert.match(page, /The Study/);
+  assert.match(page, /data-blog-series-parts/);
+  assert.ok(page.indexOf('/blog/part-one') < page.indexOf('/blog/part-two'));
+  assert.doesNotMatch(renderBlogIndexPage(parts), /data-blog-series/);
+});
+
+test('blog post page renders series contents and previous/next links', () => {
+  const page = renderBlogPostPage({
+    ...blogPosts[0],
+    series: {
+      slug: 'study',
+      title: 'The Study',
+      index: 1,
+      posts: [
+        { slug: 'part-one', title: 'Part One' },
+        { slug: 'part-two', title: 'Part Two' },
+        { slug: 'part-three', title: 'Part Three' },
+      ],
+    },
+  });
+
+  assert.match(page, /data-blog-series-contents/);
+  assert.match(page, /Part 2 of 3/);
+  assert.match(page, /href="\/blog\/series\/study"/);
+  assert.match(page, /<li aria-current="page"><strong>Part Two<\/strong><\/li>/);
+  assert.match(page, /href="\/blog\/part-one" rel="prev"/);
+  assert.match(page, /href="\/blog\/part-three" rel="next"/);
+  assert.doesNotMatch(renderBlogPostPage(blogPosts[0]), /data-blog-series-contents/);
+});
+
+test('blog index renders pagination links and the archive list', () => {
+  const pagination = paginateBlogEntries(blogPosts, 2, 5);
+  const page = renderBlogIndexPage(pagination.entries, {
+    pagination,
+    archives: groupBlogArchives(blogPosts),
+  });
+
+  assert.match(page, /data-blog-pagination/);
+  assert.match(page, /Page 2 of \d+/);
+  assert.match(page, /href="\/blog" rel="prev"/);
+  assert.match(page, /href="\/blog\/page\/3" rel="next"/);
+  assert.match(page, /data-blog-archive-nav/);
+  assert.match(page, /href="\/blog\/2026\/02">February 2026<\/a>/);
+  assert.doesNotMatch(renderBlogIndexPage(blogPosts.slice(0, 5)), /data-blog-pagination/);
+});
+
+test('blog index renders a date archive', () => {
+  const [year] = groupBlogArchives(blogPosts);
+  const [month] = year.months;
+  const page = renderBlogIndexPage(month.posts, { archive: month });
+
+  assert.match(page, new RegExp(`data-blog-archive="${month.year}-${month.month}"`));
+  assert.match(page, new RegExp(`published in ${month.title}`));
+  assert.match(page, /← Back to Blog/);
+});
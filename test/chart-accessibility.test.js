@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { readFileSync, readdirSync } = require('node:fs');
+const { basename, join } = require('node:path');
+
+const {
+  COLORBLIND_PALETTE,
+  chartFallback,
+  chartPoints,
+  colorblindChart,
+  summarizeChart,
+} = require('../src/chart-accessibility.js');
+const { loadProjectCharts } = require('../src/chart-specs.js');
+const { findDataCharts, loadDataChart } = require('../src/data-charts.js');
+const { transformRows } = require('../src/data-transforms.js');
+
+const trend = {
+  type: 'line',
+  title: 'Approval rate',
+  encoding: { x: { field: 'year', title: 'Year' }, y: { field: 'rate', title: 'Approval rate' } },
+  types: { year: 'number', rate: 'number' },
+};
+const trendRows = [
+  { year: 2017, rate: 36 },
+  { year: 2018, rate: 36.5 },
+  { year: 2019, rate: 37 },
+  { year: 2020, rate: 42 },
+  { year: 2021, rate: 41.5 },
+];
+
+test('summarizeChart states the trend, extremes, and notable changes of ordered data', () => {
+  assert.equal(
+    summarizeChart(trend, trendRows),
+    'Line chart of Approval rate by Year, 5 points. ' +
+      'Approval rate rises from 36 (2017) to 41.5 (2021). ' +
+      'Lowest 36 (2017); highest 42 (2020). ' +
+      'Notable change: +5 from 2019 to 2020.'
+  );
+  assert.equal(summarizeChart(trend, []), 'Line chart with no data.');
+});
+
+test('summarizeChart names the highest and lowest categories, per series', () => {
+  const chart = {
+    type: 'bar',
+    title: 'Unisex names',
+    encoding: { x: { field: 'name' }, y: { field: 'births' }, series: { field: 'sex' } },
+    types: { name: 'string', births: 'number', sex: 'string' },
+    rows: [
+      { name: 'Jessie', sex: 'F', births: 170 },
+      { name: 'Riley', sex: 'F', births: 137 },
+      { name: 'Jessie', sex: 'M', births: 110 },
+      { name: 'Riley', sex: 'M', births: 96 },
+    ],
+  };
+
+  assert.equal(
+    summarizeChart(chart, chart.rows),
+    'Bar chart of births by name and sex, 4 points. ' +
+      'F: Highest Jessie (170); lowest Riley (137). M: Highest Jessie (110); lowest Riley (96).'
+  );
+  assert.deepEqual(
+    chartFallback(chart, chart.rows).columns.map(column => column.field),
+    ['name', 'sex', 'births']
+  );
+  assert.deepEqual(chartPoints(chart, chart.rows)[2], { label: 'Jessie', value: 110, series: 'M' });
+  assert.deepEqual(colorblindChart(chart).encoding.series.scale, {
+    F: COLORBLIND_PALETTE[0],
+    M: COLORBLIND_PALETTE[1],
+  });
+});
+
+// Every chart a project page draws, as the page draws it: controlled charts once per control value.
+function projectPageCharts(slug) {
+  const charts = [];
+  for (const section of Object.values(loadProjectCharts(slug) ?? {})) {
+    const { control } = section;
+    for (const chart of section.charts) {
+      if (!chart.controlled) {
+        charts.push({ chart, rows: chart.rows });
+        continue;
+      }
+      for (const option of control.options) {
+        charts.push({
+          chart: { ...chart, title: chart.title.replaceAll(`{${control.field}}`, option.label) },
+          rows: transformRows(chart.rows, {
+            filter: { [control.field]: option.value },
+            sort: chart.sort,
+            limit: chart.limit,
+          }),
+        });
+      }
+    }
+  }
+
+  const source = readFileSync(join('content', 'projects', `${slug}.mdx`), 'utf8');
+  // MDX drops {…} attributes, so <Chart data={[…]}> would draw an empty chart.
+  assert.doesNotMatch(source, /<Chart\b[^>]*\sdata=\{/, `${slug} has a <Chart> with no data`);
+  for (const tag of findDataCharts(source)) {
+    const attributes = Object.fromEntries(
+      Object.entries(tag.attributes).map(([name, { value }]) => [name, value])
+    );
+    const chart = loadDataChart(attributes);
+    charts.push({ chart, rows: chart.rows });
+  }
+  return charts;
+}
+
+test('every chart on every project page has an accessible name and fallback', () => {
+  const slugs = readdirSync(join('content', 'projects')).map(name => basename(name, '.mdx'));
+  let checked = 0;
+
+  for (const slug of slugs) {
+    for (const { chart, rows } of projectPageCharts(slug)) {
+      const fallback = chartFallback(chart, rows);
+      const where = `${slug}: ${chart.title}`;
+      assert.ok(fallback.name?.trim(), `${where} has no accessible name`);
+      assert.doesNotMatch(fallback.name, /\{\w+\}/, `${where} has an unfilled title`);
+      assert.doesNotMatch(fallback.summary, /no data/, `${where} has no data to summarize`);
+      assert.ok(fallback.columns.length > 0, `${where} has no data table columns`);
+      assert.ok(fallback.rows.length > 0, `${where} has no data table rows`);
+      for (const column of fallback.columns) {
+        assert.ok(column.field in fallback.rows[0], `${where} table lacks "${column.field}"`);
+      }
+      checked += 1;
+    }
+  }
+  assert.ok(checked > 0);
+});
@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mkdirSync, mkdtempSync, readdirSync, writeFileSync } = require('node:fs');
+const { basename, join } = require('node:path');
+const { tmpdir } = require('node:os');
+
+const { checkChartSpecs, loadProjectCharts } = require('../src/chart-specs.js');
+const { parseCsv } = require('../src/datasets.js');
+const { transformRows } = require('../src/data-transforms.js');
+
+function writeProject(files) {
+  const dataDir = mkdtempSync(join(tmpdir(), 'chart-specs-'));
+  mkdirSync(join(dataDir, 'churn'));
+  for (const [name, contents] of Object.entries(files)) {
+    writeFileSync(
+      join(dataDir, 'churn', name),
+      typeof contents === 'string' ? contents : JSON.stringify(contents, null, 2)
+    );
+  }
+  return dataDir;
+}
+
+test('parseCsv types numeric columns, handles quotes, and rejects ragged rows', () => {
+  const dataset = parseCsv('year,label,rate\n2020,"Before, pilot",3.5\n2021,"Say ""hi""",-0.25\n');
+
+  assert.deepEqual(dataset.columns, ['year', 'label', 'rate']);
+  assert.deepEqual(dataset.types, { year: 'number', label: 'string', rate: 'number' });
+  assert.deepEqual(dataset.rows[1], { year: 2021, label: 'Say "hi"', rate: -0.25 });
+  assert.throws(
+    () => parseCsv('year,rate\n2020,3.5\n2021\n'),
+    error => error.line === 3 && /Expected 2 values/.test(error.reason)
+  );
+});
+
+test('transformRows filters by value, list, or range before sorting and limiting', () => {
+  const rows = [
+    { year: 2019, state: 'KS', rate: 50 },
+    { year: 2020, state: 'KS', rate: 61 },
+    { year: 2020, state: 'DC', rate: 27 },
+    { year: 2020, state: 'AK', rate: 57 },
+  ];
+
+  assert.deepEqual(
+    transformRows(rows, { filter: { year: 2020 }, sort: '-rate', limit: 2 }).map(row => row.state),
+    ['KS', 'AK']
+  );
+  assert.equal(transformRows(rows, { filter: { state: ['DC', 'AK'] } }).length, 2);
+  assert.equal(transformRows(rows, { filter: { rate: { min: 50, max: 60 } } }).length, 2);
+});
+
+test('checkChartSpecs reports specs that do not match their data, with positions', () => {
+  const dataDir = writeProject({
+    'rates.csv': 'year,segment,rate\n2020,A,3.5\n2021,A,4.1\n',
+    'charts.json': {
+      interactive: {
+        title: 'Rates in {region}',
+        charts: [
+          {
+            type: 'line',
+            title: 'Rate',
+            data: 'rates.csv',
+            encoding: { x: { field: 'year' }, y: { field: 'segment' } },
+            rules: [{ x: 2019 }],
+          },
+          { type: 'donut', title: 'Share', data: 'missing.csv' },
+        ],
+      },
+      sidebar: { charts: [] },
+    },
+  });
+
+  const issues = checkChartSpecs({ dataDir, projectSlugs: ['churn', 'drift'] });
+  assert.deepEqual(
+    issues.map(issue => [issue.field, issue.line]),
+    [
+      ['interactive.title', 3],
+      ['interactive.charts[0].encoding.y.field', 14],
+      ['interactive.charts[0].rules[0].x', 19],
+      ['interactive.charts[1].type', 24],
+      ['interactive.charts[1].data', 26],
+      ['sidebar', 30],
+    ]
+  );
+  assert.match(issues[1].message, /Column "segment" must be numeric/);
+  assert.match(issues[4].message, /Dataset "missing\.csv" does not exist/);
+  assert.match(
+    checkChartSpecs({ dataDir, projectSlugs: ['drift'] })[0].message,
+    /No project has the slug "churn"/
+  );
+});
+
+test('loadProjectCharts resolves controls and leaves controlled charts to the browser', () => {
+  const dataDir = writeProject({
+    'rates.csv': 'year,state,rate\n2020,KS,61\n2020,DC,27\n2021,KS,60\n2021,AK,57\n2021,DC,26\n',
+    'charts.json': {
+      interactive: {
+        title: 'Rates (FY{year})',
+        control: { type: 'slider', data: 'rates.csv', field: 'year', title: 'Fiscal Year' },
+        charts: [
+          {
+            type: 'bar',
+            title: 'Top states (FY{year})',
+            data: 'rates.csv',
+            controlled: true,
+            sort: '-rate',
+            limit: 2,
+            encoding: { x: { field: 'state' }, y: { field: 'rate' } },
+          },
+          {
+            type: 'table',
+            title: 'Lowest',
+            data: 'rates.csv',
+            filter: { state: 'DC' },
+            sort: 'rate',
+            limit: 1,
+          },
+        ],
+      },
+    },
+  });
+
+  const { interactive } = loadProjectCharts('churn', { dataDir });
+  assert.deepEqual(
+    interactive.control.options.map(option => option.value),
+    [2020, 2021]
+  );
+  assert.equal(interactive.control.defaultValue, 2021);
+  assert.equal(interactive.charts[0].rows.length, 5);
+  assert.deepEqual(interactive.charts[1].rows, [{ year: 2021, state: 'DC', rate: 26 }]);
+  assert.deepEqual(
+    interactive.charts[1].columns.map(column => column.field),
+    ['year', 'state', 'rate']
+  );
+  assert.equal(loadProjectCharts('drift', { dataDir }), null);
+});
+
+test('every shipped project chart spec matches its data', () => {
+  const projectSlugs = readdirSync(join('content', 'projects')).map(name => basename(name, '.mdx'));
+  assert.deepEqual(checkChartSpecs({ projectSlugs }), []);
+});
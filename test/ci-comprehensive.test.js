@@ -28,8 +28,9 @@ test('core source files exist', () => {
 });
 
 test('React components exist', () => {
-  assert.ok(existsSync('app/layout.tsx'), 'app/layout.tsx should exist');
-  assert.ok(existsSync('app/page.tsx'), 'app/page.tsx should exist');
+  assert.ok(existsSync('app/(site)/layout.tsx'), 'app/(site)/layout.tsx should exist');
+  assert.ok(existsSync('app/[locale]/layout.tsx'), 'app/[locale]/layout.tsx should exist');
+  assert.ok(existsSync('app/(site)/page.tsx'), 'app/(site)/page.tsx should exist');
   assert.ok(existsSync('components/contact-form.tsx'), 'components/contact-form.tsx should exist');
 });
 
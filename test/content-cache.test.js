@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mkdtempSync, readFileSync, statSync, writeFileSync } = require('node:fs');
+const { join } = require('node:path');
+const { tmpdir } = require('node:os');
+
+const {
+  createContentCache,
+  diffIndexEntries,
+  writeFileIfChanged,
+} = require('../src/content-cache.js');
+const { generateContentIndexes } = require('../src/content.js');
+
+test('createContentCache reuses results for unchanged sources and drops stale keys', () => {
+  const cacheFile = join(mkdtempSync(join(tmpdir(), 'content-cache-')), 'cache.json');
+  let computed = 0;
+  const compute = () => ({ run: ++computed });
+
+  const first = createContentCache({ cacheFile, key: 'v1' });
+  assert.deepEqual(first.resolve('a.mdx', 'alpha', compute), { run: 1 });
+  first.save();
+
+  const second = createContentCache({ cacheFile, key: 'v1' });
+  assert.deepEqual(second.resolve('a.mdx', 'alpha', compute), { run: 1 });
+  assert.deepEqual(second.resolve('b.mdx', 'beta', compute), { run: 2 });
+  assert.deepEqual(second.stats, { parsed: 1, cached: 1 });
+  second.save();
+
+  const edited = createContentCache({ cacheFile, key: 'v1' });
+  assert.deepEqual(edited.resolve('a.mdx', 'alpha edited', compute), { run: 3 });
+
+  const rekeyed = createContentCache({ cacheFile, key: 'v2' });
+  assert.deepEqual(rekeyed.resolve('b.mdx', 'beta', compute), { run: 4 });
+  assert.deepEqual(rekeyed.stats, { parsed: 1, cached: 0 });
+});
+
+test('writeFileIfChanged skips identical contents', () => {
+  const filePath = join(mkdtempSync(join(tmpdir(), 'content-write-')), 'nested', 'out.json');
+
+  assert.equal(writeFileIfChanged(filePath, '{}\n'), true);
+  assert.equal(writeFileIfChanged(filePath, '{}\n'), false);
+  assert.equal(writeFileIfChanged(filePath, '[]\n'), true);
+  assert.equal(readFileSync(filePath, 'utf8'), '[]\n');
+});
+
+test('diffIndexEntries lists added, changed, and removed slugs', () => {
+  const previous = [
+    { slug: 'kept', title: 'Kept' },
+    { slug: 'edited', title: 'Before' },
+    { slug: 'deleted', title: 'Deleted' },
+  ];
+  const next = [
+    { slug: 'kept', title: 'Kept' },
+    { slug: 'edited', title: 'After' },
+    { slug: 'new', title: 'New' },
+  ];
+
+  assert.deepEqual(diffIndexEntries(previous, next), {
+    added: ['new'],
+    changed: ['edited'],
+    removed: ['deleted'],
+  });
+  assert.deepEqual(diffIndexEntries(null, next).added, ['kept', 'edited', 'new']);
+});
+
+test('generateContentIndexes reuses the cache and leaves unchanged indexes alone', () => {
+  const root = mkdtempSync(join(tmpdir(), 'content-incremental-'));
+  const outputDir = join(root, 'generated');
+  const cacheFile = join(root, 'cache.json');
+
+  const first = generateContentIndexes({ outputDir, cacheFile });
+  // Every entry file, plus one file per translation (content/<locale>/).
+  const total = [...first.projects, ...first.blog].reduce(
+    (count, entry) => count + 1 + Object.keys(entry.translations ?? {}).length,
+    0
+  );
+  assert.equal(first.stats.parsed, total);
+  assert.equal(first.written.length, 3);
+  assert.equal(first.changes.projects.added.length, first.projects.length);
+
+  const projectsPath = join(outputDir, 'projects-index.json');
+  const writtenAt = statSync(projectsPath).mtimeMs;
+  const second = generateContentIndexes({ outputDir, cacheFile });
+
+  assert.deepEqual(second.stats, { parsed: 0, cached: total });
+  assert.deepEqual(second.written, []);
+  assert.deepEqual(second.changes.projects, { added: [], changed: [], removed: [] });
+  assert.equal(statSync(projectsPath).mtimeMs, writtenAt);
+  assert.deepEqual(second.projects, first.projects);
+
+  const stale = JSON.parse(readFileSync(projectsPath, 'utf8'));
+  stale[0] = { ...stale[0], title: 'Outdated title' };
+  writeFileSync(projectsPath, JSON.stringify(stale));
+
+  const third = generateContentIndexes({ outputDir, cacheFile });
+  assert.deepEqual(third.changes.projects.changed, [first.projects[0].slug]);
+  assert.deepEqual(third.written, [projectsPath]);
+});
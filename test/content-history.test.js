@@ -0,0 +1,209 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('node:child_process');
+const { mkdirSync, mkdtempSync, writeFileSync } = require('node:fs');
+const { tmpdir } = require('node:os');
+const { join } = require('node:path');
+
+const {
+  buildContentHistory,
+  checkHistoryFields,
+  latestDate,
+  parseGitLog,
+  readGitHistory,
+  readLastModified,
+  resolveEntryHistory,
+  wasUpdatedAfterPublishing,
+} = require('../src/content-history.js');
+
+// `git log --name-status -M` output in the format readGitHistory asks for, newest first.
+const record = (hash, date, subject, ...changes) =>
+  `\x1e${hash}\x1f${date}\x1f${subject}\n\n${changes.join('\n')}\n`;
+const GIT_LOG = [
+  record(
+    'c3',
+    '2026-03-05T09:00:00+01:00',
+    'Rename the drift post',
+    'R092\tcontent/blog/drift-notes.mdx\tcontent/blog/drift.mdx',
+    'M\tcontent/projects/churn.mdx'
+  ),
+  record('b2', '2026-02-20T12:00:00Z', 'Fix a typo', 'M\tcontent/blog/drift-notes.mdx'),
+  record(
+    'a1',
+    '2026-02-14T08:30:00Z',
+    'Add the drift post and churn project',
+    'A\tcontent/blog/drift-notes.mdx',
+    'A\tcontent/projects/churn.mdx'
+  ),
+].join('');
+
+test('parseGitLog lists revisions newest first and follows renames', () => {
+  const history = parseGitLog(GIT_LOG);
+
+  assert.deepEqual(
+    history.get('content/blog/drift.mdx').map(revision => [revision.hash, revision.date]),
+    [
+      ['c3', '2026-03-05T08:00:00.000Z'],
+      ['b2', '2026-02-20T12:00:00.000Z'],
+      ['a1', '2026-02-14T08:30:00.000Z'],
+    ]
+  );
+  assert.equal(history.get('content/blog/drift.mdx')[1].subject, 'Fix a typo');
+  assert.deepEqual(
+    history.get('content/projects/churn.mdx').map(revision => revision.hash),
+    ['c3', 'a1']
+  );
+  assert.equal(history.has('content/blog/drift-notes.mdx'), false);
+});
+
+test('frontmatter overrides win over git, and git over the publication date', () => {
+  const revisions = parseGitLog(GIT_LOG).get('content/blog/drift.mdx');
+
+  assert.deepEqual(resolveEntryHistory({ date: '2026-02-14' }, revisions), {
+    created: '2026-02-14T08:30:00.000Z',
+    updated: '2026-03-05T08:00:00.000Z',
+    revisions,
+  });
+  const overridden = resolveEntryHistory({ date: '2026-02-14', updated: '2026-02-14' }, revisions);
+  assert.equal(overridden.updated, '2026-02-14');
+  assert.equal(wasUpdatedAfterPublishing(overridden, '2026-02-14'), false);
+
+  const uncommitted = resolveEntryHistory({ date: '2026-04-01' });
+  assert.deepEqual(uncommitted, { created: '2026-04-01', updated: '2026-04-01', revisions: [] });
+  assert.equal(
+    wasUpdatedAfterPublishing(resolveEntryHistory({ date: '2026-02-14' }, revisions), '2026-02-14'),
+    true
+  );
+});
+
+test('buildContentHistory keys entries by slug and falls back without git', () => {
+  const calls = [];
+  const run = args => {
+    calls.push(args);
+    return args[0] === 'log' ? GIT_LOG : 'false\n';
+  };
+  const collections = {
+    projects: {
+      dir: 'content/projects',
+      entries: [{ slug: 'churn', frontmatter: { date: '2026-02-10' } }],
+    },
+    blog: {
+      dir: 'content/blog',
+      entries: [{ slug: 'drift', frontmatter: { date: '2026-02-14' } }],
+    },
+  };
+
+  const history = buildContentHistory(collections, { run });
+  assert.equal(history.available, true);
+  assert.equal(history.shallow, false);
+  assert.equal(history.entries.projects.churn.updated, '2026-03-05T08:00:00.000Z');
+  assert.equal(history.entries.blog.drift.created, '2026-02-14T08:30:00.000Z');
+  assert.deepEqual(calls[0].slice(-3), ['--', 'content/projects', 'content/blog']);
+
+  const failing = () => {
+    throw new Error('not a git repository');
+  };
+  const withoutGit = buildContentHistory(collections, { run: failing });
+  assert.equal(withoutGit.available, false);
+  assert.equal(withoutGit.entries.blog.drift.updated, '2026-02-14');
+  assert.equal(
+    buildContentHistory(collections, { git: false }).entries.projects.churn.revisions.length,
+    0
+  );
+
+  assert.equal(readGitHistory(['content'], { run: failing }).history.size, 0);
+  assert.equal(readLastModified(['src/about.js'], { run: failing }), null);
+  assert.equal(
+    readLastModified(['src/about.js'], { run: () => '2026-03-05T09:00:00+01:00\n' }),
+    '2026-03-05T08:00:00.000Z'
+  );
+});
+
+test('a shallow clone keeps frontmatter dates for history it cannot see', () => {
+  const root = mkdtempSync(join(tmpdir(), 'content-history-'));
+  const origin = join(root, 'origin');
+  mkdirSync(join(origin, 'content', 'blog'), { recursive: true });
+  const git = (cwd, args, date = '2026-01-01T00:00:00Z') =>
+    execFileSync('git', args, {
+      cwd,
+      stdio: 'ignore',
+      env: {
+        ...process.env,
+        GIT_AUTHOR_NAME: 'Editor',
+        GIT_AUTHOR_EMAIL: 'editor@example.com',
+        GIT_AUTHOR_DATE: date,
+        GIT_COMMITTER_NAME: 'Editor',
+        GIT_COMMITTER_EMAIL: 'editor@example.com',
+        GIT_COMMITTER_DATE: date,
+      },
+    });
+  const commit = (file, date) => {
+    writeFileSync(join(origin, 'content', 'blog', file), `${date}\n`);
+    git(origin, ['add', '-A']);
+    git(origin, ['commit', '-q', '-m', `Edit ${file}`], date);
+  };
+  git(origin, ['init', '-q']);
+  commit('old.mdx', '2026-01-10T00:00:00Z');
+  commit('edited.mdx', '2026-01-12T00:00:00Z');
+  commit('other.mdx', '2026-02-01T00:00:00Z');
+  commit('edited.mdx', '2026-03-01T00:00:00Z');
+
+  const collections = {
+    blog: {
+      dir: 'content/blog',
+      entries: ['old', 'edited', 'other'].map(slug => ({
+        slug,
+        frontmatter: { date: '2026-01-05' },
+      })),
+    },
+  };
+  const clone = depth => {
+    const cwd = join(root, `depth-${depth}`);
+    git(root, ['clone', '-q', '--depth', String(depth), `file://${origin}`, cwd]);
+    return buildContentHistory(collections, { cwd });
+  };
+
+  const depth1 = clone(1);
+  assert.equal(depth1.shallow, true);
+  for (const slug of ['old', 'edited', 'other']) {
+    const entry = depth1.entries.blog[slug];
+    assert.deepEqual(
+      [entry.created, entry.updated, entry.revisions],
+      ['2026-01-05', '2026-01-05', []]
+    );
+  }
+
+  // The last edit is visible past the clone boundary; the creation dates are not.
+  const depth2 = clone(2);
+  assert.equal(depth2.entries.blog.edited.created, '2026-01-05');
+  assert.equal(depth2.entries.blog.edited.updated, '2026-03-01T00:00:00.000Z');
+  assert.equal(depth2.entries.blog.other.updated, '2026-01-05');
+
+  const full = buildContentHistory(collections, { cwd: origin });
+  assert.equal(full.shallow, false);
+  assert.equal(full.entries.blog.edited.created, '2026-01-12T00:00:00.000Z');
+  assert.equal(full.entries.blog.old.created, '2026-01-10T00:00:00.000Z');
+});
+
+test('checkHistoryFields rejects updated before publishing and created after updated', () => {
+  assert.deepEqual(checkHistoryFields({ date: '2026-02-14', updated: '2026-03-01' }), []);
+  assert.deepEqual(
+    checkHistoryFields({ date: '2026-02-14', updated: '2026-02-01' }).map(issue => issue.field),
+    ['updated']
+  );
+  assert.deepEqual(
+    checkHistoryFields({ date: '2026-02-14', created: '2026-04-01', updated: '2026-03-01' }).map(
+      issue => issue.field
+    ),
+    ['created']
+  );
+});
+
+test('latestDate compares dates and timestamps', () => {
+  assert.equal(
+    latestDate(['2026-02-14', '2026-02-14T10:00:00.000Z', null]),
+    '2026-02-14T10:00:00.000Z'
+  );
+  assert.equal(latestDate(['2026-03-01', '2026-02-28T23:00:00.000Z']), '2026-03-01');
+  assert.equal(latestDate([undefined]), null);
+});
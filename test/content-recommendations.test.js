@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  buildTfIdfVectors,
+  cosineSimilarity,
+  recommendRelatedContent,
+  tokenize,
+} = require('../src/content-recommendations.js');
+
+function entry(slug, frontmatter, content, related = {}) {
+  return { slug, frontmatter: { tags: [], ...frontmatter }, content, related };
+}
+
+test('tokenize drops code blocks, tags, urls, and stop words', () => {
+  assert.deepEqual(
+    tokenize(
+      'import Chart from "x";\n<Chart data={rows} />\nThe churn model at https://example.com\n```py\nprint(churn)\n```'
+    ),
+    ['churn', 'model']
+  );
+});
+
+test('TF-IDF vectors are unit length and rank shared rare terms higher', () => {
+  const [a, b, c] = buildTfIdfVectors([
+    'churn retention cohort analysis',
+    'churn retention survival analysis',
+    'docker image layers analysis',
+  ]);
+
+  assert.ok(Math.abs(cosineSimilarity(a, a) - 1) < 1e-9);
+  assert.ok(cosineSimilarity(a, b) > cosineSimilarity(a, c));
+});
+
+test('recommendRelatedContent ranks by tags, tech, and text and skips linked entries', () => {
+  const projects = [
+    entry('churn', { tags: ['ml', 'retention'], tech: ['Python'] }, 'Churn model for retention', {
+      posts: ['linked-post'],
+    }),
+    entry('forecast', { tags: ['ml'], tech: ['python'] }, 'Sales forecast with retention data'),
+  ];
+  const blog = [
+    entry('linked-post', { tags: ['ml', 'retention'] }, 'Churn retention model notes'),
+    entry('retention-notes', { tags: ['retention'] }, 'Retention cohorts and churn'),
+    entry('css-tips', { tags: ['frontend'] }, 'Styling buttons'),
+  ];
+
+  const result = recommendRelatedContent({ projects, blog });
+  const churn = result.projects[0].related;
+
+  assert.deepEqual(churn.posts, ['linked-post']);
+  assert.deepEqual(
+    churn.recommended.map(item => `${item.collection}/${item.slug}`),
+    ['blog/retention-notes', 'projects/forecast']
+  );
+  assert.ok(churn.recommended[0].score >= churn.recommended[1].score);
+  assert.deepEqual(result.blog[2].related.recommended, []);
+});
+
+test('recommendations are identical across runs and input order', () => {
+  const projects = [
+    entry('a', { tags: ['x'] }, 'alpha beta'),
+    entry('b', { tags: ['x'] }, 'alpha'),
+  ];
+  const blog = [entry('c', { tags: ['x'] }, 'alpha beta gamma')];
+
+  const first = recommendRelatedContent({ projects, blog });
+  const second = recommendRelatedContent({ projects: [...projects].reverse(), blog });
+
+  assert.deepEqual(first, recommendRelatedContent({ projects, blog }));
+  assert.deepEqual(first.blog[0].related.recommended, second.blog[0].related.recommended);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mkdtempSync, writeFileSync } = require('node:fs');
+const { join } = require('node:path');
+const { tmpdir } = require('node:os');
+
+const { checkReferences, linkRelatedEntries } = require('../src/content-relations.js');
+const { blogSchema, generateContentIndexes, loadCollectionEntries } = require('../src/content.js');
+
+const entry = (slug, frontmatter = {}) => ({ slug, frontmatter, content: 'Body' });
+
+test('linkRelatedEntries adds back-links in both directions', () => {
+  const { projects, blog } = linkRelatedEntries({
+    projects: [entry('survey', { relatedPosts: ['notes'] }), entry('other')],
+    blog: [entry('cleaning', { relatedProjects: ['survey'] }), entry('notes')],
+  });
+
+  assert.deepEqual(projects[0].related, { posts: ['notes', 'cleaning'] });
+  assert.deepEqual(projects[1].related, { posts: [] });
+  assert.deepEqual(blog[0].related, { projects: ['survey'] });
+  assert.deepEqual(blog[1].related, { projects: ['survey'] });
+});
+
+test('loadCollectionEntries records reference locations and checkReferences flags unknown slugs', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'content-relations-'));
+  writeFileSync(
+    join(dir, 'cleaning.mdx'),
+    [
+      '---',
+      'title: Cleaning',
+      'date: 2024-06-01',
+      'tags: [notes]',
+      'summary: Cleaning notes',
+      'readingTime: 3',
+      'status: published',
+      'relatedProjects:',
+      '  - survey',
+      '  - missing-project',
+      '---',
+      'Body',
+    ].join('\n')
+  );
+
+  const references = [];
+  const blog = loadCollectionEntries(dir, blogSchema, { references });
+  const issues = checkReferences(references, { projects: [entry('survey')], blog });
+
+  assert.equal(references.length, 2);
+  assert.deepEqual(issues, [
+    {
+      file: join(dir, 'cleaning.mdx'),
+      line: 10,
+      column: 5,
+      field: 'relatedProjects[1]',
+      message: 'field "relatedProjects[1]" references unknown projects entry "missing-project"',
+      hint: 'Use the file name (without .mdx) of an entry in content/projects/',
+    },
+  ]);
+});
+
+test('generated indexes link project write-ups and case studies', () => {
+  const outputDir = mkdtempSync(join(tmpdir(), 'content-related-index-'));
+  const { projects, blog } = generateContentIndexes({ outputDir, cache: false });
+  const ssa = projects.find(project => project.slug === 'ssa-disability-outcomes');
+  const post = blog.find(item => item.slug === 'ssa-disability-data-cleaning');
+
+  assert.ok(ssa.related.posts.includes('ssa-disability-data-cleaning'));
+  assert.deepEqual(post.related.projects, ['ssa-disability-outcomes']);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  buildContentReport,
+  formatGithubAnnotations,
+  formatIssuesText,
+} = require('../src/content-report.js');
+
+const issues = [
+  {
+    file: 'content/projects/b.mdx',
+    line: 4,
+    column: 1,
+    field: 'repo',
+    message: 'field "repo" must be an absolute http(s) URL',
+    hint: 'Include the scheme, e.g. https://github.com/Abigaelawino/example',
+  },
+  {
+    file: 'content/blog/a.mdx',
+    line: 2,
+    column: 8,
+    field: null,
+    message: 'Nested mappings are not allowed in compact mappings',
+    hint: 'Quote values that contain ": "',
+  },
+];
+
+test('buildContentReport sorts issues and summarizes counts', () => {
+  const report = buildContentReport(issues);
+
+  assert.equal(report.valid, false);
+  assert.equal(report.errorCount, 2);
+  assert.equal(report.fileCount, 2);
+  assert.deepEqual(
+    report.issues.map(issue => issue.file),
+    ['content/blog/a.mdx', 'content/projects/b.mdx']
+  );
+  assert.deepEqual(buildContentReport([]), {
+    valid: true,
+    errorCount: 0,
+    fileCount: 0,
+    issues: [],
+  });
+});
+
+test('formatGithubAnnotations escapes workflow command properties and data', () => {
+  const output = formatGithubAnnotations(issues).split('\n');
+
+  assert.equal(
+    output[0],
+    '::error file=content/blog/a.mdx,line=2,col=8,title=Content::Nested mappings are not allowed in compact mappings%0AFix: Quote values that contain ": "'
+  );
+  assert.match(
+    output[1],
+    /^::error file=content\/projects\/b\.mdx,line=4,col=1,title=Content%3A repo::/
+  );
+});
+
+test('formatIssuesText prints one location per issue with its fix hint', () => {
+  const output = formatIssuesText(issues);
+
+  assert.match(output, /- content\/blog\/a\.mdx:2:8 Nested mappings/);
+  assert.match(output, /fix: Include the scheme/);
+});
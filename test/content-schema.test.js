@@ -0,0 +1,178 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { readFileSync } = require('node:fs');
+const { parse } = require('yaml');
+
+const {
+  assertSchema,
+  buildTypeDeclarations,
+  checkDecapCollection,
+  normalizeField,
+} = require('../src/content-schema.js');
+const { blogSchema, projectSchema } = require('../src/content.js');
+
+test('normalizeField expands shorthands into descriptors', () => {
+  assert.deepEqual(normalizeField('string'), { type: 'string', optional: false });
+  assert.deepEqual(normalizeField('string[]'), {
+    type: 'list',
+    of: { type: 'string', optional: false },
+    optional: false,
+    minItems: 1,
+  });
+  assert.throws(() => normalizeField('text'), /Unknown schema field type: "text"/);
+  assert.throws(() => normalizeField({ type: 'enum' }), /non-empty "values" array/);
+});
+
+test('assertSchema fills defaults and drops empty optional fields', () => {
+  const schema = {
+    title: 'string',
+    repo: { type: 'url', optional: true },
+    status: { type: 'enum', values: ['published', 'draft'], default: 'draft' },
+  };
+
+  const result = assertSchema({ title: 'Example', repo: null, extra: 1 }, schema, 'example.mdx');
+
+  assert.deepEqual(result, { title: 'Example', status: 'draft', extra: 1 });
+});
+
+test('assertSchema validates enums, URLs, paths, and images', () => {
+  const schema = {
+    status: { type: 'enum', values: ['published', 'draft'] },
+    repo: 'url',
+    page: 'path',
+    cover: 'image',
+  };
+  const valid = {
+    status: 'draft',
+    repo: 'https://github.com/example/repo',
+    page: '/projects/example',
+    cover: 'https://example.com/cover.png',
+  };
+
+  assert.deepEqual(assertSchema(valid, schema, 'a.mdx'), valid);
+  assert.throws(
+    () => assertSchema({ ...valid, status: 'archived' }, schema, 'a.mdx'),
+    /a\.mdx: field "status" must be one of: "published", "draft"/
+  );
+  assert.throws(
+    () => assertSchema({ ...valid, repo: 'github.com/example' }, schema, 'a.mdx'),
+    /field "repo" must be an absolute http\(s\) URL/
+  );
+  assert.throws(
+    () => assertSchema({ ...valid, page: 'projects/example' }, schema, 'a.mdx'),
+    /field "page" must be a site-relative path/
+  );
+  assert.throws(
+    () => assertSchema({ ...valid, cover: 'cover.png' }, schema, 'a.mdx'),
+    /field "cover" must be a site-relative path or an absolute http\(s\) URL/
+  );
+});
+
+test('assertSchema validates nested objects and lists of objects', () => {
+  const schema = {
+    seo: { type: 'object', fields: { noindex: { type: 'boolean', default: false } } },
+    artifacts: {
+      type: 'list',
+      minItems: 0,
+      of: { type: 'object', fields: { label: 'string', href: 'path' } },
+    },
+  };
+
+  assert.deepEqual(assertSchema({ seo: {}, artifacts: [] }, schema, 'a.mdx'), {
+    seo: { noindex: false },
+    artifacts: [],
+  });
+  assert.throws(
+    () =>
+      assertSchema({ seo: {}, artifacts: [{ label: 'Notebook', href: 'nb' }] }, schema, 'a.mdx'),
+    /field "artifacts\[0\]\.href" must be a site-relative path/
+  );
+  assert.throws(
+    () => assertSchema({ seo: 'yes', artifacts: [] }, schema, 'a.mdx'),
+    /field "seo" must be an object/
+  );
+});
+
+test('buildTypeDeclarations marks optional fields and emits enum unions', () => {
+  const source = buildTypeDeclarations({
+    Example: {
+      title: 'string',
+      readingTime: 'number',
+      repo: { type: 'url', optional: true },
+      status: { type: 'enum', values: ['published', 'draft'], default: 'draft' },
+      links: { type: 'list', of: { type: 'object', fields: { href: 'url' } } },
+    },
+  });
+
+  assert.match(source, /export interface Example \{/);
+  assert.match(source, /^ {2}title: string;$/m);
+  assert.match(source, /^ {2}readingTime: number;$/m);
+  assert.match(source, /^ {2}repo\?: string;$/m);
+  assert.match(source, /^ {2}status: 'published' \| 'draft';$/m);
+  assert.match(source, /^ {2}links: \{\n {4}href: string;\n {2}\}\[\];$/m);
+});
+
+test('generated content types match the collection schemas', () => {
+  const generated = readFileSync('src/generated/content-types.ts', 'utf8');
+  const expected = buildTypeDeclarations({
+    ProjectFrontmatter: projectSchema,
+    BlogFrontmatter: blogSchema,
+  });
+
+  assert.equal(generated, expected, 'run `npm run generate:content` to refresh content types');
+});
+
+test('Decap CMS collections agree with the collection schemas', () => {
+  const config = parse(readFileSync('public/admin/config.yml', 'utf8'));
+  const collection = name => config.collections.find(item => item.name === name);
+
+  assert.deepEqual(checkDecapCollection(projectSchema, collection('projects')), []);
+  assert.deepEqual(checkDecapCollection(blogSchema, collection('blog')), []);
+});
+
+test('checkDecapCollection reports missing fields and mismatched options', () => {
+  const problems = checkDecapCollection(
+    {
+      title: 'string',
+      repo: { type: 'url', optional: true },
+      status: { type: 'enum', values: ['published', 'draft'], default: 'draft' },
+    },
+    {
+      fields: [
+        { name: 'repo', widget: 'string' },
+        { name: 'status', widget: 'select', options: ['published'], default: 'published' },
+      ],
+    }
+  );
+
+  assert.deepEqual(problems, [
+    'title: missing from the CMS collection',
+    'repo: optional in the schema but required in the CMS',
+    'status: CMS default does not match schema default',
+    'status: CMS options must be ["published","draft"]',
+  ]);
+});
+
+test('reference fields accept slugs and map to Decap relation widgets', () => {
+  const schema = {
+    relatedPosts: { type: 'list', of: { type: 'reference', collection: 'blog' }, minItems: 0 },
+  };
+
+  assert.deepEqual(assertSchema({ relatedPosts: ['first-post'] }, schema, 'a.mdx'), {
+    relatedPosts: ['first-post'],
+  });
+  assert.throws(
+    () => assertSchema({ relatedPosts: ['First Post'] }, schema, 'a.mdx'),
+    /field "relatedPosts\[0\]" must be the slug of an entry in "blog"/
+  );
+  assert.throws(() => normalizeField({ type: 'reference' }), /must name the "collection"/);
+  assert.deepEqual(
+    checkDecapCollection(schema, {
+      fields: [{ name: 'relatedPosts', widget: 'relation', collection: 'projects' }],
+    }),
+    [
+      'relatedPosts: must be a relation widget on the "blog" collection',
+      'relatedPosts: relation widget must set multiple: true',
+    ]
+  );
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mkdtempSync, writeFileSync } = require('node:fs');
+const { join } = require('node:path');
+const { tmpdir } = require('node:os');
+
+const {
+  findSeriesConflicts,
+  getSeriesNavigation,
+  groupSeries,
+  slugifySeries,
+} = require('../src/content-series.js');
+const { BLOG_DIR, blogSchema, loadCollectionEntries } = require('../src/content.js');
+
+function post(slug, series, seriesOrder) {
+  return { slug, frontmatter: { title: slug, series, seriesOrder } };
+}
+
+test('groupSeries orders parts by seriesOrder and skips standalone posts', () => {
+  const series = groupSeries([
+    post('eda', 'Survey Study', 3),
+    post('intro', 'Survey Study', 1),
+    post('standalone'),
+    post('cleaning', 'Survey Study', 2),
+  ]);
+
+  assert.equal(series.length, 1);
+  assert.equal(series[0].slug, 'survey-study');
+  assert.equal(series[0].title, 'Survey Study');
+  assert.deepEqual(
+    series[0].posts.map(part => part.slug),
+    ['intro', 'cleaning', 'eda']
+  );
+  assert.equal(slugifySeries('SSA Disability: Outcomes!'), 'ssa-disability-outcomes');
+});
+
+test('getSeriesNavigation finds the neighbouring parts', () => {
+  const series = groupSeries([
+    post('one', 'Study', 1),
+    post('two', 'Study', 2),
+    post('three', 'Study', 3),
+  ]);
+
+  const middle = getSeriesNavigation(series, 'two');
+  assert.equal(middle.index, 1);
+  assert.equal(middle.previous.slug, 'one');
+  assert.equal(middle.next.slug, 'three');
+
+  const first = getSeriesNavigation(series, 'one');
+  assert.equal(first.previous, null);
+  assert.equal(getSeriesNavigation(series, 'elsewhere'), null);
+});
+
+test('findSeriesConflicts reports shared positions and mismatched names', () => {
+  const conflicts = findSeriesConflicts([
+    post('one', 'Study', 1),
+    post('again', 'Study', 1),
+    post('typo', 'study', 2),
+  ]);
+
+  assert.deepEqual(
+    conflicts.map(({ slug, field }) => ({ slug, field })),
+    [
+      { slug: 'again', field: 'seriesOrder' },
+      { slug: 'typo', field: 'series' },
+    ]
+  );
+  assert.match(conflicts[0].message, /already used by "one" in series "Study"/);
+});
+
+test('series and seriesOrder must be set together', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'content-series-'));
+  writeFileSync(
+    join(dir, 'part.mdx'),
+    [
+      '---',
+      'title: Part',
+      'date: 2024-06-01',
+      'tags: [notes]',
+      'summary: One part',
+      'readingTime: 3',
+      'status: published',
+      'series: Study',
+      '---',
+      'Body',
+    ].join('\n')
+  );
+
+  const issues = [];
+  loadCollectionEntries(dir, blogSchema, { issues });
+
+  assert.equal(issues.length, 1);
+  assert.equal(issues[0].field, 'series');
+  assert.equal(issues[0].line, 8);
+  assert.match(issues[0].message, /"seriesOrder" is missing/);
+});
+
+test('the SSA disability posts form one ordered series', () => {
+  const [series] = groupSeries(
+    loadCollectionEntries(BLOG_DIR, blogSchema).filter(entry =>
+      entry.slug.startsWith('ssa-disability-')
+    )
+  );
+
+  assert.equal(series.slug, 'ssa-disability-outcomes');
+  assert.equal(series.posts.length, 6);
+  assert.equal(series.posts[0].slug, 'ssa-disability-data-loading');
+  assert.deepEqual(findSeriesConflicts(series.posts), []);
+});
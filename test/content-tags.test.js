@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mkdtempSync, readFileSync, writeFileSync } = require('node:fs');
+const { join } = require('node:path');
+const { tmpdir } = require('node:os');
+
+const {
+  TAGS_FILE,
+  canonicalizeEntryTags,
+  createTagRegistry,
+  groupEntriesByTag,
+  normalizeTag,
+  resolveTag,
+} = require('../src/content-tags.js');
+const { BLOG_DIR, generateContentIndexes } = require('../src/content.js');
+
+const registry = createTagRegistry({
+  tags: [
+    { slug: 'time-series', label: 'Time Series', aliases: ['forecasting'] },
+    {
+      slug: 'ml',
+      label: 'Machine Learning',
+      description: 'Models.',
+      aliases: ['Machine Learning'],
+    },
+  ],
+});
+
+function entry(slug, tags) {
+  return { slug, frontmatter: { title: slug, tags } };
+}
+
+test('normalizeTag and resolveTag map every spelling to one slug', () => {
+  assert.equal(normalizeTag('  Time Series '), 'time-series');
+  assert.equal(normalizeTag('time_series'), 'time-series');
+  assert.equal(normalizeTag('time - series'), 'time-series');
+
+  assert.equal(resolveTag(registry, 'Time Series'), 'time-series');
+  assert.equal(resolveTag(registry, 'time_series'), 'time-series');
+  assert.equal(resolveTag(registry, 'Forecasting'), 'time-series');
+  assert.equal(resolveTag(registry, 'machine learning'), 'ml');
+  assert.equal(resolveTag(registry, 'statistics'), null);
+  assert.deepEqual(registry.problems, []);
+});
+
+test('createTagRegistry reports bad slugs, missing labels, and shared aliases', () => {
+  const { problems } = createTagRegistry({
+    tags: [
+      { slug: 'Time Series', label: 'Time Series' },
+      { slug: 'ml' },
+      { slug: 'ai', label: 'AI', aliases: ['ml'] },
+    ],
+  });
+
+  assert.deepEqual(
+    problems.map(problem => [problem.field, problem.message]),
+    [
+      ['tags[0].slug', 'tag slug "Time Series" must be lowercase words joined by hyphens'],
+      ['tags[1].label', 'tag "ml" is missing a label'],
+      ['tags[2]', '"ml" belongs to both "ml" and "ai"'],
+    ]
+  );
+});
+
+test('canonicalizeEntryTags rewrites, deduplicates, and reports unknown tags', () => {
+  const { entries, problems } = canonicalizeEntryTags(
+    [
+      entry('forecast', ['Time Series', 'time_series', 'forecasting', 'ML']),
+      entry('other', ['stats']),
+    ],
+    registry
+  );
+
+  assert.deepEqual(entries[0].frontmatter.tags, ['time-series', 'ml']);
+  assert.deepEqual(entries[1].frontmatter.tags, []);
+  assert.deepEqual(problems, [
+    {
+      slug: 'other',
+      field: 'tags',
+      message: 'unknown tag "stats"',
+      hint: 'Use a tag from content/tags.json, or add it there (other spellings go in "aliases")',
+    },
+  ]);
+});
+
+test('groupEntriesByTag lists projects and posts per tag, skipping unused tags', () => {
+  const tags = groupEntriesByTag(
+    { projects: [entry('churn', ['ml'])], blog: [entry('notes', ['ml']), entry('misc', [])] },
+    registry.tags
+  );
+
+  assert.deepEqual(
+    tags.map(tag => [tag.slug, tag.label, tag.projects.length, tag.posts.length]),
+    [['ml', 'Machine Learning', 1, 1]]
+  );
+  assert.equal(tags[0].description, 'Models.');
+});
+
+test('generateContentIndexes rejects tags missing from the registry', () => {
+  const root = mkdtempSync(join(tmpdir(), 'content-tags-'));
+  const tagsFile = join(root, 'tags.json');
+  const data = JSON.parse(readFileSync(TAGS_FILE, 'utf8'));
+  writeFileSync(tagsFile, JSON.stringify({ tags: data.tags.filter(tag => tag.slug !== 'react') }));
+
+  const { issues } = generateContentIndexes({
+    outputDir: join(root, 'generated'),
+    cache: false,
+    validate: true,
+    tagsFile,
+  });
+
+  const filePath = join(BLOG_DIR, 'react-performance-tips.mdx');
+  const tagsLine =
+    readFileSync(filePath, 'utf8')
+      .split('\n')
+      .findIndex(line => line.startsWith('tags:')) + 1;
+  assert.deepEqual(
+    issues.map(issue => [issue.file, issue.line, issue.field, issue.message]),
+    [[filePath, tagsLine, 'tags', 'unknown tag "react"']]
+  );
+
+  assert.throws(
+    () => generateContentIndexes({ outputDir: join(root, 'generated'), cache: false, tagsFile }),
+    /react-performance-tips\.mdx:\d+:1: unknown tag "react"/
+  );
+});
+
+test('the registry covers every tag used in content', () => {
+  const { projects, blog, tags, issues } = generateContentIndexes({
+    outputDir: mkdtempSync(join(tmpdir(), 'content-tags-index-')),
+    cache: false,
+    validate: true,
+  });
+  const slugs = new Set(tags.map(tag => tag.slug));
+
+  assert.deepEqual(issues, []);
+  for (const item of [...projects, ...blog]) {
+    assert.ok(
+      item.frontmatter.tags.every(tag => slugs.has(tag)),
+      item.slug
+    );
+  }
+});
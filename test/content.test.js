@@ -13,6 +13,7 @@ const {
   splitFrontmatter,
   parseMdxFile,
 } = require('../src/content.js');
+const { filterVisibleEntries } = require('../src/publishing.js');
 
 test('content collections load and validate frontmatter schema', () => {
   const projects = loadCollectionEntries(PROJECTS_DIR, {
@@ -57,6 +58,18 @@ test('generateContentIndexes writes projects and blog index JSON files', () => {
 
   assert.equal(projectsIndex.length, result.projects.length);
   assert.equal(blogIndex.length, result.blog.length);
+
+  // The search index ships with the static build too, so it is written here with the indexes.
+  const searchIndex = JSON.parse(readFileSync(join(outputDir, 'search-index.json'), 'utf8'));
+  const visible = [
+    ...filterVisibleEntries(result.projects).map(entry => `/projects/${entry.slug}`),
+    ...filterVisibleEntries(result.blog).map(entry => `/blog/${entry.slug}`),
+  ];
+  assert.deepEqual(searchIndex, result.searchIndex);
+  assert.deepEqual(
+    searchIndex.docs.map(doc => doc.href),
+    visible
+  );
 });
 
 test('frontmatter parsing supports scalars, lists, and list blocks', () => {
@@ -81,6 +94,58 @@ test('frontmatter parsing supports scalars, lists, and list blocks', () => {
   assert.deepEqual(parsed.tech, ['node', 'TypeScript']);
 });
 
+test('frontmatter parsing supports nested maps, block scalars, and lists of objects', () => {
+  const frontmatter = [
+    'title: "Commas, colons: and quotes"',
+    'date: 2026-01-01',
+    'seo:',
+    '  description: Nested description',
+    '  noindex: false',
+    'notes: |',
+    '  First line',
+    '  Second line',
+    'folded: >',
+    '  Folded',
+    '  text',
+    'artifacts:',
+    '  - type: notebook',
+    '    href: notebook/',
+    '  - type: slides',
+    '    href: slides/',
+  ].join('\n');
+
+  const parsed = parseFrontmatter(frontmatter);
+  assert.equal(parsed.title, 'Commas, colons: and quotes');
+  assert.equal(parsed.date, '2026-01-01');
+  assert.deepEqual(parsed.seo, { description: 'Nested description', noindex: false });
+  assert.equal(parsed.notes, 'First line\nSecond line\n');
+  assert.equal(parsed.folded, 'Folded text\n');
+  assert.deepEqual(parsed.artifacts, [
+    { type: 'notebook', href: 'notebook/' },
+    { type: 'slides', href: 'slides/' },
+  ]);
+});
+
+test('frontmatter parsing reports line and column for YAML errors', () => {
+  assert.throws(
+    () => parseFrontmatter(['title: ok', 'tags: [ml', 'summary: broken'].join('\n')),
+    error => error.line === 3 && /^Invalid frontmatter line 3, column \d+:/.test(error.message)
+  );
+  assert.throws(() => parseFrontmatter('title: a\ntitle: b'), /line 2, column 1: .*unique/);
+});
+
+test('parseMdxFile reports frontmatter errors relative to the MDX file', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'content-yaml-'));
+  const filePath = join(dir, 'bad-yaml.mdx');
+  writeFileSync(filePath, ['---', 'title: ok', 'summary: Bad: value', '---', 'Body'].join('\n'));
+
+  assert.throws(
+    () => parseMdxFile(filePath),
+    error =>
+      error.line === 3 && error.column === 10 && error.message.startsWith(`${filePath}:3:10:`)
+  );
+});
+
 test('frontmatter parsing supports empty list values', () => {
   const parsed = parseFrontmatter('tags: []');
   assert.deepEqual(parsed.tags, []);
@@ -355,3 +420,76 @@ test('loadCollectionEntries skips non-mdx files', () => {
   assert.equal(entries.length, 1);
   assert.equal(entries[0].slug, 'valid');
 });
+
+test('loadCollectionEntries collects every issue across files when given an issues array', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'content-issues-'));
+  const schema = {
+    title: 'string',
+    date: 'date',
+    tags: 'string[]',
+    summary: 'string',
+    readingTime: 'number',
+  };
+
+  writeFileSync(
+    join(dir, 'two-problems.mdx'),
+    ['---', 'title: Test', 'date: 2026/01/01', 'tags: []', 'readingTime: 7', '---', 'Body'].join(
+      '\n'
+    )
+  );
+  writeFileSync(
+    join(dir, 'bad-yaml.mdx'),
+    ['---', 'title: Broken: title', 'date: 2026-01-01', '---', ''].join('\n')
+  );
+  writeFileSync(
+    join(dir, 'valid.mdx'),
+    [
+      '---',
+      'title: Valid',
+      'date: 2026-01-01',
+      'tags: [ml]',
+      'summary: ok',
+      'readingTime: 3',
+      '---',
+      'Body',
+    ].join('\n')
+  );
+
+  const issues = [];
+  const entries = loadCollectionEntries(dir, schema, { issues });
+
+  assert.deepEqual(
+    entries.map(entry => entry.slug),
+    ['valid']
+  );
+
+  const summary = issues.map(issue => [issue.file.slice(dir.length + 1), issue.line, issue.field]);
+  assert.deepEqual(summary, [
+    ['bad-yaml.mdx', 2, null],
+    ['bad-yaml.mdx', 4, null],
+    ['two-problems.mdx', 3, 'date'],
+    ['two-problems.mdx', 4, 'tags'],
+    ['two-problems.mdx', 1, 'summary'],
+  ]);
+  assert.ok(issues.every(issue => typeof issue.hint === 'string' && issue.hint.length > 0));
+  assert.match(issues[1].message, /MDX body must not be empty/);
+});
+
+test('loadCollectionEntries throws the first issue with its file location by default', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'content-first-issue-'));
+  const filePath = join(dir, 'bad.mdx');
+  writeFileSync(filePath, ['---', 'title: Test', 'date: 2026-1-1', '---', 'Body'].join('\n'));
+
+  assert.throws(
+    () => loadCollectionEntries(dir, { title: 'string', date: 'date' }),
+    error => error.message === `${filePath}:3:1: field "date" must use YYYY-MM-DD format`
+  );
+});
+
+test('generateContentIndexes validate mode reports no issues for the current content', () => {
+  const outputDir = mkdtempSync(join(tmpdir(), 'content-validate-'));
+  const result = generateContentIndexes({ outputDir, validate: true });
+
+  assert.deepEqual(result.issues, []);
+  assert.ok(result.projects.length > 0);
+});
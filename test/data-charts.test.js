@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mkdirSync, mkdtempSync, writeFileSync } = require('node:fs');
+const { join } = require('node:path');
+const { tmpdir } = require('node:os');
+
+const { checkDataCharts, findDataCharts, resolveDataChart } = require('../src/data-charts.js');
+
+function writeContent(files) {
+  const contentRoot = mkdtempSync(join(tmpdir(), 'data-charts-'));
+  for (const [name, contents] of Object.entries(files)) {
+    mkdirSync(join(contentRoot, name, '..'), { recursive: true });
+    writeFileSync(join(contentRoot, name), contents);
+  }
+  return contentRoot;
+}
+
+const RATES = 'year,state,rate\n2020,KS,60\n2020,DC,20\n2021,KS,50\n2021,DC,30\n2021,AK,70\n';
+
+test('resolveDataChart filters and aggregates rows into a chart spec', () => {
+  const contentRoot = writeContent({ 'data/rates.csv': RATES });
+
+  const { chart, problems } = resolveDataChart(
+    {
+      src: 'data/rates.csv',
+      title: 'Mean rate',
+      type: 'line',
+      x: 'year',
+      y: 'rate',
+      aggregate: 'mean',
+      filter: 'state=KS|DC',
+    },
+    { contentRoot }
+  );
+  assert.deepEqual(problems, []);
+  assert.deepEqual(chart.rows, [
+    { year: 2020, rate: 40 },
+    { year: 2021, rate: 40 },
+  ]);
+  assert.deepEqual(chart.encoding, { x: { field: 'year' }, y: { field: 'rate' } });
+
+  const top = resolveDataChart(
+    {
+      src: 'data/rates.csv',
+      title: 'Top',
+      x: 'state',
+      y: 'rate',
+      filter: 'year>=2021',
+      sort: '-rate',
+      limit: '2',
+    },
+    { contentRoot }
+  );
+  assert.deepEqual(
+    top.chart.rows.map(row => row.state),
+    ['AK', 'KS']
+  );
+});
+
+test('resolveDataChart names the attribute behind each problem', () => {
+  const contentRoot = writeContent({ 'data/rates.csv': RATES });
+
+  const { chart, problems } = resolveDataChart(
+    { src: 'data/rates.csv', title: 'Rates', x: 'region', y: 'state', filter: 'year>=soon' },
+    { contentRoot }
+  );
+  assert.equal(chart, null);
+  assert.deepEqual(
+    problems.map(problem => problem.attribute),
+    ['x', 'y', 'filter']
+  );
+  assert.match(problems[0].message, /Column "region" is not in data\/rates\.csv/);
+  assert.equal(
+    resolveDataChart({ src: '../secrets.csv', title: 'x' }, { contentRoot }).problems[0].attribute,
+    'src'
+  );
+});
+
+test('checkDataCharts reports tags with positions and skips code fences', () => {
+  const contentRoot = writeContent({
+    'data/rates.csv': RATES,
+    'blog/post.mdx': [
+      '---',
+      'title: Post',
+      '---',
+      '',
+      '```mdx',
+      '<DataChart src="data/missing.csv" />',
+      '```',
+      '',
+      '<DataChart',
+      '  src="data/rates.csv"',
+      '  title="Rates"',
+      '  x="year"',
+      '  y={rate}',
+      '  sort="-share"',
+      '/>',
+      '',
+    ].join('\n'),
+  });
+
+  assert.deepEqual(findDataCharts('<DataChart x="a" />')[0].attributes.x, {
+    line: 1,
+    column: 12,
+    value: 'a',
+  });
+  const issues = checkDataCharts({ contentRoot });
+  assert.deepEqual(
+    issues.map(issue => [issue.field, issue.line, issue.column]),
+    [
+      ['y', 13, 3],
+      ['sort', 14, 3],
+    ]
+  );
+  assert.match(issues[0].message, /"y" must be a string, not \{rate\}/);
+  assert.match(issues[1].hint, /year, state, rate/);
+});
+
+test('every shipped <DataChart> resolves against its data', () => {
+  assert.deepEqual(checkDataCharts(), []);
+});
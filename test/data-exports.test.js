@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  composeSvg,
+  describeRows,
+  exportCitation,
+  exportFileName,
+  toCsv,
+  toJson,
+} = require('../src/data-exports.js');
+
+const citation = {
+  project: 'SSA Disability Outcomes Analysis',
+  url: 'https://example.com/projects/ssa-disability-outcomes',
+  source: 'SSA disability outcomes dataset',
+};
+const footer = exportCitation({
+  title: 'Top states (FY2021)',
+  filters: describeRows({ filter: { year: 2021 }, sort: '-rate', limit: 2 }),
+  data: 'approval-by-year.csv',
+  citation,
+  exportedAt: new Date('2026-03-01T12:00:00Z'),
+});
+const columns = [{ field: 'state', title: 'State' }, { field: 'rate' }];
+const rows = [
+  { year: 2021, state: 'KS', rate: 60.57 },
+  { year: 2021, state: 'AK, "north"', rate: 56.53 },
+];
+
+test('exportCitation records the filters on screen, the source, and the page', () => {
+  assert.deepEqual(footer, [
+    'Top states (FY2021)',
+    'Filters: year = 2021; sorted by rate (descending); first 2 rows',
+    'Source: SSA disability outcomes dataset',
+    'Data file: approval-by-year.csv',
+    'From: SSA Disability Outcomes Analysis (https://example.com/projects/ssa-disability-outcomes)',
+    'Exported: 2026-03-01',
+  ]);
+  assert.deepEqual(
+    describeRows({
+      filter: { state: ['KS', 'AK'], year: { min: 2015 } },
+      aggregate: { groupBy: ['year'], field: 'rate', method: 'mean' },
+    }),
+    ['state in KS, AK', 'year >= 2015', 'mean of rate by year']
+  );
+});
+
+test('toCsv and toJson export the displayed columns with the citation', () => {
+  const csv = toCsv({ columns, rows, footer });
+  assert.equal(
+    csv.split('\r\n').slice(0, 5).join('\n'),
+    'State,rate\nKS,60.57\n"AK, ""north""",56.53\n\n# Top states (FY2021)'
+  );
+  assert.match(csv, /\r\n# From: .*\(https:\/\/example\.com\/.*\)\r\n# Exported: 2026-03-01\r\n$/);
+
+  const json = JSON.parse(toJson({ title: 'Top states (FY2021)', columns, rows, footer }));
+  assert.deepEqual(json.rows[0], { state: 'KS', rate: 60.57 });
+  assert.deepEqual(json.citation, footer);
+});
+
+test('composeSvg stacks chart layers above an escaped footer', () => {
+  const svg = composeSvg({
+    width: 300,
+    height: 200,
+    layers: [{ x: 0, y: 10, markup: '<svg width="300" height="190"></svg>' }],
+    footer: ['Data: <rates> & more'],
+  });
+  assert.match(svg, /^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg"[^>]* height="228"/);
+  assert.match(svg, /<g transform="translate\(0 10\)"><svg width="300"/);
+  assert.match(svg, />Data: &lt;rates&gt; &amp; more<\/text>/);
+  assert.equal(exportFileName('Top States (FY2021)', 'png'), 'top-states-fy2021.png');
+});
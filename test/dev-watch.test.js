@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { join } = require('node:path');
+
+const {
+  LIVE_RELOAD_CLIENT_PATH,
+  classifyChange,
+  formatServerSentEvent,
+  injectLiveReloadScript,
+  isBuildOutputPath,
+  pageNeedsRebuild,
+  planRebuild,
+} = require('../src/dev-watch.js');
+
+test('classifyChange maps content files to the collection they feed', () => {
+  assert.equal(classifyChange('content/blog/first-post.mdx'), 'blog');
+  assert.equal(classifyChange(join(process.cwd(), 'content', 'projects', 'a.mdx')), 'projects');
+  assert.equal(classifyChange('content/settings.json'), 'settings');
+  assert.equal(classifyChange('content/about.mdx'), null);
+  assert.equal(classifyChange('src/blog.js'), null);
+});
+
+test('planRebuild limits content-only batches and escalates anything else', () => {
+  assert.deepEqual(planRebuild(['content/blog/a.mdx', 'content/blog/b.mdx']), {
+    full: false,
+    scopes: ['blog'],
+  });
+  assert.deepEqual(planRebuild(['content/blog/a.mdx', 'content/projects/b.mdx']), {
+    full: false,
+    scopes: ['projects', 'blog'],
+  });
+  assert.equal(planRebuild(['content/blog/a.mdx', 'assets/site.css']).full, true);
+});
+
+test('pageNeedsRebuild re-renders every page for settings changes', () => {
+  const blogOnly = planRebuild(['content/blog/a.mdx']);
+  const settings = planRebuild(['content/settings.json']);
+
+  assert.equal(pageNeedsRebuild(['blog'], blogOnly), true);
+  assert.equal(pageNeedsRebuild(['projects'], blogOnly), false);
+  assert.equal(pageNeedsRebuild(undefined, blogOnly), false);
+  assert.equal(pageNeedsRebuild(undefined, settings), true);
+});
+
+test('isBuildOutputPath ignores files written by the build', () => {
+  assert.equal(isBuildOutputPath('src/generated/blog-index.json'), true);
+  assert.equal(isBuildOutputPath('dist/index.html'), true);
+  assert.equal(isBuildOutputPath('src/content.js'), false);
+});
+
+test('live reload helpers format events and inject the client script', () => {
+  assert.equal(
+    formatServerSentEvent('reload', { scopes: ['blog'] }),
+    'event: reload\ndata: {"scopes":["blog"]}\n\n'
+  );
+
+  const html = injectLiveReloadScript('<html><body><main></main></body></html>');
+  assert.match(
+    html,
+    new RegExp(`<script src="${LIVE_RELOAD_CLIENT_PATH}" defer></script>\\n\\s*</body>`)
+  );
+  assert.match(injectLiveReloadScript('<p>fragment</p>'), /<p>fragment<\/p><script src=/);
+});
@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildAtomFeed, buildFeedFiles, buildJsonFeed, buildRssFeed } = require('../src/feeds.js');
+
+const posts = [
+  {
+    slug: 'older-post',
+    frontmatter: {
+      title: 'Older <Post>',
+      date: '2024-01-10',
+      tags: ['python'],
+      summary: 'An older post.',
+      cover: '/assets/og.png',
+    },
+    content: 'See [the project](/projects/demo).',
+  },
+  {
+    slug: 'newer-post',
+    frontmatter: {
+      title: 'Newer Post',
+      date: '2024-03-05',
+      tags: ['python', 'Data Viz'],
+      summary: 'A newer post.',
+    },
+    content: '## Heading\n\nBody with **bold** text.',
+  },
+];
+const options = { siteUrl: 'https://example.com/', siteName: 'Example', posts };
+
+test('buildRssFeed emits RSS 2.0 with full content, categories, and absolute URLs', () => {
+  const rss = buildRssFeed(options);
+
+  assert.match(rss, /^<\?xml version="1.0" encoding="UTF-8"\?>\n<rss version="2.0"/);
+  assert.match(rss, /<atom:link href="https:\/\/example\.com\/feed\.xml" rel="self"/);
+  assert.match(rss, /<lastBuildDate>Tue, 05 Mar 2024 00:00:00 GMT<\/lastBuildDate>/);
+  assert.ok(rss.indexOf('newer-post') < rss.indexOf('older-post'));
+  assert.match(rss, /<title>Older &lt;Post&gt;<\/title>/);
+  assert.match(rss, /<category>Data Viz<\/category>/);
+  assert.match(
+    rss,
+    /<content:encoded><!\[CDATA\[<p>See <a href="https:\/\/example\.com\/projects\/demo">the project<\/a>\.<\/p>\]\]><\/content:encoded>/
+  );
+});
+
+test('buildAtomFeed and buildJsonFeed carry the same entries', () => {
+  const atom = buildAtomFeed(options);
+  assert.match(atom, /<feed xmlns="http:\/\/www\.w3\.org\/2005\/Atom">/);
+  assert.match(atom, /<updated>2024-03-05T00:00:00\.000Z<\/updated>/);
+  assert.match(atom, /<content type="html">&lt;h2&gt;Heading&lt;\/h2&gt;/);
+  assert.match(atom, /<category term="python" \/>/);
+
+  const json = JSON.parse(buildJsonFeed(options));
+  assert.equal(json.version, 'https://jsonfeed.org/version/1.1');
+  assert.equal(json.feed_url, 'https://example.com/feed.json');
+  assert.deepEqual(
+    json.items.map(item => item.url),
+    ['https://example.com/blog/newer-post', 'https://example.com/blog/older-post']
+  );
+  assert.equal(
+    json.items[0].content_html,
+    '<h2>Heading</h2>\n<p>Body with <strong>bold</strong> text.</p>'
+  );
+  assert.equal(json.items[1].image, 'https://example.com/assets/og.png');
+});
+
+test('buildFeedFiles adds per-tag feeds', () => {
+  const files = buildFeedFiles(options);
+
+  assert.deepEqual(
+    files.map(file => file.path),
+    [
+      '/feed.xml',
+      '/atom.xml',
+      '/feed.json',
+      '/tags/data-viz/feed.xml',
+      '/tags/data-viz/atom.xml',
+      '/tags/data-viz/feed.json',
+      '/tags/python/feed.xml',
+      '/tags/python/atom.xml',
+      '/tags/python/feed.json',
+    ]
+  );
+  const dataViz = JSON.parse(files[5].contents);
+  assert.equal(dataViz.title, 'Example · Posts tagged “Data Viz”');
+  assert.deepEqual(
+    dataViz.items.map(item => item.id),
+    ['https://example.com/blog/newer-post']
+  );
+  assert.equal(buildFeedFiles(options)[0].contents, files[0].contents);
+
+  const labelled = buildFeedFiles({ ...options, tagLabels: { python: 'Python' } });
+  assert.match(labelled[6].contents, /<title>Example · Posts tagged “Python”<\/title>/);
+});
+
+test('feed covers may be absolute URLs', () => {
+  const cdnPost = {
+    ...posts[0],
+    frontmatter: { ...posts[0].frontmatter, cover: 'https://cdn.example.net/cover.png' },
+  };
+  const json = JSON.parse(buildJsonFeed({ ...options, posts: [cdnPost] }));
+
+  assert.equal(json.items[0].image, 'https://cdn.example.net/cover.png');
+});
+
+test('entries and feeds are dated by the latest update: history, then frontmatter', () => {
+  const edited = [
+    posts[0],
+    { ...posts[1], frontmatter: { ...posts[1].frontmatter, updated: '2024-04-01' } },
+  ];
+
+  const atom = buildAtomFeed({ ...options, posts: edited });
+  assert.match(
+    atom,
+    /<published>2024-03-05T00:00:00\.000Z<\/published>\n {4}<updated>2024-04-01T00:00:00\.000Z<\/updated>/
+  );
+  assert.match(atom, /<\/subtitle>[\s\S]*<updated>2024-04-01T00:00:00\.000Z<\/updated>/);
+
+  const history = { 'older-post': { updated: '2024-05-02T10:30:00.000Z' } };
+  const json = JSON.parse(buildJsonFeed({ ...options, posts: edited, history }));
+  assert.deepEqual(
+    json.items.map(item => item.date_modified),
+    ['2024-04-01T00:00:00.000Z', '2024-05-02T10:30:00.000Z']
+  );
+  assert.match(
+    buildRssFeed({ ...options, posts: edited, history }),
+    /<lastBuildDate>Thu, 02 May 2024 10:30:00 GMT<\/lastBuildDate>/
+  );
+});
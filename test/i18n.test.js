@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mkdirSync, mkdtempSync, writeFileSync } = require('node:fs');
+const { join } = require('node:path');
+const { tmpdir } = require('node:os');
+
+const {
+  checkMessageCatalogs,
+  createTranslator,
+  getHreflangAlternates,
+  getLocales,
+  localizePageLink,
+  localizePath,
+} = require('../src/i18n.js');
+const { loadTranslations } = require('../src/content.js');
+const { renderContactPage } = require('../src/contact.js');
+const { renderResumePage } = require('../src/resume.js');
+const { buildSeoHead } = require('../src/seo.js');
+
+const catalogs = {
+  en: { nav: { blog: 'Blog' }, entry: { minRead: '{minutes} min read', history: 'History' } },
+  fr: { entry: { minRead: '{minutes} min de lecture' } },
+};
+
+test('translators interpolate, fall back to the default locale, and reject unknown keys', () => {
+  const t = createTranslator('fr', catalogs);
+
+  assert.equal(t('entry.minRead', { minutes: 4 }), '4 min de lecture');
+  assert.equal(t('entry.history'), 'History');
+  assert.equal(createTranslator('de', catalogs)('nav.blog'), 'Blog');
+  assert.throws(() => t('entry.missing'), /Unknown message "entry\.missing"/);
+  assert.deepEqual(getLocales(catalogs), ['en', 'fr']);
+});
+
+test('localized paths keep the default locale unprefixed and list hreflang alternates', () => {
+  assert.equal(localizePath('/contact', 'en'), '/contact');
+  assert.equal(localizePath('/contact', 'fr'), '/fr/contact');
+  assert.equal(localizePath('/', 'fr'), '/fr');
+  assert.deepEqual(getHreflangAlternates('/blog/drift', ['en', 'fr']), [
+    { hreflang: 'en', path: '/blog/drift' },
+    { hreflang: 'fr', path: '/fr/blog/drift' },
+    { hreflang: 'x-default', path: '/blog/drift' },
+  ]);
+  assert.deepEqual(getHreflangAlternates('/blog/drift', ['en']), []);
+});
+
+test('links only point into a locale when the page is localized', () => {
+  assert.equal(localizePageLink('/', 'fr'), '/fr');
+  assert.equal(localizePageLink('/contact/thanks', 'fr'), '/fr/contact/thanks');
+  assert.equal(localizePageLink('/projects', 'fr'), '/projects');
+  assert.equal(localizePageLink('/contact', 'en'), '/contact');
+});
+
+test('checkMessageCatalogs flags missing, stray, and mismatched messages with positions', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'i18n-'));
+  writeFileSync(join(dir, 'en.json'), JSON.stringify(catalogs.en, null, 2));
+  writeFileSync(
+    join(dir, 'fr.json'),
+    JSON.stringify(
+      { nav: { blog: '' }, entry: { minRead: '{minute} min', history: 'Historique', extra: 'x' } },
+      null,
+      2
+    )
+  );
+
+  const issues = checkMessageCatalogs(dir);
+  assert.deepEqual(
+    issues.map(issue => [issue.field, issue.line]),
+    [
+      ['nav.blog', 3],
+      ['entry.minRead', 6],
+      ['entry.extra', 8],
+    ]
+  );
+  assert.match(issues[0].message, /Missing "fr" translation/);
+  assert.match(issues[1].message, /\{minutes\}/);
+  assert.equal(issues[0].file, join(dir, 'fr.json'));
+});
+
+test('the shipped catalogs translate every message', () => {
+  assert.deepEqual(checkMessageCatalogs(), []);
+});
+
+test('translations may only set translatable fields of existing entries', () => {
+  const root = mkdtempSync(join(tmpdir(), 'content-i18n-'));
+  mkdirSync(join(root, 'fr', 'blog'), { recursive: true });
+  const write = (slug, frontmatter) =>
+    writeFileSync(join(root, 'fr', 'blog', `${slug}.mdx`), `---\n${frontmatter}\n---\n\nCorps.\n`);
+  write('drift', 'title: Dérive\nsummary: Résumé');
+  write('churn', 'title: Attrition\nsummary: Résumé\ndate: 2026-02-01');
+  write('orphan', 'title: Orphelin\nsummary: Résumé');
+  write('incomplete', 'title: Incomplet');
+
+  const issues = [];
+  const entries = ['drift', 'churn', 'incomplete'].map(slug => ({ slug }));
+  const { translations, problems } = loadTranslations('blog', entries, {
+    contentRoot: root,
+    locales: ['fr'],
+    issues,
+  });
+
+  assert.deepEqual(Object.keys(translations), ['drift']);
+  assert.equal(translations.drift.fr.frontmatter.title, 'Dérive');
+  assert.equal(translations.drift.fr.content, 'Corps.');
+  assert.deepEqual(
+    problems.map(problem => [problem.field, problem.line]),
+    [
+      ['date', 4],
+      [null, 1],
+    ]
+  );
+  assert.deepEqual(
+    issues.map(issue => issue.field),
+    ['summary']
+  );
+});
+
+test('pages render in the requested locale with hreflang alternates', () => {
+  const contact = renderContactPage({ locale: 'fr' });
+  assert.match(contact, /Me contacter/);
+  assert.match(contact, /Envoyer le message/);
+  assert.match(contact, /action="\/fr\/contact\/thanks\/"/);
+  assert.doesNotMatch(contact, /Send Message/);
+
+  const resume = renderResumePage({}, { locale: 'fr' });
+  assert.match(resume, /href="\/fr\/contact"/);
+  assert.match(resume, /href="\/projects"/);
+  assert.match(resume, /Télécharger/);
+
+  const head = buildSeoHead({
+    siteUrl: 'https://example.com',
+    siteName: 'Example',
+    pathname: '/fr/contact/',
+    title: 'Contact',
+    description: 'Contact page',
+    locale: 'fr',
+    alternates: getHreflangAlternates('/contact/', ['en', 'fr']),
+  });
+  assert.match(head, /property="og:locale" content="fr_FR"/);
+  assert.match(head, /property="og:locale:alternate" content="en_US"/);
+  assert.match(head, /hreflang="x-default" href="https:\/\/example\.com\/contact\/"/);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { renderMarkdown } = require('../src/markdown.js');
+
+test('renderMarkdown renders block syntax', () => {
+  const html = renderMarkdown(
+    [
+      '# Title',
+      '',
+      'First line',
+      'continues here.',
+      '',
+      '- one',
+      '- two',
+      '',
+      '1. first',
+      '2. second',
+      '',
+      '> quoted',
+      '',
+      '| a | b |',
+      '|---|---|',
+      '| 1 | 2 |',
+      '',
+      '```py',
+      "print('<hi>')",
+      '```',
+    ].join('\n')
+  );
+
+  assert.equal(
+    html,
+    [
+      '<h1>Title</h1>',
+      '<p>First line continues here.</p>',
+      '<ul><li>one</li><li>two</li></ul>',
+      '<ol><li>first</li><li>second</li></ol>',
+      '<blockquote><p>quoted</p></blockquote>',
+      '<table><thead><tr><th>a</th><th>b</th></tr></thead><tbody><tr><td>1</td><td>2</td></tr></tbody></table>',
+      '<pre><code class="language-py">print(&#39;&lt;hi&gt;&#39;)</code></pre>',
+    ].join('\n')
+  );
+});
+
+test('renderMarkdown renders inline syntax and resolves root-relative URLs', () => {
+  assert.equal(
+    renderMarkdown('**Bold**, _em_, `a<b>` and [a post](/blog/x) ![chart](/images/c.png)', {
+      baseUrl: 'https://example.com',
+    }),
+    '<p><strong>Bold</strong>, <em>em</em>, <code>a&lt;b&gt;</code> and <a href="https://example.com/blog/x">a post</a> <img src="https://example.com/images/c.png" alt="chart" /></p>'
+  );
+  assert.equal(
+    renderMarkdown('Use 1 < 2 & snake_case_name'),
+    '<p>Use 1 &lt; 2 &amp; snake_case_name</p>'
+  );
+});
+
+test('renderMarkdown keeps only safe link and image targets', () => {
+  assert.equal(
+    renderMarkdown(
+      '[x](javascript:alert%281%29) [y](JavaScript:void) ![z](data:image/svg+xml,x) [w](//evil.example) [ok](mailto:a@b.c) [top](#top)'
+    ),
+    '<p><a>x</a> <a>y</a> <img alt="z" /> <a>w</a> <a href="mailto:a@b.c">ok</a> <a href="#top">top</a></p>'
+  );
+});
+
+test('renderMarkdown drops imports and JSX components', () => {
+  const html = renderMarkdown(
+    [
+      "import { Chart } from '@/components/ui/chart';",
+      '',
+      'Before',
+      '',
+      '<Chart',
+      '  data={[{ value: 1 }]}',
+      '/>',
+      '',
+      '<Card>',
+      '  <CardContent>Inside</CardContent>',
+      '</Card>',
+      '',
+      'After',
+    ].join('\n')
+  );
+
+  assert.equal(html, '<p>Before</p>\n<p>After</p>');
+});
@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mkdtempSync, writeFileSync } = require('node:fs');
+const { tmpdir } = require('node:os');
+const { join } = require('node:path');
+
+const { checkProjectNotebooks, extractNotebookCells } = require('../src/notebooks.js');
+const projectsIndex = require('../src/generated/projects-index.json');
+
+const PNG =
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+
+function cell(cellType, source, tags, outputs = []) {
+  return cellType === 'markdown'
+    ? { cell_type: 'markdown', metadata: { tags }, source }
+    : { cell_type: 'code', metadata: { tags }, source, outputs };
+}
+
+const notebook = {
+  nbformat: 4,
+  cells: [
+    cell('code', ['import pandas as pd\n'], []),
+    cell(
+      'markdown',
+      '## Results\n\nSee [the data](https://example.com) or [this](javascript:alert(1)).',
+      ['highlight']
+    ),
+    cell(
+      'code',
+      ['# Load the data\n', 'df = pd.read_csv("data.csv")\n'],
+      ['highlight'],
+      [
+        { output_type: 'stream', name: 'stdout', text: ['\u001b[32mloaded\u001b[0m\n'] },
+        { output_type: 'stream', name: 'stderr', text: ['DeprecationWarning\n'] },
+        {
+          output_type: 'execute_result',
+          data: {
+            'text/html': [
+              '<table><thead><tr><th></th><th>state</th></tr></thead>',
+              '<tbody><tr><th>0</th><td>KS &amp; <script>x</script>NE</td></tr></tbody></table>',
+            ],
+            'text/plain': ['  state\n0  KS'],
+          },
+        },
+        {
+          output_type: 'display_data',
+          data: { 'image/png': PNG, 'text/plain': ['<Figure size 640x480 with 1 Axes>'] },
+        },
+        { output_type: 'display_data', data: { 'application/javascript': 'alert(1)' } },
+      ]
+    ),
+    cell(
+      'code',
+      'secret = load_token()',
+      ['highlight', 'remove-input'],
+      [{ output_type: 'stream', name: 'stdout', text: 'ok' }]
+    ),
+    cell(
+      'code',
+      'df.plot()',
+      ['highlight', 'remove-output'],
+      [{ output_type: 'display_data', data: { 'image/png': '***not base64***' } }]
+    ),
+  ],
+};
+
+test('extractNotebookCells keeps tagged cells and reduces outputs to text, tables, and images', () => {
+  const { cells, problems } = extractNotebookCells(notebook);
+
+  assert.deepEqual(problems, []);
+  assert.deepEqual(
+    cells.map(({ number, kind, title }) => [number, kind, title]),
+    [
+      [2, 'markdown', 'Results'],
+      [3, 'code', 'Load the data'],
+      [4, 'code', 'Cell 4'],
+      [5, 'code', 'Cell 5'],
+    ]
+  );
+  assert.match(cells[0].html, /<a href="https:\/\/example\.com">the data<\/a>/);
+  assert.match(cells[0].html, /<a>this<\/a>/);
+  assert.deepEqual(cells[1].outputs, [
+    { type: 'text', text: 'loaded' },
+    { type: 'table', columns: ['', 'state'], rows: [['0', 'KS & xNE']] },
+    { type: 'image', src: `data:image/png;base64,${PNG}`, alt: 'Notebook figure' },
+  ]);
+  assert.equal(cells[2].code, null);
+  assert.deepEqual(cells[2].outputs, [{ type: 'text', text: 'ok' }]);
+  assert.deepEqual(cells[3].outputs, []);
+});
+
+test('extractNotebookCells reports bad images and notebooks with nothing tagged', () => {
+  const broken = {
+    cells: [
+      cell(
+        'code',
+        'df.plot()',
+        ['highlight'],
+        [{ output_type: 'display_data', data: { 'image/png': '***not base64***' } }]
+      ),
+    ],
+  };
+  assert.deepEqual(
+    extractNotebookCells(broken).problems.map(problem => problem.message),
+    ['Cell 1 has a PNG output that is not valid base64']
+  );
+  assert.deepEqual(
+    extractNotebookCells(notebook, { tag: 'appendix' }).problems.map(problem => problem.message),
+    ['No cells are tagged "appendix"']
+  );
+});
+
+test('checkProjectNotebooks reports missing notebooks and accepts the shipped ones', () => {
+  const contentRoot = mkdtempSync(join(tmpdir(), 'notebooks-'));
+  writeFileSync(join(contentRoot, 'analysis.ipynb'), JSON.stringify(notebook));
+  const project = (slug, settings) => ({ slug, frontmatter: { notebook: settings } });
+
+  assert.deepEqual(
+    checkProjectNotebooks(
+      [
+        project('found', { file: 'analysis.ipynb' }),
+        project('missing', { file: 'notebooks/missing.ipynb' }),
+        project('outside', { file: '../analysis.ipynb' }),
+        { slug: 'none', frontmatter: {} },
+      ],
+      { contentRoot }
+    ).map(({ slug, field, message }) => [slug, field, message]),
+    [
+      ['missing', 'notebook', 'Notebook "notebooks/missing.ipynb" does not exist'],
+      ['outside', 'notebook', `"../analysis.ipynb" is outside ${contentRoot}/`],
+    ]
+  );
+
+  assert.ok(projectsIndex.some(entry => entry.frontmatter.notebook));
+  assert.deepEqual(checkProjectNotebooks(projectsIndex), []);
+});
@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { existsSync, mkdtempSync, readFileSync } = require('node:fs');
+const { join } = require('node:path');
+const { tmpdir } = require('node:os');
+
+const {
+  fitTitle,
+  formatOgDate,
+  generateOgImages,
+  getOgImagePath,
+  toOgImageCard,
+  toOgImageCards,
+  wrapText,
+} = require('../src/og-images.js');
+
+// Each character is as wide as the font size.
+const measureAt = size => text => text.length * size;
+
+function fakeCanvas() {
+  const drawn = [];
+  return {
+    drawn,
+    createCanvas(width, height) {
+      const context = {
+        font: '',
+        measureText: text => ({ width: text.length * 10 }),
+        fillText: text => drawn.push(text),
+      };
+      for (const method of ['fillRect', 'beginPath', 'roundRect', 'stroke']) {
+        context[method] = () => {};
+      }
+      return {
+        width,
+        height,
+        getContext: () => context,
+        toBuffer: () => Buffer.from(`png:${drawn.length}`),
+      };
+    },
+  };
+}
+
+const entry = (slug, title, extra = {}) => ({
+  slug,
+  content: 'word '.repeat(450),
+  frontmatter: { title, date: '2026-02-14', tags: ['ml', 'mlops'], ...extra },
+});
+
+test('cards carry the image path, tag labels, date, and reading time', () => {
+  assert.equal(getOgImagePath('blog', 'drift'), '/og/blog/drift.png');
+  assert.equal(formatOgDate('2026-02-14T09:00:00Z'), 'February 14, 2026');
+  assert.equal(formatOgDate('not a date'), '');
+
+  const card = toOgImageCard(entry('drift', 'Catching drift'), {
+    collection: 'blog',
+    siteName: 'Portfolio',
+    tagLabel: tag => tag.toUpperCase(),
+  });
+  assert.deepEqual(card, {
+    path: '/og/blog/drift.png',
+    kicker: 'Blog',
+    title: 'Catching drift',
+    tags: ['ML', 'MLOPS'],
+    date: 'February 14, 2026',
+    readingTime: '3 min read',
+    siteName: 'Portfolio',
+  });
+
+  const [project] = toOgImageCards(
+    { projects: [entry('churn', 'Churn model', { readingTime: 7 })], blog: [] },
+    { siteName: 'Portfolio', tagLabels: { ml: 'Machine Learning' } }
+  );
+  assert.equal(project.kicker, 'Project case study');
+  assert.deepEqual(project.tags, ['Machine Learning', 'mlops']);
+  assert.equal(project.readingTime, '7 min read');
+});
+
+test('titles shrink to fit three lines and are cut with an ellipsis as a last resort', () => {
+  assert.deepEqual(wrapText('one two three', 70, measureAt(10)), {
+    lines: ['one two', 'three'],
+    truncated: false,
+  });
+  assert.deepEqual(wrapText('one two three four five', 70, measureAt(10), 2), {
+    lines: ['one two', 'three…'],
+    truncated: true,
+  });
+
+  const medium = 'Detecting drift before customers notice';
+  assert.equal(fitTitle(medium, 1040, measureAt).fontSize, 64);
+
+  const long = 'word '.repeat(80).trim();
+  const fitted = fitTitle(long, 1040, measureAt);
+  assert.equal(fitted.fontSize, 48);
+  assert.equal(fitted.lines.length, 3);
+  assert.ok(fitted.lines[2].endsWith('…'));
+});
+
+test('generateOgImages draws changed cards, reuses cached ones, and prunes removed entries', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'og-images-'));
+  const options = { publicDir: join(dir, 'public'), cacheFile: join(dir, 'cache.json') };
+  const cards = toOgImageCards(
+    { projects: [entry('churn', 'Churn model')], blog: [entry('drift', 'Catching drift')] },
+    { siteName: 'Portfolio' }
+  );
+  const file = path => join(options.publicDir, path);
+
+  const first = generateOgImages(cards, { ...options, canvas: fakeCanvas() });
+  assert.equal(first.available, true);
+  assert.deepEqual(first.written, ['/og/projects/churn.png', '/og/blog/drift.png']);
+  assert.ok(readFileSync(file('/og/blog/drift.png')).toString().startsWith('png:'));
+
+  const edited = [cards[0], { ...cards[1], title: 'Catching drift early' }];
+  const canvas = fakeCanvas();
+  const second = generateOgImages(edited, { ...options, canvas });
+  assert.deepEqual(second.reused, ['/og/projects/churn.png']);
+  assert.deepEqual(second.written, ['/og/blog/drift.png']);
+  assert.ok(canvas.drawn.includes('Catching drift early'));
+
+  const third = generateOgImages([edited[1]], { ...options, canvas: fakeCanvas() });
+  assert.deepEqual(third.images, ['/og/blog/drift.png']);
+  assert.equal(existsSync(file('/og/projects/churn.png')), false);
+});
+
+test('without canvas, cached images are kept and outdated ones are removed', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'og-images-'));
+  const options = { publicDir: join(dir, 'public'), cacheFile: join(dir, 'cache.json') };
+  const cards = toOgImageCards(
+    { projects: [], blog: [entry('drift', 'Catching drift'), entry('notes', 'Notes')] },
+    { siteName: 'Portfolio' }
+  );
+  generateOgImages(cards, { ...options, canvas: fakeCanvas() });
+
+  const result = generateOgImages([cards[0], { ...cards[1], title: 'Field notes' }], {
+    ...options,
+    canvas: null,
+  });
+  assert.equal(result.available, false);
+  assert.deepEqual(result.images, ['/og/blog/drift.png']);
+  assert.deepEqual(result.skipped, ['/og/blog/notes.png']);
+  assert.equal(existsSync(join(options.publicDir, '/og/blog/notes.png')), false);
+});
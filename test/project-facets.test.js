@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  applyFacetState,
+  clearFacetFilters,
+  countFacetValues,
+  createFacetState,
+  parseFacetState,
+  serializeFacetState,
+  toFacetRecord,
+  toggleFacetValue,
+} = require('../src/project-facets.js');
+
+function project(slug, { date, tags = [], tech = [], domain, readingTime = 5 }) {
+  return toFacetRecord(
+    { slug, readingTime, frontmatter: { date, tags, tech, ...(domain ? { domain } : {}) } },
+    { tagLabel: tag => tag.toUpperCase() }
+  );
+}
+
+const records = [
+  project('forecast', {
+    date: '2024-03-01',
+    tags: ['ml', 'time-series'],
+    tech: ['Python'],
+    domain: 'retail',
+  }),
+  project('churn', {
+    date: '2025-01-10',
+    tags: ['ml'],
+    tech: ['Python', 'SQL'],
+    domain: 'saas',
+    readingTime: 3,
+  }),
+  project('dashboard', {
+    date: '2023-06-20',
+    tags: ['analytics'],
+    tech: ['SQL', 'Power BI'],
+    domain: 'retail',
+  }),
+  project('draft', { date: '2025-05-01', tags: ['nlp'], tech: ['Python'] }),
+];
+
+const slugs = list => list.map(record => record.slug);
+
+test('facet state round-trips through the query string and drops defaults', () => {
+  const state = parseFacetState(
+    '?tag=ML,time-series,ml&tech=power%20bi&domain=Retail&match=all&sort=oldest'
+  );
+
+  assert.deepEqual(state.tag, ['ml', 'time-series']);
+  assert.deepEqual(state.tech, ['power-bi']);
+  assert.deepEqual(state.domain, ['retail']);
+  assert.equal(state.match, 'all');
+  assert.equal(state.sort, 'oldest');
+  assert.equal(
+    serializeFacetState(state),
+    'tag=ml,time-series&tech=power-bi&domain=retail&match=all&sort=oldest'
+  );
+  assert.deepEqual(parseFacetState(serializeFacetState(state)), state);
+
+  const fallback = parseFacetState('match=some&sort=random');
+  assert.deepEqual(fallback, createFacetState());
+  assert.equal(serializeFacetState(fallback), '');
+});
+
+test('match any widens within a facet, match all narrows, and facets combine with AND', () => {
+  const any = { ...createFacetState(), tag: ['time-series', 'analytics'] };
+  assert.deepEqual(slugs(applyFacetState(records, any)), ['forecast', 'dashboard']);
+
+  const all = { ...createFacetState(), tech: ['python', 'sql'], match: 'all' };
+  assert.deepEqual(slugs(applyFacetState(records, all)), ['churn']);
+
+  const combined = { ...createFacetState(), tag: ['ml'], year: ['2024'] };
+  assert.deepEqual(slugs(applyFacetState(records, combined)), ['forecast']);
+
+  // Years and domains are single-valued, so they always match any.
+  const years = { ...createFacetState(), year: ['2023', '2025'], match: 'all' };
+  assert.deepEqual(slugs(applyFacetState(records, years)), ['draft', 'churn', 'dashboard']);
+  const domains = { ...createFacetState(), domain: ['retail', 'saas'], match: 'all' };
+  assert.deepEqual(slugs(applyFacetState(records, domains)), ['churn', 'forecast', 'dashboard']);
+});
+
+test('results sort by date either way or by reading time', () => {
+  const state = createFacetState();
+
+  assert.deepEqual(slugs(applyFacetState(records, state)), [
+    'draft',
+    'churn',
+    'forecast',
+    'dashboard',
+  ]);
+  assert.deepEqual(slugs(applyFacetState(records, { ...state, sort: 'oldest' })), [
+    'dashboard',
+    'forecast',
+    'churn',
+    'draft',
+  ]);
+  assert.deepEqual(slugs(applyFacetState(records, { ...state, sort: 'reading-time' })), [
+    'churn',
+    'dashboard',
+    'draft',
+    'forecast',
+  ]);
+});
+
+test('facet counts ignore their own selection under match any and keep pinned values first', () => {
+  const state = toggleFacetValue(createFacetState(), 'tag', 'ml');
+  const facets = countFacetValues(records, state, { pinned: { tag: ['nlp'] } });
+  const count = (facet, value) => facets[facet].find(option => option.value === value);
+
+  assert.deepEqual(
+    facets.tag.map(option => option.value),
+    ['nlp', 'ml', 'analytics', 'time-series']
+  );
+  assert.deepEqual(count('tag', 'ml'), { value: 'ml', label: 'ML', count: 2, selected: true });
+  assert.equal(count('tag', 'analytics').count, 1);
+  assert.equal(count('tech', 'power-bi').count, 0);
+  assert.equal(count('tech', 'power-bi').label, 'Power BI');
+  assert.deepEqual(
+    facets.year.map(option => option.value),
+    ['2025', '2024', '2023']
+  );
+  // Projects without a domain are only left out of the domain counts.
+  assert.deepEqual(
+    facets.domain.map(option => [option.value, option.label, option.count]),
+    [
+      ['retail', 'Retail & E-commerce', 1],
+      ['saas', 'SaaS', 1],
+    ]
+  );
+
+  const all = countFacetValues(records, { ...state, match: 'all' });
+  assert.equal(all.tag.find(option => option.value === 'analytics').count, 0);
+  assert.equal(all.tag.find(option => option.value === 'time-series').count, 1);
+});
+
+test('clearing filters keeps the match mode and sort', () => {
+  const state = {
+    ...createFacetState(),
+    tag: ['ml'],
+    year: ['2024'],
+    match: 'all',
+    sort: 'oldest',
+  };
+
+  assert.deepEqual(clearFacetFilters(state), {
+    ...createFacetState(),
+    match: 'all',
+    sort: 'oldest',
+  });
+  assert.deepEqual(toggleFacetValue(state, 'tag', 'ml').tag, []);
+});
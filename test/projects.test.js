@@ -72,3 +72,14 @@ test('project case study renders all required sections and repo link', () => {
   assert.match(caseStudy, /View source repository/);
   assert.match(caseStudy, /data-analytics-event="case_study_repo_click"/);
 });
+
+test('project case study lists related write-ups when present', () => {
+  const caseStudy = renderProjectCaseStudy({
+    ...projects[0],
+    relatedPosts: [{ slug: 'ssa-disability-data-cleaning', title: 'Cleaning the SSA data' }],
+  });
+
+  assert.match(caseStudy, /data-related-posts/);
+  assert.match(caseStudy, /href="\/blog\/ssa-disability-data-cleaning">Cleaning the SSA data<\/a>/);
+  assert.doesNotMatch(renderProjectCaseStudy(projects[0]), /data-related-posts/);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mkdtempSync, writeFileSync } = require('node:fs');
+const { join } = require('node:path');
+const { tmpdir } = require('node:os');
+
+const {
+  checkPublishFields,
+  filterVisibleEntries,
+  getPublishState,
+  isPreviewMode,
+} = require('../src/publishing.js');
+const { blogSchema, loadCollectionEntries } = require('../src/content.js');
+
+const now = new Date('2024-06-15T12:00:00Z');
+
+test('getPublishState honours status and publishAt dates', () => {
+  assert.equal(getPublishState({ status: 'published' }, now), 'published');
+  assert.equal(getPublishState({ status: 'draft', publishAt: '2024-01-01' }, now), 'draft');
+  assert.equal(getPublishState({ status: 'scheduled', publishAt: '2024-06-16' }, now), 'scheduled');
+  assert.equal(getPublishState({ status: 'scheduled', publishAt: '2024-06-15' }, now), 'published');
+  assert.equal(getPublishState({ status: 'published', publishAt: '2024-07-01' }, now), 'scheduled');
+  assert.equal(getPublishState({}, now), 'draft');
+});
+
+test('filterVisibleEntries hides drafts and future entries unless previewing', () => {
+  const entries = [
+    { slug: 'live', frontmatter: { status: 'published' } },
+    { slug: 'draft', frontmatter: { status: 'draft' } },
+    { slug: 'later', frontmatter: { status: 'scheduled', publishAt: '2024-12-01' } },
+  ];
+
+  assert.deepEqual(
+    filterVisibleEntries(entries, { now }).map(entry => entry.slug),
+    ['live']
+  );
+  assert.deepEqual(
+    filterVisibleEntries(entries, { now, preview: true }).map(entry => entry.slug),
+    ['live', 'draft', 'later']
+  );
+});
+
+test('isPreviewMode reads CONTENT_PREVIEW', () => {
+  assert.equal(isPreviewMode({}), false);
+  assert.equal(isPreviewMode({ CONTENT_PREVIEW: '1' }), true);
+  assert.equal(isPreviewMode({ CONTENT_PREVIEW: 'TRUE' }), true);
+  assert.equal(isPreviewMode({ CONTENT_PREVIEW: '0' }), false);
+});
+
+test('scheduled entries must set publishAt', () => {
+  assert.deepEqual(checkPublishFields({ status: 'scheduled', publishAt: '2024-07-01' }), []);
+
+  const dir = mkdtempSync(join(tmpdir(), 'content-publishing-'));
+  writeFileSync(
+    join(dir, 'later.mdx'),
+    [
+      '---',
+      'title: Later',
+      'date: 2024-06-01',
+      'tags: [notes]',
+      'summary: Coming soon',
+      'readingTime: 3',
+      'status: scheduled',
+      '---',
+      'Body',
+    ].join('\n')
+  );
+
+  const issues = [];
+  loadCollectionEntries(dir, blogSchema, { issues });
+
+  assert.equal(issues.length, 1);
+  assert.equal(issues[0].field, 'status');
+  assert.equal(issues[0].line, 7);
+  assert.match(issues[0].message, /"scheduled" but no "publishAt" date/);
+});
@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  buildSearchIndex,
+  buildSnippet,
+  editDistance,
+  extractSearchText,
+  highlightText,
+  prepareSearchIndex,
+  searchContent,
+} = require('../src/search-index.js');
+const {
+  BLOG_DIR,
+  PROJECTS_DIR,
+  blogSchema,
+  loadCollectionEntries,
+  projectSchema,
+} = require('../src/content.js');
+
+function entry(slug, frontmatter, content) {
+  return { slug, frontmatter: { tags: [], summary: '', ...frontmatter }, content };
+}
+
+const fixtures = {
+  projects: [
+    entry(
+      'breach-study',
+      { title: 'Breach Study', tags: ['finance'], tech: ['Python'] },
+      '# Method\n\nA difference-in-differences design on stock returns.'
+    ),
+  ],
+  blog: [
+    entry(
+      'tableau-notes',
+      { title: 'Tableau Notes', summary: 'Choropleth prep', tags: ['visualization'] },
+      'import Chart from "./chart";\n\n<Chart data={rows} />\n\nExporting a **Tableau** extract.'
+    ),
+  ],
+};
+
+test('extractSearchText strips MDX syntax and collects headings', () => {
+  const { headings, text } = extractSearchText(fixtures.blog[0].content);
+  assert.deepEqual(headings, []);
+  assert.equal(text, 'Exporting a Tableau extract.');
+  assert.deepEqual(extractSearchText(fixtures.projects[0].content).headings, ['Method']);
+});
+
+test('buildSearchIndex stores documents and weighted postings', () => {
+  const index = buildSearchIndex(fixtures);
+
+  assert.deepEqual(
+    index.docs.map(doc => doc.href),
+    ['/projects/breach-study', '/blog/tableau-notes']
+  );
+  assert.deepEqual(index.docs[0].tags, ['finance', 'Python']);
+  // "tableau" appears in the title (8) and the body (1) of document 1.
+  assert.deepEqual(index.terms.tableau, [1, 9]);
+  assert.ok(!('import' in index.terms));
+  // Docs ship an excerpt (summary and headings, else the opening text), not the body.
+  assert.deepEqual(
+    index.docs.map(doc => doc.excerpt),
+    ['Method', 'Choropleth prep']
+  );
+  assert.ok(index.docs.every(doc => !('text' in doc) && !('fields' in doc)));
+});
+
+test('buildSearchIndex caps excerpts of long bodies', () => {
+  const long = entry('long', { title: 'Long' }, 'word '.repeat(100));
+  const [doc] = buildSearchIndex({ blog: [long] }).docs;
+  assert.ok(doc.excerpt.length <= 201);
+  assert.ok(doc.excerpt.endsWith('word…'));
+});
+
+test('searchContent supports prefix matches, typos, and multi-word queries', () => {
+  const index = prepareSearchIndex(buildSearchIndex(fixtures));
+  const slugs = query => searchContent(index, query).map(result => result.doc.slug);
+
+  assert.deepEqual(slugs('difference-in-differences'), ['breach-study']);
+  assert.deepEqual(slugs('Tabl'), ['tableau-notes']);
+  assert.deepEqual(slugs('tablaeu'), ['tableau-notes']);
+  assert.deepEqual(slugs('python returns'), ['breach-study']);
+  assert.deepEqual(slugs('python tableau'), []);
+  assert.deepEqual(slugs(''), []);
+  assert.equal(editDistance('tablaeu', 'tableau', 1), 1);
+});
+
+test('snippets highlight matched terms around the first match', () => {
+  assert.deepEqual(highlightText('Tableau notes', ['tableau']), [
+    { text: 'Tableau', match: true },
+    { text: ' notes', match: false },
+  ]);
+
+  // Terms are matched accent-folded, as indexed, but the original text is shown.
+  assert.deepEqual(highlightText('Une régression du résumé', ['regression', 'resume']), [
+    { text: 'Une ', match: false },
+    { text: 'régression', match: true },
+    { text: ' du ', match: false },
+    { text: 'résumé', match: true },
+  ]);
+
+  const text = `${'intro '.repeat(40)}the choropleth map ${'outro '.repeat(40)}`;
+  const snippet = buildSnippet(text, ['choropleth'], { length: 60 });
+  const rendered = snippet.map(segment => segment.text).join('');
+  assert.ok(rendered.startsWith('…'));
+  assert.ok(rendered.endsWith('…'));
+  assert.deepEqual(
+    snippet.filter(segment => segment.match).map(segment => segment.text),
+    ['choropleth']
+  );
+});
+
+test('the content index finds posts by body text', () => {
+  const index = prepareSearchIndex(
+    buildSearchIndex({
+      projects: loadCollectionEntries(PROJECTS_DIR, projectSchema),
+      blog: loadCollectionEntries(BLOG_DIR, blogSchema),
+    })
+  );
+
+  const [first] = searchContent(index, 'difference-in-differences');
+  assert.equal(first.doc.slug, 'f5-breach-threat-intelligence');
+  assert.ok(searchContent(index, 'tableau').some(result => result.doc.type === 'post'));
+});
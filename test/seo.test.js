@@ -8,6 +8,7 @@ const {
   normalizeSiteUrl,
   resolveSiteUrl,
 } = require('../src/seo.js');
+const { getTagFeeds } = require('../src/feeds.js');
 
 test('resolveSiteUrl prefers configured env vars', () => {
   assert.equal(resolveSiteUrl({ SITE_URL: 'https://example.com/' }), 'https://example.com');
@@ -50,6 +51,20 @@ test('buildSitemapXml emits expected URL entries', () => {
   assert.match(xml, /<loc>https:\/\/example\.com\/contact\/<\/loc>/);
 });
 
+test('buildSitemapXml prefers per-entry lastmod over the global fallback', () => {
+  const xml = buildSitemapXml({
+    siteUrl: 'https://example.com',
+    paths: [{ path: '/blog/post/', lastmod: '2026-03-01T10:00:00.000Z' }, { path: '/about/' }],
+    lastmod: '2026-02-09',
+  });
+
+  assert.match(
+    xml,
+    /<loc>https:\/\/example\.com\/blog\/post\/<\/loc><lastmod>2026-03-01T10:00:00\.000Z<\/lastmod>/
+  );
+  assert.match(xml, /<loc>https:\/\/example\.com\/about\/<\/loc><lastmod>2026-02-09<\/lastmod>/);
+});
+
 test('buildRobotsTxt references the sitemap', () => {
   const robots = buildRobotsTxt({ siteUrl: 'https://example.com' });
   assert.match(robots, /Sitemap: https:\/\/example\.com\/sitemap\.xml/);
@@ -129,3 +144,56 @@ test('resolveSiteUrl falls back through env vars', () => {
   assert.equal(resolveSiteUrl({ DEPLOY_PRIME_URL: 'https://deploy.com' }), 'https://deploy.com');
   assert.equal(resolveSiteUrl({ DEPLOY_URL: 'https://deploy-url.com/' }), 'https://deploy-url.com');
 });
+
+test('buildSeoHead advertises feeds with rel="alternate"', () => {
+  const head = buildSeoHead({
+    siteUrl: 'https://example.com',
+    siteName: 'Example',
+    pathname: '/',
+    title: 'Home',
+    description: 'Welcome.',
+  });
+  assert.match(
+    head,
+    /<link rel="alternate" type="application\/rss\+xml" title="Example \(RSS\)" href="https:\/\/example\.com\/feed\.xml" \/>/
+  );
+  assert.match(head, /type="application\/atom\+xml"/);
+  assert.match(head, /type="application\/feed\+json"/);
+
+  const tagHead = buildSeoHead({
+    siteUrl: 'https://example.com',
+    siteName: 'Example',
+    pathname: '/tags/python/',
+    title: 'Python',
+    description: 'Posts tagged python.',
+    feeds: getTagFeeds('python', { siteName: 'Example' }),
+  });
+  assert.match(
+    tagHead,
+    /title="Example · python \(Atom\)" href="https:\/\/example\.com\/tags\/python\/atom\.xml"/
+  );
+});
+
+test('buildSeoHead links paginated listings to their neighbours', () => {
+  const head = buildSeoHead({
+    siteUrl: 'https://example.com',
+    siteName: 'Example',
+    pathname: '/blog/page/2/',
+    title: 'Blog · Page 2',
+    description: 'Older posts.',
+    pagination: { previousPath: '/blog/', nextPath: '/blog/page/3/' },
+  });
+  assert.match(head, /<link rel="prev" href="https:\/\/example\.com\/blog\/" \/>/);
+  assert.match(head, /<link rel="next" href="https:\/\/example\.com\/blog\/page\/3\/" \/>/);
+
+  const firstPage = buildSeoHead({
+    siteUrl: 'https://example.com',
+    siteName: 'Example',
+    pathname: '/blog/',
+    title: 'Blog',
+    description: 'Posts.',
+    pagination: { previousPath: null, nextPath: '/blog/page/2/' },
+  });
+  assert.doesNotMatch(firstPage, /rel="prev"/);
+  assert.match(firstPage, /rel="next"/);
+});
@@ -0,0 +1,168 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const { join } = require('node:path');
+
+const { buildSitemapXml } = require('../src/seo.js');
+const {
+  buildContentSitemapEntries,
+  buildSitemaps,
+  getEntryImages,
+  getSitemapPath,
+} = require('../src/sitemap.js');
+const projectsIndex = require('../src/generated/projects-index.json');
+const blogIndex = require('../src/generated/blog-index.json');
+
+const XSD_DIR = join(__dirname, 'fixtures', 'sitemap-xsd');
+// Local copies of the sitemaps.org and Google image sitemap schemas (no network in tests).
+const hasXmllint = spawnSync('xmllint', ['--version']).status === 0;
+const xsdTest = hasXmllint ? test : test.skip;
+
+function validateXml(xml, schema) {
+  const result = spawnSync('xmllint', ['--noout', '--schema', join(XSD_DIR, schema), '-'], {
+    input: xml,
+    encoding: 'utf8',
+  });
+  assert.equal(result.status, 0, result.stderr);
+}
+
+const siteUrl = 'https://example.com';
+
+test('buildSitemapXml adds changefreq, priority, images, and hreflang alternates', () => {
+  const xml = buildSitemapXml({
+    siteUrl,
+    paths: [
+      {
+        path: '/projects/churn',
+        lastmod: '2026-03-01',
+        changefreq: 'monthly',
+        priority: 0.8,
+        images: ['/images/churn.png', 'https://cdn.example.org/churn-chart.png'],
+        alternates: [
+          { hreflang: 'en', path: '/projects/churn' },
+          { hreflang: 'fr', path: '/fr/projects/churn' },
+          { hreflang: 'x-default', path: '/projects/churn' },
+        ],
+      },
+    ],
+  });
+
+  assert.match(xml, /xmlns:image="http:\/\/www\.google\.com\/schemas\/sitemap-image\/1\.1"/);
+  assert.match(xml, /xmlns:xhtml="http:\/\/www\.w3\.org\/1999\/xhtml"/);
+  assert.match(
+    xml,
+    /<lastmod>2026-03-01<\/lastmod><changefreq>monthly<\/changefreq><priority>0\.8<\/priority>/
+  );
+  assert.match(xml, /<image:loc>https:\/\/example\.com\/images\/churn\.png<\/image:loc>/);
+  assert.match(xml, /<image:loc>https:\/\/cdn\.example\.org\/churn-chart\.png<\/image:loc>/);
+  assert.match(
+    xml,
+    /<xhtml:link rel="alternate" hreflang="fr" href="https:\/\/example\.com\/fr\/projects\/churn" \/>/
+  );
+  assert.doesNotMatch(buildSitemapXml({ siteUrl, paths: ['/'] }), /xmlns:(image|xhtml)/);
+});
+
+test('buildSitemapXml rejects invalid hreflang, changefreq, and priority values', () => {
+  const build = entry => buildSitemapXml({ siteUrl, paths: [{ path: '/', ...entry }] });
+
+  assert.throws(() => build({ alternates: [{ hreflang: 'en_US', path: '/' }] }), /hreflang/);
+  assert.throws(() => build({ changefreq: 'fortnightly' }), /changefreq/);
+  assert.throws(() => build({ priority: 1.5 }), /priority/);
+});
+
+test('content entries carry their git dates and cover and gallery images', () => {
+  const entries = [
+    {
+      slug: 'churn',
+      frontmatter: {
+        date: '2026-02-10',
+        cover: '/images/churn.png',
+        gallery: ['/images/churn.png', '/images/churn-2.png'],
+      },
+    },
+    { slug: 'drift', frontmatter: { date: '2026-02-14', cover: '/assets/og.png' } },
+  ];
+
+  assert.deepEqual(getEntryImages(entries[0].frontmatter), [
+    '/images/churn.png',
+    '/images/churn-2.png',
+  ]);
+  assert.deepEqual(getEntryImages(entries[1].frontmatter), []);
+  assert.deepEqual(
+    buildContentSitemapEntries('blog', entries, {
+      history: { churn: { updated: '2026-03-05T08:00:00.000Z' } },
+    }).map(entry => [entry.path, entry.lastmod, entry.priority]),
+    [
+      ['/blog/churn', '2026-03-05T08:00:00.000Z', 0.7],
+      ['/blog/drift', '2026-02-14', 0.7],
+    ]
+  );
+});
+
+test('translated entries are listed per locale with hreflang alternates', () => {
+  const entries = buildContentSitemapEntries('blog', [
+    { slug: 'drift', frontmatter: { date: '2026-02-14' }, locales: ['en', 'fr'] },
+    { slug: 'churn', frontmatter: { date: '2026-02-10' } },
+  ]);
+
+  assert.deepEqual(
+    entries.map(entry => entry.path),
+    ['/blog/drift', '/fr/blog/drift', '/blog/churn']
+  );
+  assert.deepEqual(entries[1].alternates, entries[0].alternates);
+  assert.equal(entries[0].alternates.length, 3);
+  assert.equal(entries[2].alternates, undefined);
+});
+
+test('buildSitemaps splits sections behind an index dated by their newest entry', () => {
+  const { index, sitemaps } = buildSitemaps({
+    siteUrl,
+    sections: {
+      pages: [{ path: '/', lastmod: '2026-02-01' }, { path: '/about' }],
+      projects: [],
+      blog: [
+        { path: '/blog/a', lastmod: '2026-03-05T08:00:00.000Z' },
+        { path: '/blog/b', lastmod: '2026-03-06' },
+      ],
+    },
+  });
+
+  assert.deepEqual(
+    sitemaps.map(sitemap => sitemap.path),
+    [getSitemapPath('pages'), getSitemapPath('blog')]
+  );
+  assert.match(
+    index,
+    /<loc>https:\/\/example\.com\/sitemaps\/blog\.xml<\/loc><lastmod>2026-03-06<\/lastmod>/
+  );
+  assert.doesNotMatch(index, /projects\.xml/);
+});
+
+xsdTest('generated sitemaps validate against the sitemap XSDs', () => {
+  const { index, sitemaps } = buildSitemaps({
+    siteUrl,
+    sections: {
+      pages: [
+        {
+          path: '/',
+          lastmod: '2026-02-01',
+          changefreq: 'weekly',
+          priority: 1,
+          alternates: [
+            { hreflang: 'en', path: '/' },
+            { hreflang: 'x-default', path: '/' },
+          ],
+        },
+        { path: '/about' },
+      ],
+      projects: buildContentSitemapEntries('projects', projectsIndex),
+      blog: buildContentSitemapEntries('blog', blogIndex),
+    },
+  });
+
+  assert.equal(sitemaps.length, 3);
+  validateXml(index, 'siteindex.xsd');
+  for (const sitemap of sitemaps) {
+    validateXml(sitemap.xml, 'urlset.xsd');
+  }
+});
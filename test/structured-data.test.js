@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  buildBlogPostingSchema,
+  buildBreadcrumbSchema,
+  buildPersonSchema,
+  buildProjectSchema,
+  buildWebSiteSchema,
+  serializeStructuredData,
+  validateStructuredData,
+} = require('../src/structured-data.js');
+const { filterVisibleEntries } = require('../src/publishing.js');
+
+const siteUrl = 'https://example.com';
+const projects = filterVisibleEntries(require('../src/generated/projects-index.json'));
+const blog = filterVisibleEntries(require('../src/generated/blog-index.json'));
+
+function assertValid(schema) {
+  assert.deepEqual(validateStructuredData(schema), [], `${schema['@type']} ${schema.url ?? ''}`);
+}
+
+test('every published post and project yields valid structured data', () => {
+  assert.ok(blog.length > 0 && projects.length > 0);
+
+  for (const post of blog) {
+    const schema = buildBlogPostingSchema(post, { siteUrl, image: '/og/blog/post.png' });
+    assert.equal(schema['@type'], 'BlogPosting');
+    assert.equal(schema.url, `${siteUrl}/blog/${post.slug}`);
+    assertValid(schema);
+  }
+
+  for (const project of projects) {
+    const schema = buildProjectSchema(project, { siteUrl });
+    assert.equal(schema['@type'], project.frontmatter.repo ? 'SoftwareSourceCode' : 'CreativeWork');
+    assertValid(schema);
+  }
+  assert.ok(projects.some(project => project.frontmatter.repo));
+});
+
+test('posts and projects map their frontmatter onto schema.org properties', () => {
+  const entry = {
+    slug: 'drift',
+    frontmatter: {
+      title: 'Catching drift',
+      date: '2026-02-14',
+      summary: 'Monitoring models in production.',
+      tags: ['ml', 'mlops', 'ml'],
+      tech: ['Python', 'Evidently'],
+      repo: 'https://github.com/example/drift',
+    },
+  };
+  const tagLabel = tag => tag.toUpperCase();
+
+  const post = buildBlogPostingSchema(entry, { siteUrl, dateModified: '2026-03-01', tagLabel });
+  assert.equal(post.headline, 'Catching drift');
+  assert.equal(post.datePublished, '2026-02-14');
+  assert.equal(post.dateModified, '2026-03-01');
+  assert.equal(post.keywords, 'ML, MLOPS');
+  assert.equal(post.author['@id'], `${siteUrl}/#person`);
+
+  const project = buildProjectSchema(entry, { siteUrl, image: '/og/projects/drift.png' });
+  assert.equal(project.codeRepository, 'https://github.com/example/drift');
+  assert.deepEqual(project.programmingLanguage, ['Python', 'Evidently']);
+  assert.equal(project.dateModified, '2026-02-14');
+  assert.equal(project.image, `${siteUrl}/og/projects/drift.png`);
+});
+
+test('the person and site schemas carry the author and what they know', () => {
+  const person = buildPersonSchema({ siteUrl, projects });
+  assertValid(person);
+  assert.equal(person['@id'], `${siteUrl}/#person`);
+  for (const project of projects) {
+    for (const tech of project.frontmatter.tech) {
+      assert.ok(
+        person.knowsAbout.some(skill => skill.toLowerCase() === tech.toLowerCase()),
+        `knowsAbout is missing ${tech}`
+      );
+    }
+  }
+  assert.equal(
+    new Set(person.knowsAbout.map(skill => skill.toLowerCase())).size,
+    person.knowsAbout.length
+  );
+
+  assertValid(buildWebSiteSchema({ siteUrl, siteName: 'Portfolio', description: 'Data science.' }));
+});
+
+test('breadcrumbs start at home and number their items', () => {
+  const schema = buildBreadcrumbSchema(
+    [
+      { name: 'Blog', path: '/blog' },
+      { name: '2026', path: '/blog/2026' },
+    ],
+    { siteUrl }
+  );
+
+  assertValid(schema);
+  assert.deepEqual(
+    schema.itemListElement.map(item => [item.position, item.name, item.item]),
+    [
+      [1, 'Home', siteUrl],
+      [2, 'Blog', `${siteUrl}/blog`],
+      [3, '2026', `${siteUrl}/blog/2026`],
+    ]
+  );
+});
+
+test('the validator reports missing properties, bad dates and URLs, and unknown types', () => {
+  const post = buildBlogPostingSchema(blog[0], { siteUrl });
+  const broken = { ...post, keywords: '', dateModified: 'last week', url: '/blog/post' };
+  delete broken.author;
+
+  assert.deepEqual(
+    validateStructuredData(broken).map(issue => `${issue.type}.${issue.property}`),
+    ['BlogPosting.keywords', 'BlogPosting.author', 'BlogPosting.dateModified', 'BlogPosting.url']
+  );
+
+  const project = buildProjectSchema(
+    { ...projects[0], frontmatter: { ...projects[0].frontmatter, repo: 'https://example.com/r' } },
+    { siteUrl }
+  );
+  assert.deepEqual(validateStructuredData({ ...project, codeRepository: undefined }), [
+    { type: 'SoftwareSourceCode', property: 'codeRepository', message: 'is required' },
+  ]);
+
+  const crumbs = buildBreadcrumbSchema([{ name: 'Blog', path: '/blog' }], { siteUrl });
+  crumbs.itemListElement[1].position = 3;
+  assert.deepEqual(validateStructuredData(crumbs), [
+    { type: 'ListItem', property: 'position', message: 'expected 2' },
+  ]);
+
+  assert.equal(validateStructuredData({ '@type': 'Recipe' })[0].property, '@type');
+  assert.equal(validateStructuredData({ ...post, '@context': undefined })[0].property, '@context');
+});
+
+test('serialized JSON-LD cannot close its script element', () => {
+  const json = serializeStructuredData({ '@type': 'Thing', name: '</script><b>' });
+  assert.ok(!json.includes('<'));
+  assert.equal(JSON.parse(json).name, '</script><b>');
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { renderTagIndexPage, renderTagPage } = require('../src/tags.js');
+
+const tag = {
+  slug: 'time-series',
+  label: 'Time Series',
+  description: 'Forecasting & trends.',
+  projects: [
+    {
+      slug: 'sales-forecast',
+      frontmatter: {
+        title: 'Sales Forecast',
+        summary: 'Weekly sales.',
+        date: '2025-01-01',
+        tags: ['time-series'],
+        tech: [],
+      },
+    },
+  ],
+  posts: [],
+};
+
+test('renderTagIndexPage links every tag with its counts', () => {
+  const html = renderTagIndexPage([tag]);
+
+  assert.match(html, /data-tag-index/);
+  assert.match(html, /<a href="\/tags\/time-series\/">Time Series<\/a>/);
+  assert.match(html, /Forecasting &amp; trends\./);
+  assert.match(html, /1 project</);
+});
+
+test('renderTagPage lists the tagged projects and posts', () => {
+  const html = renderTagPage(tag);
+
+  assert.match(html, /data-tag-page="time-series"/);
+  assert.match(html, /<h1[^>]*>Time Series<\/h1>/);
+  assert.match(html, /data-tag-projects/);
+  assert.match(html, /href="\/projects\/sales-forecast"/);
+  assert.doesNotMatch(html, /data-tag-posts/);
+
+  const withPost = renderTagPage({
+    ...tag,
+    posts: [
+      {
+        slug: 'arima-notes',
+        frontmatter: { title: 'ARIMA Notes', summary: '', date: '2025-02-01', tags: [] },
+      },
+    ],
+  });
+  assert.match(withPost, /data-tag-posts/);
+  assert.match(withPost, /href="\/blog\/arima-notes"/);
+  assert.match(withPost, /1 project · 1 post/);
+});